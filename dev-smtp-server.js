@@ -0,0 +1,131 @@
+// Local SMTP stand-in for trying the email outbox without a real mail server. It accepts
+// every message and prints it; nothing is delivered. Point the app at it with
+//
+//   SMTP_HOST=127.0.0.1 SMTP_PORT=2525 npm start
+//
+// Options (environment variables) to exercise the retry and dead-letter paths:
+//   SMTP_DEV_PORT=2525          port to listen on
+//   SMTP_DEV_FAIL_RATE=0.5      share of messages answered with a temporary 451 failure
+//   SMTP_DEV_REJECT=@bad\.test  recipients matching this pattern get a permanent 550
+//   SMTP_DEV_SAVE_DIR=./mail    also write each message to <dir>/<id>.eml
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const port = parseInt(process.env.SMTP_DEV_PORT, 10) || 2525;
+const failRate = Number(process.env.SMTP_DEV_FAIL_RATE) || 0;
+const rejectPattern = process.env.SMTP_DEV_REJECT ? new RegExp(process.env.SMTP_DEV_REJECT, 'i') : null;
+const saveDir = process.env.SMTP_DEV_SAVE_DIR || null;
+
+let messageCount = 0;
+
+function headerValue(message, name) {
+    const match = message.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+    return match ? match[1].trim() : '';
+}
+
+function handleConnection(socket) {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let readingData = false;
+    let dataLines = [];
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    function finishMessage() {
+        const message = dataLines.join('\r\n');
+        readingData = false;
+        dataLines = [];
+
+        if (failRate > 0 && Math.random() < failRate) {
+            console.log(`⏳ 451 for "${headerValue(message, 'Subject')}" to ${envelope.to.join(', ')}`);
+            reply('451 4.3.0 Temporary failure, try again later');
+        } else {
+            const id = `dev-${Date.now()}-${++messageCount}`;
+            console.log(`📨 ${id}: "${headerValue(message, 'Subject')}" from ${envelope.from} to ${envelope.to.join(', ')} (${message.length} bytes)`);
+            if (saveDir) {
+                fs.mkdirSync(saveDir, { recursive: true });
+                fs.writeFileSync(path.join(saveDir, `${id}.eml`), message);
+            }
+            reply(`250 2.0.0 OK queued as ${id}`);
+        }
+        envelope = { from: null, to: [] };
+    }
+
+    function handleCommand(line) {
+        const [verb] = line.split(' ', 1);
+        switch (verb.toUpperCase()) {
+            case 'EHLO':
+                reply('250-localhost');
+                reply('250-8BITMIME');
+                reply('250 SMTPUTF8');
+                break;
+            case 'HELO':
+                reply('250 localhost');
+                break;
+            case 'MAIL':
+                envelope = { from: (line.match(/<([^>]*)>/) || [])[1] || '', to: [] };
+                reply('250 2.1.0 OK');
+                break;
+            case 'RCPT': {
+                const recipient = (line.match(/<([^>]*)>/) || [])[1] || '';
+                if (rejectPattern && rejectPattern.test(recipient)) {
+                    console.log(`🚫 550 for recipient ${recipient}`);
+                    reply('550 5.1.1 Recipient address rejected');
+                } else {
+                    envelope.to.push(recipient);
+                    reply('250 2.1.5 OK');
+                }
+                break;
+            }
+            case 'DATA':
+                if (envelope.to.length === 0) {
+                    reply('554 5.5.1 No valid recipients');
+                    break;
+                }
+                readingData = true;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+                break;
+            case 'RSET':
+                envelope = { from: null, to: [] };
+                reply('250 2.0.0 OK');
+                break;
+            case 'NOOP':
+                reply('250 2.0.0 OK');
+                break;
+            case 'QUIT':
+                reply('221 2.0.0 Bye');
+                socket.end();
+                break;
+            default:
+                reply('502 5.5.2 Command not implemented');
+        }
+    }
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 2);
+            if (!readingData) {
+                handleCommand(line);
+            } else if (line === '.') {
+                finishMessage();
+            } else {
+                // Undo dot-stuffing
+                dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+            }
+        }
+    });
+    socket.on('error', (error) => console.error('SMTP connection error:', error.message));
+
+    reply('220 localhost dev SMTP stand-in');
+}
+
+net.createServer(handleConnection).listen(port, '127.0.0.1', () => {
+    console.log(`📬 Dev SMTP server listening on 127.0.0.1:${port}`);
+    if (failRate > 0) console.log(`   Failing ${Math.round(failRate * 100)}% of messages with 451`);
+    if (rejectPattern) console.log(`   Rejecting recipients matching ${rejectPattern}`);
+});
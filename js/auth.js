@@ -97,6 +97,8 @@ class Auth {
                     staffId: result.user.username,
                     isStaff: result.user.isStaff,
                     isAdmin: result.user.isAdmin,
+                    role: result.user.role,
+                    token: result.token,
                     createdAt: new Date().toISOString()
                 };
                 
@@ -117,7 +119,7 @@ class Auth {
             const currentUser = this.getCurrentUser();
             if (currentUser) {
                 
-                // Clear any user-specific cart
+                // Clear any user-specific cart (the server keeps the account's copy)
                 const userId = currentUser.id;
                 const cartKey = `cart_${userId}`;
                 localStorage.removeItem(cartKey);
@@ -126,6 +128,7 @@ class Auth {
             // Then clear the current user from localStorage
             localStorage.removeItem('currentUser');
             localStorage.removeItem('staffAuth');
+            localStorage.removeItem('auth_token');
             return { success: true, message: 'Logout successful' };
         } catch (error) {
             console.error('Error during logout:', error);
@@ -133,6 +136,23 @@ class Auth {
         }
     }
 
+    // Authorization header for the role-guarded staff endpoints
+    static getStaffAuthHeaders() {
+        const currentUser = this.getCurrentUser();
+        return currentUser && currentUser.isStaff && currentUser.token
+            ? { 'Authorization': `Bearer ${currentUser.token}` }
+            : {};
+    }
+
+    // Authorization header for customer endpoints (token from /api/auth/login)
+    static getUserAuthHeaders() {
+        const currentUser = this.getCurrentUser();
+        const token = localStorage.getItem('auth_token');
+        return currentUser && !currentUser.isStaff && token
+            ? { 'Authorization': `Bearer ${token}` }
+            : {};
+    }
+
     static getCurrentUser() {
         return JSON.parse(localStorage.getItem('currentUser'));
     }
@@ -301,33 +321,10 @@ class Auth {
         if (!this.isLoggedIn()) {
             return { success: false, message: 'Please log in to add items to the cart.' };
         }
-        const normalizeCategory = (raw) => {
-            const val = String(raw || '').toLowerCase();
-            const includesAny = (list) => list.some(k => val.includes(k));
-            if (includesAny(['paint', 'painting'])) return 'paints';
-            if (includesAny(['power-tools','powertools','hand-tools','handtools','tool','tools','accessor'])) return 'tools-accessories';
-            if (includesAny(['building-materials','aggregate','cement','sand','gravel','hollow','plywood','wood','lumber','tile','roof'])) return 'building-materials-aggregates';
-            if (includesAny(['electrical','wire','breaker','outlet','switch'])) return 'electrical-supplies';
-            if (includesAny(['plumbing','fixture','pipe','fitting','faucet','valve'])) return 'plumbing-fixtures';
-            if (includesAny(['fastener','screw','nail','bolt','nut','consumable','adhesive','sealant','tape'])) return 'fasteners-consumables';
-            switch (String(raw || '')) {
-                case 'Power-Tools':
-                case 'Hand-Tools':
-                    return 'tools-accessories';
-                case 'Building-Materials':
-                    return 'building-materials-aggregates';
-                case 'Plumbing':
-                    return 'plumbing-fixtures';
-                case 'Electrical':
-                    return 'electrical-supplies';
-                default:
-                    return 'other';
-            }
-        };
+        // The server files each order line under the product's category; keep the slug for reference
         const productWithCategory = {
             ...product,
-            category: product.category || 'unknown',
-            categoryBucket: normalizeCategory(product.category)
+            category: product.category || 'unknown'
         };
         const cart = new Cart();
         const result = cart.addItem(productWithCategory);
@@ -461,7 +458,8 @@ class Auth {
             const response = await fetch('http://localhost:3000/api/orders', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...Auth.getUserAuthHeaders()
                 },
                 body: JSON.stringify({
                     userId: currentUser.id.toString(),
@@ -530,71 +528,6 @@ class Auth {
         return false;
     }
 
-    // Migration function to move localStorage orders to MongoDB
-    static async migrateLocalStorageOrders() {
-        try {
-            const userCarts = JSON.parse(localStorage.getItem('userCarts') || '{}');
-            
-            // Check if there are any orders to migrate
-            const hasOrders = Object.keys(userCarts).some(userId => 
-                Array.isArray(userCarts[userId]) && userCarts[userId].length > 0
-            );
-            
-            if (!hasOrders) {
-                return { success: true, message: 'No orders to migrate', totalMigrated: 0 };
-            }
-            
-            const response = await fetch('http://localhost:3000/api/orders/migrate', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ userCarts })
-            });
-            
-            if (response.ok) {
-                const result = await response.json();
-                
-                // Optionally clear localStorage after successful migration
-                // localStorage.removeItem('userCarts');
-                
-                return result;
-            } else {
-                const error = await response.json();
-                console.error('Migration failed:', error);
-                return { success: false, message: error.error || 'Migration failed' };
-            }
-            
-        } catch (error) {
-            console.error('Error during migration:', error);
-            return { success: false, message: 'Migration failed due to error: ' + error.message };
-        }
-    }
-
-    // Auto-migrate on app initialization (call this once)
-    static async initializeWithMigration() {
-        // Check if migration has already been done
-        const migrationDone = localStorage.getItem('ordersMigrated');
-        
-        if (!migrationDone) {
-            const migrationResult = await this.migrateLocalStorageOrders();
-            
-            if (migrationResult.success) {
-                localStorage.setItem('ordersMigrated', 'true');
-                
-                // Show user notification if orders were migrated
-                if (migrationResult.totalMigrated > 0) {
-                    const message = `Successfully migrated ${migrationResult.totalMigrated} existing orders to the new system!`;
-                    if (typeof showToast === 'function') {
-                        showToast(message, 'success');
-                    }
-                }
-            } else {
-                console.error('Migration failed:', migrationResult.message);
-            }
-        }
-    }
-
     /**
      * Fetch user addresses from MongoDB, default first
      * @param {string|number} userId
@@ -624,7 +557,145 @@ class Auth {
     }
 }
 
+const CART_SYNC_DELAY_MS = 500;
+
 class Cart {
+    // Cart line id: the product id, or `${productId}:${variantId}` for a product
+    // variant so each option is its own line. Variant lines also carry productId,
+    // variantId and variantLabel.
+    static lineId(productId, variantId) {
+        return variantId ? `${productId}:${variantId}` : productId;
+    }
+
+    static storageKey() {
+        const currentUser = Auth.getCurrentUser();
+        return `cart_${currentUser ? currentUser.id : 'guest'}`;
+    }
+
+    // ===== Server carts (GET/PUT/DELETE /api/cart) =====
+    // Logged-in customers' carts live on the server so they follow the account across
+    // devices. localStorage keeps the working copy for the page: local changes are pushed
+    // with a short debounce and every server response replaces the copy with revalidated
+    // lines (current price, name, image and `availableStock`).
+
+    static hasServerCart() {
+        return Object.keys(Auth.getUserAuthHeaders()).length > 0;
+    }
+
+    // Load the account cart once per page; resolves to the response (or null when offline/guest)
+    static fetchServerCart() {
+        if (!this.hasServerCart()) return Promise.resolve(null);
+        if (!this.serverCartPromise) {
+            const version = this.localVersion;
+            this.serverCartPromise = fetch('http://localhost:3000/api/cart', { headers: Auth.getUserAuthHeaders() })
+                .then(response => (response.ok ? response.json() : null))
+                .then(result => {
+                    // A local change made while loading wins; its sync returns the merged view
+                    if (result && version === this.localVersion) this.applyServerCart(result);
+                    return result;
+                })
+                .catch(error => {
+                    console.error('Error loading cart from server:', error);
+                    return null;
+                });
+        }
+        return this.serverCartPromise;
+    }
+
+    // Push the local cart to the server shortly after the last change
+    static scheduleServerSync() {
+        if (!this.hasServerCart()) return;
+        this.localVersion = (this.localVersion || 0) + 1;
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncToServer(), CART_SYNC_DELAY_MS);
+    }
+
+    static async syncToServer() {
+        const version = this.localVersion;
+        const cartData = JSON.parse(localStorage.getItem(this.storageKey()) || '{}');
+        try {
+            const response = await fetch('http://localhost:3000/api/cart', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', ...Auth.getUserAuthHeaders() },
+                body: JSON.stringify({ items: Cart.toServerItems(cartData.items || []), notes: cartData.notes || '' })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || result.message || 'Failed to save cart');
+            // A newer local change is already on its way; don't overwrite it
+            if (version === this.localVersion) this.applyServerCart(result);
+        } catch (error) {
+            console.error('Error saving cart to server:', error);
+        }
+    }
+
+    // On login: fold the guest cart (and any cart kept only on this device) into the account cart
+    static async mergeGuestCart() {
+        if (!this.hasServerCart()) return;
+        const guestCart = JSON.parse(localStorage.getItem('cart_guest') || '{}');
+        const deviceCart = JSON.parse(localStorage.getItem(this.storageKey()) || '{}');
+        const items = [...(guestCart.items || []), ...(deviceCart.items || [])];
+        
+        try {
+            const response = await fetch('http://localhost:3000/api/cart/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...Auth.getUserAuthHeaders() },
+                body: JSON.stringify({ items: Cart.toServerItems(items), notes: guestCart.notes || deviceCart.notes || '' })
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || result.message || 'Failed to merge cart');
+            localStorage.removeItem('cart_guest');
+            this.serverCartPromise = Promise.resolve(result);
+            this.applyServerCart(result);
+        } catch (error) {
+            console.error('Error merging guest cart:', error);
+        }
+    }
+
+    static toServerItems(items) {
+        return items.map(item => ({
+            id: item.id,
+            productId: item.productId || String(item.id).split(':')[0],
+            ...(item.variantId && { variantId: item.variantId }),
+            quantity: parseInt(item.quantity, 10) || 1,
+            price: parseFloat(item.price) || 0
+        }));
+    }
+
+    // Replace the local copy with the server's revalidated cart and tell the customer what changed
+    static applyServerCart(result) {
+        const cartData = {
+            items: result.cart.items.map(line => ({
+                ...line,
+                categoryOriginal: line.category || 'unknown'
+            })),
+            notes: result.cart.notes || ''
+        };
+        localStorage.setItem(this.storageKey(), JSON.stringify(cartData));
+        window.dispatchEvent(new CustomEvent('cartUpdated', { detail: { cartData, fromServer: true } }));
+        Auth.updateCartCount();
+        this.reportIssues(result.issues || []);
+    }
+
+    static reportIssues(issues) {
+        if (typeof showToast !== 'function') return;
+        issues.forEach(issue => {
+            switch (issue.type) {
+                case 'unavailable':
+                    showToast(`${issue.name} is no longer available and was removed from your cart.`, 'warning');
+                    break;
+                case 'out_of_stock':
+                    showToast(`${issue.name} is out of stock.`, 'warning');
+                    break;
+                case 'quantity_reduced':
+                    showToast(`Only ${issue.to} of ${issue.name} left; your cart was updated.`, 'warning');
+                    break;
+                case 'price_changed':
+                    showToast(`The price of ${issue.name} changed from ${formatPHPPrice(issue.previousPrice)} to ${formatPHPPrice(issue.price)}.`, 'info');
+                    break;
+            }
+        });
+    }
+
     constructor() {
         this.items = [];
         this.notes = '';
@@ -632,9 +703,7 @@ class Cart {
     }
 
     loadCart() {
-        const currentUser = Auth.getCurrentUser();
-        const userId = currentUser ? currentUser.id : 'guest';
-        const cartKey = `cart_${userId}`;
+        const cartKey = Cart.storageKey();
         
         try {
             const cartData = JSON.parse(localStorage.getItem(cartKey) || '{}');
@@ -654,11 +723,8 @@ class Cart {
         };
         
         // Save cart associated with current user
-        const currentUser = Auth.getCurrentUser();
-        const userId = currentUser ? currentUser.id : 'guest';
-        const cartKey = `cart_${userId}`;
-        
-        localStorage.setItem(cartKey, JSON.stringify(cartData));
+        localStorage.setItem(Cart.storageKey(), JSON.stringify(cartData));
+        Cart.scheduleServerSync();
         
         // Dispatch custom event to update cart tab (unless skipped)
         if (!skipEvent) {
@@ -672,30 +738,23 @@ class Cart {
     }
 
     addItem(product) {
-        const existingItem = this.items.find(item => item.id === product._id);
+        const lineId = Cart.lineId(product._id, product.variantId);
+        const existingItem = this.items.find(item => item.id === lineId);
         
         if (existingItem) {
             existingItem.quantity++;
         } else {
             this.items.push({
-                id: product._id,
-                name: product.name,
-                price: (() => {
-                    const toNumber = (val) => {
-                        if (val === null || val === undefined) return NaN;
-                        if (typeof val === 'object' && val.$numberDecimal !== undefined) return parseFloat(val.$numberDecimal);
-                        return parseFloat(val);
-                    };
-                    const candidates = [product.SellingPrice, product.sellingPrice, product.Price, product.price];
-                    for (const c of candidates) {
-                        const n = toNumber(c);
-                        if (!isNaN(n)) return n;
-                    }
-                    return 0;
-                })(),
+                id: lineId,
+                ...(product.variantId && {
+                    productId: product._id,
+                    variantId: product.variantId,
+                    variantLabel: product.variantLabel
+                }),
+                name: product.variantLabel ? `${product.name} (${product.variantLabel})` : product.name,
+                price: parseFloat(product.price) || 0,
                 image: product.image,
                 quantity: 1,
-                categoryBucket: product.categoryBucket || 'other',
                 categoryOriginal: product.category || 'unknown'
             });
         }
@@ -790,4 +849,14 @@ function updateAccountButton() {
 
 document.addEventListener('DOMContentLoaded', () => {
     updateAccountButton();
+    Cart.fetchServerCart();
+});
+
+// Pages that write the local cart directly (cart tab, checkout) announce it with cartUpdated
+window.addEventListener('cartUpdated', (event) => {
+    if (!(event.detail && event.detail.fromServer)) Cart.scheduleServerSync();
+});
+
+window.addEventListener('auth:login', () => {
+    Cart.mergeGuestCart();
 });
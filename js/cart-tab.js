@@ -272,12 +272,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 const itemIndex = cart.findIndex(item => item.id === itemId);
                 
                 if (itemIndex > -1) {
-                    // Check stock before updating
+                    // Check stock before updating (availableStock comes from the server's last
+                    // revalidation of the cart; unchecked lines are capped when the cart syncs)
                     try {
-                        const response = await fetch(`http://localhost:3000/api/products/${itemId}`);
-                        const product = await response.json();
-                        // Use stockQuantity if available, otherwise fallback to stock
-                        const availableStock = (product.stockQuantity !== undefined) ? product.stockQuantity : (product.stock || 0);
+                        const availableStock = cart[itemIndex].availableStock !== undefined ? cart[itemIndex].availableStock : Infinity;
                         
                         if (isIncrease && cart[itemIndex].quantity >= availableStock) {
                             if (typeof showToast === 'function') {
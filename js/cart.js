@@ -15,7 +15,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     const clearCartBtn = document.getElementById('clearCartBtn');
     const checkoutBtn = document.getElementById('checkoutBtn');
 
-    // Initialize cart
+    // Initialize cart (logged-in customers get their account cart, revalidated by the server)
+    await Cart.fetchServerCart();
     const myCart = new Cart();
     let selectedCartItemIds = new Set();
     let cartItems = myCart.getItems();
@@ -81,29 +82,36 @@ document.addEventListener('DOMContentLoaded', async () => {
                             <input type="number" class="quantity-input" value="${item.quantity}" min="1" data-item-id="${item.id}">
                             <button class="plus-btn" data-item-id="${item.id}">+</button>
                         </div>
-                        <div class="stock-indicator" data-item-id="${item.id}">Loading stock...</div>
+                        <div class="stock-indicator" data-item-id="${item.id}"></div>
                     </td>
                     <td class="subtotal-cell">${formatPHPPrice(itemTotal)}</td>
                     <td class="remove-cell">
-                        <button class="remove-item" onclick="removeItem('${item.id}')">×</button>
+                        <div class="cart-row-actions">
+                            <button class="save-later-btn" data-item-id="${item.id}" title="Save for later">Save for later</button>
+                            <button class="remove-item" data-item-id="${item.id}" title="Remove">×</button>
+                        </div>
                     </td>
                 </tr>
             `;
         }).join('');
 
-        // Fetch and display stock for each item
-        cartItemsContainer.querySelectorAll('.stock-indicator').forEach(async (indicator) => {
-            const itemId = indicator.getAttribute('data-item-id');
-            try {
-                const response = await fetch(`http://localhost:3000/api/products/${itemId}`);
-                const product = await response.json();
-                const stock = product.stock !== undefined ? product.stock : (product.stockQuantity || 0);
+        // Display stock for each item
+        cartItemsContainer.querySelectorAll('.stock-indicator').forEach((indicator) => {
+            const stock = cartLineStock(indicator.getAttribute('data-item-id'));
+            if (stock === undefined) {
+                indicator.textContent = '';
+            } else {
                 indicator.textContent = stock > 0 ? `In stock: ${stock}` : 'Out of stock';
-            } catch (error) {
-                indicator.textContent = 'Stock unavailable';
             }
         });
 
+        cartItemsContainer.querySelectorAll('.remove-item').forEach(button => {
+            button.addEventListener('click', () => removeItem(button.getAttribute('data-item-id')));
+        });
+        cartItemsContainer.querySelectorAll('.save-later-btn').forEach(button => {
+            button.addEventListener('click', () => removeItem(button.getAttribute('data-item-id'), { saveForLater: true }));
+        });
+
         // After rendering, add event listeners for checkboxes
         cartItemsContainer.querySelectorAll('.cart-item-checkbox').forEach(checkbox => {
             checkbox.addEventListener('change', function() {
@@ -195,11 +203,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         const currentValue = parseInt(input.value) || 1;
         
         try {
-            const response = await fetch(`http://localhost:3000/api/products/${itemId}`);
-            const product = await response.json();
+            const lineStock = cartLineStock(itemId);
             const availableStock = (() => {
-                const s = product.stock !== undefined ? product.stock : product.stockQuantity;
-                const n = parseInt(s);
+                const n = parseInt(lineStock);
                 return isNaN(n) ? Infinity : n;
             })();
             
@@ -256,6 +262,13 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    // Stock for a cart line (the variant's stock for variant lines), as of the server's last
+    // revalidation of the cart; undefined until the line has been checked
+    function cartLineStock(lineId) {
+        const item = cartItems.find(cartItem => cartItem.id === lineId) || {};
+        return item.availableStock;
+    }
+
     // Update quantity from input
     async function updateQuantityFromInput(id, newQuantity) {
         try {
@@ -264,11 +277,9 @@ document.addEventListener('DOMContentLoaded', async () => {
                 newQuantity = 1;
             }
             
-            const response = await fetch(`http://localhost:3000/api/products/${id}`);
-            const product = await response.json();
+            const lineStock = cartLineStock(id);
             const availableStock = (() => {
-                const s = product.stock !== undefined ? product.stock : product.stockQuantity;
-                const n = parseInt(s);
+                const n = parseInt(lineStock);
                 return isNaN(n) ? Infinity : n;
             })();
 
@@ -295,13 +306,107 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    // Remove item
-    async function removeItem(id) {
+    // Remove item, optionally moving it to the saved-for-later list first
+    async function removeItem(id, { saveForLater = false } = {}) {
+        if (saveForLater) {
+            const item = cartItems.find(cartItem => cartItem.id === id);
+            if (!item) return;
+            try {
+                if (!await Wishlist.saveForLater(item)) return;
+            } catch (error) {
+                showToast(error.message, 'error');
+                return;
+            }
+        }
+
         myCart.removeItem(id);
+        selectedCartItemIds.delete(id);
+        cartItems = myCart.getItems();
+        await displayCart();
+        updateHeaderCartBadge();
+        showToast(saveForLater ? 'Item saved for later' : 'Item removed from cart');
+    }
+
+    // Saved-for-later and wishlist items below the cart
+    function displaySavedLists() {
+        const savedLists = document.getElementById('savedLists');
+        if (!savedLists) return;
+
+        const saved = Wishlist.getList('saved');
+        const wishlist = Wishlist.getList('wishlist');
+        savedLists.style.display = saved.length || wishlist.length ? '' : 'none';
+        document.getElementById('savedForLaterSection').style.display = saved.length ? '' : 'none';
+        document.getElementById('wishlistSection').style.display = wishlist.length ? '' : 'none';
+
+        const renderItem = (item) => {
+            const canMove = item.available && item.availableStock > 0 && (!item.hasVariants || item.variantId);
+            const stockText = !item.available ? 'No longer available'
+                : item.availableStock > 0 ? `In stock: ${item.availableStock}` : 'Out of stock';
+            return `
+                <div class="saved-item" data-item-id="${item.id}">
+                    <img src="${item.image || 'images/sanrico_logo_1.png'}" alt="${item.name}">
+                    <div class="saved-item-info">
+                        <h4><a href="product.html?id=${item.productId}">${item.name}</a></h4>
+                        <div class="saved-item-meta">
+                            ${formatPHPPrice(item.price)}${item.list === 'saved' ? ` × ${item.quantity}` : ''} ·
+                            <span class="${item.availableStock > 0 ? '' : 'out-of-stock'}">${stockText}</span>
+                        </div>
+                        ${item.available && item.availableStock === 0 ? `
+                        <label class="saved-item-alert">
+                            <input type="checkbox" class="stock-alert-toggle" ${item.notifyWhenInStock ? 'checked' : ''}>
+                            Email me when it's back in stock
+                        </label>` : ''}
+                    </div>
+                    <div class="saved-item-actions">
+                        <button class="btn move-to-cart-btn" ${canMove ? '' : 'disabled'}>Move to Cart</button>
+                        <button class="btn btn-outline remove-saved-btn">Remove</button>
+                    </div>
+                </div>
+            `;
+        };
+        document.getElementById('savedForLaterItems').innerHTML = saved.map(renderItem).join('');
+        document.getElementById('wishlistItems').innerHTML = wishlist.map(renderItem).join('');
+
+        savedLists.querySelectorAll('.saved-item').forEach(row => {
+            const item = Wishlist.items.find(entry => entry.id === row.dataset.itemId);
+            row.querySelector('.move-to-cart-btn').addEventListener('click', () => moveToCart(item));
+            row.querySelector('.remove-saved-btn').addEventListener('click', () => {
+                Wishlist.remove(item.id).catch(error => showToast(error.message, 'error'));
+            });
+            const alertToggle = row.querySelector('.stock-alert-toggle');
+            if (alertToggle) {
+                alertToggle.addEventListener('change', async () => {
+                    try {
+                        await Wishlist.save({ productId: item.productId, variantId: item.variantId, notifyWhenInStock: alertToggle.checked });
+                        showToast(alertToggle.checked ? "We'll email you when it's back in stock" : 'Stock alert turned off', 'success');
+                    } catch (error) {
+                        alertToggle.checked = !alertToggle.checked;
+                        showToast(error.message, 'error');
+                    }
+                });
+            }
+        });
+    }
+
+    // Put a saved or wishlisted item back in the cart (at its saved quantity, within stock)
+    async function moveToCart(item) {
+        const id = Cart.lineId(item.productId, item.variantId);
+        const inCart = cartItems.find(cartItem => cartItem.id === id);
+        const quantity = Math.min((inCart ? inCart.quantity : 0) + item.quantity, item.availableStock);
+
+        myCart.addItem({ _id: item.productId, variantId: item.variantId, name: item.name, price: item.price, image: item.image });
+        myCart.updateQuantity(id, quantity);
+        selectedCartItemIds.add(id);
         cartItems = myCart.getItems();
         await displayCart();
         updateHeaderCartBadge();
-        showToast('Item removed from cart');
+
+        try {
+            await Wishlist.remove(item.id);
+        } catch (error) {
+            console.error('Error removing moved item from wishlist:', error);
+        }
+        showToast(`${item.name} moved to your cart`, 'success');
     }
 
     // Update total price
@@ -376,6 +481,12 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Listen for cart updates from other pages
     window.addEventListener('cartUpdated', async (event) => {
+        // The server's revalidated cart (after a sync) may have capped quantities or new prices
+        if (event.detail && event.detail.fromServer) {
+            myCart.loadCart();
+            cartItems = myCart.getItems();
+            await displayCart();
+        }
         // Temporarily disabled to prevent race condition with quantity updates
         // if (event.detail && event.detail.cartData) {
         //     const cartKey = `cart_${Auth.getCurrentUser() ? Auth.getCurrentUser().id : 'guest'}`;
@@ -400,8 +511,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    window.addEventListener('wishlistUpdated', displaySavedLists);
+
     // Initial display
     await displayCart();
+    Wishlist.load().then(displaySavedLists);
     // Update header cart badge on page load
     updateHeaderCartBadge();
 });
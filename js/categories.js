@@ -0,0 +1,76 @@
+// Product category taxonomy (GET /api/categories), shared by the shop pages and the staff dashboard.
+// Call Categories.load() once; the lookups below work on the loaded list.
+class Categories {
+    // Fetch the categories (cached for the page's lifetime; pass true to refetch after edits)
+    static load(force = false) {
+        if (!this.loadPromise || force) {
+            this.loadPromise = fetch('http://localhost:3000/api/categories')
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to fetch categories');
+                    return response.json();
+                })
+                .then(data => {
+                    this.setList(data.categories || []);
+                    return this.list;
+                })
+                .catch(error => {
+                    console.error('Error loading categories:', error);
+                    this.loadPromise = null;
+                    this.setList(this.list || []);
+                    return this.list;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    // Flat list in tree order ({ _id, name, slug, parentId, depth, aliases, ... })
+    static setList(categories) {
+        this.list = categories;
+        this.byKey = new Map();
+        categories.forEach(category => (category.aliases || []).forEach(alias => this.byKey.set(alias, category)));
+        categories.forEach(category => {
+            this.byKey.set(category.slug, category);
+            this.byKey.set(String(category._id), category);
+        });
+    }
+
+    // Category by id, slug or alias
+    static find(key) {
+        if (!key || !this.byKey) return null;
+        return this.byKey.get(String(key)) || this.byKey.get(String(key).toLowerCase()) || null;
+    }
+
+    static topLevel() {
+        return (this.list || []).filter(category => !category.parentId);
+    }
+
+    static children(category) {
+        return (this.list || []).filter(child => child.parentId && String(child.parentId) === String(category._id));
+    }
+
+    // Top-level ancestor of a category, e.g. 'power-tools' -> Tools and Accessories
+    static root(key) {
+        let category = this.find(key);
+        while (category && category.parentId && this.find(category.parentId)) {
+            category = this.find(category.parentId);
+        }
+        return category;
+    }
+
+    // True when a product (by its categoryId or slug) is in `key` or one of its subcategories
+    static contains(key, product) {
+        const target = this.find(key);
+        let category = this.find(product.categoryId) || this.find(product.category);
+        while (target && category) {
+            if (String(category._id) === String(target._id)) return true;
+            category = category.parentId ? this.find(category.parentId) : null;
+        }
+        return false;
+    }
+
+    static nameFor(key) {
+        const category = this.find(key);
+        if (category) return category.name;
+        return String(key || 'other').replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+}
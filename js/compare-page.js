@@ -0,0 +1,173 @@
+// Side-by-side comparison (compare.html?ids=<id>,<id>,...). The ids in the URL make the
+// comparison shareable; without them the page shows the customer's compare tray.
+function formatPHPPrice(price) {
+    return new Intl.NumberFormat('en-PH', {
+        style: 'currency',
+        currency: 'PHP'
+    }).format(price);
+}
+
+function toPriceNumber(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'object' && value.$numberDecimal !== undefined) return parseFloat(value.$numberDecimal);
+    return parseFloat(value) || 0;
+}
+
+function availableStock(source) {
+    return Math.max(0, (source.stockQuantity || 0) - (source.reservedQuantity || 0));
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function compareIdsFromUrl() {
+    const ids = new URLSearchParams(window.location.search).get('ids');
+    return ids ? ids.split(',').map(id => id.trim()).filter(Boolean).slice(0, COMPARE_MAX_PRODUCTS) : [];
+}
+
+// Keep the address bar in step with what is shown so it can be copied as-is
+function updateCompareUrl(ids) {
+    window.history.replaceState(null, '', ids.length ? Compare.url(ids) : 'compare.html');
+}
+
+async function loadComparison() {
+    let ids = compareIdsFromUrl();
+    if (ids.length === 0) {
+        ids = Compare.getItems().map(item => item.id);
+        updateCompareUrl(ids);
+    }
+    if (ids.length === 0) {
+        renderComparison([]);
+        return;
+    }
+
+    try {
+        const [response] = await Promise.all([
+            fetch(`http://localhost:3000/api/products/compare?ids=${ids.map(encodeURIComponent).join(',')}`, { headers: Auth.getUserAuthHeaders() }),
+            Categories.load()
+        ]);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to load products');
+
+        if (result.missing.length > 0) {
+            showToast(`${result.missing.length} product(s) in this comparison are no longer available`, 'info');
+            updateCompareUrl(result.products.map(product => product._id));
+        }
+        renderComparison(result.products);
+    } catch (error) {
+        console.error('Error loading comparison:', error);
+        showToast('Failed to load the comparison: ' + error.message, 'error');
+        renderComparison([]);
+    }
+}
+
+function renderComparison(products) {
+    window.comparedProducts = products;
+    const table = document.getElementById('compareTable');
+    const emptyState = document.getElementById('compareEmpty');
+    const actions = document.getElementById('compareActions');
+
+    emptyState.style.display = products.length ? 'none' : '';
+    actions.style.display = products.length ? '' : 'none';
+    table.style.display = products.length ? '' : 'none';
+    if (products.length === 0) return;
+
+    const activeVariants = (product) => (product.variants || []).filter(variant => variant.isActive !== false);
+    const attributeNames = [...new Set(products.flatMap(product => Object.keys(product.attributes || {})))].sort();
+
+    // [label, value for each product]; rows where the products differ are highlighted
+    const rows = [
+        ['Price', product => {
+            const variants = activeVariants(product);
+            if (variants.length === 0) return formatPHPPrice(toPriceNumber(product.price));
+            const prices = variants.map(variant => toPriceNumber(variant.price));
+            const low = Math.min(...prices);
+            const high = Math.max(...prices);
+            return low === high ? formatPHPPrice(low) : `${formatPHPPrice(low)} – ${formatPHPPrice(high)}`;
+        }],
+        ['Availability', product => {
+            const stock = availableStock(product);
+            return stock > 0 ? `<span class="in-stock">In stock (${stock})</span>` : '<span class="out-of-stock">Out of stock</span>';
+        }],
+        ['Brand', product => escapeHtml(product.brand) || '—'],
+        ['Category', product => escapeHtml(Categories.nameFor(product.categoryId || product.category))],
+        ['Unit', product => escapeHtml(product.unit) || '—'],
+        ['SKU', product => escapeHtml(product.sku) || '—'],
+        ['Options', product => {
+            const variants = activeVariants(product);
+            return variants.length ? variants.map(variant => escapeHtml(variant.label)).join('<br>') : '—';
+        }],
+        ...attributeNames.map(name => [
+            name.replace(/\b\w/g, letter => letter.toUpperCase()),
+            product => escapeHtml((product.attributes || {})[name]) || '—'
+        ]),
+        ['Description', product => escapeHtml(product.description) || '—']
+    ];
+
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th></th>
+                ${products.map(product => `
+                    <th class="compare-product">
+                        <button type="button" class="compare-remove" data-product-id="${product._id}" title="Remove from comparison">×</button>
+                        <a href="product.html?id=${product._id}">
+                            <img src="${product.image || 'images/sanrico_logo_1.png'}" alt="${escapeHtml(product.name)}">
+                            <span>${escapeHtml(product.name)}</span>
+                        </a>
+                    </th>
+                `).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(([label, valueFor]) => {
+                const values = products.map(valueFor);
+                const differs = products.length > 1 && new Set(values).size > 1;
+                return `
+                    <tr class="${differs ? 'differs' : ''}">
+                        <th scope="row">${escapeHtml(label)}</th>
+                        ${values.map(value => `<td>${value}</td>`).join('')}
+                    </tr>
+                `;
+            }).join('')}
+        </tbody>
+    `;
+
+    table.querySelectorAll('.compare-remove').forEach(button => {
+        button.addEventListener('click', () => removeFromComparison(button.dataset.productId));
+    });
+}
+
+function removeFromComparison(productId) {
+    const products = (window.comparedProducts || []).filter(product => product._id !== productId);
+    if (Compare.has(productId)) Compare.remove(productId);
+    updateCompareUrl(products.map(product => product._id));
+    renderComparison(products);
+}
+
+function copyComparisonLink() {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+        showToast('Comparison link copied to clipboard!', 'info');
+    }).catch(error => {
+        console.error('Could not copy text: ', error);
+        showToast('Failed to copy comparison link.', 'error');
+    });
+}
+
+// Make a shared comparison the customer's own compare selection
+function saveComparisonToTray() {
+    Compare.setItems((window.comparedProducts || []).map(product => ({
+        id: product._id,
+        name: product.name,
+        image: product.image || null
+    })));
+    showToast('Saved to your compare list', 'success');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('copyCompareLinkBtn').addEventListener('click', copyComparisonLink);
+    document.getElementById('saveCompareBtn').addEventListener('click', saveComparisonToTray);
+    loadComparison();
+});
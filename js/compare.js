@@ -0,0 +1,149 @@
+// Compare tray: up to COMPARE_MAX_PRODUCTS products picked on the shop and product pages,
+// kept in localStorage so the selection follows the customer across pages and tabs.
+// Buttons with class "compare-toggle" and data-product-id/-name/-image add or remove a
+// product; compare.html shows the picked products side by side.
+const COMPARE_MAX_PRODUCTS = 4;
+const COMPARE_STORAGE_KEY = 'compare_products';
+
+class Compare {
+    // [{ id, name, image }]
+    static getItems() {
+        try {
+            const items = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+            return Array.isArray(items) ? items.slice(0, COMPARE_MAX_PRODUCTS) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static setItems(items) {
+        localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(items.slice(0, COMPARE_MAX_PRODUCTS)));
+        this.changed();
+    }
+
+    static has(productId) {
+        return this.getItems().some(item => item.id === productId);
+    }
+
+    // Returns false when the tray is already full
+    static add(product) {
+        const items = this.getItems();
+        if (items.some(item => item.id === product.id)) return true;
+        if (items.length >= COMPARE_MAX_PRODUCTS) {
+            showToast(`You can compare up to ${COMPARE_MAX_PRODUCTS} products. Remove one first.`, 'error');
+            return false;
+        }
+        this.setItems([...items, { id: product.id, name: product.name, image: product.image || null }]);
+        return true;
+    }
+
+    static remove(productId) {
+        this.setItems(this.getItems().filter(item => item.id !== productId));
+    }
+
+    static toggle(product) {
+        if (this.has(product.id)) {
+            this.remove(product.id);
+            showToast(`${product.name} removed from compare`, 'info');
+        } else if (this.add(product)) {
+            showToast(`${product.name} added to compare`, 'success');
+        }
+    }
+
+    static clear() {
+        this.setItems([]);
+    }
+
+    // Link to the compare page for these product ids (shareable)
+    static url(ids = this.getItems().map(item => item.id)) {
+        return `compare.html?ids=${ids.map(encodeURIComponent).join(',')}`;
+    }
+
+    static toggleButton(product) {
+        return `
+            <button type="button" class="compare-toggle" data-product-id="${product._id}"
+                    data-product-name="${String(product.name).replace(/"/g, '&quot;')}"
+                    data-product-image="${product.image || ''}">
+                <i class="fa fa-balance-scale"></i> <span>Compare</span>
+            </button>
+        `;
+    }
+
+    static refreshButtons(root = document) {
+        root.querySelectorAll('.compare-toggle').forEach(button => {
+            const active = this.has(button.dataset.productId);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            const label = button.querySelector('span');
+            if (label) label.textContent = active ? 'Comparing' : 'Compare';
+        });
+    }
+
+    // Fixed tray at the bottom of the page; hidden while empty and on the compare page itself
+    static renderTray() {
+        if (document.body.dataset.page === 'compare') return;
+
+        let tray = document.getElementById('compareTray');
+        if (!tray) {
+            tray = document.createElement('div');
+            tray.id = 'compareTray';
+            tray.className = 'compare-tray';
+            document.body.appendChild(tray);
+            tray.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.compare-tray-remove');
+                if (removeBtn) this.remove(removeBtn.dataset.productId);
+                if (e.target.closest('.compare-tray-clear')) this.clear();
+            });
+        }
+
+        const items = this.getItems();
+        tray.style.display = items.length ? '' : 'none';
+        tray.innerHTML = `
+            <div class="compare-tray-items">
+                ${items.map(item => `
+                    <div class="compare-tray-item" title="${item.name}">
+                        <img src="${item.image || 'images/sanrico_logo_1.png'}" alt="${item.name}">
+                        <button type="button" class="compare-tray-remove" data-product-id="${item.id}" aria-label="Remove ${item.name}">×</button>
+                    </div>
+                `).join('')}
+                ${Array.from({ length: COMPARE_MAX_PRODUCTS - items.length }, () => '<div class="compare-tray-item empty"></div>').join('')}
+            </div>
+            <div class="compare-tray-actions">
+                <span class="compare-tray-count">${items.length} of ${COMPARE_MAX_PRODUCTS} selected</span>
+                <button type="button" class="compare-tray-clear">Clear</button>
+                <a class="btn compare-tray-go ${items.length < 2 ? 'disabled' : ''}" href="${items.length < 2 ? '#' : this.url()}">Compare</a>
+            </div>
+        `;
+    }
+
+    static changed() {
+        this.refreshButtons();
+        this.renderTray();
+        window.dispatchEvent(new CustomEvent('compareUpdated', { detail: { items: this.getItems() } }));
+    }
+}
+
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('.compare-toggle');
+    if (button) {
+        e.preventDefault();
+        e.stopPropagation();
+        Compare.toggle({ id: button.dataset.productId, name: button.dataset.productName, image: button.dataset.productImage });
+    } else if (e.target.closest('.compare-tray-go.disabled')) {
+        e.preventDefault();
+        showToast('Pick at least two products to compare.', 'info');
+    }
+});
+
+// Another tab changed the selection
+window.addEventListener('storage', (e) => {
+    if (e.key === COMPARE_STORAGE_KEY) {
+        Compare.refreshButtons();
+        Compare.renderTray();
+    }
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    Compare.refreshButtons();
+    Compare.renderTray();
+});
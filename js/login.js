@@ -376,47 +376,6 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Forgot Password functionality
-    const forgotPasswordSubmitBtn = document.getElementById('forgotPasswordSubmitBtn');
-    if (forgotPasswordSubmitBtn) {
-        forgotPasswordSubmitBtn.addEventListener('click', async () => {
-            const emailInput = document.getElementById('forgot-email');
-            const email = emailInput.value.trim();
-            
-            if (!email) {
-                showToast('Please enter your email address', 'error');
-                return;
-            }
-            
-            // Basic email validation
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                showToast('Please enter a valid email address', 'error');
-                return;
-            }
-            
-            // Show loading state
-            if (window.setButtonLoading) {
-                window.setButtonLoading('forgotPasswordSubmitBtn', true);
-            }
-            
-            // Simulate sending reset email (replace with actual implementation)
-            setTimeout(() => {
-                showToast('Password reset link sent to your email!', 'success');
-                emailInput.value = '';
-                
-                if (window.setButtonLoading) {
-                    window.setButtonLoading('forgotPasswordSubmitBtn', false);
-                }
-                
-                // Switch back to login tab
-                setTimeout(() => {
-                    showLoginModal(); // Changed from showLoginTab()
-                }, 2000);
-            }, 2000);
-        });
-    }
-
     // Staff login functionality
     const staffLoginBtn = document.getElementById('staffLoginSubmitBtn');
     const staffIdInput = document.getElementById('staff-id');
@@ -1367,8 +1326,8 @@ document.addEventListener('DOMContentLoaded', () => {
             this.textContent = 'Sending Recovery Email...';
             
             try {
-                // Send password reset email via n8n
-                const response = await fetch('http://localhost:3001/api/auth/send-password-reset', {
+                // Ask the server to email a password reset link
+                const response = await fetch('http://localhost:3000/api/auth/send-password-reset', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
@@ -1377,7 +1336,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
                 
                 if (response.ok) {
-                    showToast('Recovery email sent! Please check your inbox.', 'success');
+                    const result = await response.json();
+                    showToast(result.message || 'Recovery email sent! Please check your inbox.', 'success');
                     
                     // Close modal and clear form
                     window.closeAllModals();
@@ -1,105 +1,10 @@
-document.addEventListener('DOMContentLoaded', function() {
-// Notification functionality
-class NotificationManager {
-    constructor() {
-        this.notifications = [];
-        this.unreadCount = 0;
-        this.badge = document.querySelector('.notification-bell .notification-badge');
-        this.list = document.querySelector('.notification-list');
-        
-        // Initialize with empty notifications - no more fake/test notifications
-    }
-
-    addNotification(notification) {
-        this.notifications.unshift(notification);
-        this.unreadCount++;
-        this.updateBadge();
-        this.renderNotifications();
-    }
-
-    markAsRead(index) {
-        if (this.notifications[index] && !this.notifications[index].read) {
-            this.notifications[index].read = true;
-            this.unreadCount--;
-            this.updateBadge();
-            this.renderNotifications();
-        }
-    }
-
-    updateBadge() {
-        if (this.badge) {
-            this.badge.textContent = this.unreadCount;
-            this.badge.style.display = this.unreadCount > 0 ? 'flex' : 'none';
-        }
-    }
-
-    renderNotifications() {
-        if (!this.list) return;
-        
-        this.list.innerHTML = '';
-
-        if (this.notifications.length === 0) {
-            this.list.innerHTML = `
-                <div class="no-notifications">
-                    <img src="images/ruined-building-house-home-broken-house-svgrepo-com.svg" alt="No notifications">
-                    <p>No current notifications</p>
-                </div>
-            `;
-            return;
-        }
-
-        this.notifications.forEach((notification, index) => {
-            const item = document.createElement('div');
-            item.className = `notification-item ${notification.read ? '' : 'unread'}`;
-            item.innerHTML = `
-                <div class="notification-content">
-                    <div class="notification-title">${notification.title}</div>
-                    <div class="notification-message">${notification.message}</div>
-                    <div class="notification-time">${this.formatTime(notification.time)}</div>
-                </div>
-            `;
-            
-            item.addEventListener('click', () => this.markAsRead(index));
-            this.list.appendChild(item);
-        });
-    }
-
-    formatTime(timestamp) {
-        const date = new Date(timestamp);
-        const now = new Date();
-        const diff = now - date;
-        
-        // Less than 1 minute
-        if (diff < 60000) {
-            return 'Just now';
-        }
-        
-        // Less than 1 hour
-        if (diff < 3600000) {
-            const minutes = Math.floor(diff / 60000);
-            return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-        }
-        
-        // Less than 24 hours
-        if (diff < 86400000) {
-            const hours = Math.floor(diff / 3600000);
-            return `${hours} hour${hours > 1 ? 's' : ''} ago`;
-        }
-        
-        // Less than 7 days
-        if (diff < 604800000) {
-            const days = Math.floor(diff / 86400000);
-            return `${days} day${days > 1 ? 's' : ''} ago`;
-        }
-        
-        // Otherwise show the date
-        return date.toLocaleDateString();
-    }
-}
-
-// Initialize notification manager
-const notificationManager = new NotificationManager();
+// Header notification bell, backed by the customer's inbox on the server
+// (/api/users/me/notifications). Order updates are added there by the server; the bell
+// refreshes every minute and whenever the tab comes back into view.
+const NOTIFICATIONS_API = 'http://localhost:3000/api/users/me/notifications';
+const NOTIFICATIONS_REFRESH_MS = 60000;
 
+document.addEventListener('DOMContentLoaded', function() {
     // Notification dropdown open/close logic for main pages (support multiple bells/dropdowns)
     const notificationBells = document.querySelectorAll('.notification-bell');
     const notificationDropdowns = document.querySelectorAll('.notification-dropdown');
@@ -131,68 +36,82 @@ const notificationManager = new NotificationManager();
         });
     });
 
-    // Notification logic (copied from staff-dashboard)
     let notifications = [];
-    
-    // Load notifications (check for user-specific notifications first)
-    function loadNotifications() {
-        // Try to get user-specific notifications if user is logged in
-        if (typeof Auth !== 'undefined' && Auth.isLoggedIn && Auth.isLoggedIn()) {
-            const currentUser = Auth.getCurrentUser();
-            if (currentUser && currentUser.id) {
-                const userNotificationKey = `notifications_${currentUser.id}`;
-                const userNotifications = JSON.parse(localStorage.getItem(userNotificationKey) || '[]');
-                
-                // Merge with general notifications, prioritizing user-specific ones
-                const generalNotifications = JSON.parse(localStorage.getItem('notifications') || '[]');
-                
-                // Filter general notifications to only include ones for this user or system-wide ones
-                const relevantGeneralNotifications = generalNotifications.filter(notification => 
-                    !notification.userId || notification.userId === currentUser.id
-                );
-                
-                // Combine and deduplicate notifications based on ID
-                const allNotifications = [...userNotifications, ...relevantGeneralNotifications];
-                const uniqueNotifications = allNotifications.filter((notification, index, self) =>
-                    self.findIndex(n => n.id === notification.id) === index
-                );
-                
-                // Sort by time (newest first)
-                notifications = uniqueNotifications.sort((a, b) => new Date(b.time) - new Date(a.time));
-                return;
-            }
+    let unreadCount = 0;
+    let currentPage = 1;
+    let totalPages = 1;
+
+    function authHeaders() {
+        return typeof Auth !== 'undefined' ? Auth.getUserAuthHeaders() : {};
+    }
+
+    function isSignedIn() {
+        return Object.keys(authHeaders()).length > 0;
+    }
+
+    async function notificationsRequest(path = '', options = {}) {
+        const response = await fetch(`${NOTIFICATIONS_API}${path}`, {
+            ...options,
+            headers: { ...authHeaders(), ...(options.headers || {}) }
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Notification request failed');
+        return result;
+    }
+
+    // Page 1 replaces the list (refresh); later pages are appended ("Load more")
+    async function loadNotifications(page = 1) {
+        if (!isSignedIn()) {
+            notifications = [];
+            unreadCount = 0;
+            totalPages = 1;
+            updateNotifications();
+            return;
+        }
+        try {
+            const result = await notificationsRequest(`?page=${page}`);
+            notifications = page === 1 ? result.notifications : notifications.concat(result.notifications);
+            unreadCount = result.unreadCount;
+            currentPage = result.currentPage;
+            totalPages = result.totalPages;
+            updateNotifications();
+        } catch (error) {
+            console.error('Error loading notifications:', error);
         }
-        
-        // Fallback to general notifications
-        notifications = JSON.parse(localStorage.getItem('notifications') || '[]');
     }
-    
-    // Initialize notifications
-    loadNotifications();
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
 
     function updateNotifications() {
         const badge = document.getElementById('notificationBadge');
         const list = document.getElementById('notificationList');
-        const unreadCount = notifications.filter(n => !n.read).length;
         if (badge) {
             badge.textContent = unreadCount;
             badge.style.display = unreadCount > 0 ? 'flex' : 'none';
         }
-        if (list) {
-            if (notifications.length === 0) {
-                list.innerHTML = '<div class="no-notifications">No notifications</div>';
-            } else {
-                list.innerHTML = notifications.map((notification, idx) => `
-                    <div class="notification-item ${notification.read ? '' : 'unread'}" data-id="${notification.id}">
-                        <div class="notification-content">
-                            <div class="notification-title">${notification.title}</div>
-                            <div class="notification-message">${notification.message}</div>
-                            <div class="notification-time">${formatTime(notification.time)}</div>
-                        </div>
-                    </div>
-                `).join('');
-            }
+        const markAllButton = document.getElementById('clearAllBtn');
+        if (markAllButton) markAllButton.disabled = unreadCount === 0;
+        if (!list) return;
+
+        if (notifications.length === 0) {
+            list.innerHTML = '<div class="no-notifications">No notifications</div>';
+            return;
         }
+        list.innerHTML = notifications.map(notification => `
+            <div class="notification-item ${notification.read ? '' : 'unread'}" data-id="${notification._id}">
+                <div class="notification-content">
+                    <div class="notification-title">${escapeHtml(notification.title)}</div>
+                    <div class="notification-message">${escapeHtml(notification.message)}</div>
+                    <div class="notification-time">${formatTime(notification.createdAt)}</div>
+                </div>
+                <button class="notification-delete" title="Delete notification" aria-label="Delete notification">×</button>
+            </div>
+        `).join('') + (currentPage < totalPages
+            ? '<button class="notification-load-more" id="notificationLoadMore">Load more</button>'
+            : '');
     }
 
     function formatTime(timestamp) {
@@ -206,6 +125,29 @@ const notificationManager = new NotificationManager();
         return date.toLocaleDateString();
     }
 
+    async function markAsRead(notification) {
+        if (notification.read) return;
+        notification.read = true;
+        unreadCount = Math.max(0, unreadCount - 1);
+        updateNotifications();
+        try {
+            await notificationsRequest(`/${notification._id}/read`, { method: 'PUT' });
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+        }
+    }
+
+    async function deleteNotification(notification) {
+        try {
+            await notificationsRequest(`/${notification._id}`, { method: 'DELETE' });
+            notifications = notifications.filter(item => item._id !== notification._id);
+            if (!notification.read) unreadCount = Math.max(0, unreadCount - 1);
+            updateNotifications();
+        } catch (error) {
+            console.error('Error deleting notification:', error);
+        }
+    }
+
     document.getElementById('notificationBtn')?.addEventListener('click', (e) => {
         e.stopPropagation();
         document.getElementById('notificationDropdown')?.classList.toggle('show');
@@ -213,98 +155,52 @@ const notificationManager = new NotificationManager();
     document.addEventListener('click', () => {
         document.getElementById('notificationDropdown')?.classList.remove('show');
     });
-    document.getElementById('clearAllBtn')?.addEventListener('click', () => {
-        // Clear both general and user-specific notifications
-        notifications = [];
-        
-        // Clear general notifications
-        localStorage.setItem('notifications', JSON.stringify(notifications));
-        
-        // Clear user-specific notifications if logged in
-        if (typeof Auth !== 'undefined' && Auth.isLoggedIn && Auth.isLoggedIn()) {
-            const currentUser = Auth.getCurrentUser();
-            if (currentUser && currentUser.id) {
-                const userNotificationKey = `notifications_${currentUser.id}`;
-                localStorage.setItem(userNotificationKey, JSON.stringify([]));
-            }
+    document.getElementById('notificationDropdown')?.addEventListener('click', (e) => {
+        // Deleting or paging keeps the dropdown open
+        e.stopPropagation();
+    });
+    document.getElementById('clearAllBtn')?.addEventListener('click', async () => {
+        try {
+            await notificationsRequest('/read-all', { method: 'PUT' });
+            notifications.forEach(notification => { notification.read = true; });
+            unreadCount = 0;
+            updateNotifications();
+        } catch (error) {
+            console.error('Error marking notifications as read:', error);
         }
-        
-        updateNotifications();
     });
-    document.getElementById('notificationList')?.addEventListener('click', (e) => {
+    document.getElementById('notificationList')?.addEventListener('click', async (e) => {
+        if (e.target.closest('#notificationLoadMore')) {
+            loadNotifications(currentPage + 1);
+            return;
+        }
         const item = e.target.closest('.notification-item');
-        if (item) {
-            const idx = Array.from(item.parentNode.children).indexOf(item);
-            if (notifications[idx]) {
-                const notification = notifications[idx];
-                
-                // Mark as read
-                if (!notification.read) {
-                    notifications[idx].read = true;
-                    
-                    // Save to the correct localStorage key
-                    if (typeof Auth !== 'undefined' && Auth.isLoggedIn && Auth.isLoggedIn()) {
-                        const currentUser = Auth.getCurrentUser();
-                        if (currentUser && currentUser.id) {
-                            const userNotificationKey = `notifications_${currentUser.id}`;
-                            const userNotifications = JSON.parse(localStorage.getItem(userNotificationKey) || '[]');
-                            
-                            // Find and update the notification in user-specific storage
-                            const userNotifIndex = userNotifications.findIndex(n => n.id === notification.id);
-                            if (userNotifIndex !== -1) {
-                                userNotifications[userNotifIndex].read = true;
-                                localStorage.setItem(userNotificationKey, JSON.stringify(userNotifications));
-                            }
-                        }
-                    } else {
-                        // Fallback to general notifications
-                        localStorage.setItem('notifications', JSON.stringify(notifications));
-                    }
-                    
-                    updateNotifications();
-                }
-                
-                // Handle click actions for different notification types
-                if (notification.clickAction === 'view_order' && notification.orderNumber) {
-                    // For order success/approved notifications - navigate to order history
-                    sessionStorage.setItem('focusOrderNumber', notification.orderNumber);
-                    window.location.href = 'order-history.html';
-                } else if (notification.type === 'order_denial') {
-                    // For order denial notifications - could navigate to FAQ or contact page
-                    // For now, just show a helpful message
-                    if (notification.denialReason) {
-                        alert(`Order ${notification.orderNumber} was denied.\n\nReason: ${notification.denialReason}\n\nPlease contact us if you have any questions.`);
-                    } else {
-                        alert(`Order ${notification.orderNumber} was denied. Please contact us if you have any questions.`);
-                    }
-                }
-            }
+        const notification = item && notifications.find(entry => entry._id === item.dataset.id);
+        if (!notification) return;
+
+        if (e.target.closest('.notification-delete')) {
+            deleteNotification(notification);
+            return;
         }
-    });
 
-    // Listen for storage changes to update notifications in real-time
-    window.addEventListener('storage', function(e) {
-        // Check if it's a notification update
-        if (e.key && (e.key.startsWith('notifications_') || e.key === 'notifications')) {
-            loadNotifications();
-            updateNotifications();
+        await markAsRead(notification);
+        // Order notifications open the order in the order history
+        if (notification.orderNumber) {
+            sessionStorage.setItem('focusOrderNumber', notification.orderNumber);
+            window.location.href = 'order-history.html';
         }
     });
 
-    // Also listen for custom notification events
-    window.addEventListener('notificationAdded', function(e) {
+    // Pages that change orders (e.g. checkout) can ask for an immediate refresh
+    window.addEventListener('notificationAdded', function() {
         loadNotifications();
-        updateNotifications();
     });
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'visible') loadNotifications();
+    });
+    setInterval(() => {
+        if (document.visibilityState === 'visible') loadNotifications();
+    }, NOTIFICATIONS_REFRESH_MS);
 
-    // Remove hardcoded test notifications - start with clean state
-    updateNotifications();
-
-// Example usage:
-// notificationManager.addNotification({
-//     title: 'New Order',
-//     message: 'Your order #12345 has been confirmed',
-//     time: new Date(),
-//     read: false
-// }); 
-}); 
\ No newline at end of file
+    loadNotifications();
+});
@@ -12,7 +12,7 @@ function formatPHPPrice(price) {
     
     if (productIdParam) {
         // Start fetch immediately, don't wait for DOMContentLoaded
-        window.productDetailsPromise = fetch(`http://localhost:3000/api/products/${productIdParam}`).then(response => {
+        window.productDetailsPromise = fetch(`http://localhost:3000/api/products/${productIdParam}`, { headers: Auth.getUserAuthHeaders() }).then(response => {
             if (!response.ok) throw new Error('Failed to fetch product');
             return response.json();
         }).catch(error => {
@@ -114,8 +114,12 @@ async function loadProductDetails() {
                 const stockCount = document.getElementById('stockCount');
                 if (stockCount) stockCount.textContent = `(${productData.stockQuantity} available)`;
                 
+                renderPriceBreaks(productData);
+                renderVariantPicker(productData);
                 loadRelatedProducts(productData._id, productData.category);
                 updateQuantityLimits();
+                updateWishlistControls();
+                updateCompareButton();
                 return; // Skip the fetch below
             }
         } catch (error) {
@@ -133,7 +137,7 @@ async function loadProductDetails() {
     }
 
     try {
-        const response = await fetch(`http://localhost:3000/api/products/${productId}`);
+        const response = await fetch(`http://localhost:3000/api/products/${productId}`, { headers: Auth.getUserAuthHeaders() });
         
         if (!response.ok) {
             if (response.status === 404) {
@@ -267,11 +271,16 @@ async function loadProductDetails() {
                 stockCount.textContent = `(${product.stockQuantity} available)`;
             }
             
+            renderPriceBreaks(product);
+            renderVariantPicker(product);
+            
             // Load related products from the same category
             loadRelatedProducts(product._id, product.category);
             
             // Update quantity limits after product loads
             updateQuantityLimits();
+            updateWishlistControls();
+            updateCompareButton();
             
         } else {
             console.error('Product data is null or empty');
@@ -293,6 +302,165 @@ async function loadProductDetails() {
     }
 }
 
+function getVariantAvailableStock(variant) {
+    return Math.max(0, (variant.stockQuantity || 0) - (variant.reservedQuantity || 0));
+}
+
+function toPriceNumber(value) {
+    if (value === null || value === undefined) return 0;
+    if (typeof value === 'object' && value.$numberDecimal !== undefined) return parseFloat(value.$numberDecimal);
+    return parseFloat(value) || 0;
+}
+
+// Unit price of `quantity` units of a product or option: customers in a group with a price
+// list get `priceBreaks` (largest break reached wins) on top of the single-unit `price`
+function getUnitPriceForQuantity(source, quantity) {
+    const reached = (source.priceBreaks || []).filter(entry => quantity >= entry.minQuantity);
+    return reached.length > 0 ? reached[reached.length - 1].price : toPriceNumber(source.price);
+}
+
+// Show the regular price struck through and the volume prices when the customer's group
+// has its own prices for this product or option
+function renderPriceBreaks(source) {
+    const originalPrice = document.getElementById('originalPrice');
+    const priceBreaks = document.getElementById('priceBreaks');
+    const listPrice = toPriceNumber(source.listPrice);
+    const breaks = source.priceBreaks || [];
+    const currentUser = Auth.getCurrentUser();
+    const group = currentUser && currentUser.customerGroup ? currentUser.customerGroup : 'retail';
+    
+    if (originalPrice) {
+        const discounted = breaks.length > 0 && listPrice > toPriceNumber(source.price);
+        originalPrice.style.display = discounted ? '' : 'none';
+        if (discounted) {
+            originalPrice.querySelector('.original-amount').textContent = formatPHPPrice(listPrice);
+            originalPrice.querySelector('.discount-badge').textContent = `${group} price`;
+        }
+    }
+    if (priceBreaks) {
+        const volumeBreaks = breaks.filter(entry => entry.minQuantity > 1);
+        priceBreaks.style.display = volumeBreaks.length > 0 ? '' : 'none';
+        priceBreaks.innerHTML = volumeBreaks.map(entry => `
+            <li><span>Buy ${entry.minQuantity}+</span><strong>${formatPHPPrice(entry.price)} each</strong></li>
+        `).join('');
+    }
+}
+
+// Show option buttons for products with variants and select the first one in stock
+function renderVariantPicker(product) {
+    const variantSection = document.getElementById('variantSection');
+    const variantOptions = document.getElementById('variantOptions');
+    const variants = (product.variants || []).filter(variant => variant.isActive !== false);
+    
+    window.currentProduct.variants = variants;
+    if (!variantSection || !variantOptions || variants.length === 0) return;
+    
+    variantOptions.innerHTML = variants.map(variant => `
+        <button type="button"
+                class="variant-option ${getVariantAvailableStock(variant) === 0 ? 'sold-out' : ''}"
+                data-variant-id="${variant.variantId}"
+                title="${getVariantAvailableStock(variant) === 0 ? 'Out of stock' : formatPHPPrice(variant.price)}">
+            ${variant.label}
+        </button>
+    `).join('');
+    variantOptions.querySelectorAll('.variant-option').forEach(button => {
+        button.addEventListener('click', () => selectVariant(button.dataset.variantId));
+    });
+    variantSection.style.display = '';
+    
+    const firstInStock = variants.find(variant => getVariantAvailableStock(variant) > 0) || variants[0];
+    selectVariant(firstInStock.variantId);
+}
+
+// Switch the page (price, stock, buttons) to one variant of the current product
+function selectVariant(variantId) {
+    const product = window.currentProduct;
+    const variant = product && (product.variants || []).find(item => item.variantId === variantId);
+    if (!variant) return;
+    
+    const stock = getVariantAvailableStock(variant);
+    Object.assign(product, { variantId, variantLabel: variant.label, price: variant.price, stock });
+    
+    document.querySelectorAll('#variantOptions .variant-option').forEach(button => {
+        button.classList.toggle('selected', button.dataset.variantId === variantId);
+    });
+    document.getElementById('productPrice').textContent = variant.price.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2});
+    renderPriceBreaks(variant);
+    
+    const productItemNumber = document.getElementById('productItemNumber');
+    if (productItemNumber) productItemNumber.textContent = variant.sku;
+    
+    const stockIndicator = document.getElementById('stockIndicator');
+    if (stockIndicator) {
+        const stockText = stockIndicator.querySelector('.stock-text');
+        stockIndicator.classList.toggle('out-of-stock', stock === 0);
+        if (stockText) stockText.textContent = stock > 0 ? 'IN STOCK' : 'OUT OF STOCK';
+    }
+    const stockCount = document.getElementById('stockCount');
+    if (stockCount) stockCount.textContent = `(${stock} available)`;
+    
+    const cart = JSON.parse(localStorage.getItem(`cart_${JSON.parse(localStorage.getItem('currentUser') || 'null')?.id || 'guest'}`)) || { items: [] };
+    const currentQuantityInCart = cart.items.find(item => item.id === Cart.lineId(product.id, variantId))?.quantity || 0;
+    const buttonLabel = stock === 0 ? 'OUT OF STOCK' : currentQuantityInCart >= stock ? 'STOCK LIMIT REACHED' : null;
+    const addToCartBtn = document.getElementById('addToCartBtn');
+    const buyNowBtn = document.getElementById('buyNowBtn');
+    if (addToCartBtn) { addToCartBtn.disabled = !!buttonLabel; addToCartBtn.textContent = buttonLabel || 'ADD TO CART'; }
+    if (buyNowBtn) { buyNowBtn.disabled = !!buttonLabel; buyNowBtn.textContent = buttonLabel || 'BUY NOW'; }
+    
+    const quantityInput = document.getElementById('quantityInput');
+    if (quantityInput && parseInt(quantityInput.value, 10) > stock) {
+        quantityInput.value = Math.max(stock, 1);
+    }
+    updateQuantityLimits();
+    updateWishlistControls();
+}
+
+// Point the wishlist heart at the current product/variant and offer a back-in-stock
+// alert while it is out of stock
+function updateWishlistControls() {
+    const product = window.currentProduct;
+    if (!product || typeof Wishlist === 'undefined') return;
+    
+    const wishlistBtn = document.getElementById('wishlistBtn');
+    if (wishlistBtn) {
+        wishlistBtn.dataset.productId = product.id;
+        if (product.variantId) wishlistBtn.dataset.variantId = product.variantId;
+        else delete wishlistBtn.dataset.variantId;
+    }
+    
+    const notifyStockBtn = document.getElementById('notifyStockBtn');
+    if (notifyStockBtn) notifyStockBtn.style.display = product.stock > 0 ? 'none' : '';
+    
+    Wishlist.load().then(() => {
+        Wishlist.refreshHearts();
+        if (!notifyStockBtn) return;
+        const item = Wishlist.find(product.id, product.variantId);
+        const armed = !!(item && item.notifyWhenInStock);
+        notifyStockBtn.disabled = armed;
+        notifyStockBtn.querySelector('span').textContent = armed ? "We'll email you when it's back" : 'Notify me when back in stock';
+    });
+}
+
+async function requestBackInStockAlert() {
+    const product = window.currentProduct;
+    if (!product) return;
+    
+    try {
+        const item = await Wishlist.save({
+            productId: product.id,
+            variantId: product.variantId,
+            list: 'wishlist',
+            notifyWhenInStock: true
+        });
+        if (item) {
+            showToast(`We'll email you when ${item.name} is back in stock`, 'success');
+            updateWishlistControls();
+        }
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 // Map database category names to URL format (same as in shop.js)
 function mapCategoryToUrl(category) {
     switch(category) {
@@ -348,9 +516,20 @@ async function addToCart() {
             return;
         }
 
-        const response = await fetch(`http://localhost:3000/api/products/${window.currentProduct.id}`);
+        const response = await fetch(`http://localhost:3000/api/products/${window.currentProduct.id}`, { headers: Auth.getUserAuthHeaders() });
         const productData = await response.json();
         
+        // Variant products are sold per variant; check the selected variant's stock
+        const { variantId, variantLabel } = window.currentProduct;
+        const variant = variantId ? (productData.variants || []).find(item => item.variantId === variantId) : null;
+        if ((productData.variants || []).length > 0 && !variant) {
+            showToast('Please choose an option first.', 'error');
+            return;
+        }
+        if (variant) {
+            productData.stock = getVariantAvailableStock(variant);
+        }
+        
         if (productData.stock < quantity) {
             showToast('Sorry, not enough stock available!');
             return;
@@ -362,7 +541,8 @@ async function addToCart() {
         const cartData = JSON.parse(localStorage.getItem(cartKey) || '{}');
         const cart = cartData.items || [];
     
-        const existingItemIndex = cart.findIndex(item => item.id === window.currentProduct.id);
+        const lineId = Cart.lineId(window.currentProduct.id, variantId);
+        const existingItemIndex = cart.findIndex(item => item.id === lineId);
         
         if (existingItemIndex > -1) {
             if (cart[existingItemIndex].quantity + quantity > productData.stock) {
@@ -370,11 +550,13 @@ async function addToCart() {
                 return;
             }
             cart[existingItemIndex].quantity += quantity;
+            cart[existingItemIndex].price = getUnitPriceForQuantity(variant || productData, cart[existingItemIndex].quantity);
         } else {
             cart.push({
-                id: window.currentProduct.id,
-                name: window.currentProduct.name,
-                price: window.currentProduct.price,
+                id: lineId,
+                ...(variant && { productId: window.currentProduct.id, variantId, variantLabel }),
+                name: variant ? `${window.currentProduct.name} (${variantLabel})` : window.currentProduct.name,
+                price: getUnitPriceForQuantity(variant || productData, quantity),
                 image: window.currentProduct.image,
                 quantity: quantity,
                 stock: productData.stock
@@ -451,8 +633,22 @@ function shareProduct() {
 }
 
 function compareProduct() {
-    // Placeholder for compare functionality
-    showToast('Compare feature is not yet available.', 'info');
+    if (!window.currentProduct) return;
+    Compare.toggle({
+        id: window.currentProduct.id,
+        name: window.currentProduct.name,
+        image: window.currentProduct.image
+    });
+}
+
+// Show whether the current product is in the compare tray
+function updateCompareButton() {
+    const compareBtn = document.getElementById('compareBtn');
+    if (!compareBtn || !window.currentProduct) return;
+    const active = Compare.has(window.currentProduct.id);
+    compareBtn.classList.toggle('active', active);
+    compareBtn.setAttribute('aria-pressed', String(active));
+    compareBtn.querySelector('span').textContent = active ? 'Comparing' : 'Compare';
 }
 
 // Global variable for a single interval
@@ -624,9 +820,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         shareBtn.addEventListener('click', shareProduct);
     }
     
+    const notifyStockBtn = document.getElementById('notifyStockBtn');
+    if (notifyStockBtn) {
+        notifyStockBtn.addEventListener('click', requestBackInStockAlert);
+    }
+    
     const compareBtn = document.getElementById('compareBtn');
     if (compareBtn) {
         compareBtn.addEventListener('click', compareProduct);
+        window.addEventListener('compareUpdated', updateCompareButton);
+        window.addEventListener('storage', updateCompareButton);
     }
     
     // Set up quantity controls
@@ -646,7 +849,7 @@ async function loadRelatedProducts(currentProductId, category) {
     }
 
     try {
-        const response = await fetch('http://localhost:3000/api/products');
+        const response = await fetch('http://localhost:3000/api/products', { headers: Auth.getUserAuthHeaders() });
         if (!response.ok) {
             throw new Error('Failed to fetch products');
         }
@@ -1,12 +1,12 @@
 // Initialize variables
 let products = []; // Current page of products from API
-let allCategories = []; // All available categories (fetched once)
+let allCategories = []; // Category taxonomy from /api/categories (fetched once)
 let filteredProducts = []; // For display (same as products when using API pagination)
 let currentPage = 1;
 const productsPerPage = 12;
 let currentMode = 'drag'; // 'drag' or 'multi'
 let totalProducts = 0; // Total count from API for pagination
-let currentFilters = { category: 'all', sortBy: 'all', minPrice: 0, maxPrice: Infinity, searchQuery: '' };
+let currentFilters = { category: 'all', sortBy: 'all', searchQuery: '', cacheKey: null };
 let productCache = new Map(); // Cache products by page number and filter key
 let loadedPages = new Set(); // Track which pages have been loaded
 let maxLoadedPage = 0; // Highest page number loaded so far
@@ -70,34 +70,73 @@ function hideLoadingProducts() {
 const urlParams = new URLSearchParams(window.location.search);
 const searchQuery = urlParams.get('search');
 
+// Facet selections (price range, brands, availability, attributes). The API and the
+// page URL use the same parameter names: minPrice, maxPrice, brand, inStock, attr.<name>
+let activeFacets = readFacetsFromParams(urlParams);
+
+function emptyFacets() {
+    return { minPrice: null, maxPrice: null, brands: [], inStock: false, attributes: {} };
+}
+
+function readFacetsFromParams(params) {
+    const facets = emptyFacets();
+    const price = (value) => (value !== null && value !== '' && !isNaN(parseFloat(value)) ? parseFloat(value) : null);
+    facets.minPrice = price(params.get('minPrice'));
+    facets.maxPrice = price(params.get('maxPrice'));
+    facets.brands = params.getAll('brand').filter(Boolean);
+    facets.inStock = params.get('inStock') === 'true';
+    for (const key of new Set(params.keys())) {
+        if (key.startsWith('attr.')) {
+            facets.attributes[key.slice(5)] = params.getAll(key).filter(Boolean);
+        }
+    }
+    return facets;
+}
+
+function appendFacetParams(params, facets) {
+    if (facets.minPrice !== null) params.append('minPrice', facets.minPrice);
+    if (facets.maxPrice !== null) params.append('maxPrice', facets.maxPrice);
+    facets.brands.forEach(brand => params.append('brand', brand));
+    if (facets.inStock) params.append('inStock', 'true');
+    Object.entries(facets.attributes).forEach(([name, values]) => {
+        values.forEach(value => params.append(`attr.${name}`, value));
+    });
+    return params;
+}
+
+// Keep the current filters in the address bar so the page can be shared or reloaded
+function updateShopUrl(category, sortBy, searchQuery) {
+    const params = new URLSearchParams();
+    if (searchQuery) params.append('search', searchQuery);
+    if (category && category !== 'all') params.append('category', category);
+    if (sortBy && sortBy !== 'all') params.append('sortBy', sortBy);
+    appendFacetParams(params, activeFacets);
+    const query = params.toString();
+    window.history.replaceState({}, '', `shop.html${query ? `?${query}` : ''}`);
+}
+
 // Generate cache key from filters
 function getCacheKey(category, sortBy, searchQuery) {
-    return `${category}_${sortBy}_${searchQuery || ''}`;
+    return `${category}_${sortBy}_${searchQuery || ''}_${appendFacetParams(new URLSearchParams(), activeFacets)}`;
 }
 
 // Load a single page from API
 async function fetchPageFromAPI(page, category, sortBy, searchQuery) {
     const skip = (page - 1) * productsPerPage;
-    let apiUrl = `http://localhost:3000/api/products?limit=${productsPerPage}&skip=${skip}&includeMeta=true`;
+    // Searches go to the ranked search endpoint so the whole catalog is searched, not just this page
+    let apiUrl = searchQuery
+        ? `http://localhost:3000/api/products/search?q=${encodeURIComponent(searchQuery)}&limit=${productsPerPage}&skip=${skip}&includeMeta=true`
+        : `http://localhost:3000/api/products?limit=${productsPerPage}&skip=${skip}&includeMeta=true`;
+    
+    // Facet filters; the response carries counts for the sidebar
+    const facetParams = appendFacetParams(new URLSearchParams(), activeFacets).toString();
+    if (facetParams) {
+        apiUrl += `&${facetParams}`;
+    }
     
-    // Add category filter if not 'all'
+    // Add category filter if not 'all' (the server resolves aliases and includes subcategories)
     if (category && category !== 'all') {
-        const normalizeCategory = (cat) => {
-            switch(cat) {
-                case 'power-tools':
-                case 'hand-tools':
-                    return 'tools-accessories';
-                case 'building-materials':
-                    return 'building-materials-aggregates';
-                case 'plumbing':
-                    return 'plumbing-fixtures';
-                case 'electrical':
-                    return 'electrical-supplies';
-                default:
-                    return cat;
-            }
-        };
-        apiUrl += `&category=${encodeURIComponent(normalizeCategory(category))}`;
+        apiUrl += `&category=${encodeURIComponent(category)}`;
     }
     
     // Add sort parameter
@@ -105,7 +144,8 @@ async function fetchPageFromAPI(page, category, sortBy, searchQuery) {
         apiUrl += `&sortBy=${sortBy}`;
     }
     
-    const response = await fetch(apiUrl);
+    // Signed-in customers see their group's prices
+    const response = await fetch(apiUrl, { headers: Auth.getUserAuthHeaders() });
     if (!response.ok) {
         throw new Error('Failed to fetch products');
     }
@@ -113,6 +153,7 @@ async function fetchPageFromAPI(page, category, sortBy, searchQuery) {
     const data = await response.json();
     let pageProducts = [];
     let pageTotalCount = 0;
+    let pageFacets = null;
     
     // Handle both formats: array (backward compat) or object with metadata
     if (Array.isArray(data)) {
@@ -121,37 +162,21 @@ async function fetchPageFromAPI(page, category, sortBy, searchQuery) {
     } else {
         pageProducts = data.products || [];
         pageTotalCount = data.totalCount || 0;
+        pageFacets = data.facets || null;
     }
     
     // Convert price to number
-    const toNumber = (val) => {
-        if (val === null || val === undefined) return NaN;
-        if (typeof val === 'object' && val.$numberDecimal !== undefined) return parseFloat(val.$numberDecimal);
-        return parseFloat(val);
-    };
+    pageProducts = pageProducts.map(product => ({ ...product, price: parseFloat(product.price) }));
     
-    pageProducts = pageProducts.map(product => {
-        const candidates = [product.SellingPrice, product.sellingPrice, product.Price, product.price];
-        let finalPrice = NaN;
-        for (const c of candidates) {
-            const n = toNumber(c);
-            if (!isNaN(n)) { finalPrice = n; break; }
-        }
-        return { ...product, price: finalPrice };
-    });
-    
-    return { products: pageProducts, totalCount: pageTotalCount };
+    return { products: pageProducts, totalCount: pageTotalCount, facets: pageFacets };
 }
 
-// Load products with pagination and filters from API (with progressive preloading)
-async function loadProducts(page = 1, category = 'all', sortBy = 'all', searchQuery = '') {
+// Load products with pagination and filters from API (with progressive preloading).
+// Called without arguments, it loads the first page of the filters in the page URL.
+async function loadProducts(page = 1, category = urlParams.get('category') || 'all', sortBy = urlParams.get('sortBy') || 'all', searchQuery = urlParams.get('search') || '') {
     // Check if this is a filter change (different cache key)
     const cacheKey = getCacheKey(category, sortBy, searchQuery);
-    const isFilterChange = cacheKey !== getCacheKey(
-        currentFilters.category, 
-        currentFilters.sortBy, 
-        currentFilters.searchQuery
-    );
+    const isFilterChange = currentFilters.cacheKey !== null && cacheKey !== currentFilters.cacheKey;
     
     // If filters changed, clear cache and reset loaded pages
     if (isFilterChange) {
@@ -166,13 +191,14 @@ async function loadProducts(page = 1, category = 'all', sortBy = 'all', searchQu
         const cached = productCache.get(cacheKeyForPage);
         products = cached.products;
         if (cached.totalCount) totalProducts = cached.totalCount;
+        if (cached.facets) renderFacetFilters(cached.facets);
         loadedPages.add(page);
         if (page > maxLoadedPage) maxLoadedPage = page;
         
         // Apply client-side filters and display
         applyClientSideFilters();
         currentPage = page;
-        currentFilters = { category, sortBy, searchQuery };
+        currentFilters = { category, sortBy, searchQuery, cacheKey };
         displayProducts();
         updateProductCount();
         updatePagination();
@@ -190,13 +216,14 @@ async function loadProducts(page = 1, category = 'all', sortBy = 'all', searchQu
     
     try {
         // Fetch the requested page
-        const { products: pageProducts, totalCount } = await fetchPageFromAPI(page, category, sortBy, searchQuery);
+        const { products: pageProducts, totalCount, facets } = await fetchPageFromAPI(page, category, sortBy, searchQuery);
         
         products = pageProducts;
         totalProducts = totalCount;
+        if (facets) renderFacetFilters(facets);
         
         // Cache the result
-        productCache.set(cacheKeyForPage, { products: pageProducts, totalCount });
+        productCache.set(cacheKeyForPage, { products: pageProducts, totalCount, facets });
         loadedPages.add(page);
         if (page > maxLoadedPage) maxLoadedPage = page;
         
@@ -205,7 +232,7 @@ async function loadProducts(page = 1, category = 'all', sortBy = 'all', searchQu
         
         // Update current page and filters
         currentPage = page;
-        currentFilters = { category, sortBy, searchQuery };
+        currentFilters = { category, sortBy, searchQuery, cacheKey };
         
         // Display products
         displayProducts();
@@ -227,31 +254,86 @@ async function loadProducts(page = 1, category = 'all', sortBy = 'all', searchQu
     }
 }
 
-// Apply client-side filters (search and price range)
+// Apply client-side filters (search, price and other facets are applied by the server)
 function applyClientSideFilters() {
     filteredProducts = [...products];
+}
+
+// Render the facet sidebar from the counts returned with the current results.
+// Selected values stay listed (with a 0 count) so they can always be unticked.
+function renderFacetFilters(facets) {
+    const container = document.getElementById('facetFilters');
+    if (!container || !facets) return;
+    
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    const withSelected = (values, selected) => {
+        const listed = values.map(option => option.value);
+        return [...values, ...selected.filter(value => !listed.includes(value)).map(value => ({ value, count: 0 }))];
+    };
+    const option = (facet, name, value, count, checked) => `
+        <label class="facet-option${count === 0 && !checked ? ' facet-empty' : ''}">
+            <input type="checkbox" data-facet="${facet}" data-name="${escapeHtml(name)}" value="${escapeHtml(value)}" ${checked ? 'checked' : ''}>
+            <span>${escapeHtml(value)}</span>
+            <span class="facet-count">(${count})</span>
+        </label>
+    `;
+    
+    const groups = [`
+        <div class="facet-group">
+            <h3>Availability</h3>
+            ${option('inStock', '', 'In stock only', facets.availability.inStock, activeFacets.inStock)}
+        </div>
+    `];
+    
+    const brands = withSelected(facets.brands, activeFacets.brands);
+    if (brands.length > 0) {
+        groups.push(`
+            <div class="facet-group">
+                <h3>Brand</h3>
+                ${brands.map(brand => option('brand', '', brand.value, brand.count, activeFacets.brands.includes(brand.value))).join('')}
+            </div>
+        `);
+    }
+    
+    const attributeNames = new Set([...facets.attributes.map(attribute => attribute.name), ...Object.keys(activeFacets.attributes)]);
+    [...attributeNames].sort().forEach(name => {
+        const counted = facets.attributes.find(attribute => attribute.name === name);
+        const selected = activeFacets.attributes[name] || [];
+        const values = withSelected(counted ? counted.values : [], selected);
+        groups.push(`
+            <div class="facet-group">
+                <h3>${escapeHtml(name.charAt(0).toUpperCase() + name.slice(1))}</h3>
+                ${values.map(entry => option('attr', name, entry.value, entry.count, selected.includes(entry.value))).join('')}
+            </div>
+        `);
+    });
     
-    // Apply price range filter
+    container.innerHTML = groups.join('');
+    
+    // Show the price span of the current results as a hint
     const minPriceInput = document.getElementById('minPrice');
     const maxPriceInput = document.getElementById('maxPrice');
-    if (minPriceInput || maxPriceInput) {
-        const minPrice = minPriceInput ? parseFloat(minPriceInput.value) || 0 : 0;
-        const maxPrice = maxPriceInput ? parseFloat(maxPriceInput.value) || Infinity : Infinity;
-        if (minPrice > 0 || maxPrice < Infinity) {
-            filteredProducts = filteredProducts.filter(product => 
-                !isNaN(product.price) && product.price >= minPrice && product.price <= maxPrice
-            );
-        }
-    }
+    if (minPriceInput && facets.price.min !== null) minPriceInput.placeholder = `Min ${Math.floor(facets.price.min)}`;
+    if (maxPriceInput && facets.price.max !== null) maxPriceInput.placeholder = `Max ${Math.ceil(facets.price.max)}`;
+}
+
+// Tick/untick a facet value from the sidebar
+function handleFacetChange(e) {
+    const input = e.target;
+    if (!input.dataset || !input.dataset.facet) return;
     
-    // Apply search filter if provided
-    const searchInput = document.querySelector('.header-search input');
-    const searchQuery = searchInput ? searchInput.value.trim() : '';
-    if (searchQuery) {
-        filteredProducts = filteredProducts.filter(product => 
-            product.name && product.name.toLowerCase().includes(searchQuery.toLowerCase())
-        );
+    const toggle = (list, value) => (input.checked ? [...list, value] : list.filter(item => item !== value));
+    if (input.dataset.facet === 'inStock') {
+        activeFacets.inStock = input.checked;
+    } else if (input.dataset.facet === 'brand') {
+        activeFacets.brands = toggle(activeFacets.brands, input.value);
+    } else if (input.dataset.facet === 'attr') {
+        const name = input.dataset.name;
+        activeFacets.attributes[name] = toggle(activeFacets.attributes[name] || [], input.value);
+        if (activeFacets.attributes[name].length === 0) delete activeFacets.attributes[name];
     }
+    
+    filterAndSortProducts();
 }
 
 // Check if we need to preload more pages
@@ -283,13 +365,13 @@ async function preloadPages(pages, category, sortBy, searchQuery) {
     // Load pages in parallel
     const loadPromises = pages.map(page => 
         fetchPageFromAPI(page, category, sortBy, searchQuery)
-            .then(({ products: pageProducts, totalCount }) => {
+            .then(({ products: pageProducts, totalCount, facets }) => {
                 const cacheKey = getCacheKey(category, sortBy, searchQuery);
                 const cacheKeyForPage = `${cacheKey}_page_${page}`;
                 
                 // Only cache if not already cached (race condition protection)
                 if (!productCache.has(cacheKeyForPage)) {
-                    productCache.set(cacheKeyForPage, { products: pageProducts, totalCount });
+                    productCache.set(cacheKeyForPage, { products: pageProducts, totalCount, facets });
                     loadedPages.add(page);
                     if (page > maxLoadedPage) maxLoadedPage = page;
                 }
@@ -305,18 +387,31 @@ async function preloadPages(pages, category, sortBy, searchQuery) {
     });
 }
 
-// Load all categories once (for filter dropdown)
+// Load all categories once and build the category sidebar from them
 async function loadCategories() {
-    try {
-        // Fetch a small sample to get categories, or use a dedicated endpoint
-        const response = await fetch('http://localhost:3000/api/products?limit=1000');
-        if (response.ok) {
-            const allProducts = await response.json();
-            allCategories = [...new Set(allProducts.map(p => p.category).filter(c => c))];
-        }
-    } catch (error) {
-        console.error('Error loading categories:', error);
-    }
+    allCategories = await Categories.load();
+    renderCategorySidebar();
+}
+
+// Top-level categories with their subcategories nested underneath; "All" stays first
+function renderCategorySidebar() {
+    const sidebar = document.getElementById('categorySidebar');
+    if (!sidebar || allCategories.length === 0) return;
+    
+    const categoryItem = (category) => {
+        const children = Categories.children(category);
+        return `
+            <li>
+                <a href="shop.html?category=${encodeURIComponent(category.slug)}" class="category-link" data-category="${category.slug}">${category.name}</a>
+                ${children.length > 0 ? `<ul class="subcategory-list">${children.map(categoryItem).join('')}</ul>` : ''}
+            </li>
+        `;
+    };
+    
+    sidebar.innerHTML = `
+        <li><a href="shop.html" class="category-link" data-category="all">All</a></li>
+        ${Categories.topLevel().map(categoryItem).join('')}
+    `;
 }
 
 // Update product count in sidebar
@@ -346,10 +441,19 @@ function filterAndSortProducts(selectedCategory = null) {
     const searchQuery = searchInput ? searchInput.value.trim() : '';
     const sortBy = sortBySelect ? sortBySelect.value : 'all';
     
+    // The price range inputs feed the price facet
+    const minPriceInput = document.getElementById('minPrice');
+    const maxPriceInput = document.getElementById('maxPrice');
+    const priceValue = (input) => (input && input.value !== '' && !isNaN(parseFloat(input.value)) ? parseFloat(input.value) : null);
+    activeFacets.minPrice = priceValue(minPriceInput);
+    activeFacets.maxPrice = priceValue(maxPriceInput);
+    
     // Reset to first page when filters change
     paginationStart = 1;
     currentPage = 1;
     
+    updateShopUrl(category, sortBy, searchQuery);
+    
     // Reload products from API with new filters
     loadProducts(currentPage, category, sortBy, searchQuery);
 }
@@ -398,6 +502,8 @@ function displayProducts(productsToDisplay = filteredProducts) {
     }
 
     const userLoggedIn = (typeof Auth !== 'undefined' && typeof Auth.isLoggedIn === 'function') ? Auth.isLoggedIn() : false;
+    // Products with variants are added from the product page, where an option is chosen
+    const hasVariants = (product) => Array.isArray(product.variants) && product.variants.length > 0;
     productGrid.innerHTML = displayedProducts.map(product => `
         <div class="product-card" data-stock-quantity="${product.stockQuantity}">
             <a href="product.html?id=${product._id}" class="product-link">
@@ -406,13 +512,14 @@ function displayProducts(productsToDisplay = filteredProducts) {
                          alt="${product.name}"
                          style="width: 100%; height: 100%; object-fit: cover;">
                     <div class="product-img-overlay">
-                        <span class="product-price">${formatPHPPrice(product.price)}</span>
+                        <span class="product-price">${hasVariants(product) ? 'From ' : ''}${formatPHPPrice(product.price)}</span>
                     </div>
                 </div>
                 <div class="product-content">
                     <h3 class="product-title">${truncateProductName(product.name)}</h3>
                 </div>
             </a>
+            ${typeof Wishlist !== 'undefined' ? Wishlist.heartButton(product._id) : ''}
             
             <!-- Stock only - no dropdowns -->
             <div class="product-details">
@@ -420,8 +527,15 @@ function displayProducts(productsToDisplay = filteredProducts) {
                     <span class="stock-label">Stock:</span>
                     <span class="stock-amount">${product.stockQuantity}</span>
                 </div>
+                ${typeof Compare !== 'undefined' ? Compare.toggleButton(product) : ''}
             </div>
             
+            ${hasVariants(product) ? `
+            <a class="drag-handle choose-options ${product.stockQuantity < 1 ? 'out-of-stock' : ''}"
+               href="product.html?id=${product._id}"
+               title="Choose options">
+                ${product.stockQuantity < 1 ? '❌' : '⚙️'}
+            </a>` : `
             <div class="drag-handle ${product.stockQuantity < 1 ? 'out-of-stock' : ''}" 
                  ${product.stockQuantity >= 1 && currentMode === 'drag' && userLoggedIn ? 'draggable="true"' : ''}
                  data-product-id="${product._id}"
@@ -431,12 +545,19 @@ function displayProducts(productsToDisplay = filteredProducts) {
                  data-stock-quantity="${product.stockQuantity}"
                  title="${product.stockQuantity < 1 ? 'Out of stock' : 'Drag to cart'}">
                 ${product.stockQuantity < 1 ? '❌' : '🛒'}
-            </div>
+            </div>`}
         </div>
     `).join('');
 
+    if (typeof Wishlist !== 'undefined') {
+        Wishlist.load().then(() => Wishlist.refreshHearts(productGrid));
+    }
+    if (typeof Compare !== 'undefined') {
+        Compare.refreshButtons(productGrid);
+    }
+
     // Add drag or login prompt handlers to drag handles
-    document.querySelectorAll('.drag-handle').forEach(handle => {
+    document.querySelectorAll('.drag-handle:not(.choose-options)').forEach(handle => {
         if (userLoggedIn) {
             // Allow drag
             handle.addEventListener('dragstart', handleDragStart);
@@ -650,14 +771,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Load initial page of products with pagination
     const sortBySelect = document.getElementById('sort-by');
+    if (sortBySelect && urlParams.get('sortBy')) {
+        sortBySelect.value = urlParams.get('sortBy');
+    }
     const initialSortBy = sortBySelect ? sortBySelect.value : 'all';
     
+    // Show the search from the URL in the header box so paging and sorting keep it
+    const headerSearchInput = document.querySelector('.header-search input');
+    if (headerSearchInput && searchQuery) {
+        headerSearchInput.value = searchQuery;
+    }
+    
+    // Restore the price range from the URL; the other facets render with the results
+    const minPriceInput = document.getElementById('minPrice');
+    const maxPriceInput = document.getElementById('maxPrice');
+    if (minPriceInput && activeFacets.minPrice !== null) minPriceInput.value = activeFacets.minPrice;
+    if (maxPriceInput && activeFacets.maxPrice !== null) maxPriceInput.value = activeFacets.maxPrice;
+    
+    const facetFilters = document.getElementById('facetFilters');
+    if (facetFilters) {
+        facetFilters.addEventListener('change', handleFacetChange);
+    }
+    
     // Load products with API pagination
     await loadProducts(1, initialCategory, initialSortBy, searchQuery || '');
     
-    // Set active category link if URL category exists
+    // Set active category link if URL category exists (old links may use an alias)
     if (urlCategory) {
-        const categoryLink = document.querySelector(`.category-link[data-category="${urlCategory}"]`);
+        const urlCategorySlug = Categories.find(urlCategory) ? Categories.find(urlCategory).slug : urlCategory;
+        const categoryLink = document.querySelector(`.category-link[data-category="${urlCategorySlug}"]`);
         if (categoryLink) {
             categoryLink.classList.add('active');
         }
@@ -706,15 +848,18 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
-    // Add category filter event listener (only for filter links, not product links)
-    document.querySelectorAll('.category-filter .category-link').forEach(link => {
-        link.addEventListener('click', function(e) {
+    // Add category filter event listener (only for sidebar links, not product links)
+    const categorySidebar = document.getElementById('categorySidebar');
+    if (categorySidebar) {
+        categorySidebar.addEventListener('click', (e) => {
+            const link = e.target.closest('.category-link');
+            if (!link) return;
             e.preventDefault();
-            document.querySelectorAll('.category-filter .category-link').forEach(l => l.classList.remove('active'));
-            this.classList.add('active');
-            filterAndSortProducts(this.dataset.category);
+            categorySidebar.querySelectorAll('.category-link').forEach(l => l.classList.remove('active'));
+            link.classList.add('active');
+            filterAndSortProducts(link.dataset.category);
         });
-    });
+    }
 
     // Add price filter event listener
     const priceFilter = document.querySelector('.price-filter');
@@ -789,6 +934,9 @@ function resetFilters() {
     
     // Product-level dropdowns removed - no need to reset them
     
+    // Clear brand, availability and attribute facets (price is cleared with its inputs above)
+    activeFacets = emptyFacets();
+    
     // Reset category selection
     document.querySelectorAll('.category-link').forEach(link => link.classList.remove('active'));
     document.querySelector('.category-link[data-category="all"]').classList.add('active');
@@ -0,0 +1,155 @@
+// Wishlist and saved-for-later lists (GET/POST/DELETE /api/wishlist) for logged-in customers.
+// Heart buttons anywhere on a page use class "wishlist-heart" with data-product-id (and
+// data-variant-id for a product option); clicking them is handled here.
+class Wishlist {
+    static isAvailable() {
+        return Object.keys(Auth.getUserAuthHeaders()).length > 0;
+    }
+
+    // Load both lists (cached for the page; pass true to refetch)
+    static load(force = false) {
+        if (!this.isAvailable()) {
+            this.items = [];
+            return Promise.resolve(this.items);
+        }
+        if (!this.loadPromise || force) {
+            this.loadPromise = fetch('http://localhost:3000/api/wishlist', { headers: Auth.getUserAuthHeaders() })
+                .then(response => {
+                    if (!response.ok) throw new Error('Failed to fetch wishlist');
+                    return response.json();
+                })
+                .then(result => {
+                    this.items = result.items || [];
+                    return this.items;
+                })
+                .catch(error => {
+                    console.error('Error loading wishlist:', error);
+                    this.loadPromise = null;
+                    this.items = this.items || [];
+                    return this.items;
+                });
+        }
+        return this.loadPromise;
+    }
+
+    static itemId(productId, variantId) {
+        return variantId ? `${productId}:${variantId}` : productId;
+    }
+
+    static find(productId, variantId) {
+        const id = this.itemId(productId, variantId);
+        return (this.items || []).find(item => item.id === id) || null;
+    }
+
+    static getList(list) {
+        return (this.items || []).filter(item => item.list === list);
+    }
+
+    // Add or update an item: { productId, variantId?, list?, quantity?, notifyWhenInStock? }
+    static async save(entry) {
+        if (!this.requireLogin()) return null;
+        const response = await fetch('http://localhost:3000/api/wishlist', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...Auth.getUserAuthHeaders() },
+            body: JSON.stringify(entry)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            const details = (result.errors || []).map(error => error.message).join(', ');
+            throw new Error(details || result.error || result.message || 'Failed to save to wishlist');
+        }
+
+        this.items = [...(this.items || []).filter(item => item.id !== result.item.id), result.item];
+        this.changed();
+        return result.item;
+    }
+
+    static async remove(itemId) {
+        const response = await fetch(`http://localhost:3000/api/wishlist/${encodeURIComponent(itemId)}`, {
+            method: 'DELETE',
+            headers: Auth.getUserAuthHeaders()
+        });
+        const result = await response.json();
+        if (!response.ok && response.status !== 404) {
+            throw new Error(result.error || result.message || 'Failed to remove from wishlist');
+        }
+
+        this.items = (this.items || []).filter(item => item.id !== itemId);
+        this.changed();
+    }
+
+    // Heart a product, or un-heart it when it is already on the wishlist
+    static async toggle(productId, variantId) {
+        if (!this.requireLogin()) return;
+        await this.load();
+        const existing = this.find(productId, variantId);
+        try {
+            if (existing && existing.list === 'wishlist') {
+                await this.remove(existing.id);
+                showToast('Removed from your wishlist', 'info');
+            } else {
+                const item = await this.save({ productId, variantId, list: 'wishlist' });
+                if (item) showToast(`${item.name} added to your wishlist`, 'success');
+            }
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+
+    // Move a cart line to the saved-for-later list, keeping its quantity
+    static saveForLater(cartItem) {
+        return this.save({
+            productId: cartItem.productId || String(cartItem.id).split(':')[0],
+            variantId: cartItem.variantId || undefined,
+            list: 'saved',
+            quantity: parseInt(cartItem.quantity, 10) || 1
+        });
+    }
+
+    static heartButton(productId, variantId) {
+        return `
+            <button type="button" class="wishlist-heart" data-product-id="${productId}" ${variantId ? `data-variant-id="${variantId}"` : ''}
+                    title="Add to wishlist" aria-label="Add to wishlist" aria-pressed="false">
+                <i class="fa fa-heart-o"></i>
+            </button>
+        `;
+    }
+
+    // Show every heart on the page as on/off
+    static refreshHearts(root = document) {
+        root.querySelectorAll('.wishlist-heart').forEach(button => {
+            const item = this.find(button.dataset.productId, button.dataset.variantId);
+            const active = !!item && item.list === 'wishlist';
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+            button.title = active ? 'Remove from wishlist' : 'Add to wishlist';
+            const icon = button.querySelector('.fa');
+            if (icon) icon.className = `fa ${active ? 'fa-heart' : 'fa-heart-o'}`;
+        });
+    }
+
+    static changed() {
+        this.refreshHearts();
+        window.dispatchEvent(new CustomEvent('wishlistUpdated', { detail: { items: this.items } }));
+    }
+
+    static requireLogin() {
+        if (this.isAvailable()) return true;
+        showToast('Please log in to use your wishlist.', 'error');
+        const loginModal = document.getElementById('loginModal');
+        if (loginModal) loginModal.classList.add('show');
+        return false;
+    }
+}
+
+document.addEventListener('click', (e) => {
+    const heart = e.target.closest('.wishlist-heart');
+    if (!heart) return;
+    e.preventDefault();
+    e.stopPropagation();
+    Wishlist.toggle(heart.dataset.productId, heart.dataset.variantId);
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    Wishlist.load().then(() => Wishlist.refreshHearts());
+});
@@ -0,0 +1,206 @@
+// Customer shopping carts (Carts collection), one per account so the cart follows the
+// customer across devices:
+//
+// {
+//   userId,            // ObjectId of the UserCredentials document
+//   items: [{
+//     id,              // cart line id: productId, or `${productId}:${variantId}` (Cart.lineId in js/auth.js)
+//     productId, variantId,
+//     quantity,
+//     price,           // unit price the customer was last shown
+//     addedAt
+//   }],
+//   notes, createdAt, updatedAt
+// }
+//
+// Names, images and stock are never trusted from the client: every read revalidates the
+// lines against Products and reports what changed (price, stock, availability).
+
+const CART_MAX_LINES = 100;
+const CART_MAX_QUANTITY = 999;
+const CART_MAX_NOTES_LENGTH = 500;
+
+function lineId(productId, variantId) {
+    return variantId ? `${productId}:${variantId}` : productId;
+}
+
+function toPrice(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    // Decimal128 values from the driver stringify to their decimal form
+    if (typeof value === 'object') return parseFloat(value.toString());
+    return Number(value);
+}
+
+function defaultUnitPrice(product, variant) {
+    return toPrice(variant ? variant.price : product.price) || 0;
+}
+
+// Validate cart lines sent by the client. Repeated lines are merged. Returns { value, errors }.
+function validateCartItems(input) {
+    const errors = [];
+    if (!Array.isArray(input)) {
+        return { value: [], errors: [{ field: 'items', message: 'items must be a list' }] };
+    }
+
+    const lines = new Map();
+    input.forEach((item, index) => {
+        const field = `items[${index}]`;
+        if (typeof item !== 'object' || item === null) {
+            errors.push({ field, message: 'each item must be an object' });
+            return;
+        }
+
+        // Older local carts only carry the line id
+        const productId = String(item.productId || String(item.id || '').split(':')[0]);
+        const variantId = item.variantId ? String(item.variantId) : null;
+        const quantity = Number(item.quantity);
+        const price = item.price === undefined || item.price === null ? null : toPrice(item.price);
+
+        if (!/^[a-f0-9]{24}$/i.test(productId)) {
+            errors.push({ field: `${field}.productId`, message: 'productId must be a product id' });
+        } else if (variantId !== null && (variantId.length === 0 || variantId.length > 40)) {
+            errors.push({ field: `${field}.variantId`, message: 'variantId must be 1-40 characters' });
+        } else if (!Number.isInteger(quantity) || quantity < 1 || quantity > CART_MAX_QUANTITY) {
+            errors.push({ field: `${field}.quantity`, message: `quantity must be a whole number from 1 to ${CART_MAX_QUANTITY}` });
+        } else if (price !== null && (!Number.isFinite(price) || price < 0)) {
+            errors.push({ field: `${field}.price`, message: 'price must be a number of 0 or more' });
+        } else {
+            const id = lineId(productId, variantId);
+            const existing = lines.get(id);
+            if (existing) {
+                existing.quantity = Math.min(CART_MAX_QUANTITY, existing.quantity + quantity);
+            } else {
+                lines.set(id, {
+                    id,
+                    productId,
+                    variantId,
+                    quantity,
+                    price,
+                    addedAt: item.addedAt ? new Date(item.addedAt) : new Date()
+                });
+            }
+        }
+    });
+
+    if (lines.size > CART_MAX_LINES) {
+        errors.push({ field: 'items', message: `a cart can hold at most ${CART_MAX_LINES} different items` });
+    }
+
+    return { value: [...lines.values()], errors };
+}
+
+function validateCartNotes(input) {
+    const notes = String(input === undefined || input === null ? '' : input).trim();
+    if (notes.length > CART_MAX_NOTES_LENGTH) {
+        return { value: '', errors: [{ field: 'notes', message: `notes must be at most ${CART_MAX_NOTES_LENGTH} characters` }] };
+    }
+    return { value: notes, errors: [] };
+}
+
+// Merge a guest cart into an account cart on login: quantities of the same line add up
+// (capped), lines only in the guest cart are appended
+function mergeCartItems(accountItems, guestItems) {
+    const merged = new Map(accountItems.map(item => [item.id, { ...item }]));
+    guestItems.forEach(item => {
+        const existing = merged.get(item.id);
+        if (existing) {
+            existing.quantity = Math.min(CART_MAX_QUANTITY, existing.quantity + item.quantity);
+        } else {
+            merged.set(item.id, { ...item });
+        }
+    });
+    return [...merged.values()].slice(0, CART_MAX_LINES);
+}
+
+// Check stored lines against the current products (Map of product id string -> product).
+// Returns { items, issues }: items are ready for the client (current name, price, image and
+// available stock; quantities capped at what is available), issues describe every change:
+//   { id, name, type: 'unavailable' }                        removed from the cart
+//   { id, name, type: 'out_of_stock' }                       kept, cannot be checked out
+//   { id, name, type: 'quantity_reduced', from, to }
+//   { id, name, type: 'price_changed', previousPrice, price }
+// `unitPrice(product, variant, quantity)` gives the customer's price (group price lists);
+// by default the product or option price.
+function revalidateCartItems(items, productsById, unitPrice = defaultUnitPrice) {
+    const lines = [];
+    const issues = [];
+
+    items.forEach(item => {
+        const product = productsById.get(String(item.productId));
+        const hasVariants = product && Array.isArray(product.variants) && product.variants.length > 0;
+        const variant = product && item.variantId
+            ? (product.variants || []).find(entry => entry.variantId === item.variantId)
+            : null;
+
+        if (!product || product.isActive === false ||
+            (item.variantId ? !variant || variant.isActive === false : hasVariants)) {
+            issues.push({ id: item.id, name: product ? product.name : 'A product', type: 'unavailable' });
+            return;
+        }
+
+        const name = variant ? `${product.name} (${variant.label})` : product.name;
+        const stockSource = variant || product;
+        const availableStock = Math.max(0, (stockSource.stockQuantity || 0) - (stockSource.reservedQuantity || 0));
+
+        let quantity = item.quantity;
+        if (availableStock === 0) {
+            issues.push({ id: item.id, name, type: 'out_of_stock' });
+        } else if (quantity > availableStock) {
+            issues.push({ id: item.id, name, type: 'quantity_reduced', from: quantity, to: availableStock });
+            quantity = availableStock;
+        }
+        const price = unitPrice(product, variant, quantity);
+
+        if (item.price !== null && item.price !== undefined && Math.abs(toPrice(item.price) - price) >= 0.005) {
+            issues.push({ id: item.id, name, type: 'price_changed', previousPrice: toPrice(item.price), price });
+        }
+
+        lines.push({
+            id: item.id,
+            productId: String(item.productId),
+            ...(variant && { variantId: variant.variantId, variantLabel: variant.label }),
+            name,
+            price,
+            image: product.image || null,
+            category: product.category || null,
+            quantity,
+            availableStock,
+            addedAt: item.addedAt
+        });
+    });
+
+    return { items: lines, issues };
+}
+
+// What gets written back to the Carts document for revalidated lines
+function toStoredCartItems(lines) {
+    return lines.map(line => ({
+        id: line.id,
+        productId: line.productId,
+        variantId: line.variantId || null,
+        quantity: line.quantity,
+        price: line.price,
+        addedAt: line.addedAt || new Date()
+    }));
+}
+
+function summarizeCart(lines) {
+    return {
+        itemCount: lines.reduce((count, line) => count + line.quantity, 0),
+        subtotal: Math.round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0) * 100) / 100
+    };
+}
+
+module.exports = {
+    CART_MAX_LINES,
+    lineId,
+    toPrice,
+    defaultUnitPrice,
+    CART_MAX_QUANTITY,
+    validateCartItems,
+    validateCartNotes,
+    mergeCartItems,
+    revalidateCartItems,
+    toStoredCartItems,
+    summarizeCart
+};
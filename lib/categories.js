@@ -0,0 +1,228 @@
+// Category taxonomy for the Categories collection
+//
+// {
+//   name,              // display name, e.g. 'Power Tools'
+//   slug,              // unique URL key, e.g. 'power-tools'
+//   parentId,          // ObjectId of the parent category; null for top-level categories
+//   displayOrder,      // sort position among siblings (ascending)
+//   aliases: [],       // other slugs that resolve here (old links, legacy product values)
+//   createdAt, updatedAt
+// }
+//
+// Products store the category's id in `categoryId` and a copy of its slug in `category`
+// (kept in sync by the server) so list views and URLs can use the slug directly.
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_ALIASES = 20;
+
+// Seeded into an empty Categories collection; mirrors the buckets the shop always had
+const DEFAULT_CATEGORIES = [
+    { slug: 'paints', name: 'Paints and Painting Supplies', aliases: ['paint', 'painting'] },
+    {
+        slug: 'tools-accessories',
+        name: 'Tools and Accessories',
+        aliases: ['tools', 'accessories'],
+        children: [
+            { slug: 'power-tools', name: 'Power Tools', aliases: ['powertools'] },
+            { slug: 'hand-tools', name: 'Hand Tools', aliases: ['handtools'] }
+        ]
+    },
+    { slug: 'building-materials-aggregates', name: 'Building Materials and Aggregates', aliases: ['building-materials', 'aggregates'] },
+    { slug: 'electrical-supplies', name: 'Electrical Supplies', aliases: ['electrical'] },
+    { slug: 'plumbing-fixtures', name: 'Plumbing and Fixtures', aliases: ['plumbing'] },
+    { slug: 'fasteners-consumables', name: 'Fasteners and Consumables', aliases: ['fasteners'] },
+    { slug: 'other', name: 'Other', aliases: [] }
+];
+
+function slugify(text) {
+    return String(text).trim().toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Validate category input from the API. With `partial`, only the fields present are
+// checked (updates). parentId is returned as a string (or null); the caller checks it exists.
+function validateCategory(input, { partial = false } = {}) {
+    const value = {};
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+
+    if (has('name') || !partial) {
+        const name = String(input.name || '').trim();
+        if (!name || name.length > 100) {
+            errors.push({ field: 'name', message: 'name must be 1-100 characters' });
+        } else {
+            value.name = name;
+        }
+    }
+
+    if (has('slug') || (!partial && value.name)) {
+        const slug = slugify(has('slug') ? input.slug : value.name);
+        if (!SLUG_PATTERN.test(slug) || slug.length > 60) {
+            errors.push({ field: 'slug', message: 'slug must be 1-60 lowercase letters, digits and dashes' });
+        } else {
+            value.slug = slug;
+        }
+    }
+
+    if (has('parentId')) {
+        if (input.parentId === null || input.parentId === '') {
+            value.parentId = null;
+        } else if (!/^[a-f0-9]{24}$/i.test(String(input.parentId))) {
+            errors.push({ field: 'parentId', message: 'parentId must be a category id or null' });
+        } else {
+            value.parentId = String(input.parentId);
+        }
+    } else if (!partial) {
+        value.parentId = null;
+    }
+
+    if (has('displayOrder')) {
+        const displayOrder = Number(input.displayOrder);
+        if (!Number.isInteger(displayOrder) || displayOrder < 0) {
+            errors.push({ field: 'displayOrder', message: 'displayOrder must be a whole number of 0 or more' });
+        } else {
+            value.displayOrder = displayOrder;
+        }
+    } else if (!partial) {
+        value.displayOrder = 0;
+    }
+
+    if (has('aliases')) {
+        if (!Array.isArray(input.aliases) || input.aliases.length > MAX_ALIASES) {
+            errors.push({ field: 'aliases', message: `aliases must be a list of at most ${MAX_ALIASES} slugs` });
+        } else {
+            const aliases = [...new Set(input.aliases.map(slugify).filter(Boolean))];
+            if (aliases.some(alias => !SLUG_PATTERN.test(alias))) {
+                errors.push({ field: 'aliases', message: 'aliases must be lowercase letters, digits and dashes' });
+            } else {
+                value.aliases = aliases.filter(alias => alias !== value.slug);
+            }
+        }
+    } else if (!partial) {
+        value.aliases = [];
+    }
+
+    return { value, errors };
+}
+
+// Insert DEFAULT_CATEGORIES into an empty Categories collection.
+// Returns false (and writes nothing) when categories already exist.
+async function insertDefaultCategories(categoriesCollection) {
+    if (await categoriesCollection.countDocuments({}, { limit: 1 }) > 0) return false;
+
+    const now = new Date();
+    const insertLevel = async (definitions, parentId) => {
+        for (const [position, definition] of definitions.entries()) {
+            const result = await categoriesCollection.insertOne({
+                name: definition.name,
+                slug: definition.slug,
+                parentId,
+                displayOrder: position,
+                aliases: definition.aliases || [],
+                createdAt: now,
+                updatedAt: now
+            });
+            await insertLevel(definition.children || [], result.insertedId);
+        }
+    };
+    await insertLevel(DEFAULT_CATEGORIES, null);
+    return true;
+}
+
+// Lookup structure over every category: by id, by slug or alias, and children by parent
+function buildCategoryIndex(categories) {
+    const byId = new Map();
+    const bySlug = new Map();
+    const children = new Map();
+
+    const sorted = [...categories].sort((a, b) =>
+        (a.displayOrder || 0) - (b.displayOrder || 0) || String(a.name).localeCompare(String(b.name))
+    );
+    sorted.forEach(category => {
+        byId.set(category._id.toString(), category);
+        const parentKey = category.parentId ? category.parentId.toString() : null;
+        if (!children.has(parentKey)) children.set(parentKey, []);
+        children.get(parentKey).push(category);
+    });
+    // Aliases first so a real slug always wins over another category's alias
+    sorted.forEach(category => (category.aliases || []).forEach(alias => bySlug.set(alias, category)));
+    sorted.forEach(category => bySlug.set(category.slug, category));
+
+    return { byId, bySlug, children, categories: sorted };
+}
+
+function findCategory(index, slugOrId) {
+    if (!slugOrId) return null;
+    const key = String(slugOrId);
+    return index.byId.get(key) || index.bySlug.get(slugify(key)) || null;
+}
+
+// The category and everything below it
+function descendantCategories(index, category) {
+    const result = [];
+    const stack = [category];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        result.push(current);
+        stack.push(...(index.children.get(current._id.toString()) || []));
+    }
+    return result;
+}
+
+// The category followed by its parent, grandparent, ... up to the top level
+function ancestorCategories(index, category) {
+    const result = [];
+    const seen = new Set();
+    let current = category;
+    while (current && !seen.has(current._id.toString())) {
+        seen.add(current._id.toString());
+        result.push(current);
+        current = current.parentId ? index.byId.get(current.parentId.toString()) : null;
+    }
+    return result;
+}
+
+// Top-level ancestor (the category itself when it has no parent)
+function rootCategory(index, category) {
+    let current = category;
+    const seen = new Set();
+    while (current && current.parentId && !seen.has(current._id.toString())) {
+        seen.add(current._id.toString());
+        const parent = index.byId.get(current.parentId.toString());
+        if (!parent) break;
+        current = parent;
+    }
+    return current;
+}
+
+// True when making `parentId` the parent of `categoryId` would put a category under itself
+function wouldCreateCycle(index, categoryId, parentId) {
+    if (!parentId) return false;
+    const category = index.byId.get(String(categoryId));
+    if (!category) return false;
+    return descendantCategories(index, category).some(descendant => descendant._id.toString() === String(parentId));
+}
+
+// Nested form for API responses: [{ ...category, children: [...] }]
+function toCategoryTree(index, parentId = null) {
+    return (index.children.get(parentId) || []).map(category => ({
+        ...category,
+        children: toCategoryTree(index, category._id.toString())
+    }));
+}
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    insertDefaultCategories,
+    slugify,
+    validateCategory,
+    buildCategoryIndex,
+    findCategory,
+    descendantCategories,
+    ancestorCategories,
+    rootCategory,
+    wouldCreateCycle,
+    toCategoryTree
+};
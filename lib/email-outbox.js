@@ -0,0 +1,135 @@
+// Outgoing email queue (EmailOutbox collection). Requests enqueue a rendered message and
+// return; a worker in server.js sends it, retrying with exponential backoff.
+//
+// {
+//   to, from, subject, html, text,
+//   template,            // lib/email.js template it was rendered from, or null
+//   sensitive,           // holds a code or link meant only for the recipient; body hidden from staff
+//   bodyClearedAt,       // sensitive messages: html/text are blanked once sent or dead
+//   status,              // see OUTBOX_STATUSES
+//   attempts,            // send attempts so far
+//   nextAttemptAt,       // when a pending message is due
+//   lockedUntil,         // while 'sending': a worker that dies is taken over after this
+//   lastError,           // { message, code, responseCode } of the latest failure
+//   messageId,           // from the mail server, once sent
+//   createdAt, sentAt, deadAt, updatedAt
+// }
+//
+// 'dead' messages are the dead-letter queue: they ran out of attempts or the server
+// refused them outright. Staff can inspect and requeue them. Every attempt (and every
+// requeue) also adds an EmailSendLog document:
+// { outboxId, attempt, outcome: 'sent' | 'failed' | 'dead' | 'requeued', to, subject,
+//   error, response, durationMs, actor, createdAt }
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+const MAX_SEND_ATTEMPTS = 6;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 2 * 60 * 60 * 1000;
+const SEND_LOCK_MS = 2 * 60 * 1000;
+const OUTBOX_PAGE_SIZE = 25;
+
+// Templates whose messages carry one-time codes or reset links
+const SENSITIVE_TEMPLATES = ['verification-code', 'password-reset'];
+
+// New outbox document for a rendered email ({ subject, html, text } from lib/email.js)
+function buildOutboxMessage({ to, from, template = null, subject, html, text }, now = new Date()) {
+    return {
+        to,
+        from,
+        subject,
+        html,
+        text,
+        template,
+        sensitive: SENSITIVE_TEMPLATES.includes(template),
+        bodyClearedAt: null,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lockedUntil: null,
+        lastError: null,
+        messageId: null,
+        createdAt: now,
+        sentAt: null,
+        deadAt: null,
+        updatedAt: now
+    };
+}
+
+// Fields that blank a sensitive message's body once it is sent or dead, so the codes and
+// links it carried don't outlive their use in the outbox (AuthCodes only keeps hashes)
+function clearedBodyFields(message, now = new Date()) {
+    return message.sensitive ? { html: null, text: null, bodyClearedAt: now } : {};
+}
+
+// Delay before the next try after `attempts` failed ones: 1, 2, 4, 8... minutes, capped,
+// with up to 10% jitter so a batch that failed together does not retry together
+function retryDelayMs(attempts, random = Math.random) {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+    return Math.round(delay * (1 + random() * 0.1));
+}
+
+// The parts of a nodemailer error worth keeping
+function describeSendError(error) {
+    return {
+        message: error.message || String(error),
+        code: error.code || null,
+        responseCode: error.responseCode || null
+    };
+}
+
+// SMTP 5xx replies (bad address, rejected content) will fail the same way on every retry.
+// Connection problems and 4xx replies are worth retrying.
+function isPermanentSendError(error) {
+    return Number.isInteger(error.responseCode) && error.responseCode >= 500 && error.responseCode < 600;
+}
+
+// Fields to $set after a failed attempt: back to pending with a later nextAttemptAt, or
+// dead. `dead` says which, for the send log.
+function failedAttemptUpdate(message, error, now = new Date()) {
+    const attempts = message.attempts + 1;
+    const dead = attempts >= MAX_SEND_ATTEMPTS || isPermanentSendError(error);
+    return {
+        dead,
+        fields: {
+            attempts,
+            status: dead ? 'dead' : 'pending',
+            nextAttemptAt: dead ? null : new Date(now.getTime() + retryDelayMs(attempts)),
+            lockedUntil: null,
+            lastError: describeSendError(error),
+            deadAt: dead ? now : null,
+            updatedAt: now,
+            ...(dead && clearedBodyFields(message, now))
+        }
+    };
+}
+
+// ?status= and ?page= of GET /api/email-outbox
+function parseOutboxQuery(query) {
+    const status = OUTBOX_STATUSES.includes(query.status) ? query.status : null;
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    return { status, page, limit: OUTBOX_PAGE_SIZE, skip: (page - 1) * OUTBOX_PAGE_SIZE };
+}
+
+// Outbox message as staff see it; sensitive bodies stay hidden
+function toStaffOutboxMessage(message, { includeBody = false } = {}) {
+    const { html, text, ...summary } = message;
+    if (!includeBody) return summary;
+    return message.sensitive
+        ? { ...summary, html: null, text: '(Hidden: this message contains a one-time code or link.)' }
+        : message;
+}
+
+module.exports = {
+    OUTBOX_STATUSES,
+    MAX_SEND_ATTEMPTS,
+    SEND_LOCK_MS,
+    SENSITIVE_TEMPLATES,
+    buildOutboxMessage,
+    clearedBodyFields,
+    retryDelayMs,
+    describeSendError,
+    isPermanentSendError,
+    failedAttemptUpdate,
+    parseOutboxQuery,
+    toStaffOutboxMessage
+};
@@ -0,0 +1,264 @@
+// Transactional email templates (lib/email-templates/)
+//
+// Each template is a pair of files, <name>.html and <name>.txt, rendered into the shared
+// layout.html / layout.txt. A template without a .txt file gets its plain-text part from
+// the HTML with the markup stripped. Templates use a small mustache subset:
+//
+//   {{name}}                  value, HTML-escaped in .html files
+//   {{{name}}}                value inserted as-is
+//   {{#name}}...{{/name}}     shown when name is truthy; repeated for each entry of an array
+//   {{^name}}...{{/name}}     shown when name is falsy or an empty array
+//
+// Inside a repeated section the entry's own fields are looked up first. Subjects in
+// EMAIL_TEMPLATES use the same placeholders.
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, 'email-templates');
+const STORE_NAME = 'Sanrico Mercantile Inc.';
+
+// Every template with its subject and the sample data the staff preview renders it with
+const EMAIL_TEMPLATES = {
+    'verification-code': {
+        subject: 'Verify Your Email - {{storeName}}',
+        sample: { code: '4821' }
+    },
+    'password-reset': {
+        subject: 'Reset your password - {{storeName}}',
+        sample: {
+            customerName: 'Juan Dela Cruz',
+            resetUrl: 'http://localhost:5500/reset-password.html?token=sample',
+            expiresInMinutes: 30
+        }
+    },
+    'password-changed': {
+        subject: 'Your password was changed - {{storeName}}',
+        sample: { customerName: 'Juan Dela Cruz', changedAt: 'January 1, 2024, 9:00 AM' }
+    },
+    'back-in-stock': {
+        subject: 'Back in stock - {{storeName}}',
+        sample: {
+            items: [
+                { name: 'Portland Cement 40kg', price: '285.00', url: 'http://localhost:5500/product.html?id=sample' }
+            ]
+        }
+    },
+    'order-confirmation': {
+        subject: 'Order {{orderNumber}} received - {{storeName}}',
+        sample: {}
+    },
+    'order-approved': {
+        subject: 'Order {{orderNumber}} approved - {{storeName}}',
+        sample: {}
+    },
+    'order-denied': {
+        subject: 'Order {{orderNumber}} could not be accepted - {{storeName}}',
+        sample: { reason: 'The delivery address is outside our service area.' }
+    },
+    'order-delivered': {
+        subject: 'Order {{orderNumber}} delivered - {{storeName}}',
+        sample: {}
+    },
+    'order-cancellation': {
+        subject: 'Cancellation request for order {{orderNumber}} - {{storeName}}',
+        sample: { approved: true }
+    },
+    'order-return': {
+        subject: 'Return request for order {{orderNumber}} - {{storeName}}',
+        sample: { approved: false, reason: 'The item shows signs of use.' }
+    }
+};
+
+// Order emails, keyed like ORDER_NOTIFICATIONS in lib/notifications.js: by event type or,
+// for plain status changes, by the new status. Extra fields are merged into the data.
+const ORDER_EMAILS = {
+    order_placed: { template: 'order-confirmation' },
+    approved: { template: 'order-approved' },
+    denied: { template: 'order-denied' },
+    delivered: { template: 'order-delivered' },
+    cancelled: { template: 'order-cancellation', approved: true },
+    cancellation_approved: { template: 'order-cancellation', approved: true },
+    cancellation_rejected: { template: 'order-cancellation', approved: false },
+    return_approved: { template: 'order-return', approved: true },
+    return_rejected: { template: 'order-return', approved: false }
+};
+
+const SAMPLE_ORDER = {
+    orderNumber: 'ORD-20240101-0001',
+    fullName: 'Juan Dela Cruz',
+    itemsordered: [
+        { item_name: 'Portland Cement 40kg', amount_per_item: 10, total_item_price: 2850 },
+        { item_name: 'Deformed Bar 10mm', amount_per_item: 20, total_item_price: 3600 }
+    ],
+    subtotal: 6450,
+    deliveryFee: 200,
+    discount: 0,
+    total: 6650
+};
+
+const templateCache = new Map();
+
+// Contents of a template file, or null when it does not exist. Files are read once.
+function readTemplateFile(fileName) {
+    if (!templateCache.has(fileName)) {
+        const filePath = path.join(TEMPLATE_DIR, fileName);
+        templateCache.set(fileName, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+    }
+    return templateCache.get(fileName);
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lookup(contexts, name) {
+    for (const context of contexts) {
+        if (context && typeof context === 'object' && name in context) return context[name];
+    }
+    return undefined;
+}
+
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0);
+}
+
+function renderSections(source, contexts, escape) {
+    return source.replace(/{{([#^])\s*([\w.]+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g, (match, kind, name, inner) => {
+        const value = lookup(contexts, name);
+        if (kind === '^') return isEmpty(value) ? renderTemplate(inner, contexts, escape) : '';
+        if (isEmpty(value)) return '';
+        const entries = Array.isArray(value) ? value : [value];
+        return entries.map(entry => renderTemplate(inner, [entry, ...contexts], escape)).join('');
+    });
+}
+
+function renderTemplate(source, contexts, escape) {
+    return renderSections(source, contexts, escape)
+        .replace(/{{{\s*([\w.]+)\s*}}}/g, (match, name) => {
+            const value = lookup(contexts, name);
+            return value === undefined || value === null ? '' : String(value);
+        })
+        .replace(/{{\s*([\w.]+)\s*}}/g, (match, name) => {
+            const value = lookup(contexts, name);
+            if (value === undefined || value === null) return '';
+            return escape ? escapeHtml(value) : String(value);
+        });
+}
+
+// Plain-text fallback for templates that only have an .html file
+function htmlToText(html) {
+    return html
+        .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<br\s*\/?>|<\/(p|div|h[1-6]|li|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&copy;/g, '\u00a9')
+        .replace(/&bull;/g, '\u2022')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/^[ \t]+|[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function isEmailTemplate(name) {
+    return Object.hasOwn(EMAIL_TEMPLATES, name);
+}
+
+// { subject, html, text } for a template. data is merged over { storeName, year }.
+function renderEmail(name, data = {}) {
+    if (!isEmailTemplate(name)) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    const definition = EMAIL_TEMPLATES[name];
+    const html = readTemplateFile(`${name}.html`);
+    if (html === null) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const contexts = [{ storeName: STORE_NAME, year: new Date().getFullYear(), ...data }];
+    const subject = renderTemplate(definition.subject, contexts, false);
+    const htmlContent = renderTemplate(html, contexts, true);
+    const textSource = readTemplateFile(`${name}.txt`);
+    const textContent = textSource === null ? htmlToText(htmlContent) : renderTemplate(textSource, contexts, false).trim();
+
+    const layoutContexts = [{ subject, ...contexts[0] }];
+    return {
+        subject,
+        html: renderTemplate(readTemplateFile('layout.html'), [{ content: htmlContent }, ...layoutContexts], true),
+        text: renderTemplate(readTemplateFile('layout.txt'), [{ content: textContent }, ...layoutContexts], false)
+            .replace(/\n{3,}/g, '\n\n')
+            .trim() + '\n'
+    };
+}
+
+function formatMoney(amount) {
+    return (Number(amount) || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Template data shared by the order emails
+function orderEmailData(order, { storeUrl, reason } = {}) {
+    const discount = Number(order.discount) || 0;
+    return {
+        orderNumber: order.orderNumber || String(order._id),
+        customerName: order.fullName || order.buyerinfo || 'Customer',
+        items: (order.itemsordered || []).map(item => ({
+            name: item.variant_label ? `${item.item_name} (${item.variant_label})` : item.item_name,
+            quantity: item.amount_per_item,
+            lineTotal: formatMoney(item.total_item_price)
+        })),
+        subtotal: order.subtotal !== undefined ? formatMoney(order.subtotal) : null,
+        deliveryFee: order.deliveryFee ? formatMoney(order.deliveryFee) : null,
+        discount: discount > 0 ? formatMoney(discount) : null,
+        total: formatMoney(order.total),
+        reason: reason || null,
+        storeUrl,
+        orderHistoryUrl: storeUrl ? `${storeUrl}/order-history.html` : null
+    };
+}
+
+// The email for an order event ({ type, toStatus, notes }) as { to, template, data }, or
+// null when the event has no email or the order has no address to send to
+function orderEventEmail(order, { type, toStatus, notes }, { storeUrl } = {}) {
+    const key = type === 'status_changed' || !type ? toStatus : type;
+    const email = ORDER_EMAILS[key];
+    if (!email || !order.email || !order.email.includes('@')) return null;
+
+    const { template, ...extra } = email;
+    return {
+        to: order.email,
+        template,
+        data: { ...orderEmailData(order, { storeUrl, reason: notes }), ...extra }
+    };
+}
+
+// Rendered template filled with its sample data, for the staff preview
+function previewEmail(name, { storeUrl } = {}) {
+    if (!isEmailTemplate(name)) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    const definition = EMAIL_TEMPLATES[name];
+    const orderData = name.startsWith('order-') ? orderEmailData(SAMPLE_ORDER, { storeUrl }) : { storeUrl };
+    return renderEmail(name, { ...orderData, ...definition.sample });
+}
+
+module.exports = {
+    STORE_NAME,
+    EMAIL_TEMPLATES,
+    ORDER_EMAILS,
+    isEmailTemplate,
+    renderTemplate,
+    htmlToText,
+    renderEmail,
+    orderEmailData,
+    orderEventEmail,
+    previewEmail
+};
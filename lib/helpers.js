@@ -0,0 +1,28 @@
+// Small helpers shared by the server and the other lib modules
+
+// Peso amounts are kept to centavos
+function roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Escape user text for use inside a RegExp (or a MongoDB $regex)
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// securityMiddleware.sanitizeInput HTML-escapes every query value; undo that for values
+// that are matched against stored text (search queries, facet values) rather than shown
+function unescapeQueryValue(value) {
+    return String(value)
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#x27;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+module.exports = {
+    roundMoney,
+    escapeRegex,
+    unescapeQueryValue
+};
@@ -0,0 +1,96 @@
+// Customer notifications (UserNotifications collection), shown in the header bell:
+//
+// {
+//   userId,            // id of the UserCredentials document (string)
+//   type,              // e.g. 'order_approved'; see ORDER_NOTIFICATIONS
+//   title, message,
+//   orderId, orderNumber,   // order notifications link to the order in the order history
+//   read, readAt,
+//   createdAt
+// }
+//
+// Order notifications are created from the order event log (see recordOrderEvent in
+// server.js), so every customer-facing change to an order reaches the customer once.
+
+const NOTIFICATIONS_PAGE_SIZE = 10;
+const NOTIFICATIONS_MAX_PAGE_SIZE = 50;
+
+// Order events the customer hears about, keyed by event type or, for plain status changes,
+// by the new status. Each builds { title, message } from the order number and the notes
+// staff left on the event.
+const ORDER_NOTIFICATIONS = {
+    order_placed: (orderNumber) => ({
+        title: '🎉 Order Placed',
+        message: `Your order ${orderNumber} has been placed. We'll let you know as soon as it is approved.`
+    }),
+    approved: (orderNumber) => ({
+        title: '✅ Order Approved',
+        message: `Great news! Your order ${orderNumber} has been approved and is being prepared for delivery.`
+    }),
+    denied: (orderNumber, notes) => ({
+        title: '❌ Order Denied',
+        message: `Your order ${orderNumber} has been denied. Please contact us if you have any questions.${notes ? ` Reason: ${notes}` : ''}`
+    }),
+    out_for_delivery: (orderNumber) => ({
+        title: '🚚 Out for Delivery',
+        message: `Your order ${orderNumber} is on its way.`
+    }),
+    delivered: (orderNumber) => ({
+        title: '📦 Order Delivered',
+        message: `Your order ${orderNumber} has been delivered. Thank you for your business!`
+    }),
+    cancelled: (orderNumber, notes) => ({
+        title: '🚫 Order Cancelled',
+        message: `Your order ${orderNumber} has been cancelled.${notes ? ` ${notes}` : ''}`
+    }),
+    cancellation_approved: (orderNumber) => ({
+        title: '✅ Cancellation Approved',
+        message: `Your cancellation request for order ${orderNumber} has been approved and the order is cancelled.`
+    }),
+    cancellation_rejected: (orderNumber, notes) => ({
+        title: '🚫 Cancellation Request Declined',
+        message: `Your cancellation request for order ${orderNumber} has been declined and the order will continue as planned.${notes ? ` Reason: ${notes}` : ''}`
+    }),
+    returned: (orderNumber) => ({
+        title: '↩️ Order Returned',
+        message: `Your order ${orderNumber} has been marked as returned.`
+    }),
+    return_approved: (orderNumber, notes) => ({
+        title: '↩️ Return Request Approved',
+        message: `Your return request for order ${orderNumber} has been approved. ${notes ? `Staff notes: ${notes}` : 'We will begin processing the return shortly.'}`
+    }),
+    return_rejected: (orderNumber, notes) => ({
+        title: '🚫 Return Request Rejected',
+        message: `Your return request for order ${orderNumber} has been rejected. ${notes ? `Reason: ${notes}` : 'Please contact us if you would like to discuss this decision.'}`
+    })
+};
+
+// Notification for an order event ({ type, toStatus, notes }), or null when the customer
+// isn't told about it (payment checks, staff-only events)
+function orderEventNotification(order, { type, toStatus, notes }) {
+    const key = type === 'status_changed' || !type ? toStatus : type;
+    const build = ORDER_NOTIFICATIONS[key];
+    if (!build) return null;
+
+    const orderNumber = order.orderNumber || String(order._id);
+    return {
+        type: key.startsWith('order_') ? key : `order_${key}`,
+        ...build(orderNumber, notes),
+        orderId: order._id,
+        orderNumber
+    };
+}
+
+// ?page=, ?limit= and ?unread=true of GET /api/users/me/notifications
+function parseNotificationQuery(query) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || NOTIFICATIONS_PAGE_SIZE, 1), NOTIFICATIONS_MAX_PAGE_SIZE);
+    return { page, limit, skip: (page - 1) * limit, unreadOnly: query.unread === 'true' };
+}
+
+module.exports = {
+    NOTIFICATIONS_PAGE_SIZE,
+    ORDER_NOTIFICATIONS,
+    orderEventNotification,
+    parseNotificationQuery
+};
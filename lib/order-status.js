@@ -0,0 +1,83 @@
+// Order lifecycle rules for the unified Orders collection
+
+const ORDER_STATUSES = [
+    'pending',
+    'approved',
+    'out_for_delivery',
+    'delivered',
+    'returned',
+    'denied',
+    'cancelled'
+];
+
+// Allowed transitions, keyed by current status.
+// approved -> delivered is kept for orders that are picked up in store.
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['approved', 'denied', 'cancelled'],
+    approved: ['out_for_delivery', 'delivered', 'cancelled'],
+    out_for_delivery: ['delivered', 'returned'],
+    delivered: ['returned'],
+    returned: [],
+    denied: [],
+    cancelled: []
+};
+
+// Collection each status lived in before the merge (also the `collection`
+// label the dashboard and order history still group orders by)
+const LEGACY_COLLECTION_BY_STATUS = {
+    pending: 'pending',
+    approved: 'accepted',
+    out_for_delivery: 'accepted',
+    delivered: 'delivered',
+    returned: 'returned',
+    denied: 'denied',
+    cancelled: 'cancelled'
+};
+
+// Map the status strings found on legacy order documents onto the lifecycle
+function normalizeOrderStatus(rawStatus) {
+    const status = String(rawStatus || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    switch (status) {
+        case '':
+        case 'active':
+        case 'pending':
+        case 'confirmed':
+            return 'pending';
+        case 'accepted':
+        case 'approved':
+            return 'approved';
+        case 'out_for_delivery':
+        case 'shipped':
+            return 'out_for_delivery';
+        case 'delivered':
+        case 'completed':
+            return 'delivered';
+        case 'returned':
+            return 'returned';
+        case 'denied':
+        case 'rejected':
+            return 'denied';
+        case 'cancelled':
+        case 'canceled':
+            return 'cancelled';
+        default:
+            return null;
+    }
+}
+
+function isValidStatusTransition(currentStatus, newStatus) {
+    const allowed = ORDER_STATUS_TRANSITIONS[normalizeOrderStatus(currentStatus)];
+    return !!allowed && allowed.includes(newStatus);
+}
+
+function getLegacyCollection(status) {
+    return LEGACY_COLLECTION_BY_STATUS[normalizeOrderStatus(status)] || 'pending';
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_STATUS_TRANSITIONS,
+    normalizeOrderStatus,
+    isValidStatusTransition,
+    getLegacyCollection
+};
@@ -0,0 +1,89 @@
+// Customer password resets, stored in AuthCodes next to the email verification codes:
+//
+// {
+//   type: 'password_reset',
+//   email,               // lowercased address the reset was requested for
+//   userId,              // UserCredentials _id, or null when no account uses the address
+//   tokenHash,           // sha256 of the token in the emailed link; absent when userId is null
+//   requestIp,
+//   createdAt,
+//   expiresAt,           // the link stops working after RESET_TOKEN_TTL_MS
+//   usedAt,              // set when the token resets the password
+//   supersededAt,        // set when a newer request or a completed reset retires the token
+//   purgeAt              // TTL index removes the document after this
+// }
+//
+// Only the hash is stored, so a leaked AuthCodes collection cannot be turned into reset
+// links. Requests for unknown addresses are recorded too (without a token) so the per-email
+// limit answers the same way whether or not an account exists.
+
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TYPE = 'password_reset';
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+const RESET_REQUEST_WINDOW_MS = 60 * 60 * 1000;
+const RESET_REQUESTS_PER_WINDOW = 3;
+const RESET_RECORD_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Customer password policy: 7–12 chars, a digit, an uppercase letter and one of . or !
+const PASSWORD_POLICY = /^(?=.{7,12}$)(?=.*\d)(?=.*[A-Z])(?=.*[\.!]).*$/;
+const PASSWORD_POLICY_MESSAGE = 'Password must be 7–12 chars and include a number, an uppercase letter, and one of . or !';
+
+// Why a new password is refused, or null when it is acceptable. Login trims the password it
+// is given, so the policy (and the hash) apply to the trimmed password.
+function passwordPolicyError(password) {
+    return PASSWORD_POLICY.test(String(password).trim()) ? null : PASSWORD_POLICY_MESSAGE;
+}
+
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Reset tokens are 32 random bytes, hex encoded
+function isResetTokenFormat(token) {
+    return typeof token === 'string' && /^[a-f0-9]{64}$/.test(token);
+}
+
+// AuthCodes document for a reset request, with the plain token for the email (null when
+// the address has no account)
+function buildResetRequest({ email, userId = null, requestIp = null }, now = new Date()) {
+    const token = userId ? crypto.randomBytes(32).toString('hex') : null;
+    const record = {
+        type: PASSWORD_RESET_TYPE,
+        email,
+        userId,
+        requestIp,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + RESET_TOKEN_TTL_MS),
+        usedAt: null,
+        supersededAt: null,
+        purgeAt: new Date(now.getTime() + RESET_RECORD_RETENTION_MS)
+    };
+    if (token) record.tokenHash = hashResetToken(token);
+    return { token, record };
+}
+
+// Seconds until the oldest request in the window ages out, given the window's requests
+// sorted oldest first; 0 when another request is allowed now
+function resetRetryAfterSeconds(recentRequests, now = new Date()) {
+    if (recentRequests.length < RESET_REQUESTS_PER_WINDOW) return 0;
+    const oldest = recentRequests[recentRequests.length - RESET_REQUESTS_PER_WINDOW].createdAt;
+    return Math.max(Math.ceil((oldest.getTime() + RESET_REQUEST_WINDOW_MS - now.getTime()) / 1000), 1);
+}
+
+function resetPasswordUrl(storeUrl, token) {
+    return `${storeUrl}/reset-password.html?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    PASSWORD_RESET_TYPE,
+    RESET_TOKEN_TTL_MS,
+    RESET_REQUEST_WINDOW_MS,
+    RESET_REQUESTS_PER_WINDOW,
+    passwordPolicyError,
+    hashResetToken,
+    isResetTokenFormat,
+    buildResetRequest,
+    resetRetryAfterSeconds,
+    resetPasswordUrl
+};
@@ -0,0 +1,93 @@
+// Customer groups and their price lists (PriceLists collection)
+//
+// Every customer account (UserCredentials.customerGroup) belongs to one group; accounts
+// without one are retail. A price list entry gives one group quantity breaks for a product
+// or one of its options:
+//
+// {
+//   group,                // one of CUSTOMER_GROUPS
+//   productId,            // ObjectId
+//   variantId,            // null for the product itself
+//   breaks: [{ minQuantity, price }],   // ascending; e.g. [{ 1, 250 }, { 50, 235 }]
+//   updatedAt, updatedBy
+// }
+//
+// The unit price for a line is the price of the largest break the quantity reaches. Products
+// a group has no entry for (or quantities below its first break) sell at the product price.
+
+const { roundMoney } = require('./helpers');
+
+const CUSTOMER_GROUPS = ['retail', 'contractor', 'reseller'];
+const DEFAULT_CUSTOMER_GROUP = 'retail';
+const MAX_PRICE_BREAKS = 10;
+
+// A known group name, or null
+function normalizeCustomerGroup(group) {
+    const name = String(group || '').trim().toLowerCase();
+    return CUSTOMER_GROUPS.includes(name) ? name : null;
+}
+
+// Validate quantity breaks from the API. Returns { value, errors } with value sorted by minQuantity.
+function validatePriceBreaks(input) {
+    const errors = [];
+    if (!Array.isArray(input) || input.length === 0 || input.length > MAX_PRICE_BREAKS) {
+        return { value: [], errors: [{ field: 'breaks', message: `breaks must be a list of 1 to ${MAX_PRICE_BREAKS} quantity breaks` }] };
+    }
+
+    const value = [];
+    input.forEach((entry, index) => {
+        const field = `breaks[${index}]`;
+        const minQuantity = Number(entry && entry.minQuantity);
+        const price = Number(entry && entry.price);
+        if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+            errors.push({ field: `${field}.minQuantity`, message: 'minQuantity must be a whole number of 1 or more' });
+        } else if (!Number.isFinite(price) || price < 0) {
+            errors.push({ field: `${field}.price`, message: 'price must be a number of 0 or more' });
+        } else if (value.some(existing => existing.minQuantity === minQuantity)) {
+            errors.push({ field: `${field}.minQuantity`, message: `there is already a break at ${minQuantity}` });
+        } else {
+            value.push({ minQuantity, price: roundMoney(price) });
+        }
+    });
+
+    return { value: value.sort((a, b) => a.minQuantity - b.minQuantity), errors };
+}
+
+function priceListKey(productId, variantId) {
+    return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+// Unit price of `quantity` units given the product price and a group's breaks (may be empty)
+function tierUnitPrice(basePrice, breaks, quantity) {
+    const reached = (breaks || []).filter(entry => quantity >= entry.minQuantity);
+    return reached.length > 0 ? reached[reached.length - 1].price : basePrice;
+}
+
+// Copy of a product as a group sees it: `price` (and each option's price) is the price of a
+// single unit, `listPrice` the regular product price, and `priceBreaks` the group's breaks
+// so the page can show volume pricing. `breaksByKey` maps priceListKey() -> breaks.
+function applyPriceList(product, breaksByKey, toPrice) {
+    const productId = product._id.toString();
+    const priced = (source, key) => {
+        const breaks = breaksByKey.get(key) || [];
+        if (breaks.length === 0) return source;
+        const listPrice = toPrice(source.price) || 0;
+        return { ...source, price: tierUnitPrice(listPrice, breaks, 1), listPrice, priceBreaks: breaks };
+    };
+
+    const result = priced(product, priceListKey(productId, null));
+    if (Array.isArray(product.variants) && product.variants.length > 0) {
+        result.variants = product.variants.map(variant => priced(variant, priceListKey(productId, variant.variantId)));
+    }
+    return result;
+}
+
+module.exports = {
+    CUSTOMER_GROUPS,
+    DEFAULT_CUSTOMER_GROUP,
+    normalizeCustomerGroup,
+    validatePriceBreaks,
+    priceListKey,
+    tierUnitPrice,
+    applyPriceList
+};
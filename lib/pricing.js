@@ -0,0 +1,101 @@
+// Server-side order pricing. Unit prices always come from Products; the figures the
+// browser sends are only compared against the result so the customer can be shown what
+// changed before the order goes through (POST /api/orders).
+
+const { CART_MAX_QUANTITY, lineId, toPrice, defaultUnitPrice } = require('./cart');
+const { roundMoney } = require('./helpers');
+
+// Largest difference (in pesos) between the total the customer saw and the server's total
+// that is still treated as rounding
+const ORDER_TOTAL_TOLERANCE = 1;
+
+// Price cart items ({ id | productId, variantId?, quantity }) against the current products
+// (Map of product id string -> product). Returns { lines, unavailable }: lines carry the
+// product's own name and unit price, unavailable lists the items that can't be sold
+// (unknown, archived, or a removed option) as { id, name }. `unitPrice(product, variant,
+// quantity)` gives the customer's price (group price lists); by default the product price.
+// Throws a 400 error for a quantity that isn't a whole number from 1 to CART_MAX_QUANTITY,
+// as the cart does, rather than charging for a quantity the customer didn't ask for.
+function priceOrderLines(items, productsById, unitPrice = defaultUnitPrice) {
+    const lines = [];
+    const unavailable = [];
+
+    items.forEach(item => {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > CART_MAX_QUANTITY) {
+            const error = new Error(`${item.name || 'Each item'}: quantity must be a whole number from 1 to ${CART_MAX_QUANTITY}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const productId = String(item.productId || String(item.id || '').split(':')[0]);
+        const variantId = item.variantId ? String(item.variantId) : null;
+        const product = productsById.get(productId);
+        const hasVariants = product && Array.isArray(product.variants) && product.variants.length > 0;
+        const variant = product && variantId
+            ? (product.variants || []).find(entry => entry.variantId === variantId)
+            : null;
+
+        if (!product || product.isActive === false ||
+            (variantId ? !variant || variant.isActive === false : hasVariants)) {
+            unavailable.push({ id: lineId(productId, variantId), name: product ? product.name : (item.name || 'A product') });
+            return;
+        }
+
+        const price = roundMoney(unitPrice(product, variant, quantity));
+        lines.push({
+            id: lineId(productId, variantId),
+            productId,
+            variantId,
+            variantLabel: variant ? variant.label : null,
+            name: variant ? `${product.name} (${variant.label})` : product.name,
+            image: product.image || null,
+            quantity,
+            price,
+            lineTotal: roundMoney(price * quantity),
+            product
+        });
+    });
+
+    return { lines, unavailable };
+}
+
+// Lines whose unit price differs from what the client sent, as
+// { id, name, previousPrice, price }. Items sent without a price are skipped.
+function findPriceChanges(items, lines) {
+    const sentPrices = new Map(items.map(item => [
+        lineId(String(item.productId || String(item.id || '').split(':')[0]), item.variantId ? String(item.variantId) : null),
+        item.price
+    ]));
+    return lines
+        .filter(line => {
+            const sent = sentPrices.get(line.id);
+            return sent !== undefined && sent !== null && Math.abs(toPrice(sent) - line.price) >= 0.005;
+        })
+        .map(line => ({ id: line.id, name: line.name, previousPrice: toPrice(sentPrices.get(line.id)), price: line.price }));
+}
+
+// Order totals: the discount comes off the merchandise subtotal, never the delivery fee
+function summarizeOrderTotals(lines, { deliveryFee = 0, discount = 0 } = {}) {
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const appliedDiscount = roundMoney(Math.min(Math.max(0, discount), subtotal));
+    return {
+        subtotal,
+        deliveryFee: roundMoney(deliveryFee),
+        discount: appliedDiscount,
+        total: roundMoney(subtotal - appliedDiscount + deliveryFee)
+    };
+}
+
+function isWithinTolerance(clientTotal, total, tolerance = ORDER_TOTAL_TOLERANCE) {
+    const sent = toPrice(clientTotal);
+    return Number.isFinite(sent) && Math.abs(sent - total) <= tolerance;
+}
+
+module.exports = {
+    ORDER_TOTAL_TOLERANCE,
+    priceOrderLines,
+    findPriceChanges,
+    summarizeOrderTotals,
+    isWithinTolerance
+};
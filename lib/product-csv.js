@@ -0,0 +1,136 @@
+// CSV import/export for the product catalog (columns follow lib/product-schema.js)
+
+// Export column order; import accepts the same headers in any order
+const PRODUCT_CSV_COLUMNS = [
+    'sku',
+    'name',
+    'description',
+    'price',
+    'unit',
+    'weightKg',
+    'category',
+    'brand',
+    'reorderPoint',
+    'images',
+    'isActive',
+    'stockQuantity',
+    'openingStock'
+];
+
+// Multiple images share one cell
+const IMAGE_SEPARATOR = '|';
+
+// Parse RFC 4180 CSV (quoted fields, doubled quotes, CRLF/LF) into rows of strings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Spreadsheet exports often end with blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Spreadsheets run cells starting with these as formulas, so exported text that starts with
+// one gets a leading ' (which the spreadsheet hides, and the import strips)
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, records) {
+    const lines = [columns.join(',')];
+    records.forEach(record => {
+        lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Turn parsed CSV rows into product inputs keyed by canonical field name.
+// Blank cells are left out so an import only touches the columns that were filled in.
+function csvRowsToProductInputs(rows) {
+    if (rows.length === 0) {
+        throw new Error('The CSV file is empty');
+    }
+
+    const headerLookup = new Map(PRODUCT_CSV_COLUMNS.map(column => [column.toLowerCase(), column]));
+    const headers = rows[0].map(header => headerLookup.get(header.trim().toLowerCase()) || null);
+
+    if (!headers.includes('sku')) {
+        throw new Error('The CSV file needs a "sku" column');
+    }
+
+    return rows.slice(1).map((cells, index) => {
+        const input = {};
+        headers.forEach((field, column) => {
+            let cell = (cells[column] || '').trim();
+            if (cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1))) cell = cell.slice(1);
+            if (!field || cell === '' || field === 'stockQuantity') return;
+
+            if (field === 'images') {
+                input.images = cell.split(IMAGE_SEPARATOR).map(image => image.trim()).filter(Boolean);
+            } else if (field === 'isActive') {
+                input.isActive = ['true', 'yes', '1', 'active'].includes(cell.toLowerCase());
+            } else {
+                input[field] = cell;
+            }
+        });
+        // Line numbers as the user sees them in a spreadsheet (header is line 1)
+        return { line: index + 2, input };
+    });
+}
+
+function productToCsvRecord(product) {
+    return {
+        ...product,
+        images: (product.images || (product.image ? [product.image] : [])).join(IMAGE_SEPARATOR),
+        isActive: product.isActive === false ? 'false' : 'true',
+        openingStock: ''
+    };
+}
+
+module.exports = {
+    PRODUCT_CSV_COLUMNS,
+    parseCsv,
+    toCsv,
+    csvRowsToProductInputs,
+    productToCsvRecord
+};
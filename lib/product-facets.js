@@ -0,0 +1,205 @@
+// Faceted filtering for the shop catalog: parse facet query parameters, turn them
+// into Products filters, and count how many products each facet value would show.
+//
+// Query parameters (all optional):
+//   minPrice, maxPrice      price range in pesos
+//   brand                   repeatable, e.g. ?brand=Boysen&brand=Davies
+//   inStock=true            only products with available (unreserved) stock
+//   attr.<name>             repeatable per attribute, e.g. ?attr.size=1%20gallon
+//
+// Values within one facet are OR'ed, facets are AND'ed. Counts for a facet are
+// computed with every other facet applied but not itself, so choosing one brand
+// still shows how many products the other brands have.
+
+const { unescapeQueryValue } = require('./helpers');
+
+const ATTRIBUTE_PARAM_PREFIX = 'attr.';
+const ATTRIBUTE_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,39}$/;
+const MAX_FACET_VALUES = 50;
+
+// Facet values are compared with stored names (e.g. "B&Q"), so sanitizeInput's escaping is undone
+function toList(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return [...new Set(values.map(item => unescapeQueryValue(item).trim()).filter(Boolean))].slice(0, MAX_FACET_VALUES);
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+// Read facet selections from an Express req.query; throws 400 on malformed input
+function parseFacetQuery(query) {
+    const facets = { minPrice: null, maxPrice: null, brands: [], inStock: false, attributes: {} };
+
+    ['minPrice', 'maxPrice'].forEach(field => {
+        if (query[field] === undefined || query[field] === '') return;
+        const amount = Number(query[field]);
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw badRequest(`${field} must be a number of 0 or more`);
+        }
+        facets[field] = amount;
+    });
+    if (facets.minPrice !== null && facets.maxPrice !== null && facets.minPrice > facets.maxPrice) {
+        throw badRequest('minPrice cannot be greater than maxPrice');
+    }
+
+    if (query.brand !== undefined) facets.brands = toList(query.brand);
+    facets.inStock = query.inStock === 'true';
+
+    Object.keys(query).filter(key => key.startsWith(ATTRIBUTE_PARAM_PREFIX)).forEach(key => {
+        const name = key.slice(ATTRIBUTE_PARAM_PREFIX.length).trim().toLowerCase();
+        if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+            throw badRequest(`Unknown attribute filter "${name}"`);
+        }
+        const values = toList(query[key]);
+        if (values.length > 0) facets.attributes[name] = values;
+    });
+
+    return facets;
+}
+
+// Available = on hand minus reserved for pending orders
+const IN_STOCK_EXPRESSION = {
+    $gt: [{ $subtract: [{ $ifNull: ['$stockQuantity', 0] }, { $ifNull: ['$reservedQuantity', 0] }] }, 0]
+};
+
+// An attribute matches on the product itself or on any active variant
+function attributeCondition(name, values) {
+    return {
+        $or: [
+            { [`attributes.${name}`]: { $in: values } },
+            { variants: { $elemMatch: { [`attributes.${name}`]: { $in: values }, isActive: { $ne: false } } } }
+        ]
+    };
+}
+
+// Conditions for the selected facets, skipping the facet named in `except`
+// ('price', 'brand', 'inStock' or 'attr.<name>'). Returns {} when nothing applies.
+function buildFacetFilter(facets, { except } = {}) {
+    const conditions = [];
+
+    if (except !== 'price' && (facets.minPrice !== null || facets.maxPrice !== null)) {
+        const price = {};
+        if (facets.minPrice !== null) price.$gte = facets.minPrice;
+        if (facets.maxPrice !== null) price.$lte = facets.maxPrice;
+        conditions.push({ price });
+    }
+    if (except !== 'brand' && facets.brands.length > 0) {
+        conditions.push({ brand: { $in: facets.brands } });
+    }
+    if (except !== 'inStock' && facets.inStock) {
+        conditions.push({ $expr: IN_STOCK_EXPRESSION });
+    }
+    Object.entries(facets.attributes).forEach(([name, values]) => {
+        if (except !== `${ATTRIBUTE_PARAM_PREFIX}${name}`) conditions.push(attributeCondition(name, values));
+    });
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+// (name, value) pairs of a product's own and its active variants' attributes, once each
+const ATTRIBUTE_PAIRS_EXPRESSION = {
+    $setUnion: [
+        { $objectToArray: { $ifNull: ['$attributes', {}] } },
+        {
+            $reduce: {
+                input: {
+                    $filter: { input: { $ifNull: ['$variants', []] }, cond: { $ne: ['$$this.isActive', false] } }
+                },
+                initialValue: [],
+                in: { $concatArrays: ['$$value', { $objectToArray: { $ifNull: ['$$this.attributes', {}] } }] }
+            }
+        }
+    ]
+};
+
+function attributeCountStages(match, name) {
+    return [
+        { $match: match },
+        { $project: { pairs: ATTRIBUTE_PAIRS_EXPRESSION } },
+        { $unwind: '$pairs' },
+        ...(name ? [{ $match: { 'pairs.k': name } }] : []),
+        { $group: { _id: { name: '$pairs.k', value: '$pairs.v' }, count: { $sum: 1 } } },
+        { $sort: { '_id.name': 1, count: -1, '_id.value': 1 } }
+    ];
+}
+
+// Aggregation pipeline (run against the base catalog filter) that counts every facet
+function buildFacetCountPipeline(baseFilter, facets) {
+    const facetStages = {
+        price: [
+            { $match: buildFacetFilter(facets, { except: 'price' }) },
+            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+        ],
+        brands: [
+            { $match: { ...buildFacetFilter(facets, { except: 'brand' }), brand: { $type: 'string', $ne: '' } } },
+            { $group: { _id: '$brand', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: MAX_FACET_VALUES }
+        ],
+        availability: [
+            { $match: buildFacetFilter(facets, { except: 'inStock' }) },
+            { $group: { _id: null, inStock: { $sum: { $cond: [IN_STOCK_EXPRESSION, 1, 0] } }, total: { $sum: 1 } } }
+        ],
+        attributes: attributeCountStages(buildFacetFilter(facets))
+    };
+
+    // A selected attribute is counted without its own filter so its other values stay visible
+    Object.keys(facets.attributes).forEach((name, index) => {
+        facetStages[`selectedAttribute${index}`] = attributeCountStages(
+            buildFacetFilter(facets, { except: `${ATTRIBUTE_PARAM_PREFIX}${name}` }),
+            name
+        );
+    });
+
+    return [{ $match: baseFilter }, { $facet: facetStages }];
+}
+
+// Shape the $facet output for API responses:
+// { price: { min, max }, brands: [{ value, count }], availability: { inStock, total },
+//   attributes: [{ name, values: [{ value, count }] }] }
+function formatFacetCounts(result, facets) {
+    const price = result.price[0] || { min: null, max: null };
+    const availability = result.availability[0] || { inStock: 0, total: 0 };
+
+    const attributeRows = result.attributes.filter(row => !(row._id.name in facets.attributes));
+    Object.keys(facets.attributes).forEach((name, index) => {
+        attributeRows.push(...result[`selectedAttribute${index}`]);
+    });
+
+    const attributes = new Map();
+    attributeRows.forEach(row => {
+        if (!attributes.has(row._id.name)) attributes.set(row._id.name, []);
+        attributes.get(row._id.name).push({ value: row._id.value, count: row.count });
+    });
+
+    return {
+        price: { min: price.min, max: price.max },
+        brands: result.brands.map(row => ({ value: row._id, count: row.count })),
+        availability: { inStock: availability.inStock, total: availability.total },
+        attributes: [...attributes.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, values]) => ({ name, values: values.slice(0, MAX_FACET_VALUES) }))
+    };
+}
+
+// Stable text form of the selections, used in cache keys
+function facetCacheKey(facets) {
+    return JSON.stringify([
+        facets.minPrice,
+        facets.maxPrice,
+        [...facets.brands].sort(),
+        facets.inStock,
+        Object.keys(facets.attributes).sort().map(name => [name, [...facets.attributes[name]].sort()])
+    ]);
+}
+
+module.exports = {
+    parseFacetQuery,
+    buildFacetFilter,
+    buildFacetCountPipeline,
+    formatFacetCounts,
+    facetCacheKey
+};
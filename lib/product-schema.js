@@ -0,0 +1,372 @@
+// Canonical product schema for the Products collection
+//
+// {
+//   name, sku, description,
+//   price,            // selling price in pesos; the only price field
+//   unit,             // selling unit, e.g. 'pc', 'box', 'meter'
+//   weightKg,         // shipping weight of one unit (variants share it); 0 when unknown
+//   categoryId,       // ObjectId of the product's Categories document (lib/categories.js)
+//   category,         // that category's slug, kept in sync by the server for list views
+//   brand,            // manufacturer/brand name; '' when unbranded
+//   attributes: {},   // filterable specs, e.g. { material: 'steel', size: '1/2 inch' }
+//   images: [],       // image paths/URLs; `image` mirrors images[0] for list views
+//   reorderPoint,     // low-stock threshold used by alerts and restocking
+//   variants: [],     // optional sellable options, see below
+//   stockQuantity, reservedQuantity, isActive, createdAt, updatedAt
+// }
+//
+// A variant is { variantId, sku, label, attributes: { size: '1 gallon' }, price,
+// stockQuantity, reservedQuantity, isActive }. When a product has variants, stock is
+// held per variant, the product's stockQuantity/reservedQuantity are the sums across
+// its variants, and its price is the lowest active variant price ("from" price).
+
+const DEFAULT_UNIT = 'pc';
+const DEFAULT_REORDER_POINT = 5;
+
+// Price fields older documents were written with, in the order they were trusted
+const LEGACY_PRICE_FIELDS = ['SellingPrice', 'sellingPrice', 'Price', 'price'];
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    // Decimal128 values from the driver stringify to their decimal form
+    if (typeof value === 'object') return parseFloat(value.toString());
+    return Number(value);
+}
+
+function slugifyCategory(category) {
+    return String(category).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+function normalizeSku(sku) {
+    return String(sku).trim().toUpperCase();
+}
+
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{1,39}$/;
+
+// Attribute names become query parameters and document paths, so keep them plain
+const ATTRIBUTE_NAME_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,39}$/;
+
+// Validate an { name: value } attribute map (product or variant); names are lowercased
+function validateAttributes(input, field, errors) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        errors.push({ field, message: 'attributes must be an object such as { "size": "1 gallon" }' });
+        return {};
+    }
+
+    const attributes = {};
+    Object.entries(input).forEach(([name, value]) => {
+        const key = String(name).trim().toLowerCase();
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (!ATTRIBUTE_NAME_PATTERN.test(key)) {
+            errors.push({ field: `${field}.${key}`, message: 'attribute names must be 1-40 letters, digits, spaces, dashes or underscores' });
+        } else if (!text || text.length > 100) {
+            errors.push({ field: `${field}.${key}`, message: `attribute "${key}" must have a value of 1-100 characters` });
+        } else {
+            attributes[key] = text;
+        }
+    });
+    return attributes;
+}
+
+// Validate the variant definitions of a product; stock is never set through here
+function validateVariants(variants, productSku, errors) {
+    if (!Array.isArray(variants)) {
+        errors.push({ field: 'variants', message: 'variants must be a list' });
+        return undefined;
+    }
+
+    const seenSkus = new Set(productSku ? [productSku] : []);
+    return variants.map((variant, index) => {
+        const field = `variants[${index}]`;
+        const sku = normalizeSku(variant.sku || '');
+        const label = String(variant.label || '').trim();
+        const price = toNumber(variant.price);
+
+        if (!SKU_PATTERN.test(sku)) {
+            errors.push({ field: `${field}.sku`, message: 'variant sku must be 2-40 letters, digits, dots, dashes or underscores' });
+        } else if (seenSkus.has(sku)) {
+            errors.push({ field: `${field}.sku`, message: `SKU ${sku} is used more than once on this product` });
+        }
+        seenSkus.add(sku);
+
+        if (!label || label.length > 100) {
+            errors.push({ field: `${field}.label`, message: 'variant label must be 1-100 characters' });
+        }
+        if (!Number.isFinite(price) || price < 0) {
+            errors.push({ field: `${field}.price`, message: 'variant price must be a number of 0 or more' });
+        }
+        const attributes = variant.attributes === undefined
+            ? {}
+            : validateAttributes(variant.attributes, `${field}.attributes`, errors);
+
+        return {
+            ...(variant.variantId && { variantId: String(variant.variantId) }),
+            sku,
+            label,
+            attributes,
+            price: Math.round(price * 100) / 100,
+            isActive: variant.isActive !== false
+        };
+    });
+}
+
+// Combine validated variant definitions with the variants a product already has.
+// Existing variants (matched by variantId) keep their stock; new ones start empty.
+// Throws when a change would lose track of stock. newVariantId() supplies ids.
+function mergeVariants(product, incoming, newVariantId) {
+    const existingVariants = product.variants || [];
+    const existingById = new Map(existingVariants.map(variant => [variant.variantId, variant]));
+    const conflict = (message) => {
+        const error = new Error(message);
+        error.statusCode = 409;
+        return error;
+    };
+
+    if (existingVariants.length === 0 && incoming.length > 0 &&
+        ((product.stockQuantity || 0) > 0 || (product.reservedQuantity || 0) > 0)) {
+        throw conflict('Adjust this product\'s stock to 0 before adding variants, then set stock per variant');
+    }
+
+    const merged = incoming.map(variant => {
+        if (variant.variantId && !existingById.has(variant.variantId)) {
+            throw conflict(`Variant ${variant.variantId} does not belong to this product`);
+        }
+        const existing = existingById.get(variant.variantId);
+        return {
+            ...variant,
+            variantId: existing ? existing.variantId : newVariantId(),
+            stockQuantity: existing ? existing.stockQuantity || 0 : 0,
+            reservedQuantity: existing ? existing.reservedQuantity || 0 : 0
+        };
+    });
+
+    const keptIds = new Set(merged.map(variant => variant.variantId));
+    const removedWithStock = existingVariants.filter(variant =>
+        !keptIds.has(variant.variantId) && ((variant.stockQuantity || 0) > 0 || (variant.reservedQuantity || 0) > 0)
+    );
+    if (removedWithStock.length > 0) {
+        throw conflict(`Variants with stock cannot be removed (${removedWithStock.map(variant => variant.label).join(', ')}); deactivate them instead`);
+    }
+
+    return merged;
+}
+
+// Product-level fields derived from its variants
+function summarizeVariants(variants) {
+    const activePrices = variants.filter(variant => variant.isActive !== false).map(variant => variant.price);
+    return {
+        price: activePrices.length > 0 ? Math.min(...activePrices) : Math.min(...variants.map(variant => variant.price)),
+        stockQuantity: variants.reduce((sum, variant) => sum + (variant.stockQuantity || 0), 0),
+        reservedQuantity: variants.reduce((sum, variant) => sum + (variant.reservedQuantity || 0), 0)
+    };
+}
+
+// Validate product input from the API. With `partial`, only the fields present
+// are checked (updates); otherwise name, sku, price and category are required.
+// Returns { value, errors } where value holds only canonical fields.
+function validateProduct(input, { partial = false } = {}) {
+    const value = {};
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+    const requireField = (field) => {
+        if (!partial && !has(field)) {
+            errors.push({ field, message: `${field} is required` });
+            return false;
+        }
+        return has(field);
+    };
+
+    if (requireField('name')) {
+        const name = String(input.name).trim();
+        if (!name || name.length > 200) {
+            errors.push({ field: 'name', message: 'name must be 1-200 characters' });
+        } else {
+            value.name = name;
+        }
+    }
+
+    if (requireField('sku')) {
+        const sku = normalizeSku(input.sku);
+        if (!SKU_PATTERN.test(sku)) {
+            errors.push({ field: 'sku', message: 'sku must be 2-40 letters, digits, dots, dashes or underscores' });
+        } else {
+            value.sku = sku;
+        }
+    }
+
+    if (has('description')) {
+        value.description = String(input.description).trim();
+    }
+
+    // Products with variants take their price from the variants
+    const hasVariants = Array.isArray(input.variants) && input.variants.length > 0;
+    if (hasVariants ? has('price') : requireField('price')) {
+        const price = toNumber(input.price);
+        if (!Number.isFinite(price) || price < 0) {
+            errors.push({ field: 'price', message: 'price must be a number of 0 or more' });
+        } else {
+            value.price = Math.round(price * 100) / 100;
+        }
+    }
+
+    if (has('unit')) {
+        const unit = String(input.unit).trim().toLowerCase();
+        if (!unit || unit.length > 20) {
+            errors.push({ field: 'unit', message: 'unit must be 1-20 characters' });
+        } else {
+            value.unit = unit;
+        }
+    } else if (!partial) {
+        value.unit = DEFAULT_UNIT;
+    }
+
+    // Either a category id or a slug/alias; the server resolves it against the Categories collection
+    if (has('categoryId')) {
+        const categoryId = String(input.categoryId || '');
+        if (!/^[a-f0-9]{24}$/i.test(categoryId)) {
+            errors.push({ field: 'categoryId', message: 'categoryId must be a category id' });
+        } else {
+            value.categoryId = categoryId;
+        }
+    } else if (requireField('category')) {
+        const category = slugifyCategory(input.category);
+        if (!category) {
+            errors.push({ field: 'category', message: 'category is required' });
+        } else {
+            value.category = category;
+        }
+    }
+
+    if (has('weightKg')) {
+        const weightKg = toNumber(input.weightKg);
+        if (!Number.isFinite(weightKg) || weightKg < 0 || weightKg > 10000) {
+            errors.push({ field: 'weightKg', message: 'weightKg must be a number from 0 to 10000' });
+        } else {
+            value.weightKg = Math.round(weightKg * 1000) / 1000;
+        }
+    } else if (!partial) {
+        value.weightKg = 0;
+    }
+
+    if (has('brand')) {
+        const brand = input.brand === null ? '' : String(input.brand).trim();
+        if (brand.length > 100) {
+            errors.push({ field: 'brand', message: 'brand must be 100 characters or fewer' });
+        } else {
+            value.brand = brand;
+        }
+    } else if (!partial) {
+        value.brand = '';
+    }
+
+    if (has('attributes')) {
+        value.attributes = validateAttributes(input.attributes, 'attributes', errors);
+    } else if (!partial) {
+        value.attributes = {};
+    }
+
+    if (has('images')) {
+        if (!Array.isArray(input.images) || input.images.some(image => typeof image !== 'string' || !image.trim())) {
+            errors.push({ field: 'images', message: 'images must be a list of image paths or URLs' });
+        } else {
+            value.images = input.images.map(image => image.trim());
+        }
+    } else if (has('image')) {
+        // Single-image clients (the dashboard image picker) send `image`
+        value.images = input.image ? [String(input.image).trim()] : [];
+    } else if (!partial) {
+        value.images = [];
+    }
+    if (value.images) {
+        value.image = value.images[0] || null;
+    }
+
+    if (has('reorderPoint')) {
+        const reorderPoint = toNumber(input.reorderPoint);
+        if (!Number.isInteger(reorderPoint) || reorderPoint < 0) {
+            errors.push({ field: 'reorderPoint', message: 'reorderPoint must be a whole number of 0 or more' });
+        } else {
+            value.reorderPoint = reorderPoint;
+        }
+    } else if (!partial) {
+        value.reorderPoint = DEFAULT_REORDER_POINT;
+    }
+
+    if (has('isActive')) {
+        if (typeof input.isActive !== 'boolean') {
+            errors.push({ field: 'isActive', message: 'isActive must be true or false' });
+        } else {
+            value.isActive = input.isActive;
+        }
+    }
+
+    if (has('variants')) {
+        value.variants = validateVariants(input.variants, value.sku, errors);
+    }
+
+    return { value, errors };
+}
+
+// Build the update that brings a stored (possibly legacy) document onto the
+// canonical schema. Returns null when the document already conforms.
+function buildProductNormalization(doc) {
+    const $set = {};
+    const $unset = {};
+
+    const price = LEGACY_PRICE_FIELDS.map(field => toNumber(doc[field])).find(n => Number.isFinite(n));
+    const canonicalPrice = Number.isFinite(price) ? Math.round(price * 100) / 100 : 0;
+    if (doc.price !== canonicalPrice) $set.price = canonicalPrice;
+    LEGACY_PRICE_FIELDS.filter(field => field !== 'price' && doc[field] !== undefined)
+        .forEach(field => { $unset[field] = ''; });
+
+    // Legacy products never had a SKU; derive a stable one from the id
+    if (!doc.sku) {
+        $set.sku = `P-${doc._id.toString().slice(-8).toUpperCase()}`;
+    } else if (doc.sku !== normalizeSku(doc.sku)) {
+        $set.sku = normalizeSku(doc.sku);
+    }
+
+    if (typeof doc.name !== 'string' || doc.name !== doc.name.trim()) {
+        $set.name = String(doc.name || 'Unnamed Product').trim();
+    }
+    if (typeof doc.description !== 'string') $set.description = doc.description ? String(doc.description) : '';
+    if (!doc.unit) $set.unit = DEFAULT_UNIT;
+    if (typeof doc.weightKg !== 'number' || !(doc.weightKg >= 0)) $set.weightKg = 0;
+
+    const category = doc.category ? slugifyCategory(doc.category) : 'other';
+    if (doc.category !== category) $set.category = category;
+    if (typeof doc.brand !== 'string') $set.brand = doc.brand ? String(doc.brand).trim() : '';
+    if (typeof doc.attributes !== 'object' || doc.attributes === null || Array.isArray(doc.attributes)) $set.attributes = {};
+
+    const images = Array.isArray(doc.images) ? doc.images : (doc.image ? [doc.image] : []);
+    if (!Array.isArray(doc.images)) $set.images = images;
+    if ((doc.image || null) !== (images[0] || null)) $set.image = images[0] || null;
+
+    if (!Number.isInteger(doc.reorderPoint) || doc.reorderPoint < 0) $set.reorderPoint = DEFAULT_REORDER_POINT;
+
+    const stock = toNumber(doc.stockQuantity !== undefined ? doc.stockQuantity : doc.stock);
+    const stockQuantity = Number.isFinite(stock) ? Math.max(Math.floor(stock), 0) : 0;
+    if (doc.stockQuantity !== stockQuantity) $set.stockQuantity = stockQuantity;
+    if (doc.stock !== undefined) $unset.stock = '';
+    if (!Number.isInteger(doc.reservedQuantity)) $set.reservedQuantity = 0;
+
+    // Documents without a boolean flag were already hidden from the catalog; keep them hidden
+    if (typeof doc.isActive !== 'boolean') $set.isActive = doc.isActive === 'true';
+    if (!doc.createdAt) $set.createdAt = doc._id.getTimestamp();
+
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+        return null;
+    }
+
+    $set.updatedAt = new Date();
+    return Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+}
+
+module.exports = {
+    DEFAULT_UNIT,
+    DEFAULT_REORDER_POINT,
+    validateProduct,
+    mergeVariants,
+    summarizeVariants,
+    buildProductNormalization
+};
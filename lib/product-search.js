@@ -0,0 +1,141 @@
+// Product search helpers: query normalization, synonyms for local hardware terms,
+// and the relevance score used to rank text, prefix and typo-tolerant matches.
+
+const { escapeRegex } = require('./helpers');
+
+// Each group lists terms customers use for the same thing. A query containing one
+// term is also searched with the others.
+const SEARCH_SYNONYMS = [
+    ['chb', 'hollow blocks', 'concrete hollow blocks', 'hollow block'],
+    ['gi wire', 'tie wire', 'galvanized wire', 'galvanized iron wire'],
+    ['gi pipe', 'galvanized pipe', 'galvanized iron pipe'],
+    ['gi sheet', 'yero', 'roofing sheet', 'corrugated sheet'],
+    ['rebar', 'deformed bar', 'reinforcing bar', 'steel bar'],
+    ['plywood', 'ply board', 'marine plywood'],
+    ['hardiflex', 'fiber cement board'],
+    ['cement', 'semento', 'portland cement'],
+    ['paint', 'pintura'],
+    ['sandpaper', 'liha'],
+    ['nail', 'pako'],
+    ['screw', 'turnilyo'],
+    ['hammer', 'martilyo'],
+    ['saw', 'lagari'],
+    ['pipe', 'tubo'],
+    ['wire', 'kawad'],
+    ['faucet', 'gripo', 'tap'],
+    ['pvc', 'pvc pipe', 'plastic pipe']
+];
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_VARIANTS = 6;
+
+function normalizeSearchText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function searchTokens(text) {
+    return normalizeSearchText(text).split(' ').filter(Boolean);
+}
+
+// The query plus synonym rewrites, e.g. "chb 4" also searches "hollow blocks 4"
+function expandSearchQuery(query) {
+    const normalized = normalizeSearchText(String(query).slice(0, MAX_QUERY_LENGTH));
+    const variants = new Set(normalized ? [normalized] : []);
+
+    for (const group of SEARCH_SYNONYMS) {
+        for (const term of group) {
+            const pattern = new RegExp(`(^| )${escapeRegex(term)}( |$)`);
+            if (!pattern.test(normalized)) continue;
+
+            group.filter(other => other !== term).forEach(other => {
+                variants.add(normalized.replace(pattern, `$1${other}$2`).trim());
+            });
+        }
+    }
+
+    return [...variants].slice(0, MAX_QUERY_VARIANTS);
+}
+
+// Edit distance that gives up once it exceeds maxDistance (returns maxDistance + 1)
+function boundedLevenshtein(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// How well one query token matches the best word of a name (0 = no match)
+function tokenMatchScore(token, words) {
+    // Short tokens only match exactly or as a prefix; longer ones allow typos
+    const allowedTypos = token.length <= 3 ? 0 : token.length <= 6 ? 1 : 2;
+    let best = 0;
+
+    for (const word of words) {
+        if (word === token) return 1;
+        if (word.startsWith(token)) {
+            best = Math.max(best, 0.8);
+        } else if (allowedTypos > 0) {
+            // Compare against the word's prefix too so "hamer" still finds "hammers"
+            const distance = Math.min(
+                boundedLevenshtein(token, word, allowedTypos),
+                boundedLevenshtein(token, word.slice(0, token.length), allowedTypos),
+                boundedLevenshtein(token, word.slice(0, token.length + 1), allowedTypos)
+            );
+            if (distance <= allowedTypos) best = Math.max(best, 0.6 - distance * 0.15);
+        }
+    }
+    return best;
+}
+
+// Relevance of a product for the expanded query variants (0 = not a match).
+// Exact names and SKUs rank first, then names starting with the query, then
+// names where every query word matches a word (by prefix or with a typo).
+function scoreProductMatch(product, queryVariants) {
+    const name = normalizeSearchText(product.name);
+    const words = name.split(' ').filter(Boolean);
+    const skus = [product.sku, ...(product.variants || []).map(variant => variant.sku)]
+        .filter(Boolean)
+        .map(sku => normalizeSearchText(sku));
+    let best = 0;
+
+    queryVariants.forEach((variant, index) => {
+        // Synonym rewrites rank slightly below what the customer actually typed
+        const weight = index === 0 ? 1 : 0.9;
+        const tokens = variant.split(' ').filter(Boolean);
+        let score = 0;
+
+        if (name === variant) score = 100;
+        else if (skus.includes(variant)) score = 90;
+        else if (skus.some(sku => sku.startsWith(variant))) score = 70;
+        else if (name.startsWith(variant)) score = 60;
+        else if (tokens.length > 0) {
+            const tokenScores = tokens.map(token => tokenMatchScore(token, words));
+            if (tokenScores.every(tokenScore => tokenScore > 0)) {
+                score = 50 * tokenScores.reduce((sum, tokenScore) => sum + tokenScore, 0) / tokens.length;
+            }
+        }
+
+        best = Math.max(best, score * weight);
+    });
+
+    return best;
+}
+
+module.exports = {
+    SEARCH_SYNONYMS,
+    normalizeSearchText,
+    searchTokens,
+    expandSearchQuery,
+    scoreProductMatch
+};
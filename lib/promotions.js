@@ -0,0 +1,215 @@
+// Promo codes and discount rules (Promotions collection)
+//
+// {
+//   code,                 // stored uppercase, unique; what customers and cashiers type
+//   description,
+//   type,                 // 'percentage' | 'fixed'
+//   value,                // percent off (1-100) or pesos off
+//   maxDiscount,          // cap for percentage codes; null = no cap
+//   categories: [],       // category ids as strings (subcategories included); empty = whole order
+//   minSpend,             // merchandise subtotal the order must reach; 0 = none
+//   usageLimit,           // redemptions overall; null = unlimited
+//   perUserLimit,         // redemptions per customer account; null = unlimited
+//   startsAt, endsAt,     // validity window; null = open-ended
+//   channels: [],         // 'online' (checkout) and/or 'pos'
+//   isActive, usedCount, createdAt, updatedAt, updatedBy
+// }
+//
+// Each order that uses a code adds a PromotionRedemptions document:
+// { promotionId, code, userId (null for walk-ins), channel, orderId, orderNumber, discount, redeemedAt }
+
+const { roundMoney } = require('./helpers');
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+const PROMOTION_CHANNELS = ['online', 'pos'];
+const MAX_PROMOTION_CATEGORIES = 50;
+// Fields staff set through the API
+const PROMOTION_FIELDS = [
+    'code', 'description', 'type', 'value', 'maxDiscount', 'categories', 'minSpend',
+    'usageLimit', 'perUserLimit', 'startsAt', 'endsAt', 'channels', 'isActive'
+];
+
+function normalizePromoCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Validate promotion input from the API. For updates pass the saved promotion as `current`:
+// the input is merged over it and the result checked as a whole, so a new value is checked
+// against the saved type and a new end date against the saved start. Category slugs are
+// (ids or slugs) are returned as given; the caller checks they exist and stores their ids.
+function validatePromotion(input, { current = null } = {}) {
+    if (current) {
+        const saved = PROMOTION_FIELDS.filter(field => current[field] !== undefined).map(field => [field, current[field]]);
+        input = { ...Object.fromEntries(saved), ...input };
+    }
+    const value = {};
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+    const optionalNumber = (field, { min = 0, integer = false } = {}) => {
+        if (!has(field) || input[field] === null || input[field] === '') {
+            value[field] = null;
+            return;
+        }
+        const number = Number(input[field]);
+        if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+            errors.push({ field, message: `${field} must be ${integer ? 'a whole number' : 'a number'} of ${min} or more, or empty` });
+        } else {
+            value[field] = integer ? number : roundMoney(number);
+        }
+    };
+    const optionalDate = (field) => {
+        if (!has(field) || input[field] === null || input[field] === '') {
+            value[field] = null;
+            return;
+        }
+        const date = new Date(input[field]);
+        if (Number.isNaN(date.getTime())) {
+            errors.push({ field, message: `${field} must be a date` });
+        } else {
+            value[field] = date;
+        }
+    };
+
+    const code = normalizePromoCode(input.code);
+    if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+        errors.push({ field: 'code', message: 'code must be 3-30 letters, digits, dashes or underscores' });
+    } else {
+        value.code = code;
+    }
+
+    const description = String(input.description || '').trim();
+    if (description.length > 200) {
+        errors.push({ field: 'description', message: 'description must be at most 200 characters' });
+    } else {
+        value.description = description;
+    }
+
+    if (!PROMOTION_TYPES.includes(input.type)) {
+        errors.push({ field: 'type', message: `type must be one of ${PROMOTION_TYPES.join(', ')}` });
+    } else {
+        value.type = input.type;
+    }
+
+    const amount = Number(input.value);
+    const type = value.type || input.type;
+    if (!Number.isFinite(amount) || amount <= 0 || (type === 'percentage' && amount > 100)) {
+        errors.push({ field: 'value', message: type === 'percentage' ? 'value must be a percentage from 0 to 100' : 'value must be more than 0' });
+    } else {
+        value.value = roundMoney(amount);
+    }
+
+    optionalNumber('maxDiscount');
+    optionalNumber('usageLimit', { min: 1, integer: true });
+    optionalNumber('perUserLimit', { min: 1, integer: true });
+
+    const minSpend = Number(input.minSpend || 0);
+    if (!Number.isFinite(minSpend) || minSpend < 0) {
+        errors.push({ field: 'minSpend', message: 'minSpend must be a number of 0 or more' });
+    } else {
+        value.minSpend = roundMoney(minSpend);
+    }
+
+    if (has('categories')) {
+        if (!Array.isArray(input.categories) || input.categories.length > MAX_PROMOTION_CATEGORIES) {
+            errors.push({ field: 'categories', message: `categories must be a list of at most ${MAX_PROMOTION_CATEGORIES} categories` });
+        } else {
+            value.categories = [...new Set(input.categories.map(category => String(category).trim().toLowerCase()).filter(Boolean))];
+        }
+    } else {
+        value.categories = [];
+    }
+
+    optionalDate('startsAt');
+    optionalDate('endsAt');
+    if (value.startsAt && value.endsAt && value.endsAt <= value.startsAt) {
+        errors.push({ field: 'endsAt', message: 'endsAt must be after startsAt' });
+    }
+
+    if (has('channels')) {
+        if (!Array.isArray(input.channels) || input.channels.length === 0 || input.channels.some(channel => !PROMOTION_CHANNELS.includes(channel))) {
+            errors.push({ field: 'channels', message: `channels must list one or more of ${PROMOTION_CHANNELS.join(', ')}` });
+        } else {
+            value.channels = [...new Set(input.channels)];
+        }
+    } else {
+        value.channels = [...PROMOTION_CHANNELS];
+    }
+
+    if (has('isActive')) {
+        if (typeof input.isActive !== 'boolean') {
+            errors.push({ field: 'isActive', message: 'isActive must be true or false' });
+        } else {
+            value.isActive = input.isActive;
+        }
+    } else {
+        value.isActive = true;
+    }
+
+    return { value, errors };
+}
+
+// Work out a promotion's discount on priced order lines ({ lineTotal, categoryIds } where
+// categoryIds are the ids of the product's category and its ancestors).
+// `userRedemptions` is how many times this customer already used the code (0 for walk-ins).
+// Returns { applicable: true, discount, eligibleSubtotal } or { applicable: false, reason }.
+function evaluatePromotion(promotion, lines, { channel, now = new Date(), userRedemptions = 0 } = {}) {
+    const notApplicable = (reason) => ({ applicable: false, reason });
+
+    if (!promotion.isActive) return notApplicable('This promo code is no longer active');
+    if (promotion.startsAt && now < promotion.startsAt) return notApplicable('This promo code is not valid yet');
+    if (promotion.endsAt && now > promotion.endsAt) return notApplicable('This promo code has expired');
+    if (channel && !(promotion.channels || PROMOTION_CHANNELS).includes(channel)) {
+        return notApplicable(channel === 'pos' ? 'This promo code is for online orders only' : 'This promo code is for in-store purchases only');
+    }
+    if (promotion.usageLimit !== null && promotion.usageLimit !== undefined && (promotion.usedCount || 0) >= promotion.usageLimit) {
+        return notApplicable('This promo code has reached its usage limit');
+    }
+    if (promotion.perUserLimit !== null && promotion.perUserLimit !== undefined && userRedemptions >= promotion.perUserLimit) {
+        return notApplicable("You've already used this promo code");
+    }
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    if (subtotal < (promotion.minSpend || 0)) {
+        return notApplicable(`Spend at least ₱${promotion.minSpend.toLocaleString('en-PH', { minimumFractionDigits: 2 })} to use this promo code`);
+    }
+
+    const categories = promotion.categories || [];
+    const eligibleSubtotal = categories.length === 0
+        ? subtotal
+        : roundMoney(lines
+            .filter(line => (line.categoryIds || []).some(categoryId => categories.includes(categoryId)))
+            .reduce((sum, line) => sum + line.lineTotal, 0));
+    if (eligibleSubtotal === 0) {
+        return notApplicable('None of the items in this order qualify for this promo code');
+    }
+
+    let discount = promotion.type === 'percentage'
+        ? eligibleSubtotal * promotion.value / 100
+        : promotion.value;
+    if (promotion.type === 'percentage' && promotion.maxDiscount !== null && promotion.maxDiscount !== undefined) {
+        discount = Math.min(discount, promotion.maxDiscount);
+    }
+    return { applicable: true, discount: roundMoney(Math.min(discount, eligibleSubtotal)), eligibleSubtotal };
+}
+
+// What customers and the POS see of a promotion
+function describePromotion(promotion) {
+    return {
+        _id: promotion._id,
+        code: promotion.code,
+        description: promotion.description,
+        type: promotion.type,
+        value: promotion.value,
+        categories: promotion.categories || []
+    };
+}
+
+module.exports = {
+    PROMOTION_TYPES,
+    PROMOTION_CHANNELS,
+    PROMOTION_FIELDS,
+    normalizePromoCode,
+    validatePromotion,
+    evaluatePromotion,
+    describePromotion
+};
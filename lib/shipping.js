@@ -0,0 +1,257 @@
+// Delivery fee engine: rate tables per delivery zone (ShippingZones collection)
+//
+// {
+//   name,                    // e.g. 'Quezon City'
+//   cities: [],              // UserAddresses.city values the zone covers (stored normalized)
+//   barangays: [],           // UserAddresses.barangay values; more specific than cities
+//   isDefault,               // fallback for addresses no zone lists (at most one zone)
+//   baseFee,                 // per order
+//   includedWeightKg,        // weight the base fee covers
+//   perKgFee,                // per started kg above includedWeightKg
+//   freeShippingThreshold,   // merchandise subtotal that waives the base and weight fees; null = never
+//   bulkSurcharges: [{ categoryId, perUnit }],  // per unit of products in a category (id as a
+//                                               // string; subcategories included), e.g. sand and
+//                                               // cement; always charged
+//   isActive, createdAt, updatedAt, updatedBy
+// }
+//
+// A zone listing barangays but no cities matches those barangays in any city; with both it
+// only matches those barangays inside those cities. Products carry `weightKg` per selling unit.
+
+const { roundMoney } = require('./helpers');
+
+const MAX_LOCATIONS = 500;
+const MAX_BULK_SURCHARGES = 20;
+
+// Seeded into an empty ShippingZones collection. The store is in Fairview, Quezon City.
+// Surcharge categories are given by slug here and stored by id.
+const DEFAULT_SHIPPING_ZONES = [
+    {
+        name: 'Quezon City',
+        cities: ['Quezon City'],
+        barangays: [],
+        isDefault: false,
+        baseFee: 200,
+        includedWeightKg: 50,
+        perKgFee: 5,
+        freeShippingThreshold: 15000,
+        bulkSurcharges: [{ category: 'building-materials-aggregates', perUnit: 20 }]
+    },
+    {
+        name: 'Metro Manila',
+        cities: [
+            'Manila', 'Caloocan', 'Valenzuela', 'Malabon', 'Navotas', 'Marikina', 'San Juan',
+            'Mandaluyong', 'Pasig', 'Makati', 'Taguig', 'Pateros', 'Pasay', 'Paranaque',
+            'Las Pinas', 'Muntinlupa'
+        ],
+        barangays: [],
+        isDefault: false,
+        baseFee: 500,
+        includedWeightKg: 50,
+        perKgFee: 8,
+        freeShippingThreshold: 15000,
+        bulkSurcharges: [{ category: 'building-materials-aggregates', perUnit: 40 }]
+    },
+    {
+        name: 'Outside Metro Manila',
+        cities: [],
+        barangays: [],
+        isDefault: true,
+        baseFee: 3000,
+        includedWeightKg: 100,
+        perKgFee: 10,
+        freeShippingThreshold: null,
+        bulkSurcharges: [{ category: 'building-materials-aggregates', perUnit: 60 }]
+    }
+];
+
+// 'Quezon City', 'City of Quezon' and 'quezon' are the same place; so are 'Brgy. Fairview'
+// and 'Fairview', and 'Las Piñas' and 'Las Pinas'
+function normalizeLocation(text) {
+    return String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9 ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(city of|brgy|bgy|barangay) /, '')
+        .replace(/ city$/, '');
+}
+
+function validateLocations(input, field, errors) {
+    if (!Array.isArray(input) || input.length > MAX_LOCATIONS) {
+        errors.push({ field, message: `${field} must be a list of at most ${MAX_LOCATIONS} names` });
+        return [];
+    }
+    return [...new Set(input.map(normalizeLocation).filter(Boolean))];
+}
+
+// Validate zone input from the API. With `partial`, only the fields present are checked
+// (updates). Bulk surcharge categories (categoryId, or category as an id or slug) are returned
+// as given in categoryId; the caller checks they exist and stores their ids.
+function validateShippingZone(input, { partial = false } = {}) {
+    const value = {};
+    const errors = [];
+    const has = (field) => input[field] !== undefined;
+    const money = (field, { nullable = false } = {}) => {
+        if (!has(field)) {
+            if (!partial) value[field] = nullable ? null : 0;
+            return;
+        }
+        if (nullable && (input[field] === null || input[field] === '')) {
+            value[field] = null;
+            return;
+        }
+        const amount = Number(input[field]);
+        if (!Number.isFinite(amount) || amount < 0) {
+            errors.push({ field, message: `${field} must be a number of 0 or more${nullable ? ', or null' : ''}` });
+        } else {
+            value[field] = roundMoney(amount);
+        }
+    };
+
+    if (has('name') || !partial) {
+        const name = String(input.name || '').trim();
+        if (!name || name.length > 100) {
+            errors.push({ field: 'name', message: 'name must be 1-100 characters' });
+        } else {
+            value.name = name;
+        }
+    }
+
+    ['cities', 'barangays'].forEach(field => {
+        if (has(field)) value[field] = validateLocations(input[field], field, errors);
+        else if (!partial) value[field] = [];
+    });
+
+    if (has('isDefault')) {
+        if (typeof input.isDefault !== 'boolean') {
+            errors.push({ field: 'isDefault', message: 'isDefault must be true or false' });
+        } else {
+            value.isDefault = input.isDefault;
+        }
+    } else if (!partial) {
+        value.isDefault = false;
+    }
+
+    money('baseFee');
+    money('includedWeightKg');
+    money('perKgFee');
+    money('freeShippingThreshold', { nullable: true });
+
+    if (has('bulkSurcharges')) {
+        if (!Array.isArray(input.bulkSurcharges) || input.bulkSurcharges.length > MAX_BULK_SURCHARGES) {
+            errors.push({ field: 'bulkSurcharges', message: `bulkSurcharges must be a list of at most ${MAX_BULK_SURCHARGES} entries` });
+        } else {
+            value.bulkSurcharges = input.bulkSurcharges.map((surcharge, index) => {
+                const field = `bulkSurcharges[${index}]`;
+                const categoryId = String((surcharge && (surcharge.categoryId || surcharge.category)) || '').trim().toLowerCase();
+                const perUnit = Number(surcharge && surcharge.perUnit);
+                if (!categoryId) {
+                    errors.push({ field: `${field}.categoryId`, message: 'category is required' });
+                }
+                if (!Number.isFinite(perUnit) || perUnit < 0) {
+                    errors.push({ field: `${field}.perUnit`, message: 'perUnit must be a number of 0 or more' });
+                }
+                return { categoryId, perUnit: roundMoney(perUnit) };
+            });
+        }
+    } else if (!partial) {
+        value.bulkSurcharges = [];
+    }
+
+    if (has('isActive')) {
+        if (typeof input.isActive !== 'boolean') {
+            errors.push({ field: 'isActive', message: 'isActive must be true or false' });
+        } else {
+            value.isActive = input.isActive;
+        }
+    } else if (!partial) {
+        value.isActive = true;
+    }
+
+    if (value.isDefault && value.isActive === false) {
+        errors.push({ field: 'isActive', message: 'the default zone cannot be inactive' });
+    }
+
+    return { value, errors };
+}
+
+// Insert DEFAULT_SHIPPING_ZONES into an empty ShippingZones collection. categoryIdFor(slug)
+// gives a category's id, or null to drop surcharges for a category that doesn't exist.
+// Returns false (and writes nothing) when zones already exist.
+async function insertDefaultShippingZones(zonesCollection, categoryIdFor) {
+    if (await zonesCollection.countDocuments({}, { limit: 1 }) > 0) return false;
+
+    const now = new Date();
+    await zonesCollection.insertMany(DEFAULT_SHIPPING_ZONES.map(zone => ({
+        ...zone,
+        cities: zone.cities.map(normalizeLocation),
+        barangays: zone.barangays.map(normalizeLocation),
+        bulkSurcharges: zone.bulkSurcharges
+            .map(surcharge => ({ categoryId: categoryIdFor(surcharge.category), perUnit: surcharge.perUnit }))
+            .filter(surcharge => surcharge.categoryId),
+        isActive: true,
+        createdAt: now,
+        updatedAt: now
+    })));
+    return true;
+}
+
+// Zone for an address ({ city, barangay }): barangay match first, then city, then the
+// default zone. null when nothing covers the address.
+function findShippingZone(zones, address) {
+    const active = zones.filter(zone => zone.isActive !== false);
+    const city = normalizeLocation(address && address.city);
+    const barangay = normalizeLocation(address && address.barangay);
+
+    return (barangay && active.find(zone => (zone.barangays || []).includes(barangay) &&
+            ((zone.cities || []).length === 0 || zone.cities.includes(city))))
+        || (city && active.find(zone => (zone.barangays || []).length === 0 && (zone.cities || []).includes(city)))
+        || active.find(zone => zone.isDefault)
+        || null;
+}
+
+// Fee for delivering `lines` to a zone. Each line is { quantity, price, weightKg,
+// categoryIds } where categoryIds are the ids of the product's category and its ancestors.
+function quoteShipping(zone, lines) {
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const totalWeightKg = Math.round(lines.reduce((sum, line) => sum + (line.weightKg || 0) * line.quantity, 0) * 1000) / 1000;
+
+    const hasThreshold = zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined;
+    const freeShipping = hasThreshold && subtotal >= zone.freeShippingThreshold;
+    const baseFee = freeShipping ? 0 : zone.baseFee || 0;
+    const extraKg = Math.ceil(Math.max(0, totalWeightKg - (zone.includedWeightKg || 0)));
+    const weightFee = freeShipping ? 0 : roundMoney(extraKg * (zone.perKgFee || 0));
+
+    const bulkSurcharges = (zone.bulkSurcharges || []).map(surcharge => {
+        const quantity = lines
+            .filter(line => (line.categoryIds || []).includes(surcharge.categoryId))
+            .reduce((sum, line) => sum + line.quantity, 0);
+        return { categoryId: surcharge.categoryId, perUnit: surcharge.perUnit, quantity, amount: roundMoney(quantity * surcharge.perUnit) };
+    }).filter(surcharge => surcharge.quantity > 0);
+    const bulkSurcharge = roundMoney(bulkSurcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0));
+
+    return {
+        zone: { _id: zone._id, name: zone.name },
+        subtotal,
+        totalWeightKg,
+        baseFee,
+        weightFee,
+        bulkSurcharge,
+        bulkSurcharges,
+        freeShipping,
+        freeShippingThreshold: hasThreshold ? zone.freeShippingThreshold : null,
+        amountToFreeShipping: hasThreshold && !freeShipping ? roundMoney(zone.freeShippingThreshold - subtotal) : null,
+        fee: roundMoney(baseFee + weightFee + bulkSurcharge)
+    };
+}
+
+module.exports = {
+    DEFAULT_SHIPPING_ZONES,
+    normalizeLocation,
+    validateShippingZone,
+    insertDefaultShippingZones,
+    findShippingZone,
+    quoteShipping
+};
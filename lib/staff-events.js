@@ -0,0 +1,106 @@
+// Live events for the staff dashboard, streamed over Server-Sent Events (GET /api/staff/events).
+//
+// Each event is { id, type, data, createdAt } and is written to the stream as
+//
+//   id: 42
+//   event: order_created
+//   data: {...}
+//
+// The hub keeps the last EVENT_HISTORY_SIZE events in memory so a dashboard that reconnects
+// with a Last-Event-ID header gets what it missed. When the gap is older than the history
+// (or the server restarted) the client is told to resync instead. Events only live in this
+// process; they are a nudge to update the dashboard, not a record (see OrderEvents).
+
+// order_created           { order }            the order as the dashboard lists it
+// cancellation_requested  { orderId, orderNumber, customerName, requestId, reason, submittedAt }
+// return_requested        { requestId, orderNumber, customerName, returnType, reason }   the dashboard fetches the rest
+// payment_uploaded        { orderId, orderNumber, customerName }   proof sent after checkout
+// low_stock               { productId, name, stock, reorderPoint, orderNumber, reason }
+const STAFF_EVENT_TYPES = [
+    'order_created',
+    'cancellation_requested',
+    'return_requested',
+    'payment_uploaded',
+    'low_stock'
+];
+
+const EVENT_HISTORY_SIZE = 200;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// One SSE frame. Multi-line data is not needed because data is always single-line JSON.
+function formatServerSentEvent({ id, type, data }) {
+    return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Product lines that a deduction took to or below the product's reorder point. product is
+// the document after the change; lines that were already low before are not repeated.
+function lowStockCrossings(product, quantity) {
+    const reorderPoint = Number.isInteger(product.reorderPoint) ? product.reorderPoint : null;
+    const stock = product.stockQuantity || 0;
+    if (reorderPoint === null || stock > reorderPoint || stock + quantity <= reorderPoint) {
+        return null;
+    }
+    return {
+        productId: String(product._id),
+        name: product.name,
+        stock,
+        reorderPoint
+    };
+}
+
+function createStaffEventHub({ historySize = EVENT_HISTORY_SIZE } = {}) {
+    const subscribers = new Set();
+    const history = [];
+    let lastId = 0;
+
+    function publish(type, data) {
+        if (!STAFF_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown staff event type: ${type}`);
+        }
+        const event = { id: ++lastId, type, data, createdAt: new Date() };
+        history.push(event);
+        if (history.length > historySize) history.shift();
+
+        const frame = formatServerSentEvent(event);
+        for (const send of subscribers) {
+            try {
+                send(frame);
+            } catch (error) {
+                // A broken connection is cleaned up when its request closes
+            }
+        }
+        return event;
+    }
+
+    // Events after lastEventId, or null when some of them are no longer in the history
+    function eventsSince(lastEventId) {
+        const since = parseInt(lastEventId, 10);
+        if (!Number.isInteger(since) || since < 0 || since > lastId) return null;
+        if (since === lastId) return [];
+        if (history.length === 0 || history[0].id > since + 1) return null;
+        return history.filter(event => event.id > since);
+    }
+
+    // send(frame) receives every frame published from now on; returns the unsubscribe function
+    function subscribe(send) {
+        subscribers.add(send);
+        return () => subscribers.delete(send);
+    }
+
+    return {
+        publish,
+        subscribe,
+        eventsSince,
+        get subscriberCount() {
+            return subscribers.size;
+        }
+    };
+}
+
+module.exports = {
+    STAFF_EVENT_TYPES,
+    HEARTBEAT_INTERVAL_MS,
+    formatServerSentEvent,
+    lowStockCrossings,
+    createStaffEventHub
+};
@@ -0,0 +1,151 @@
+// Customer wishlists (Wishlists collection), one document per account holding two lists:
+// 'wishlist' (hearted products) and 'saved' (moved out of the cart with "save for later").
+//
+// {
+//   userId,            // ObjectId of the UserCredentials document
+//   email,             // where back-in-stock alerts go
+//   items: [{
+//     id,              // productId, or `${productId}:${variantId}` like cart lines
+//     productId, variantId,
+//     list,            // 'wishlist' | 'saved'
+//     quantity,        // kept from the cart so "move to cart" restores it
+//     notifyWhenInStock, notifiedAt,
+//     addedAt
+//   }],
+//   createdAt, updatedAt
+// }
+//
+// Back-in-stock alerts can only be requested for an item that is out of stock; they are
+// sent once by the server's sweep when stock comes back, then switched off.
+
+const { lineId } = require('./cart');
+
+const WISHLIST_LISTS = ['wishlist', 'saved'];
+const WISHLIST_MAX_ITEMS = 200;
+const WISHLIST_MAX_QUANTITY = 999;
+
+// Validate POST /api/wishlist input. Returns { value, errors }; fields that were not sent
+// are left out of value so updates keep what is stored.
+function validateWishlistEntry(input) {
+    const value = {};
+    const errors = [];
+
+    const productId = String(input.productId || '');
+    if (!/^[a-f0-9]{24}$/i.test(productId)) {
+        errors.push({ field: 'productId', message: 'productId must be a product id' });
+    } else {
+        value.productId = productId;
+    }
+
+    if (input.variantId !== undefined && input.variantId !== null && input.variantId !== '') {
+        const variantId = String(input.variantId);
+        if (variantId.length > 40) {
+            errors.push({ field: 'variantId', message: 'variantId must be 1-40 characters' });
+        } else {
+            value.variantId = variantId;
+        }
+    }
+
+    if (input.list !== undefined) {
+        if (!WISHLIST_LISTS.includes(input.list)) {
+            errors.push({ field: 'list', message: `list must be one of ${WISHLIST_LISTS.join(', ')}` });
+        } else {
+            value.list = input.list;
+        }
+    }
+
+    if (input.quantity !== undefined) {
+        const quantity = Number(input.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > WISHLIST_MAX_QUANTITY) {
+            errors.push({ field: 'quantity', message: `quantity must be a whole number from 1 to ${WISHLIST_MAX_QUANTITY}` });
+        } else {
+            value.quantity = quantity;
+        }
+    }
+
+    if (input.notifyWhenInStock !== undefined) {
+        if (typeof input.notifyWhenInStock !== 'boolean') {
+            errors.push({ field: 'notifyWhenInStock', message: 'notifyWhenInStock must be true or false' });
+        } else {
+            value.notifyWhenInStock = input.notifyWhenInStock;
+        }
+    }
+
+    return { value, errors };
+}
+
+// Add an entry or update the stored one (same product and variant). Returns the new items
+// and the entry as stored; throws 400 when the wishlist is full.
+function upsertWishlistItem(items, entry) {
+    const id = lineId(entry.productId, entry.variantId);
+    const existing = items.find(item => item.id === id);
+
+    const item = {
+        id,
+        productId: entry.productId,
+        variantId: entry.variantId || null,
+        list: entry.list || (existing ? existing.list : 'wishlist'),
+        quantity: entry.quantity || (existing ? existing.quantity : 1),
+        notifyWhenInStock: entry.notifyWhenInStock !== undefined
+            ? entry.notifyWhenInStock
+            : (existing ? existing.notifyWhenInStock : false),
+        notifiedAt: existing ? existing.notifiedAt || null : null,
+        addedAt: existing ? existing.addedAt : new Date()
+    };
+    // Turning an alert back on arms it again
+    if (entry.notifyWhenInStock) item.notifiedAt = null;
+
+    if (!existing && items.length >= WISHLIST_MAX_ITEMS) {
+        const error = new Error(`A wishlist can hold at most ${WISHLIST_MAX_ITEMS} items`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return {
+        items: existing ? items.map(stored => (stored.id === id ? item : stored)) : [...items, item],
+        item
+    };
+}
+
+// Stock and price of the product (or its variant) an entry points at; null when it is gone
+function wishlistItemProduct(item, product) {
+    if (!product || product.isActive === false) return null;
+    const variant = item.variantId ? (product.variants || []).find(entry => entry.variantId === item.variantId) : null;
+    if (item.variantId && (!variant || variant.isActive === false)) return null;
+
+    const stockSource = variant || product;
+    return {
+        name: variant ? `${product.name} (${variant.label})` : product.name,
+        price: parseFloat(String(variant ? variant.price : product.price)) || 0,
+        image: product.image || null,
+        availableStock: Math.max(0, (stockSource.stockQuantity || 0) - (stockSource.reservedQuantity || 0)),
+        hasVariants: Array.isArray(product.variants) && product.variants.length > 0
+    };
+}
+
+// Entries with product details for the API (Map of product id string -> product).
+// Entries whose product was archived or deleted are listed with available: false.
+function describeWishlistItems(items, productsById) {
+    return items.map(item => {
+        const details = wishlistItemProduct(item, productsById.get(String(item.productId)));
+        return {
+            id: item.id,
+            productId: String(item.productId),
+            variantId: item.variantId || null,
+            list: item.list,
+            quantity: item.quantity,
+            notifyWhenInStock: !!item.notifyWhenInStock,
+            addedAt: item.addedAt,
+            available: !!details,
+            ...(details || { name: 'Product no longer available', price: 0, image: null, availableStock: 0, hasVariants: false })
+        };
+    });
+}
+
+module.exports = {
+    WISHLIST_LISTS,
+    validateWishlistEntry,
+    upsertWishlistItem,
+    wishlistItemProduct,
+    describeWishlistItems
+};
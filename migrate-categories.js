@@ -0,0 +1,112 @@
+// One-off migration: point every product at a Categories document (lib/categories.js).
+// Seeds the default taxonomy if the collection is empty, then sets `categoryId` and the
+// canonical `category` slug on products that don't have one yet. Free-text categories
+// from before the taxonomy are matched by slug/alias first, then by the keyword rules
+// the shop used to apply at request time. Promotions and shipping surcharges saved
+// with category slugs are switched to category ids. Safe to run more than once.
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { insertDefaultCategories, buildCategoryIndex, findCategory } = require('./lib/categories');
+
+const databaseName = process.env.DATABASE_NAME || 'MyProductsDb';
+
+// The old regex buckets, kept only to classify legacy values during this migration
+const LEGACY_KEYWORD_BUCKETS = [
+    ['paints', ['paint', 'painting']],
+    ['tools-accessories', ['power-tools', 'powertools', 'hand-tools', 'handtools', 'tool', 'tools', 'accessor']],
+    ['building-materials-aggregates', ['building-materials', 'aggregate', 'cement', 'sand', 'gravel', 'hollow', 'plywood', 'wood', 'lumber', 'tile', 'roof']],
+    ['electrical-supplies', ['electrical', 'wire', 'breaker', 'outlet', 'switch']],
+    ['plumbing-fixtures', ['plumbing', 'fixture', 'pipe', 'fitting', 'faucet', 'valve']],
+    ['fasteners-consumables', ['fastener', 'screw', 'nail', 'bolt', 'nut', 'consumable', 'adhesive', 'sealant', 'tape']]
+];
+
+function legacyBucket(rawCategory) {
+    const value = String(rawCategory || '').toLowerCase();
+    const match = LEGACY_KEYWORD_BUCKETS.find(([, keywords]) => keywords.some(keyword => value.includes(keyword)));
+    return match ? match[0] : 'other';
+}
+
+async function migrateCategories() {
+    if (!process.env.MONGODB_URI) {
+        console.error('❌ Missing required environment variable: MONGODB_URI');
+        process.exit(1);
+    }
+
+    const client = new MongoClient(process.env.MONGODB_URI);
+
+    try {
+        await client.connect();
+        const database = client.db(databaseName);
+        const productsCollection = database.collection('Products');
+
+        if (await insertDefaultCategories(database.collection('Categories'))) {
+            console.log('🗂️ Seeded default categories');
+        }
+        const categoryIndex = buildCategoryIndex(await database.collection('Categories').find({}).toArray());
+        const fallback = findCategory(categoryIndex, 'other') || categoryIndex.categories[0];
+
+        let updated = 0;
+        const unmatched = new Map();
+        const cursor = productsCollection.find({ categoryId: { $exists: false } });
+        for await (const product of cursor) {
+            const category = findCategory(categoryIndex, product.category)
+                || findCategory(categoryIndex, legacyBucket(product.category))
+                || fallback;
+            if (category === fallback && product.category !== fallback.slug) {
+                unmatched.set(product.category, (unmatched.get(product.category) || 0) + 1);
+            }
+
+            await productsCollection.updateOne(
+                { _id: product._id },
+                { $set: { categoryId: category._id, category: category.slug, updatedAt: new Date() } }
+            );
+            updated++;
+        }
+
+        console.log(`✅ Assigned categories to ${updated} products`);
+        unmatched.forEach((count, value) => {
+            console.warn(`⚠️ ${count} product(s) with category "${value}" were filed under "${fallback.slug}"`);
+        });
+
+        // Promotions from before categories were referenced by id
+        let promotionsUpdated = 0;
+        const promotions = await database.collection('Promotions').find({ 'categories.0': { $exists: true } }).toArray();
+        for (const promotion of promotions) {
+            const categoryIds = promotion.categories.map(key => {
+                const category = findCategory(categoryIndex, key);
+                if (!category) console.warn(`⚠️ Promotion ${promotion.code}: unknown category "${key}" kept as is`);
+                return category ? String(category._id) : key;
+            });
+            if (categoryIds.some((categoryId, index) => categoryId !== promotion.categories[index])) {
+                await database.collection('Promotions').updateOne({ _id: promotion._id }, { $set: { categories: categoryIds } });
+                promotionsUpdated++;
+            }
+        }
+        console.log(`✅ Pointed ${promotionsUpdated} promotions at category ids`);
+
+        // Shipping bulk surcharges saved with a category slug
+        let zonesUpdated = 0;
+        const zones = await database.collection('ShippingZones').find({ 'bulkSurcharges.category': { $exists: true } }).toArray();
+        for (const zone of zones) {
+            const bulkSurcharges = zone.bulkSurcharges.map(surcharge => {
+                if (surcharge.categoryId || !surcharge.category) return surcharge;
+                const category = findCategory(categoryIndex, surcharge.category);
+                if (!category) {
+                    console.warn(`⚠️ Shipping zone ${zone.name}: unknown category "${surcharge.category}" kept as is`);
+                    return surcharge;
+                }
+                return { categoryId: String(category._id), perUnit: surcharge.perUnit };
+            });
+            await database.collection('ShippingZones').updateOne({ _id: zone._id }, { $set: { bulkSurcharges } });
+            zonesUpdated++;
+        }
+        console.log(`✅ Pointed ${zonesUpdated} shipping zones at category ids`);
+    } catch (error) {
+        console.error('❌ Category migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+migrateCategories();
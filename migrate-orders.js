@@ -0,0 +1,177 @@
+// One-off migration: merge the per-status order collections into the unified
+// Orders collection. Safe to run more than once; orders already in Orders are skipped.
+require('dotenv').config();
+const { MongoClient, ObjectId } = require('mongodb');
+const { ORDER_STATUSES, normalizeOrderStatus } = require('./lib/order-status');
+
+const databaseName = process.env.DATABASE_NAME || 'MyProductsDb';
+
+// Legacy collections and the status an order in each one is in
+const LEGACY_COLLECTIONS = [
+    { name: 'PendingOrders', status: 'pending' },
+    { name: 'AcceptedOrders', status: 'approved' },
+    { name: 'DeliveredOrders', status: 'delivered' },
+    { name: 'DeniedOrders', status: 'denied' },
+    { name: 'ReturnedOrders', status: 'returned' },
+    { name: 'CancelledOrders', status: 'cancelled' }
+];
+
+// Higher rank wins when the same order was copied into several collections
+function statusRank(status) {
+    if (['returned', 'denied', 'cancelled'].includes(status)) return ORDER_STATUSES.length;
+    return ORDER_STATUSES.indexOf(status);
+}
+
+function toOrderDocument(legacyOrder, collectionName, fallbackStatus) {
+    // Accepted orders may carry a more specific status such as out_for_delivery
+    const stored = normalizeOrderStatus(legacyOrder.status);
+    const status = fallbackStatus === 'approved' && stored === 'out_for_delivery'
+        ? stored
+        : fallbackStatus;
+
+    return {
+        ...legacyOrder,
+        status,
+        displayStatus: status,
+        legacyCollection: collectionName,
+        updatedAt: legacyOrder.updatedAt || new Date()
+    };
+}
+
+async function migrateOrders() {
+    if (!process.env.MONGODB_URI) {
+        console.error('❌ Missing required environment variable: MONGODB_URI');
+        process.exit(1);
+    }
+
+    const client = new MongoClient(process.env.MONGODB_URI);
+
+    try {
+        await client.connect();
+        const database = client.db(databaseName);
+        const ordersCollection = database.collection('Orders');
+        console.log(`🔄 Migrating orders into ${databaseName}.Orders...`);
+
+        // Group every legacy copy by order number so duplicates collapse into one order
+        const candidates = new Map();
+        for (const { name, status } of LEGACY_COLLECTIONS) {
+            // ReturnedOrders also holds processed return requests; those stay as the archive
+            const filter = name === 'ReturnedOrders' ? { requestId: { $exists: false } } : {};
+            const legacyOrders = await database.collection(name).find(filter).toArray();
+            console.log(`📦 ${name}: ${legacyOrders.length} orders`);
+
+            for (const legacyOrder of legacyOrders) {
+                const order = toOrderDocument(legacyOrder, name, status);
+                const key = order.orderNumber || order._id.toString();
+                const existing = candidates.get(key);
+
+                if (!existing) {
+                    candidates.set(key, { order, legacyIds: [] });
+                } else if (statusRank(order.status) > statusRank(existing.order.status)) {
+                    existing.legacyIds.push(existing.order._id);
+                    existing.order = order;
+                } else {
+                    existing.legacyIds.push(order._id);
+                }
+            }
+        }
+
+        // Orders whose cancellation request deleted them from every legacy collection
+        const cancellationRequests = await database.collection('CancellationRequests').find({}).toArray();
+        for (const request of cancellationRequests) {
+            if (!request.originalOrderId || !request.orderNumber) continue;
+            if (candidates.has(request.orderNumber)) {
+                const candidate = candidates.get(request.orderNumber);
+                if (request.status === 'pending_review' && !candidate.order.cancellationRequest) {
+                    candidate.order.cancellationRequest = {
+                        requestId: request._id.toString(),
+                        status: 'pending_review',
+                        reason: request.reason,
+                        additionalComments: request.additionalComments,
+                        submittedAt: request.submittedAt
+                    };
+                }
+                continue;
+            }
+
+            const originalStatus = normalizeOrderStatus(request.originalOrderStatus) || 'pending';
+            const status = request.status === 'approved' ? 'cancelled' : originalStatus;
+            const order = {
+                _id: ObjectId.isValid(request.originalOrderId) ? new ObjectId(request.originalOrderId) : new ObjectId(),
+                orderNumber: request.orderNumber,
+                userId: request.userId,
+                fullName: request.customerName,
+                email: request.customerEmail,
+                phoneNumber: request.customerPhone,
+                itemsordered: request.itemsordered || [],
+                payment: request.payment,
+                paymentMethod: request.paymentMethod,
+                paymentType: request.paymentType,
+                proofOfPayment: request.proofOfPayment,
+                total: request.originalOrderTotal,
+                orderDate: request.originalOrderDate,
+                createdAt: request.originalOrderDate || request.submittedAt,
+                status,
+                displayStatus: status,
+                legacyCollection: request.sourceCollection || 'CancellationRequests',
+                updatedAt: new Date()
+            };
+
+            if (request.status === 'pending_review') {
+                order.cancellationRequest = {
+                    requestId: request._id.toString(),
+                    status: 'pending_review',
+                    reason: request.reason,
+                    additionalComments: request.additionalComments,
+                    submittedAt: request.submittedAt
+                };
+            } else if (request.status === 'approved') {
+                order.cancellationReason = request.reason;
+                order.cancelledAt = request.processedAt;
+                order.cancellationRequestId = request._id.toString();
+            }
+
+            candidates.set(request.orderNumber, { order, legacyIds: [] });
+        }
+
+        let inserted = 0;
+        let skipped = 0;
+        for (const { order, legacyIds } of candidates.values()) {
+            const alreadyMigrated = await ordersCollection.findOne({
+                $or: [{ _id: order._id }, ...(order.orderNumber ? [{ orderNumber: order.orderNumber }] : [])]
+            }, { projection: { _id: 1 } });
+
+            if (alreadyMigrated) {
+                skipped++;
+                continue;
+            }
+
+            if (legacyIds.length > 0) {
+                order.legacyIds = legacyIds;
+            }
+
+            await ordersCollection.insertOne(order);
+            inserted++;
+        }
+
+        console.log(`✅ Migrated ${inserted} orders (${skipped} already in Orders)`);
+
+        // Earlier runs stored legacy ids as strings, which findOrderById never matches
+        const stringLegacyIds = await ordersCollection.find({ legacyIds: { $type: 'string' } }, { projection: { legacyIds: 1 } }).toArray();
+        for (const order of stringLegacyIds) {
+            const legacyIds = order.legacyIds.map(id => typeof id === 'string' && ObjectId.isValid(id) ? new ObjectId(id) : id);
+            await ordersCollection.updateOne({ _id: order._id }, { $set: { legacyIds } });
+        }
+        if (stringLegacyIds.length > 0) {
+            console.log(`✅ Converted legacy ids on ${stringLegacyIds.length} orders`);
+        }
+        console.log('ℹ️ Legacy collections were left untouched; drop them once the new flow is verified.');
+    } catch (error) {
+        console.error('❌ Order migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+migrateOrders();
@@ -0,0 +1,60 @@
+// One-off migration: bring every Products document onto the canonical schema in
+// lib/product-schema.js (single `price`, sku, unit, category slug, brand, attributes, images, reorder point).
+// Safe to run more than once; documents that already conform are left alone.
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { buildProductNormalization } = require('./lib/product-schema');
+
+const databaseName = process.env.DATABASE_NAME || 'MyProductsDb';
+
+async function migrateProducts() {
+    if (!process.env.MONGODB_URI) {
+        console.error('❌ Missing required environment variable: MONGODB_URI');
+        process.exit(1);
+    }
+
+    const client = new MongoClient(process.env.MONGODB_URI);
+
+    try {
+        await client.connect();
+        const database = client.db(databaseName);
+        const productsCollection = database.collection('Products');
+        console.log(`🔄 Normalizing ${databaseName}.Products...`);
+
+        await productsCollection.createIndex(
+            { sku: 1 },
+            { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+        );
+
+        let updated = 0;
+        let unchanged = 0;
+        const cursor = productsCollection.find({});
+        for await (const product of cursor) {
+            const update = buildProductNormalization(product);
+            if (!update) {
+                unchanged++;
+                continue;
+            }
+
+            try {
+                await productsCollection.updateOne({ _id: product._id }, update);
+            } catch (error) {
+                // A derived or cleaned-up SKU clashed with another product; fall back to the full id
+                if (error.code !== 11000 || !update.$set.sku) throw error;
+                update.$set.sku = `P-${product._id.toString().toUpperCase()}`;
+                console.warn(`⚠️ SKU clash for ${product.name}; using ${update.$set.sku}`);
+                await productsCollection.updateOne({ _id: product._id }, update);
+            }
+            updated++;
+        }
+
+        console.log(`✅ Normalized ${updated} products (${unchanged} already canonical)`);
+    } catch (error) {
+        console.error('❌ Product migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await client.close();
+    }
+}
+
+migrateProducts();
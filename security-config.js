@@ -1,6 +1,7 @@
 // Security configuration for production environment
 
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 // Generate strong JWT secret
 function generateJWTSecret() {
@@ -15,9 +16,14 @@ const securityConfig = {
         expiresIn: process.env.JWT_EXPIRES_IN || '7d',
         issuer: 'sanrico-mercantile',
         audience: 'sanrico-users',
-        algorithm: 'HS256'
+        algorithm: 'HS256',
+        staffAudience: 'sanrico-staff',
+        staffExpiresIn: process.env.STAFF_JWT_EXPIRES_IN || '12h'
     },
     
+    // Staff roles, ordered from least to most privileged
+    staffRoles: ['cashier', 'manager', 'admin'],
+    
     // Password hashing
     bcrypt: {
         rounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
@@ -48,7 +54,7 @@ const securityConfig = {
         origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://127.0.0.1:5500', 'http://localhost:5500', 'http://127.0.0.1:3000', 'http://localhost:3000'], // Allow specific origins
         credentials: true,
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Last-Event-ID']
     },
     
     // Session configuration
@@ -86,6 +92,23 @@ const securityConfig = {
     }
 };
 
+// Optional async check that a verified customer token is still current, registered by the
+// server (see setUserSessionCheck). Tokens are signed with the account's sessionVersion, so a
+// password reset that bumps it ends every existing session.
+let userSessionCheck = null;
+
+function isUserSessionCurrent(payload) {
+    return userSessionCheck ? Promise.resolve(userSessionCheck(payload)) : Promise.resolve(true);
+}
+
+function sendSessionCheckError(res, error) {
+    console.error('❌ Error checking customer session:', error);
+    return res.status(500).json({
+        success: false,
+        message: 'Could not verify your session. Please try again.'
+    });
+}
+
 // Security middleware functions
 const securityMiddleware = {
     // Set security headers
@@ -135,6 +158,10 @@ const securityMiddleware = {
     sanitizeInput: (req, res, next) => {
         const sanitizeObject = (obj) => {
             if (typeof obj !== 'object' || obj === null) return obj;
+            // Keep repeated query params (?brand=a&brand=b) as arrays
+            if (Array.isArray(obj)) {
+                return Object.values(sanitizeObject({ ...obj }));
+            }
             
             const sanitized = {};
             for (const [key, value] of Object.entries(obj)) {
@@ -174,6 +201,184 @@ const securityMiddleware = {
         next();
     },
     
+    // Verify the staff bearer token issued by /api/staff/login
+    authenticateStaff: (req, res, next) => {
+        const authHeader = req.headers.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+        
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Staff authentication required'
+            });
+        }
+        
+        try {
+            const payload = jwt.verify(token, securityConfig.jwt.secret, {
+                algorithms: [securityConfig.jwt.algorithm],
+                issuer: securityConfig.jwt.issuer,
+                audience: securityConfig.jwt.staffAudience
+            });
+            
+            req.staff = {
+                id: payload.sub,
+                username: payload.username,
+                role: payload.role
+            };
+            next();
+        } catch (error) {
+            securityMiddleware.logSecurityEvent('INVALID_STAFF_TOKEN', {
+                ip: req.ip,
+                path: req.originalUrl,
+                reason: error.message
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired staff session'
+            });
+        }
+    },
+    
+    // Verify the customer bearer token issued by /api/auth/login
+    authenticateUser: (req, res, next) => {
+        const authHeader = req.headers.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+        
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please log in to continue'
+            });
+        }
+        
+        let payload;
+        try {
+            payload = jwt.verify(token, securityConfig.jwt.secret, {
+                algorithms: [securityConfig.jwt.algorithm],
+                issuer: securityConfig.jwt.issuer,
+                audience: securityConfig.jwt.audience
+            });
+        } catch (error) {
+            securityMiddleware.logSecurityEvent('INVALID_USER_TOKEN', {
+                ip: req.ip,
+                path: req.originalUrl,
+                reason: error.message
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Your session has expired. Please log in again.'
+            });
+        }
+        
+        isUserSessionCurrent(payload).then(current => {
+            if (!current) {
+                securityMiddleware.logSecurityEvent('REVOKED_USER_TOKEN', {
+                    ip: req.ip,
+                    path: req.originalUrl,
+                    userId: String(payload.userId)
+                });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your session has expired. Please log in again.'
+                });
+            }
+            req.user = {
+                id: String(payload.userId),
+                email: payload.email
+            };
+            next();
+        }, error => sendSessionCheckError(res, error));
+    },
+    
+    // Attach req.staff when a valid staff token is present, without requiring one
+    identifyStaff: (req, res, next) => {
+        const authHeader = req.headers.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+        
+        if (token) {
+            try {
+                const payload = jwt.verify(token, securityConfig.jwt.secret, {
+                    algorithms: [securityConfig.jwt.algorithm],
+                    issuer: securityConfig.jwt.issuer,
+                    audience: securityConfig.jwt.staffAudience
+                });
+                req.staff = {
+                    id: payload.sub,
+                    username: payload.username,
+                    role: payload.role
+                };
+            } catch (error) {
+                // Treat an invalid token like an anonymous request
+            }
+        }
+        next();
+    },
+    
+    // Attach req.user when a valid customer token is present, without requiring one
+    identifyUser: (req, res, next) => {
+        const authHeader = req.headers.authorization || '';
+        const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+        
+        let payload = null;
+        if (token) {
+            try {
+                payload = jwt.verify(token, securityConfig.jwt.secret, {
+                    algorithms: [securityConfig.jwt.algorithm],
+                    issuer: securityConfig.jwt.issuer,
+                    audience: securityConfig.jwt.audience
+                });
+            } catch (error) {
+                // Treat an invalid token like an anonymous request
+            }
+        }
+        if (!payload) return next();
+        
+        isUserSessionCurrent(payload).then(current => {
+            // A revoked token is treated like an anonymous request too
+            if (current) {
+                req.user = {
+                    id: String(payload.userId),
+                    email: payload.email
+                };
+            }
+            next();
+        }, error => sendSessionCheckError(res, error));
+    },
+    
+    // Register check(payload) -> boolean | Promise<boolean>, asked whether a verified
+    // customer token still belongs to a live session
+    setUserSessionCheck: (check) => {
+        userSessionCheck = check;
+    },
+    
+    // Require a staff token whose role is at least minimumRole
+    requireStaffRole: (minimumRole) => {
+        const requiredLevel = securityConfig.staffRoles.indexOf(minimumRole);
+        if (requiredLevel === -1) {
+            throw new Error(`Unknown staff role: ${minimumRole}`);
+        }
+        
+        return [
+            securityMiddleware.authenticateStaff,
+            (req, res, next) => {
+                const staffLevel = securityConfig.staffRoles.indexOf(req.staff.role);
+                if (staffLevel < requiredLevel) {
+                    securityMiddleware.logSecurityEvent('STAFF_ROLE_DENIED', {
+                        staff: req.staff.username,
+                        role: req.staff.role,
+                        requiredRole: minimumRole,
+                        path: req.originalUrl
+                    });
+                    return res.status(403).json({
+                        success: false,
+                        message: `This action requires the ${minimumRole} role`
+                    });
+                }
+                next();
+            }
+        ];
+    },
+    
     // Log security events
     logSecurityEvent: (event, details) => {
         if (securityConfig.logging.logSecurityEvents) {
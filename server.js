@@ -2,14 +2,128 @@ const express = require('express');
 const { MongoClient, ObjectId } = require('mongodb');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const nodemailer = require('nodemailer');
+const multer = require('multer');
 const { securityConfig, securityMiddleware } = require('./security-config');
+const { requireStaffRole, identifyStaff, identifyUser, authenticateUser } = securityMiddleware;
+const {
+    ORDER_STATUS_TRANSITIONS,
+    normalizeOrderStatus,
+    isValidStatusTransition,
+    getLegacyCollection
+} = require('./lib/order-status');
+const { validateProduct, mergeVariants, summarizeVariants } = require('./lib/product-schema');
+const {
+    PRODUCT_CSV_COLUMNS,
+    parseCsv,
+    toCsv,
+    csvRowsToProductInputs,
+    productToCsvRecord
+} = require('./lib/product-csv');
+const { expandSearchQuery, scoreProductMatch, searchTokens } = require('./lib/product-search');
+const { escapeRegex, unescapeQueryValue } = require('./lib/helpers');
+const {
+    parseFacetQuery,
+    buildFacetFilter,
+    buildFacetCountPipeline,
+    formatFacetCounts,
+    facetCacheKey
+} = require('./lib/product-facets');
+const {
+    insertDefaultCategories,
+    validateCategory,
+    buildCategoryIndex,
+    findCategory,
+    descendantCategories,
+    ancestorCategories,
+    rootCategory,
+    wouldCreateCycle,
+    toCategoryTree
+} = require('./lib/categories');
+const {
+    validateCartItems,
+    validateCartNotes,
+    mergeCartItems,
+    revalidateCartItems,
+    toStoredCartItems,
+    summarizeCart,
+    toPrice,
+    defaultUnitPrice
+} = require('./lib/cart');
+const {
+    WISHLIST_LISTS,
+    validateWishlistEntry,
+    upsertWishlistItem,
+    wishlistItemProduct,
+    describeWishlistItems
+} = require('./lib/wishlist');
+const {
+    validateShippingZone,
+    insertDefaultShippingZones,
+    findShippingZone,
+    quoteShipping
+} = require('./lib/shipping');
+const {
+    ORDER_TOTAL_TOLERANCE,
+    priceOrderLines,
+    findPriceChanges,
+    summarizeOrderTotals,
+    isWithinTolerance
+} = require('./lib/pricing');
+const {
+    PROMOTION_FIELDS,
+    normalizePromoCode,
+    validatePromotion,
+    evaluatePromotion,
+    describePromotion
+} = require('./lib/promotions');
+const {
+    CUSTOMER_GROUPS,
+    DEFAULT_CUSTOMER_GROUP,
+    normalizeCustomerGroup,
+    validatePriceBreaks,
+    priceListKey,
+    tierUnitPrice,
+    applyPriceList
+} = require('./lib/price-lists');
+const { orderEventNotification, parseNotificationQuery } = require('./lib/notifications');
+const {
+    HEARTBEAT_INTERVAL_MS,
+    formatServerSentEvent,
+    lowStockCrossings,
+    createStaffEventHub
+} = require('./lib/staff-events');
+const { EMAIL_TEMPLATES, isEmailTemplate, renderEmail, orderEventEmail, previewEmail } = require('./lib/email');
+const {
+    OUTBOX_STATUSES,
+    SEND_LOCK_MS,
+    buildOutboxMessage,
+    clearedBodyFields,
+    describeSendError,
+    failedAttemptUpdate,
+    parseOutboxQuery,
+    toStaffOutboxMessage
+} = require('./lib/email-outbox');
+const {
+    PASSWORD_RESET_TYPE,
+    RESET_TOKEN_TTL_MS,
+    RESET_REQUEST_WINDOW_MS,
+    passwordPolicyError,
+    hashResetToken,
+    isResetTokenFormat,
+    buildResetRequest,
+    resetRetryAfterSeconds,
+    resetPasswordUrl
+} = require('./lib/password-reset');
 
 require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 5500;
+// Where the storefront pages are served, for links in customer emails
+const STORE_URL = process.env.STORE_URL || 'http://localhost:5500';
 
 if (!process.env.MONGODB_URI) {
     console.error("❌ Missing required environment variable: MONGODB_URI");
@@ -63,566 +177,3607 @@ async function connectToMongo() {
         // Test access to our database
         const database = client.db(databaseName);
         
-        // Test all three order collections
-        const pendingCollection = database.collection("PendingOrders");
-        const acceptedCollection = database.collection("AcceptedOrders");
-        const deliveredCollection = database.collection("DeliveredOrders");
+        // Indexes for the unified Orders collection
+        const ordersCollection = database.collection("Orders");
+        await ordersCollection.createIndex({ status: 1, createdAt: -1 });
+        // Order numbers are assigned by the server and must be unique. The index used to be a
+        // plain one, so that one is replaced; duplicates from before stop it being created.
+        const orderNumberIndex = (await ordersCollection.indexes()).find(index => index.name === 'orderNumber_1');
+        if (orderNumberIndex && !orderNumberIndex.unique) {
+            await ordersCollection.dropIndex('orderNumber_1');
+        }
+        try {
+            await ordersCollection.createIndex(
+                { orderNumber: 1 },
+                { unique: true, partialFilterExpression: { orderNumber: { $type: 'string' } } }
+            );
+        } catch (error) {
+            console.error("❌ Could not make order numbers unique (duplicate order numbers?):", error.message);
+            await ordersCollection.createIndex({ orderNumber: 1 });
+        }
+        await ordersCollection.createIndex({ userId: 1 });
+        await ordersCollection.createIndex({ email: 1 });
+        await ordersCollection.createIndex({ legacyIds: 1 }, { sparse: true });
+        await database.collection("OrderEvents").createIndex({ orderId: 1, createdAt: 1 });
+        
+        const reservationsCollection = database.collection("StockReservations");
+        await reservationsCollection.createIndex({ reservationId: 1 }, { unique: true });
+        await reservationsCollection.createIndex({ status: 1, expiresAt: 1 });
+        await reservationsCollection.createIndex({ userId: 1, status: 1 });
+        await database.collection("StockMovements").createIndex({ productId: 1, createdAt: -1 });
+        await database.collection("Products").createIndex(
+            { sku: 1 },
+            { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+        );
+        await database.collection("Products").createIndex(
+            { 'variants.sku': 1 },
+            { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } }
+        );
+        await database.collection("Products").createIndex(
+            { name: 'text', sku: 'text', 'variants.sku': 'text', 'variants.label': 'text', category: 'text', description: 'text' },
+            {
+                name: 'ProductSearchText',
+                weights: { name: 10, sku: 8, 'variants.sku': 6, 'variants.label': 4, category: 2, description: 1 }
+            }
+        );
+        await database.collection("PurchaseOrders").createIndex({ status: 1, createdAt: -1 });
+        await database.collection("PurchaseOrders").createIndex({ poNumber: 1 }, { unique: true });
+        await database.collection("Products").createIndex({ categoryId: 1 });
+        await database.collection("Categories").createIndex({ slug: 1 }, { unique: true });
+        await database.collection("Categories").createIndex({ aliases: 1 });
+        await database.collection("Categories").createIndex({ parentId: 1, displayOrder: 1 });
+        await seedDefaultCategories(database);
+        await database.collection("Carts").createIndex({ userId: 1 }, { unique: true });
+        await database.collection("Wishlists").createIndex({ userId: 1 }, { unique: true });
+        await database.collection("Wishlists").createIndex({ 'items.notifyWhenInStock': 1 });
+        await database.collection("Promotions").createIndex({ code: 1 }, { unique: true });
+        await database.collection("PriceLists").createIndex({ group: 1, productId: 1, variantId: 1 }, { unique: true });
+        await database.collection("PromotionRedemptions").createIndex({ promotionId: 1, userId: 1 });
+        await database.collection("PromotionRedemptions").createIndex(
+            { promotionId: 1, userId: 1, n: 1 },
+            { unique: true, partialFilterExpression: { n: { $type: 'number' } } }
+        );
+        await database.collection("UserNotifications").createIndex({ userId: 1, createdAt: -1 });
+        await database.collection("EmailOutbox").createIndex({ status: 1, nextAttemptAt: 1 });
+        await database.collection("EmailOutbox").createIndex({ createdAt: -1 });
+        // Sensitive messages finished before their bodies were cleared on send
+        await database.collection("EmailOutbox").updateMany(
+            { sensitive: true, status: { $in: ['sent', 'dead'] }, bodyClearedAt: null },
+            { $set: { html: null, text: null, bodyClearedAt: new Date() } }
+        );
+        await database.collection("EmailSendLog").createIndex({ outboxId: 1, createdAt: 1 });
+        await database.collection("AuthCodes").createIndex({ type: 1, email: 1, createdAt: -1 });
+        await database.collection("AuthCodes").createIndex({ tokenHash: 1 }, { sparse: true });
+        // Only password reset records carry purgeAt; verification codes are left alone
+        await database.collection("AuthCodes").createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+        const categoryIndex = await getCategoryIndex(database);
+        const categoryIdFor = (slug) => {
+            const category = findCategory(categoryIndex, slug);
+            return category ? String(category._id) : null;
+        };
+        if (await insertDefaultShippingZones(database.collection("ShippingZones"), categoryIdFor)) {
+            console.log('🚚 Seeded default shipping zones');
+        }
+        
+    } catch (error) {
+        console.error("❌ Error connecting to MongoDB:", error);
+        console.error("❌ Error details:", error.message);
+    }
+    
+    // Background work starts even when the setup above failed (e.g. an index conflicting with
+    // an existing one); each worker logs its own errors and retries on its next run.
+    
+    // Give back stock held by checkouts that were abandoned
+    setInterval(sweepExpiredReservations, RESERVATION_SWEEP_INTERVAL_MS);
+    // Email customers whose wishlisted items are back in stock
+    setInterval(sweepBackInStockAlerts, BACK_IN_STOCK_SWEEP_INTERVAL_MS);
+    // Send queued email and retry what failed
+    setInterval(processEmailOutbox, EMAIL_OUTBOX_INTERVAL_MS);
+    processEmailOutbox();
+}
+
+// Find an order in the unified Orders collection by its _id or a pre-migration _id
+async function findOrderById(database, orderId) {
+    let objectId;
+    try {
+        objectId = new ObjectId(orderId);
+    } catch (error) {
+        return null;
+    }
+    
+    return database.collection("Orders").findOne({
+        $or: [{ _id: objectId }, { legacyIds: objectId }]
+    });
+}
+
+// Describe who performed an order action, for the order event log
+function staffActor(req) {
+    return { type: 'staff', id: req.staff.id, name: req.staff.username, role: req.staff.role };
+}
+
+function customerActor(order) {
+    return { type: 'customer', id: order.userId || null, name: order.fullName || order.buyerinfo || order.email || 'Customer' };
+}
+
+// Append an entry to the order's event log. Events are only ever inserted, never updated.
+// Events the customer should hear about also create a notification (lib/notifications.js).
+async function recordOrderEvent(database, order, { type, actor, fromStatus, toStatus, notes }) {
+    const status = order.status || null;
+    const event = {
+        orderId: order._id,
+        orderNumber: order.orderNumber || null,
+        type,
+        actor: actor || { type: 'system', id: null, name: 'System' },
+        fromStatus: fromStatus === undefined ? status : fromStatus,
+        toStatus: toStatus === undefined ? status : toStatus,
+        notes: notes || '',
+        createdAt: new Date()
+    };
+    try {
+        await database.collection("OrderEvents").insertOne(event);
+    } catch (error) {
+        // The action itself already succeeded; a missing log entry should not fail the request
+        console.error("❌ Error recording order event:", error);
+    }
+    
+    const notification = orderEventNotification(order, event);
+    if (notification) {
+        await notifyCustomer(database, order.userId, notification);
+    }
+    
+    const email = orderEventEmail(order, event, { storeUrl: STORE_URL });
+    if (email) {
+        try {
+            await enqueueEmail(database, email.to, email.template, email.data);
+        } catch (error) {
+            console.error(`❌ Error queueing ${email.template} email for order ${event.orderNumber}:`, error);
+        }
+    }
+}
+
+// Add a notification to a customer's inbox. Orders without a customer account (walk-ins,
+// guest migrations) are skipped; a failure is logged and never fails the request.
+async function notifyCustomer(database, userId, notification) {
+    if (!userId || !ObjectId.isValid(String(userId))) return;
+    try {
+        await database.collection("UserNotifications").insertOne({
+            userId: String(userId),
+            ...notification,
+            read: false,
+            readAt: null,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        console.error("❌ Error creating customer notification:", error);
+    }
+}
+
+// Live events for the staff dashboard (lib/staff-events.js, GET /api/staff/events)
+const staffEvents = createStaffEventHub();
+
+// Publishing never fails the request that triggered it
+function publishStaffEvent(type, data) {
+    try {
+        staffEvents.publish(type, data);
+    } catch (error) {
+        console.error("❌ Error publishing staff event:", error);
+    }
+}
+
+// Orders are sent as the dashboard lists them: without the proof of payment image
+function staffOrderSummary(order) {
+    const { proofOfPayment, ...summary } = order;
+    return { ...summary, hasProofOfPayment: !!proofOfPayment };
+}
+
+// lines come from deductStock; { orderNumber, reason } says which sale took them low
+function publishLowStock(lines, { orderNumber, reason }) {
+    for (const line of lines) {
+        publishStaffEvent('low_stock', { ...line, orderNumber: orderNumber || null, reason });
+    }
+}
+
+// Run work(session) inside a MongoDB transaction (requires a replica set)
+async function runTransaction(work) {
+    const session = client.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+}
+
+// Stock that can still be sold: stockQuantity minus what active reservations hold.
+// With a variantId the variant's own counters are checked instead of the product totals.
+function availableStockAtLeast(quantity, variantId) {
+    if (!variantId) {
+        return { $gte: [{ $subtract: ['$stockQuantity', { $ifNull: ['$reservedQuantity', 0] }] }, quantity] };
+    }
+    return {
+        $gte: [{
+            $let: {
+                vars: {
+                    variant: {
+                        $arrayElemAt: [{
+                            $filter: { input: { $ifNull: ['$variants', []] }, cond: { $eq: ['$$this.variantId', variantId] } }
+                        }, 0]
+                    }
+                },
+                in: { $subtract: [{ $ifNull: ['$$variant.stockQuantity', 0] }, { $ifNull: ['$$variant.reservedQuantity', 0] }] }
+            }
+        }, quantity]
+    };
+}
+
+// Works for a product or a single variant; both carry stockQuantity/reservedQuantity
+function getAvailableStock(product) {
+    return Math.max(0, (product.stockQuantity || 0) - (product.reservedQuantity || 0));
+}
+
+function findVariant(product, variantId) {
+    return variantId ? (product.variants || []).find(variant => variant.variantId === variantId) || null : null;
+}
+
+// Filter, update and options that move one stock line's counter (stockQuantity or
+// reservedQuantity) by delta. Variant lines move the variant and the product total
+// together so the total stays the sum of its variants; lines without a variant only
+// match products that have no variants.
+function stockLineUpdate(item, field, delta) {
+    if (!item.variantId) {
+        return {
+            filter: { _id: item.objectId, 'variants.0': { $exists: false } },
+            update: { $inc: { [field]: delta } },
+            options: {}
+        };
+    }
+    return {
+        filter: { _id: item.objectId, 'variants.variantId': item.variantId },
+        update: { $inc: { [field]: delta, [`variants.$[line].${field}`]: delta } },
+        options: { arrayFilters: [{ 'line.variantId': item.variantId }] }
+    };
+}
+
+// Validate {id, variantId?, quantity} stock lines and merge repeated lines
+function mergeStockItems(items) {
+    const merged = new Map();
+    
+    for (const item of items) {
+        const quantity = Number(item.quantity);
+        if (!item.id || !ObjectId.isValid(String(item.id)) || !Number.isInteger(quantity) || quantity <= 0 ||
+            (item.variantId && typeof item.variantId !== 'string')) {
+            const error = new Error(`Invalid stock item: ${item.name || item.id || 'unknown'}`);
+            error.statusCode = 400;
+            throw error;
+        }
+        
+        const id = String(item.id);
+        const variantId = item.variantId || null;
+        const key = variantId ? `${id}:${variantId}` : id;
+        const existing = merged.get(key);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            merged.set(key, { id, variantId, objectId: new ObjectId(id), quantity, name: item.name || null });
+        }
+    }
+    
+    return [...merged.values()];
+}
+
+// Stock lines for an order's items; legacy items without a product id are skipped
+function getOrderStockItems(order) {
+    return (order.itemsordered || [])
+        .filter(item => item.item_id && ObjectId.isValid(String(item.item_id)))
+        .map(item => ({
+            id: String(item.item_id),
+            variantId: item.variant_id || null,
+            quantity: parseInt(item.amount_per_item) || 1,
+            name: item.item_name
+        }));
+}
+
+// The order's stock lines that a return request covers, matched by product (and variant) and
+// capped at the quantity ordered, since the request's item list comes from the customer
+function returnedStockItems(order, selectedItems) {
+    const remaining = new Map();
+    for (const item of selectedItems || []) {
+        const id = String(item.item_id || item.id || '');
+        const key = `${id}:${item.variant_id || item.variantId || ''}`;
+        const quantity = parseInt(item.amount_per_item || item.quantity) || 1;
+        remaining.set(key, (remaining.get(key) || 0) + quantity);
+    }
+    
+    return getOrderStockItems(order).flatMap(item => {
+        const key = `${item.id}:${item.variantId || ''}`;
+        const quantity = Math.min(item.quantity, remaining.get(key) || 0);
+        if (quantity <= 0) return [];
+        remaining.set(key, remaining.get(key) - quantity);
+        return [{ ...item, quantity }];
+    });
+}
+
+const STOCK_MOVEMENT_REASONS = ['sale', 'walk_in', 'return', 'cancellation', 'manual_adjustment', 'receiving'];
+
+// Append a line to the StockMovements ledger. movement carries the reason, the
+// reference order and the actor; product is the document after the change.
+async function recordStockMovement(database, product, delta, movement, session) {
+    const variant = findVariant(product, movement.variantId);
+    await database.collection("StockMovements").insertOne({
+        productId: product._id,
+        productName: product.name,
+        delta,
+        balanceAfter: product.stockQuantity,
+        ...(variant && {
+            variantId: variant.variantId,
+            variantLabel: variant.label,
+            variantBalanceAfter: variant.stockQuantity
+        }),
+        reason: movement.reason,
+        orderId: movement.orderId || null,
+        orderNumber: movement.orderNumber || null,
+        ...(movement.purchaseOrderId && {
+            purchaseOrderId: movement.purchaseOrderId,
+            purchaseOrderNumber: movement.purchaseOrderNumber
+        }),
+        ...(movement.unitCost !== undefined && { unitCost: movement.unitCost }),
+        actor: movement.actor || { type: 'system', id: null, name: 'System' },
+        notes: movement.notes || '',
+        createdAt: new Date()
+    }, { session });
+}
+
+// Deduct stock inside a transaction. Each $inc only matches while enough stock is left,
+// and any shortfall throws so the whole transaction is aborted. Returns the products the
+// deduction took to their reorder point, to publish once the transaction has committed.
+async function deductStock(database, items, session, movement) {
+    const productsCollection = database.collection("Products");
+    const shortfalls = [];
+    const lowStock = [];
+    
+    for (const item of mergeStockItems(items)) {
+        const line = stockLineUpdate(item, 'stockQuantity', -item.quantity);
+        const product = await productsCollection.findOneAndUpdate(
+            { ...line.filter, $expr: availableStockAtLeast(item.quantity, item.variantId) },
+            line.update,
+            { ...line.options, returnDocument: 'after', session }
+        );
+        
+        if (!product) {
+            shortfalls.push(await describeShortfall(productsCollection, item, session));
+        } else {
+            await recordStockMovement(database, product, -item.quantity, { ...movement, variantId: item.variantId }, session);
+            const crossing = lowStockCrossings(product, item.quantity);
+            if (crossing) lowStock.push(crossing);
+        }
+    }
+    
+    throwIfShortfalls(shortfalls);
+    return lowStock;
+}
+
+async function describeShortfall(productsCollection, item, session) {
+    const product = await productsCollection.findOne(
+        { _id: item.objectId },
+        { session, projection: { name: 1, stockQuantity: 1, reservedQuantity: 1, variants: 1 } }
+    );
+    const variant = product && findVariant(product, item.variantId);
+    const needsVariant = product && !item.variantId && (product.variants || []).length > 0;
+    
+    let error = 'Insufficient stock';
+    if (!product) error = 'Product not found';
+    else if (needsVariant) error = 'Choose a variant';
+    else if (item.variantId && !variant) error = 'Variant not found';
+    
+    return {
+        productId: item.id,
+        ...(item.variantId && { variantId: item.variantId }),
+        name: product ? (variant ? `${product.name} (${variant.label})` : product.name) : (item.name || 'Unknown product'),
+        requested: item.quantity,
+        available: error === 'Insufficient stock' ? getAvailableStock(variant || product) : 0,
+        error
+    };
+}
+
+function throwIfShortfalls(shortfalls) {
+    if (shortfalls.length > 0) {
+        const error = new Error(`Insufficient stock for ${shortfalls.map(item => item.name).join(', ')}`);
+        error.statusCode = 409;
+        error.shortfalls = shortfalls;
+        throw error;
+    }
+}
+
+// Hold stock for a customer's checkout. Re-reserving under the same id replaces the
+// previous hold; only the customer who made a hold can replace or release it.
+async function reserveStock(database, reservationId, userId, items, expiresAt, session) {
+    const productsCollection = database.collection("Products");
+    const mergedItems = mergeStockItems(items);
+    const shortfalls = [];
+    
+    await releaseReservation(database, reservationId, 'replaced', session, { userId });
+    
+    for (const item of mergedItems) {
+        const line = stockLineUpdate(item, 'reservedQuantity', item.quantity);
+        const result = await productsCollection.updateOne(
+            { ...line.filter, $expr: availableStockAtLeast(item.quantity, item.variantId) },
+            line.update,
+            { ...line.options, session }
+        );
+        
+        if (result.matchedCount === 0) {
+            shortfalls.push(await describeShortfall(productsCollection, item, session));
+        }
+    }
+    
+    throwIfShortfalls(shortfalls);
+    
+    const reservation = {
+        reservationId,
+        userId,
+        items: mergedItems.map(item => ({
+            productId: item.id,
+            ...(item.variantId && { variantId: item.variantId }),
+            name: item.name,
+            quantity: item.quantity
+        })),
+        createdAt: new Date(),
+        expiresAt,
+        status: 'active'
+    };
+    await database.collection("StockReservations").replaceOne(
+        { reservationId },
+        reservation,
+        { upsert: true, session }
+    );
+    return reservation;
+}
+
+// Give back the stock an active reservation holds. Only active reservations match,
+// so expiry, a cancelled checkout and order placement cannot release it twice. With
+// userId, only that customer's reservation matches.
+async function releaseReservation(database, reservationId, newStatus, session, { userId = null, fields = {} } = {}) {
+    const reservation = await database.collection("StockReservations").findOneAndUpdate(
+        { reservationId, status: 'active', ...(userId && { userId }) },
+        { $set: { ...fields, status: newStatus, releasedAt: new Date() } },
+        { returnDocument: 'after', session }
+    );
+    
+    if (!reservation) {
+        return null;
+    }
+    
+    for (const item of reservation.items) {
+        const line = stockLineUpdate(
+            { objectId: new ObjectId(item.productId), variantId: item.variantId },
+            'reservedQuantity',
+            -item.quantity
+        );
+        await database.collection("Products").updateOne(line.filter, line.update, { ...line.options, session });
+    }
+    return reservation;
+}
+
+const RESERVATION_SWEEP_INTERVAL_MS = 60 * 1000;
+// Checkouts a customer can hold stock for at once
+const MAX_ACTIVE_RESERVATIONS_PER_USER = 3;
+
+// Reservation ids are made here, never by the browser, so they cannot be guessed
+function newReservationId() {
+    return `RES-${crypto.randomBytes(16).toString('hex')}`;
+}
+
+async function sweepExpiredReservations() {
+    try {
+        const database = client.db(databaseName);
+        const expired = await database.collection("StockReservations")
+            .find({ status: 'active', expiresAt: { $lte: new Date() } }, { projection: { reservationId: 1 } })
+            .toArray();
+        
+        for (const { reservationId } of expired) {
+            await runTransaction(session => releaseReservation(database, reservationId, 'expired', session));
+        }
+        
+        if (expired.length > 0) {
+            console.log(`🧹 Released ${expired.length} expired stock reservations`);
+        }
+    } catch (error) {
+        console.error("❌ Error releasing expired stock reservations:", error);
+    }
+}
+
+// Put stock back (cancellations, denied orders, returns). Returns the updated products.
+async function restoreStock(database, items, session, movement) {
+    const productsCollection = database.collection("Products");
+    const restored = [];
+    
+    for (const item of mergeStockItems(items)) {
+        const line = stockLineUpdate(item, 'stockQuantity', item.quantity);
+        const product = await productsCollection.findOneAndUpdate(
+            line.filter,
+            line.update,
+            { ...line.options, returnDocument: 'after', session }
+        );
+        
+        if (product) {
+            await recordStockMovement(database, product, item.quantity, { ...movement, variantId: item.variantId }, session);
+            restored.push({ product, variantId: item.variantId, quantity: item.quantity });
+        }
+    }
+    return restored;
+}
+
+// Move an order to a new lifecycle status. The update only matches the status
+// that was read, so two staff members cannot both transition the same order.
+// Stock is given back when an order is denied, cancelled or returned (only
+// `returnedItems` when given, for return requests covering part of the order);
+// orders placed before stock was deducted at checkout have it deducted when they
+// are approved.
+async function transitionOrder(database, order, newStatus, fields = {}, event = {}, { returnedItems = null } = {}) {
+    const currentStatus = normalizeOrderStatus(order.status);
+    
+    if (!isValidStatusTransition(currentStatus, newStatus)) {
+        const error = new Error(`Cannot change order status from ${currentStatus} to ${newStatus}`);
+        error.statusCode = 409;
+        throw error;
+    }
+    
+    const stockItems = getOrderStockItems(order);
+    const deductsStock = newStatus === 'approved' && order.stockDeducted !== true && stockItems.length > 0;
+    const restoresStock = ['denied', 'cancelled', 'returned'].includes(newStatus) && order.stockDeducted === true;
+    const stockFields = deductsStock
+        ? { stockDeducted: true }
+        : restoresStock ? { stockDeducted: false, stockRestoredAt: new Date() } : {};
+    
+    let lowStock = [];
+    const updatedOrder = await runTransaction(async (session) => {
+        const result = await database.collection("Orders").findOneAndUpdate(
+            { _id: order._id, status: order.status },
+            {
+                $set: {
+                    ...fields,
+                    ...stockFields,
+                    status: newStatus,
+                    displayStatus: newStatus,
+                    updatedAt: new Date()
+                }
+            },
+            { returnDocument: 'after', session }
+        );
+        
+        if (!result) {
+            const error = new Error('Order was updated by someone else. Please refresh and try again.');
+            error.statusCode = 409;
+            throw error;
+        }
+        
+        const movement = {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            actor: event.actor,
+            notes: `Order ${newStatus}`
+        };
+        if (deductsStock) {
+            lowStock = await deductStock(database, stockItems, session, { ...movement, reason: 'sale' });
+        } else if (restoresStock && newStatus === 'returned') {
+            await restoreStock(database, returnedItems || stockItems, session, { ...movement, reason: 'return' });
+        } else if (restoresStock) {
+            await restoreStock(database, stockItems, session, { ...movement, reason: 'cancellation' });
+        }
+        return result;
+    });
+    publishLowStock(lowStock, { orderNumber: order.orderNumber, reason: 'sale' });
+    
+    await recordOrderEvent(database, updatedOrder, {
+        type: event.type || 'status_changed',
+        actor: event.actor,
+        fromStatus: order.status,
+        toStatus: newStatus,
+        notes: event.notes
+    });
+    
+    return updatedOrder;
+}
+
+// Categories change rarely and are read on every catalog request, so the lookup
+// index is cached in memory and rebuilt after any category write
+let categoryIndexPromise = null;
+
+function getCategoryIndex(database) {
+    if (!categoryIndexPromise) {
+        categoryIndexPromise = database.collection("Categories").find({}).toArray()
+            .then(buildCategoryIndex)
+            .catch(error => {
+                categoryIndexPromise = null;
+                throw error;
+            });
+    }
+    return categoryIndexPromise;
+}
+
+function invalidateCategoryIndex() {
+    categoryIndexPromise = null;
+}
+
+async function seedDefaultCategories(database) {
+    if (await insertDefaultCategories(database.collection("Categories"))) {
+        invalidateCategoryIndex();
+        console.log('🗂️ Seeded default product categories');
+    }
+}
+
+// Resolve a validated product's category (id, slug or alias) to { categoryId, category }.
+// Adds a validation error when it names no known category.
+function assignProductCategory(categoryIndex, value, errors) {
+    if (value.categoryId === undefined && value.category === undefined) return;
+    
+    const category = findCategory(categoryIndex, value.categoryId || value.category);
+    if (!category) {
+        const field = value.categoryId !== undefined ? 'categoryId' : 'category';
+        errors.push({ field, message: `Unknown category "${value.categoryId || value.category}"` });
+        return;
+    }
+    value.categoryId = category._id;
+    value.category = category.slug;
+}
+
+// Build the condition for a ?category= query (shared by product listing, search and export).
+// Matches the category and all of its subcategories; products not yet migrated to a
+// categoryId are matched on their stored slug.
+function buildCategoryFilter(categoryIndex, slug) {
+    const category = findCategory(categoryIndex, slug);
+    if (!category) {
+        return { category: String(slug).toLowerCase() };
+    }
+    
+    const categories = descendantCategories(categoryIndex, category);
+    return {
+        $or: [
+            { categoryId: { $in: categories.map(entry => entry._id) } },
+            {
+                categoryId: { $exists: false },
+                category: { $in: categories.flatMap(entry => [entry.slug, ...(entry.aliases || [])]) }
+            }
+        ]
+    };
+}
+
+// A slug or alias in `slugs` already used by a category other than `categoryId`, if any
+function findCategorySlugConflict(categoryIndex, slugs, categoryId = null) {
+    return slugs.find(slug => {
+        const other = categoryIndex.bySlug.get(slug);
+        return other && other._id.toString() !== String(categoryId);
+    }) || null;
+}
+
+// API endpoint to list categories in display order. ?format=tree nests children under
+// their parents; ?includeCounts=true adds productCount (active products, subcategories excluded).
+app.get('/api/categories', async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const categoryIndex = await getCategoryIndex(database);
+        
+        let counts = new Map();
+        if (req.query.includeCounts === 'true') {
+            const rows = await database.collection("Products").aggregate([
+                { $match: { isActive: true, categoryId: { $exists: true } } },
+                { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+            ]).toArray();
+            counts = new Map(rows.map(row => [String(row._id), row.count]));
+        }
+        const withCount = (category) => (req.query.includeCounts === 'true'
+            ? { ...category, productCount: counts.get(category._id.toString()) || 0 }
+            : category);
+        
+        if (req.query.format === 'tree') {
+            const addCounts = (nodes) => nodes.map(node => ({ ...withCount(node), children: addCounts(node.children) }));
+            return res.json({ success: true, categories: addCounts(toCategoryTree(categoryIndex)) });
+        }
+        
+        // Flat list in tree order (parents before their children)
+        const flat = [];
+        const walk = (nodes, depth) => nodes.forEach(node => {
+            const { children, ...category } = node;
+            flat.push({ ...withCount(category), depth });
+            walk(children, depth + 1);
+        });
+        walk(toCategoryTree(categoryIndex), 0);
+        res.json({ success: true, categories: flat });
+    } catch (error) {
+        console.error("❌ Error fetching categories:", error);
+        res.status(500).json({ error: "Failed to fetch categories" });
+    }
+});
+
+// API endpoint to create a category: { name, slug?, parentId?, displayOrder?, aliases? }
+app.post('/api/categories', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { value, errors } = validateCategory(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid category", errors });
+        }
+        
+        const database = client.db(databaseName);
+        const categoryIndex = await getCategoryIndex(database);
+        
+        if (value.parentId && !categoryIndex.byId.has(value.parentId)) {
+            return res.status(400).json({ error: "Parent category not found" });
+        }
+        const conflict = findCategorySlugConflict(categoryIndex, [value.slug, ...value.aliases]);
+        if (conflict) {
+            return res.status(409).json({ error: `"${conflict}" is already used by another category` });
+        }
+        
+        const category = {
+            ...value,
+            parentId: value.parentId ? new ObjectId(value.parentId) : null,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            createdBy: req.staff.username
+        };
+        const result = await database.collection("Categories").insertOne(category);
+        category._id = result.insertedId;
+        invalidateCategoryIndex();
+        
+        console.log(`🗂️ Category created: ${category.name} (${category.slug})`);
+        res.status(201).json({ success: true, category });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "That slug is already used by another category" });
+        }
+        console.error("❌ Error creating category:", error);
+        res.status(500).json({ error: "Failed to create category" });
+    }
+});
+
+// API endpoint to update a category (rename, change slug, move under another parent, reorder).
+// A changed slug is kept as an alias so existing links keep working, and products in the
+// category get the new slug.
+app.put('/api/categories/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid category id" });
+        }
+        
+        const { value, errors } = validateCategory(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid category", errors });
+        }
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({ error: "No category fields to update" });
+        }
+        
+        const database = client.db(databaseName);
+        const categoryIndex = await getCategoryIndex(database);
+        const current = categoryIndex.byId.get(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: "Category not found" });
+        }
+        
+        if (value.parentId !== undefined && value.parentId !== null) {
+            if (!categoryIndex.byId.has(value.parentId)) {
+                return res.status(400).json({ error: "Parent category not found" });
+            }
+            if (wouldCreateCycle(categoryIndex, req.params.id, value.parentId)) {
+                return res.status(400).json({ error: "A category cannot be moved under itself or one of its subcategories" });
+            }
+        }
+        
+        const slugChanged = value.slug !== undefined && value.slug !== current.slug;
+        if (slugChanged || value.aliases !== undefined) {
+            const aliases = new Set(value.aliases !== undefined ? value.aliases : (current.aliases || []));
+            if (slugChanged) aliases.add(current.slug);
+            aliases.delete(value.slug || current.slug);
+            value.aliases = [...aliases];
+        }
+        const conflict = findCategorySlugConflict(categoryIndex, [value.slug || current.slug, ...(value.aliases || [])], req.params.id);
+        if (conflict) {
+            return res.status(409).json({ error: `"${conflict}" is already used by another category` });
+        }
+        
+        const categoryId = new ObjectId(req.params.id);
+        const category = await runTransaction(async (session) => {
+            const updated = await database.collection("Categories").findOneAndUpdate(
+                { _id: categoryId },
+                {
+                    $set: {
+                        ...value,
+                        ...(value.parentId !== undefined && { parentId: value.parentId ? new ObjectId(value.parentId) : null }),
+                        updatedAt: new Date(),
+                        updatedBy: req.staff.username
+                    }
+                },
+                { returnDocument: 'after', session }
+            );
+            if (updated && slugChanged) {
+                await database.collection("Products").updateMany(
+                    { categoryId },
+                    { $set: { category: updated.slug, updatedAt: new Date() } },
+                    { session }
+                );
+            }
+            return updated;
+        });
+        invalidateCategoryIndex();
+        
+        if (!category) {
+            return res.status(404).json({ error: "Category not found" });
+        }
+        
+        res.json({ success: true, category });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "That slug is already used by another category" });
+        }
+        console.error("❌ Error updating category:", error);
+        res.status(500).json({ error: "Failed to update category" });
+    }
+});
+
+// API endpoint to delete a category. Categories with subcategories cannot be deleted;
+// categories that still have products need ?reassignTo=<category id or slug> to move them first.
+app.delete('/api/categories/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid category id" });
+        }
+        
+        const database = client.db(databaseName);
+        const categoryIndex = await getCategoryIndex(database);
+        const category = categoryIndex.byId.get(req.params.id);
+        if (!category) {
+            return res.status(404).json({ error: "Category not found" });
+        }
+        if ((categoryIndex.children.get(req.params.id) || []).length > 0) {
+            return res.status(409).json({ error: "Move or delete this category's subcategories first" });
+        }
+        
+        let target = null;
+        if (req.query.reassignTo) {
+            target = findCategory(categoryIndex, req.query.reassignTo);
+            if (!target || target._id.toString() === req.params.id) {
+                return res.status(400).json({ error: "Choose a different, existing category to move the products to" });
+            }
+        }
+        
+        const productCount = await database.collection("Products").countDocuments({ categoryId: category._id });
+        if (productCount > 0 && !target) {
+            return res.status(409).json({
+                error: `${productCount} product${productCount === 1 ? '' : 's'} still use this category; choose a category to move them to`,
+                productCount
+            });
+        }
+        
+        await runTransaction(async (session) => {
+            if (productCount > 0) {
+                await database.collection("Products").updateMany(
+                    { categoryId: category._id },
+                    { $set: { categoryId: target._id, category: target.slug, updatedAt: new Date() } },
+                    { session }
+                );
+            }
+            await database.collection("Categories").deleteOne({ _id: category._id }, { session });
+        });
+        invalidateCategoryIndex();
+        
+        console.log(`🗂️ Category deleted: ${category.name}${target ? ` (${productCount} products moved to ${target.name})` : ''}`);
+        res.json({ success: true, message: "Category deleted", movedProducts: productCount });
+    } catch (error) {
+        console.error("❌ Error deleting category:", error);
+        res.status(500).json({ error: "Failed to delete category" });
+    }
+});
+
+// ===== Customer groups and price lists (lib/price-lists.js) =====
+
+// Group of a customer account; retail when it has none
+async function accountCustomerGroup(database, userId) {
+    if (!userId || !ObjectId.isValid(String(userId))) return DEFAULT_CUSTOMER_GROUP;
+    const user = await database.collection('UserCredentials').findOne(
+        { _id: new ObjectId(String(userId)) },
+        { projection: { customerGroup: 1 } }
+    );
+    return normalizeCustomerGroup(user && user.customerGroup) || DEFAULT_CUSTOMER_GROUP;
+}
+
+// Group whose prices a request sees: staff pick one for walk-in customers (?group= or
+// body.group; null without one, i.e. the regular product prices), a logged-in customer gets
+// their account's group, anyone else retail
+async function customerGroupFor(database, req) {
+    if (req.staff) {
+        return normalizeCustomerGroup(req.query.group || (req.body && req.body.group));
+    }
+    return req.user ? accountCustomerGroup(database, req.user.id) : DEFAULT_CUSTOMER_GROUP;
+}
+
+// A group's quantity breaks for some products, as a Map of priceListKey() -> breaks
+async function loadPriceList(database, group, productIds) {
+    const ids = productIds.map(id => String(id)).filter(id => ObjectId.isValid(id));
+    if (ids.length === 0) return new Map();
+    const entries = await database.collection("PriceLists").find(
+        { group, productId: { $in: ids.map(id => new ObjectId(id)) } }
+    ).toArray();
+    return new Map(entries.map(entry => [priceListKey(entry.productId.toString(), entry.variantId), entry.breaks]));
+}
+
+// unitPrice(product, variant, quantity) for lib/cart.js and lib/pricing.js from a loaded price list
+function groupUnitPrice(breaksByKey) {
+    return (product, variant, quantity) => tierUnitPrice(
+        defaultUnitPrice(product, variant),
+        breaksByKey.get(priceListKey(product._id.toString(), variant ? variant.variantId : null)),
+        quantity
+    );
+}
+
+// Products as a group sees them (see applyPriceList); unchanged for no group
+async function priceProductsForGroup(database, group, products) {
+    if (!group) return products;
+    const breaksByKey = await loadPriceList(database, group, products.map(product => product._id));
+    if (breaksByKey.size === 0) return products;
+    return products.map(product => applyPriceList(product, breaksByKey, toPrice));
+}
+
+// API endpoint to list price list entries: ?group= (required), ?productId= to narrow down
+app.get('/api/price-lists', requireStaffRole('cashier'), async (req, res) => {
+    try {
+        const group = normalizeCustomerGroup(req.query.group);
+        if (!group) {
+            return res.status(400).json({ error: `group must be one of ${CUSTOMER_GROUPS.join(', ')}` });
+        }
+        const filter = { group };
+        if (req.query.productId) {
+            if (!ObjectId.isValid(req.query.productId)) {
+                return res.status(400).json({ error: "Invalid product id" });
+            }
+            filter.productId = new ObjectId(req.query.productId);
+        }
+        
+        const database = client.db(databaseName);
+        const entries = await database.collection("PriceLists").find(filter).toArray();
+        res.json({ success: true, group, groups: CUSTOMER_GROUPS, entries });
+    } catch (error) {
+        console.error("❌ Error fetching price list:", error);
+        res.status(500).json({ error: "Failed to fetch price list" });
+    }
+});
+
+// API endpoint to set a group's quantity breaks for a product or option:
+// { variantId?, breaks: [{ minQuantity, price }] }
+app.put('/api/price-lists/:group/:productId', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const group = normalizeCustomerGroup(req.params.group);
+        if (!group) {
+            return res.status(400).json({ error: `group must be one of ${CUSTOMER_GROUPS.join(', ')}` });
+        }
+        if (!ObjectId.isValid(req.params.productId)) {
+            return res.status(400).json({ error: "Invalid product id" });
+        }
+        const { value: breaks, errors } = validatePriceBreaks(req.body.breaks);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid price breaks", errors });
+        }
+        
+        const database = client.db(databaseName);
+        const productId = new ObjectId(req.params.productId);
+        const variantId = req.body.variantId ? String(req.body.variantId) : null;
+        const product = await database.collection("Products").findOne({ _id: productId }, { projection: { name: 1, variants: 1 } });
+        if (!product || (variantId && !(product.variants || []).some(variant => variant.variantId === variantId))) {
+            return res.status(404).json({ error: variantId ? "Product option not found" : "Product not found" });
+        }
+        
+        const entry = await database.collection("PriceLists").findOneAndUpdate(
+            { group, productId, variantId },
+            { $set: { breaks, updatedAt: new Date(), updatedBy: req.staff.username } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        
+        console.log(`💲 ${group} prices for ${product.name} set by ${req.staff.username}`);
+        res.json({ success: true, entry });
+    } catch (error) {
+        console.error("❌ Error saving price list entry:", error);
+        res.status(500).json({ error: "Failed to save price list entry" });
+    }
+});
+
+// API endpoint to remove a group's prices for a product (?variantId= for an option)
+app.delete('/api/price-lists/:group/:productId', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const group = normalizeCustomerGroup(req.params.group);
+        if (!group || !ObjectId.isValid(req.params.productId)) {
+            return res.status(400).json({ error: "Invalid group or product id" });
+        }
+        
+        const database = client.db(databaseName);
+        const result = await database.collection("PriceLists").deleteOne({
+            group,
+            productId: new ObjectId(req.params.productId),
+            variantId: req.query.variantId ? String(req.query.variantId) : null
+        });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: "Price list entry not found" });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Error deleting price list entry:", error);
+        res.status(500).json({ error: "Failed to delete price list entry" });
+    }
+});
+
+// API endpoint to look up customer accounts by name or email (?q=), with their group
+app.get('/api/customers', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        if (query.length < 2) {
+            return res.status(400).json({ error: "Enter at least 2 characters to search" });
+        }
+        
+        const pattern = new RegExp(escapeRegex(query), 'i');
+        const database = client.db(databaseName);
+        const customers = await database.collection('UserCredentials')
+            .find({ $or: [{ email: pattern }, { fullName: pattern }] }, { projection: { fullName: 1, email: 1, customerGroup: 1 } })
+            .sort({ fullName: 1 })
+            .limit(20)
+            .toArray();
+        
+        res.json({
+            success: true,
+            customers: customers.map(customer => ({
+                _id: customer._id,
+                fullName: customer.fullName,
+                email: customer.email,
+                customerGroup: normalizeCustomerGroup(customer.customerGroup) || DEFAULT_CUSTOMER_GROUP
+            }))
+        });
+    } catch (error) {
+        console.error("❌ Error searching customers:", error);
+        res.status(500).json({ error: "Failed to search customers" });
+    }
+});
+
+// API endpoint to move a customer account to another group: { group }
+app.put('/api/customers/:id/group', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const group = normalizeCustomerGroup(req.body.group);
+        if (!group) {
+            return res.status(400).json({ error: `group must be one of ${CUSTOMER_GROUPS.join(', ')}` });
+        }
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid customer id" });
+        }
+        
+        const database = client.db(databaseName);
+        const customer = await database.collection('UserCredentials').findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { customerGroup: group, lastUpdated: new Date() } },
+            { returnDocument: 'after', projection: { fullName: 1, email: 1, customerGroup: 1 } }
+        );
+        if (!customer) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+        
+        console.log(`👥 ${customer.email} moved to the ${group} group by ${req.staff.username}`);
+        res.json({ success: true, customer });
+    } catch (error) {
+        console.error("❌ Error updating customer group:", error);
+        res.status(500).json({ error: "Failed to update customer group" });
+    }
+});
+
+// API endpoint to get all products (with optional limit, pagination, category and facet filters).
+// Facet parameters are described in lib/product-facets.js; includeMeta=true adds facet counts.
+// Prices are the caller's group prices (see customerGroupFor and priceProductsForGroup).
+app.get('/api/products', identifyStaff, identifyUser, async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const collection = database.collection("Products");
+        
+        // Build query filter
+        const catalogFilter = { isActive: true };
+        
+        // Category filter support - optimized to avoid regex when possible
+        if (req.query.category && req.query.category !== 'all') {
+            Object.assign(catalogFilter, buildCategoryFilter(await getCategoryIndex(database), req.query.category));
+        }
+        
+        // Price, brand, availability and attribute facets
+        const facets = parseFacetQuery(req.query);
+        const queryFilter = { ...catalogFilter, ...buildFacetFilter(facets) };
+        
+        // Parse pagination parameters with defaults
+        const limit = req.query.limit ? parseInt(req.query.limit) : 12; // Default to 12 if not specified
+        const skip = req.query.skip ? parseInt(req.query.skip) : 0;
+        
+        // Check if sorting should be skipped (for performance on index page)
+        const skipSort = req.query.skipSort === 'true' || req.query.noSort === 'true';
+        
+        // Check if minimal fields should be returned (for list views - much faster)
+        const minimalFields = req.query.minimal === 'true' || req.query.fields === 'minimal' || skipSort;
+        
+        // Define projection for minimal fields (only what's needed for list views)
+        const minimalProjection = {
+            _id: 1,
+            name: 1,
+            sku: 1,
+            image: 1,
+            price: 1,
+            unit: 1,
+            stockQuantity: 1,
+            reorderPoint: 1,
+            category: 1,
+            categoryId: 1,
+            variants: 1,
+            isActive: 1
+        };
+        
+        // Determine sort field and direction
+        let sortField = 'name';
+        let sortDirection = 1;
+        if (!skipSort) {
+            if (req.query.sortBy) {
+                switch(req.query.sortBy) {
+                    case 'price-low':
+                        sortField = 'price';
+                        sortDirection = 1;
+                        break;
+                    case 'price-high':
+                        sortField = 'price';
+                        sortDirection = -1;
+                        break;
+                    case 'name':
+                        sortField = 'name';
+                        sortDirection = 1;
+                        break;
+                }
+            }
+        }
+        
+        // Generate ETag for caching (based on query params only - check BEFORE database query)
+        // This allows server to return 304 immediately without processing
+        const customerGroup = await customerGroupFor(database, req);
+        const cacheKey = `${limit}-${skip}-${req.query.category || 'all'}-${req.query.sortBy || 'default'}-${skipSort}-${minimalFields}-${req.query.includeMeta === 'true'}-${facetCacheKey(facets)}-${customerGroup || 'list'}`;
+        const etag = crypto.createHash('md5').update(cacheKey).digest('hex');
+        
+        // Set caching headers (prices differ per customer group, so signed-in responses stay private)
+        res.setHeader('Cache-Control', req.user || req.staff ? 'private, max-age=60' : 'public, max-age=60'); // Cache for 60 seconds
+        res.setHeader('Vary', 'Authorization');
+        res.setHeader('ETag', `"${etag}"`);
+        
+        // Check If-None-Match header BEFORE database query - return 304 immediately if cached
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch === `"${etag}"` || ifNoneMatch === etag) {
+            return res.status(304).end();
+        }
+        
+        // Use find() with sort for better performance when possible
+        // Only use aggregation if we need complex operations
+        let products;
+        let totalCount;
+        
+        // Run count in parallel with the query for better performance
+        const countPromise = req.query.includeMeta === 'true' 
+            ? collection.countDocuments(queryFilter)
+            : Promise.resolve(0);
+        const facetCountsPromise = req.query.includeMeta === 'true'
+            ? collection.aggregate(buildFacetCountPipeline(catalogFilter, facets)).toArray()
+                .then(([result]) => formatFacetCounts(result, facets))
+            : Promise.resolve(null);
+        // Awaited at the end; don't let a failure surface as an unhandled rejection before then
+        facetCountsPromise.catch(() => {});
+        
+        try {
+            // Try using find() first - it's faster than aggregate for simple queries
+            let query = collection.find(queryFilter);
+            
+            // Add projection for minimal fields if requested (dramatically reduces data transfer)
+            if (minimalFields) {
+                query = query.project(minimalProjection);
+            }
+            
+            // Only add sort if not skipped (for performance)
+            if (!skipSort) {
+                query = query.sort({ [sortField]: sortDirection });
+            }
+            
+            query = query.skip(skip).limit(limit);
+            
+            products = await query.toArray();
+            totalCount = await countPromise;
+            
+        } catch (error) {
+            // If find() fails (e.g., memory limit), fall back to aggregation with allowDiskUse
+            if (error.code === 292 || error.codeName === 'QueryExceededMemoryLimitNoDiskUseAllowed') {
+                console.warn('⚠️ Using aggregation fallback for products query');
+                
+                const pipeline = [
+                    { $match: queryFilter }
+                ];
+                
+                // Add projection for minimal fields if requested
+                if (minimalFields) {
+                    pipeline.push({ $project: minimalProjection });
+                }
+                
+                // Only add sort if not skipped
+                if (!skipSort) {
+                    pipeline.push({ $sort: { [sortField]: sortDirection } });
+                }
+                
+                pipeline.push({ $skip: skip });
+                pipeline.push({ $limit: limit });
+                
+                try {
+                    products = await collection.aggregate(pipeline, { allowDiskUse: true }).toArray();
+                    totalCount = await countPromise;
+                } catch (aggError) {
+                    // Last resort: fetch limited batch and sort in memory
+                    if (aggError.code === 292 || aggError.codeName === 'QueryExceededMemoryLimitNoDiskUseAllowed') {
+                        console.warn('⚠️ allowDiskUse not supported, using in-memory sort fallback');
+                        
+                        // Fetch only what we need + a small buffer for pagination
+                        const fetchLimit = Math.min(skip + limit + 100, 1000); // Max 1000 for performance
+                        const noSortPipeline = [
+                            { $match: queryFilter }
+                        ];
+                        
+                        // Add projection for minimal fields if requested
+                        if (minimalFields) {
+                            noSortPipeline.push({ $project: minimalProjection });
+                        }
+                        
+                        noSortPipeline.push({ $limit: fetchLimit });
+                        
+                        let fetchedProducts = await collection.aggregate(noSortPipeline).toArray();
+                        
+                        // Sort in memory
+                        fetchedProducts.sort((a, b) => {
+                            const aVal = a[sortField];
+                            const bVal = b[sortField];
+                            if (sortField === 'price') {
+                                const diff = (parseFloat(aVal) || 0) - (parseFloat(bVal) || 0);
+                                return diff * sortDirection;
+                            }
+                            const diff = (aVal || '').localeCompare(bVal || '');
+                            return diff * sortDirection;
+                        });
+                        
+                        // Apply pagination
+                        products = fetchedProducts.slice(skip, skip + limit);
+                        totalCount = await countPromise;
+                    } else {
+                        throw aggError;
+                    }
+                }
+            } else {
+                throw error;
+            }
+        }
+        
+        products = await priceProductsForGroup(database, customerGroup, products);
+        
+        // Return products with pagination metadata
+        if (req.query.includeMeta === 'true') {
+            res.json({
+                products: products,
+                totalCount: totalCount,
+                currentPage: Math.floor(skip / limit) + 1,
+                totalPages: Math.ceil(totalCount / limit),
+                facets: await facetCountsPromise
+            });
+        } else {
+            res.json(products);
+        }
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error fetching products:", error);
+        res.status(500).json({ error: "Failed to fetch products" });
+    }
+});
+
+// Product search limits: candidates taken from the text index and prefix match,
+// and how many names the typo-tolerant pass scans when those come up short
+const SEARCH_CANDIDATE_LIMIT = 200;
+const SEARCH_FUZZY_SCAN_LIMIT = 500;
+const SEARCH_MAX_LIMIT = 50;
+
+// API endpoint to search active products - MUST BE BEFORE :id route.
+// Combines the text index, word-prefix matches and typo-tolerant name matches,
+// expands local hardware synonyms (e.g. "CHB" / "hollow blocks") and ranks by relevance.
+// Accepts ?q=, ?limit=, ?skip=, ?category=, ?sortBy= (price-low, price-high, name) and the
+// facet filters of /api/products; includeMeta=true adds facet counts for the matches.
+app.get('/api/products/search', identifyStaff, identifyUser, async (req, res) => {
+    try {
+        // Matched against product names, so "Rizal's" must not arrive as "Rizal&#x27;s"
+        const q = unescapeQueryValue(req.query.q || '').trim();
+        if (!q) {
+            return res.status(400).json({ error: "Search query (q) is required" });
+        }
+        if (q.length > 100) {
+            return res.status(400).json({ error: "Search query must be 100 characters or fewer" });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), SEARCH_MAX_LIMIT);
+        const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+        const queryVariants = expandSearchQuery(q);
+        const facets = parseFacetQuery(req.query);
+
+        // Results carry group prices, so signed-in responses stay private
+        res.setHeader('Cache-Control', req.user || req.staff ? 'private, max-age=60' : 'public, max-age=60');
+        res.setHeader('Vary', 'Authorization');
+
+        if (queryVariants.length === 0) {
+            return res.json({ success: true, query: q, expandedQueries: [], products: [], totalCount: 0, currentPage: 1, totalPages: 0 });
+        }
+
+        const database = client.db(databaseName);
+        const collection = database.collection("Products");
+
+        const baseFilter = { isActive: true };
+        if (req.query.category && req.query.category !== 'all') {
+            Object.assign(baseFilter, buildCategoryFilter(await getCategoryIndex(database), req.query.category));
+        }
+
+        const candidateProjection = { name: 1, sku: 1, price: 1, 'variants.sku': 1 };
+        const skuPrefix = new RegExp(`^${escapeRegex(q.toUpperCase())}`);
+
+        const [textMatches, prefixMatches] = await Promise.all([
+            collection.find(
+                { ...baseFilter, $text: { $search: queryVariants.join(' ') } },
+                { projection: { ...candidateProjection, textScore: { $meta: 'textScore' } } }
+            )
+                .sort({ textScore: { $meta: 'textScore' } })
+                .limit(SEARCH_CANDIDATE_LIMIT)
+                .toArray()
+                .catch(error => {
+                    // Text index not built yet (code 27); the other passes still work
+                    if (error.code === 27) return [];
+                    throw error;
+                }),
+            collection.find({
+                $and: [baseFilter, {
+                    $or: [
+                        // Every word of a query variant starts a word in the name
+                        ...queryVariants.map(variant => ({
+                            $and: searchTokens(variant).map(token => ({
+                                name: { $regex: new RegExp(`(^|[^a-z0-9])${escapeRegex(token)}`, 'i') }
+                            }))
+                        })),
+                        { sku: skuPrefix },
+                        { 'variants.sku': skuPrefix }
+                    ]
+                }]
+            }, { projection: candidateProjection }).limit(SEARCH_CANDIDATE_LIMIT).toArray()
+        ]);
+
+        const candidates = new Map();
+        [...textMatches, ...prefixMatches].forEach(product => {
+            const existing = candidates.get(product._id.toString());
+            candidates.set(product._id.toString(), { ...product, textScore: product.textScore || (existing && existing.textScore) || 0 });
+        });
+
+        // Misspellings miss both passes above; when the first page comes up short, score names
+        // with a word starting like a query word. Only words long enough to allow typos count
+        // (see tokenMatchScore), and typos are rarely in the first two letters.
+        const fuzzyStems = [...new Set(queryVariants.flatMap(searchTokens)
+            .filter(token => token.length > 3)
+            .map(token => token.slice(0, 2)))];
+        if (skip === 0 && candidates.size < limit && fuzzyStems.length > 0) {
+            const scanned = await collection.find({
+                $and: [baseFilter, {
+                    name: { $regex: new RegExp(`(^|[^a-z0-9])(${fuzzyStems.map(escapeRegex).join('|')})`, 'i') }
+                }]
+            }, { projection: candidateProjection })
+                .limit(SEARCH_FUZZY_SCAN_LIMIT)
+                .toArray();
+            scanned.forEach(product => {
+                if (!candidates.has(product._id.toString())) {
+                    candidates.set(product._id.toString(), { ...product, textScore: 0 });
+                }
+            });
+        }
+
+        const ranked = [...candidates.values()]
+            .map(product => ({
+                product,
+                relevance: scoreProductMatch(product, queryVariants) + product.textScore * 5
+            }))
+            .filter(match => match.relevance > 0);
+
+        // Facets narrow the matches; their counts cover every match so other choices stay visible
+        const matchedFilter = { _id: { $in: ranked.map(match => match.product._id) } };
+        const facetFilter = buildFacetFilter(facets);
+        let results = ranked;
+        if (Object.keys(facetFilter).length > 0) {
+            const allowed = await collection.find({ ...matchedFilter, ...facetFilter }, { projection: { _id: 1 } }).toArray();
+            const allowedIds = new Set(allowed.map(product => product._id.toString()));
+            results = ranked.filter(match => allowedIds.has(match.product._id.toString()));
+        }
+        let facetCounts;
+        if (req.query.includeMeta === 'true') {
+            const [facetResult] = await collection.aggregate(buildFacetCountPipeline(matchedFilter, facets)).toArray();
+            facetCounts = formatFacetCounts(facetResult, facets);
+        }
+
+        const byName = (a, b) => String(a.product.name || '').localeCompare(String(b.product.name || ''));
+        const byPrice = (a, b) => (parseFloat(a.product.price) || 0) - (parseFloat(b.product.price) || 0);
+        switch (req.query.sortBy) {
+            case 'price-low':
+                results.sort(byPrice);
+                break;
+            case 'price-high':
+                results.sort((a, b) => byPrice(b, a));
+                break;
+            case 'name':
+                results.sort(byName);
+                break;
+            default:
+                results.sort((a, b) => (b.relevance - a.relevance) || byName(a, b));
+        }
+
+        const page = results.slice(skip, skip + limit);
+        const pageIds = page.map(match => match.product._id);
+        const details = await collection.find({ _id: { $in: pageIds } }, {
+            projection: {
+                _id: 1, name: 1, sku: 1, image: 1, price: 1, unit: 1, stockQuantity: 1,
+                reorderPoint: 1, category: 1, categoryId: 1, variants: 1, isActive: 1
+            }
+        }).toArray();
+        const pricedDetails = await priceProductsForGroup(database, await customerGroupFor(database, req), details);
+        const detailsById = new Map(pricedDetails.map(product => [product._id.toString(), product]));
+
+        res.json({
+            success: true,
+            query: q,
+            expandedQueries: queryVariants.slice(1),
+            products: page.map(match => detailsById.get(match.product._id.toString())).filter(Boolean),
+            totalCount: results.length,
+            currentPage: Math.floor(skip / limit) + 1,
+            totalPages: Math.ceil(results.length / limit),
+            ...(facetCounts && { facets: facetCounts })
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error searching products:", error);
+        res.status(500).json({ error: "Failed to search products" });
+    }
+});
+
+// API endpoint to fetch the products of a comparison - MUST BE BEFORE :id route.
+// ?ids=<id>,<id>,... (at most COMPARE_MAX_PRODUCTS). Products come back in the order asked
+// for; ids that are unknown or archived are listed in `missing` so shared links degrade.
+const COMPARE_MAX_PRODUCTS = 4;
+
+app.get('/api/products/compare', identifyStaff, identifyUser, async (req, res) => {
+    try {
+        const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+        if (ids.length === 0 || ids.length > COMPARE_MAX_PRODUCTS) {
+            return res.status(400).json({ error: `Choose 1 to ${COMPARE_MAX_PRODUCTS} products to compare` });
+        }
+        const invalid = ids.filter(id => !ObjectId.isValid(id));
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: "Invalid product id", errors: invalid.map(id => ({ field: 'ids', message: `${id} is not a product id` })) });
+        }
+
+        const database = client.db(databaseName);
+        const products = await database.collection("Products").find(
+            { _id: { $in: ids.map(id => new ObjectId(id)) }, isActive: true },
+            {
+                projection: {
+                    _id: 1, name: 1, sku: 1, description: 1, image: 1, price: 1, unit: 1, brand: 1,
+                    category: 1, categoryId: 1, attributes: 1, variants: 1, stockQuantity: 1, reservedQuantity: 1
+                }
+            }
+        ).toArray();
+        const priced = await priceProductsForGroup(database, await customerGroupFor(database, req), products);
+        const productsById = new Map(priced.map(product => [product._id.toString(), product]));
+
+        res.json({
+            success: true,
+            products: ids.map(id => productsById.get(id)).filter(Boolean),
+            missing: ids.filter(id => !productsById.has(id))
+        });
+    } catch (error) {
+        console.error("❌ Error fetching products to compare:", error);
+        res.status(500).json({ error: "Failed to fetch products to compare" });
+    }
+});
+
+// API endpoint to export the catalog as CSV - MUST BE BEFORE :id route.
+// Accepts the same ?category= filter as /api/products; ?includeInactive=true adds archived products.
+app.get('/api/products/export', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (format !== 'csv') {
+            return res.status(400).json({ error: "Only format=csv is supported" });
+        }
+        
+        const database = client.db(databaseName);
+        const queryFilter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+        if (req.query.category && req.query.category !== 'all') {
+            Object.assign(queryFilter, buildCategoryFilter(await getCategoryIndex(database), req.query.category));
+        }
+        
+        const products = await database.collection("Products")
+            .find(queryFilter)
+            .project(Object.fromEntries(PRODUCT_CSV_COLUMNS.map(column => [column, 1])))
+            .sort({ sku: 1 })
+            .toArray();
+        
+        const fileName = `products-${req.query.category || 'all'}-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(toCsv(PRODUCT_CSV_COLUMNS, products.map(productToCsvRecord)));
+    } catch (error) {
+        console.error("Error exporting products:", error);
+        res.status(500).json({ error: "Failed to export products" });
+    }
+});
+
+const PRODUCT_IMPORT_MAX_ROWS = 5000;
+const productImportUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Work out what an import would do: one entry per CSV row with the action
+// (create/update/unchanged/error), the field-level changes and any validation errors
+async function planProductImport(database, csvText) {
+    const rows = csvRowsToProductInputs(parseCsv(csvText));
+    
+    if (rows.length > PRODUCT_IMPORT_MAX_ROWS) {
+        const error = new Error(`Imports are limited to ${PRODUCT_IMPORT_MAX_ROWS} rows`);
+        error.statusCode = 400;
+        throw error;
+    }
+    
+    const skus = rows.map(row => row.input.sku ? String(row.input.sku).trim().toUpperCase() : null).filter(Boolean);
+    const existingProducts = await database.collection("Products").find({ sku: { $in: skus } }).toArray();
+    const existingBySku = new Map(existingProducts.map(product => [product.sku, product]));
+    const categoryIndex = await getCategoryIndex(database);
+    const seenSkus = new Set();
+    
+    return rows.map(({ line, input }) => {
+        const sku = input.sku ? String(input.sku).trim().toUpperCase() : '';
+        const existing = existingBySku.get(sku);
+        const { openingStock: rawOpeningStock, ...productInput } = input;
+        const { value, errors } = validateProduct(productInput, { partial: !!existing });
+        assignProductCategory(categoryIndex, value, errors);
+        
+        if (seenSkus.has(sku)) {
+            errors.push({ field: 'sku', message: `SKU ${sku} appears more than once in the file` });
+        }
+        seenSkus.add(sku);
+        
+        const openingStock = rawOpeningStock === undefined ? 0 : Number(rawOpeningStock);
+        if (!existing && (!Number.isInteger(openingStock) || openingStock < 0)) {
+            errors.push({ field: 'openingStock', message: 'openingStock must be a whole number of 0 or more' });
+        }
+        
+        if (errors.length > 0) {
+            return { line, sku, action: 'error', errors };
+        }
+        
+        if (!existing) {
+            return { line, sku, action: 'create', product: value, openingStock };
+        }
+        
+        const changes = {};
+        Object.entries(value).forEach(([field, newValue]) => {
+            if (JSON.stringify(existing[field]) !== JSON.stringify(newValue)) {
+                changes[field] = { from: existing[field] === undefined ? null : existing[field], to: newValue };
+            }
+        });
+        
+        return Object.keys(changes).length > 0
+            ? { line, sku, action: 'update', productId: existing._id, changes }
+            : { line, sku, action: 'unchanged' };
+    });
+}
+
+// API endpoint to bulk import products from CSV, matched by SKU.
+// Send the file as multipart field `file` (or JSON { csv }). ?mode=preview (default) returns the
+// diff without writing; ?mode=apply writes every create and update in one transaction, and
+// refuses to apply anything while any row has errors.
+app.post('/api/products/import', requireStaffRole('manager'), productImportUpload.single('file'), async (req, res) => {
+    try {
+        const mode = req.query.mode || req.body.mode || 'preview';
+        const csvText = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+        
+        if (!['preview', 'apply'].includes(mode)) {
+            return res.status(400).json({ error: "mode must be preview or apply" });
+        }
+        
+        if (!csvText) {
+            return res.status(400).json({ error: "Upload a CSV file in the 'file' field" });
+        }
+        
+        const database = client.db(databaseName);
+        let plan;
+        try {
+            plan = await planProductImport(database, csvText);
+        } catch (error) {
+            return res.status(error.statusCode || 400).json({ error: error.message });
+        }
+        
+        const summary = { create: 0, update: 0, unchanged: 0, error: 0 };
+        plan.forEach(row => { summary[row.action]++; });
+        
+        if (mode === 'preview') {
+            return res.json({ success: true, mode, summary, rows: plan });
+        }
+        
+        if (summary.error > 0) {
+            return res.status(400).json({ error: "Fix the rows with errors before applying the import", summary, rows: plan });
+        }
+        
+        const now = new Date();
+        await runTransaction(async (session) => {
+            for (const row of plan) {
+                if (row.action === 'create') {
+                    const product = {
+                        ...row.product,
+                        description: row.product.description || '',
+                        stockQuantity: row.openingStock,
+                        reservedQuantity: 0,
+                        isActive: row.product.isActive !== false,
+                        createdAt: now,
+                        updatedAt: now,
+                        createdBy: req.staff.username
+                    };
+                    const result = await database.collection("Products").insertOne(product, { session });
+                    product._id = result.insertedId;
+                    row.productId = result.insertedId;
+                    
+                    if (row.openingStock > 0) {
+                        await recordStockMovement(database, product, row.openingStock, {
+                            reason: 'manual_adjustment',
+                            actor: staffActor(req),
+                            notes: 'Opening stock (CSV import)'
+                        }, session);
+                    }
+                } else if (row.action === 'update') {
+                    const fields = Object.fromEntries(Object.entries(row.changes).map(([field, change]) => [field, change.to]));
+                    await database.collection("Products").updateOne(
+                        { _id: row.productId },
+                        { $set: { ...fields, updatedAt: now } },
+                        { session }
+                    );
+                }
+            }
+        });
+        
+        console.log(`📥 Product import by ${req.staff.username}: ${summary.create} created, ${summary.update} updated`);
+        res.json({ success: true, mode, summary, rows: plan });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A SKU in the file was taken by another product while importing; preview again" });
+        }
+        console.error("Error importing products:", error);
+        res.status(500).json({ error: "Failed to import products" });
+    }
+});
+
+// API endpoint to get a single product by ID
+app.get('/api/products/:id', identifyStaff, identifyUser, async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const database = client.db(databaseName);
+        const collection = database.collection("Products");
+        const product = await collection.findOne({ 
+            _id: new ObjectId(req.params.id), 
+            isActive: true 
+        });
+        
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+        
+        // Priced for the caller's customer group
+        const [priced] = await priceProductsForGroup(database, await customerGroupFor(database, req), [product]);
+        res.json(priced);
+    } catch (error) {
+        console.error("Error fetching product:", error);
+        res.status(500).json({ error: "Failed to fetch product" });
+    }
+});
+
+// API endpoint to deduct stock for several products at once (POS sales) - MUST BE BEFORE :id route.
+// All lines are deducted in one transaction, so a shortfall on any item leaves stock untouched.
+app.put('/api/products/bulk-stock', requireStaffRole('cashier'), async (req, res) => {
+    try {
+        const { updates } = req.body; // Array of {id, quantity} objects
+        
+        if (!updates) {
+            console.error('❌ No updates provided in request body');
+            return res.status(400).json({ error: "Updates field is required" });
+        }
+        
+        if (!Array.isArray(updates)) {
+            console.error('❌ Updates is not an array:', updates);
+            return res.status(400).json({ error: "Updates must be an array" });
+        }
+        
+        const database = client.db(databaseName);
+        
+        const { orderId, orderNumber } = req.body; // Walk-in order the stock was sold on
+        const lowStock = await runTransaction(session => deductStock(database, updates, session, {
+            reason: 'walk_in',
+            orderId: orderId && ObjectId.isValid(String(orderId)) ? new ObjectId(orderId) : null,
+            orderNumber,
+            actor: staffActor(req)
+        }));
+        publishLowStock(lowStock, { orderNumber, reason: 'walk_in' });
+        
+        res.json({ success: true, message: "Stock updated successfully", updated: updates.length });
+    } catch (error) {
+        if (error.shortfalls) {
+            console.error(`❌ ${error.message}`);
+            return res.status(409).json({ error: error.message, shortfalls: error.shortfalls });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error updating bulk stock:", error);
+        res.status(500).json({ error: "Failed to update bulk stock", details: error.message });
+    }
+});
+
+// API endpoint to create a product. Body follows lib/product-schema.js; an optional
+// `openingStock` is booked into the stock ledger as the first movement.
+app.post('/api/products', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { value, errors } = validateProduct(req.body);
+        const openingStock = req.body.openingStock === undefined ? 0 : Number(req.body.openingStock);
+        
+        if (!Number.isInteger(openingStock) || openingStock < 0) {
+            errors.push({ field: 'openingStock', message: 'openingStock must be a whole number of 0 or more' });
+        }
+        
+        // Variants start empty; their stock is set per variant afterwards
+        const variants = mergeVariants({}, value.variants || [], () => new ObjectId().toHexString());
+        if (variants.length > 0 && openingStock > 0) {
+            errors.push({ field: 'openingStock', message: 'Set opening stock per variant once the product is created' });
+        }
+        
+        const database = client.db(databaseName);
+        assignProductCategory(await getCategoryIndex(database), value, errors);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid product", errors });
+        }
+        
+        const product = {
+            ...value,
+            ...(variants.length > 0 && { variants, price: summarizeVariants(variants).price }),
+            description: value.description || '',
+            stockQuantity: openingStock,
+            reservedQuantity: 0,
+            isActive: value.isActive !== false,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            createdBy: req.staff.username
+        };
+        
+        await runTransaction(async (session) => {
+            const result = await database.collection("Products").insertOne(product, { session });
+            product._id = result.insertedId;
+            
+            if (openingStock > 0) {
+                await recordStockMovement(database, product, openingStock, {
+                    reason: 'manual_adjustment',
+                    actor: staffActor(req),
+                    notes: 'Opening stock'
+                }, session);
+            }
+        });
+        
+        console.log(`✅ Product created: ${product.name} (${product.sku})`);
+        res.status(201).json({ success: true, product });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "SKU is already in use by another product or variant" });
+        }
+        console.error("Error creating product:", error);
+        res.status(500).json({ error: "Failed to create product" });
+    }
+});
+
+// API endpoint to update product
+app.put('/api/products/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid product id" });
+        }
+        
+        // Only schema fields are accepted; stock changes go through the stock endpoints
+        // so every change lands in the ledger
+        const { value: updateData, errors } = validateProduct(req.body, { partial: true });
+        const database = client.db(databaseName);
+        assignProductCategory(await getCategoryIndex(database), updateData, errors);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid product", errors });
+        }
+        
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({ error: "No product fields to update" });
+        }
+        
+        const productsCollection = database.collection("Products");
+        const productId = new ObjectId(req.params.id);
+        
+        // Variant edits are merged with the stored variants inside a transaction so
+        // stock moving at the same time is never overwritten
+        const product = await runTransaction(async (session) => {
+            if (updateData.variants !== undefined) {
+                const current = await productsCollection.findOne({ _id: productId }, { session });
+                if (!current) return null;
+                
+                updateData.variants = mergeVariants(current, updateData.variants, () => new ObjectId().toHexString());
+                if (updateData.variants.length > 0) {
+                    Object.assign(updateData, summarizeVariants(updateData.variants));
+                }
+            }
+            
+            return productsCollection.findOneAndUpdate(
+                { _id: productId },
+                { $set: { ...updateData, updatedAt: new Date() } },
+                { returnDocument: 'after', session }
+            );
+        });
+        
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+        
+        res.json({ success: true, message: "Product updated successfully", product });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "SKU is already in use by another product or variant" });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error updating product:", error);
+        res.status(500).json({ error: "Failed to update product" });
+    }
+});
+
+// API endpoint to archive a product. Products are never hard-deleted because orders,
+// purchase orders and the stock ledger keep referring to them; PUT isActive:true restores one.
+app.delete('/api/products/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid product id" });
+        }
+        
+        const database = client.db(databaseName);
+        const product = await database.collection("Products").findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { isActive: false, archivedAt: new Date(), archivedBy: req.staff.username, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+        
+        console.log(`🗄️ Product archived: ${product.name}`);
+        res.json({ success: true, message: "Product archived", product });
+    } catch (error) {
+        console.error("Error archiving product:", error);
+        res.status(500).json({ error: "Failed to archive product" });
+    }
+});
+
+// API endpoint to update product stock. Products with variants need a variantId;
+// the variant is set and the product total moves by the same difference.
+app.put('/api/products/:id/stock', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { quantity, notes, variantId } = req.body;
+        
+        if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.status(400).json({ error: "Invalid quantity" });
+        }
+        
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid product id" });
+        }
+        
+        const database = client.db(databaseName);
+        const collection = database.collection("Products");
+        
+        // Absolute stock count (e.g. after a physical count); the ledger records the difference
+        const previousQuantity = await runTransaction(async (session) => {
+            const current = await collection.findOne({ _id: new ObjectId(req.params.id) }, { session });
+            if (!current) return null;
+            
+            const variant = findVariant(current, variantId);
+            const invalidLine = variantId && !variant
+                ? "Variant not found"
+                : !variantId && (current.variants || []).length > 0 ? "This product has variants; choose which variant to set" : null;
+            if (invalidLine) {
+                const error = new Error(invalidLine);
+                error.statusCode = 400;
+                throw error;
+            }
+            
+            const before = variant ? variant.stockQuantity || 0 : current.stockQuantity || 0;
+            const delta = quantity - before;
+            if (delta !== 0) {
+                const line = stockLineUpdate({ objectId: current._id, variantId }, 'stockQuantity', delta);
+                const product = await collection.findOneAndUpdate(
+                    line.filter,
+                    line.update,
+                    { ...line.options, returnDocument: 'after', session }
+                );
+                await recordStockMovement(database, product, delta, {
+                    reason: 'manual_adjustment',
+                    variantId,
+                    actor: staffActor(req),
+                    notes
+                }, session);
+            }
+            return before;
+        });
+        
+        if (previousQuantity === null) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+        
+        res.json({ success: true, message: "Stock updated successfully", previousQuantity, stockQuantity: quantity });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error updating stock:", error);
+        res.status(500).json({ error: "Failed to update stock" });
+    }
+});
+
+// API endpoint to validate stock availability before checkout.
+// Stock held by other checkouts is not available; a logged-in customer can pass their
+// reservationId to count their own hold.
+app.post('/api/products/validate-stock', identifyUser, async (req, res) => {
+    try {
+        const { items, reservationId } = req.body; // Array of {id, variantId?, quantity} objects
+        
+        if (!items || !Array.isArray(items)) {
+            return res.status(400).json({ error: "Items array is required" });
+        }
+        
+        const database = client.db(databaseName);
+        const collection = database.collection("Products");
+        
+        // Quantities the caller's own reservation already holds, by product (and variant) id
+        const holdKey = (productId, variantId) => variantId ? `${productId}:${variantId}` : String(productId);
+        const ownHolds = {};
+        if (reservationId && req.user) {
+            const reservation = await database.collection("StockReservations").findOne({ reservationId: String(reservationId), userId: req.user.id, status: 'active' });
+            (reservation ? reservation.items : []).forEach(item => {
+                const key = holdKey(item.productId, item.variantId);
+                ownHolds[key] = (ownHolds[key] || 0) + item.quantity;
+            });
+        }
+        
+        const validationResults = [];
+        let allValid = true;
+        
+        for (const item of items) {
+            if (!item.id || typeof item.quantity !== 'number' || !ObjectId.isValid(String(item.id))) {
+                return res.status(400).json({ error: "Each item must have id and quantity" });
+            }
+            
+            const product = await collection.findOne({ _id: new ObjectId(item.id) });
+            
+            if (!product) {
+                validationResults.push({
+                    id: item.id,
+                    name: 'Unknown Product',
+                    requestedQuantity: item.quantity,
+                    availableStock: 0,
+                    valid: false,
+                    error: 'Product not found'
+                });
+                allValid = false;
+                continue;
+            }
+            
+            const variant = findVariant(product, item.variantId);
+            const hasVariants = (product.variants || []).length > 0;
+            let lineError = null;
+            if (item.variantId && !variant) lineError = 'Variant not found';
+            else if (!item.variantId && hasVariants) lineError = 'Choose a variant';
+            
+            const availableStock = lineError ? 0 : getAvailableStock(variant || product) + (ownHolds[holdKey(item.id, item.variantId)] || 0);
+            const isValid = !lineError && availableStock >= item.quantity;
+            if (!isValid) allValid = false;
+            
+            validationResults.push({
+                id: item.id,
+                ...(item.variantId && { variantId: item.variantId }),
+                name: variant ? `${product.name} (${variant.label})` : product.name,
+                requestedQuantity: item.quantity,
+                availableStock: availableStock,
+                valid: isValid,
+                error: isValid ? null : (lineError || 'Insufficient stock')
+            });
+        }
+        
+        res.json({
+            success: true,
+            allValid: allValid,
+            items: validationResults
+        });
+        
+    } catch (error) {
+        console.error("❌ Error validating stock:", error);
+        res.status(500).json({ error: "Failed to validate stock" });
+    }
+});
+
+// API endpoint to reserve stock while a checkout is being confirmed. The server picks the
+// reservationId; send it back to replace the hold with an updated cart.
+// The hold is released on order placement, on cancel, or by the expiry sweeper.
+app.post('/api/products/reserve-stock', authenticateUser, async (req, res) => {
+    try {
+        const { items, reservationId, expiresInMinutes = 15 } = req.body;
+        
+        if (!items || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: "Items array is required" });
+        }
+        
+        // Keep holds short so abandoned checkouts do not lock stock for long
+        const minutes = Math.min(Math.max(Number(expiresInMinutes) || 15, 1), 30);
+        const expiresAt = new Date(Date.now() + (minutes * 60 * 1000));
+        
+        const database = client.db(databaseName);
+        const reservations = database.collection("StockReservations");
+        const userId = req.user.id;
+        
+        // Replace the customer's own hold, or start a new one if they have room for it
+        const existing = reservationId
+            ? await reservations.findOne({ reservationId: String(reservationId), userId, status: 'active' })
+            : null;
+        if (!existing && await reservations.countDocuments({ userId, status: 'active' }) >= MAX_ACTIVE_RESERVATIONS_PER_USER) {
+            return res.status(429).json({ success: false, error: "Too many checkouts in progress. Finish or cancel one first." });
+        }
+        
+        const reservation = await runTransaction(session =>
+            reserveStock(database, existing ? existing.reservationId : newReservationId(), userId, items, expiresAt, session)
+        );
+        
+        res.json({
+            success: true,
+            reservationId: reservation.reservationId,
+            expiresAt: reservation.expiresAt,
+            items: reservation.items,
+            message: `Stock reserved for ${minutes} minutes`
+        });
+        
+    } catch (error) {
+        if (error.shortfalls) {
+            return res.status(409).json({ success: false, error: "Some items do not have enough stock", shortfalls: error.shortfalls });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        console.error("❌ Error reserving stock:", error);
+        res.status(500).json({ error: "Failed to reserve stock" });
+    }
+});
+
+// API endpoint to release a stock reservation (checkout cancelled) held by the caller
+app.delete('/api/products/reserve-stock/:reservationId', authenticateUser, async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const reservation = await runTransaction(session =>
+            releaseReservation(database, req.params.reservationId, 'cancelled', session, { userId: req.user.id })
+        );
+        
+        if (!reservation) {
+            return res.status(404).json({ error: "Active reservation not found" });
+        }
+        
+        res.json({ success: true, message: "Reservation released" });
+    } catch (error) {
+        console.error("❌ Error releasing stock reservation:", error);
+        res.status(500).json({ error: "Failed to release reservation" });
+    }
+});
+
+// API endpoint to restore stock (for cancelled orders and accepted returns)
+app.post('/api/products/restore-stock', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { items, reason = 'Order cancelled', movementReason = 'cancellation', orderId, orderNumber } = req.body;
+        
+        if (!items || !Array.isArray(items)) {
+            return res.status(400).json({ error: "Items array is required" });
+        }
+        
+        if (!['cancellation', 'return'].includes(movementReason)) {
+            return res.status(400).json({ error: "movementReason must be cancellation or return" });
+        }
+        
+        const database = client.db(databaseName);
+        
+        const restored = await runTransaction(session => restoreStock(database, items, session, {
+            reason: movementReason,
+            orderId: orderId && ObjectId.isValid(String(orderId)) ? new ObjectId(orderId) : null,
+            orderNumber,
+            actor: staffActor(req),
+            notes: reason
+        }));
+        
+        const results = restored.map(({ product, variantId, quantity }) => {
+            const variant = findVariant(product, variantId);
+            return {
+                productId: product._id.toString(),
+                productName: product.name,
+                ...(variant && { variantId, variantLabel: variant.label }),
+                restoredQuantity: quantity,
+                newStock: (variant || product).stockQuantity
+            };
+        });
+        
+        res.json({
+            success: true,
+            message: `Stock restored for ${results.length} products`,
+            reason: reason,
+            results: results
+        });
+        
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error restoring stock:", error);
+        res.status(500).json({ error: "Failed to restore stock" });
+    }
+});
+
+// API endpoint to get the stock movement history (stock card) for a product
+app.get('/api/products/:id/stock-history', requireStaffRole('cashier'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid product id" });
+        }
+        
+        const productId = new ObjectId(req.params.id);
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        
+        const database = client.db(databaseName);
+        const product = await database.collection("Products").findOne(
+            { _id: productId },
+            { projection: { name: 1, stockQuantity: 1, reservedQuantity: 1, variants: 1 } }
+        );
+        
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+        
+        const filter = { productId };
+        if (req.query.variantId) {
+            filter.variantId = String(req.query.variantId);
+        }
+        if (req.query.reason && STOCK_MOVEMENT_REASONS.includes(req.query.reason)) {
+            filter.reason = req.query.reason;
+        }
+        
+        const movementsCollection = database.collection("StockMovements");
+        const [movements, totalMovements] = await Promise.all([
+            movementsCollection.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .toArray(),
+            movementsCollection.countDocuments(filter)
+        ]);
+        
+        res.json({
+            success: true,
+            product: {
+                id: product._id,
+                name: product.name,
+                stockQuantity: product.stockQuantity,
+                reservedQuantity: product.reservedQuantity || 0,
+                availableStock: getAvailableStock(product),
+                variants: (product.variants || []).map(variant => ({
+                    variantId: variant.variantId,
+                    label: variant.label,
+                    sku: variant.sku,
+                    stockQuantity: variant.stockQuantity || 0,
+                    reservedQuantity: variant.reservedQuantity || 0,
+                    availableStock: getAvailableStock(variant)
+                }))
+            },
+            movements,
+            pagination: {
+                page,
+                limit,
+                totalMovements,
+                totalPages: Math.ceil(totalMovements / limit)
+            }
+        });
+    } catch (error) {
+        console.error("❌ Error fetching stock history:", error);
+        res.status(500).json({ error: "Failed to fetch stock history" });
+    }
+});
+
+// API endpoint to list suppliers
+app.get('/api/suppliers', requireStaffRole('cashier'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const filter = req.query.includeInactive === 'true' ? {} : { isActive: { $ne: false } };
+        const suppliers = await database.collection("Suppliers").find(filter).sort({ name: 1 }).toArray();
+        
+        res.json({ success: true, suppliers });
+    } catch (error) {
+        console.error("❌ Error fetching suppliers:", error);
+        res.status(500).json({ error: "Failed to fetch suppliers" });
+    }
+});
+
+// Pick the supplier fields staff may set; name is required when creating
+function buildSupplierFields(body, requireName) {
+    const fields = {};
+    ['name', 'contactName', 'email', 'phone', 'address', 'notes'].forEach(key => {
+        if (body[key] !== undefined) {
+            fields[key] = String(body[key]).trim();
+        }
+    });
+    if (body.isActive !== undefined) {
+        fields.isActive = body.isActive === true;
+    }
+    if ((requireName || fields.name !== undefined) && !fields.name) {
+        const error = new Error("Supplier name is required");
+        error.statusCode = 400;
+        throw error;
+    }
+    return fields;
+}
+
+// API endpoint to create a supplier
+app.post('/api/suppliers', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const supplier = {
+            ...buildSupplierFields(req.body, true),
+            isActive: req.body.isActive !== false,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            createdBy: req.staff.username
+        };
+        
+        const result = await database.collection("Suppliers").insertOne(supplier);
+        
+        res.status(201).json({ success: true, supplier: { ...supplier, _id: result.insertedId } });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error creating supplier:", error);
+        res.status(500).json({ error: "Failed to create supplier" });
+    }
+});
+
+// API endpoint to update a supplier
+app.put('/api/suppliers/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid supplier id" });
+        }
         
-        const pendingCount = await pendingCollection.countDocuments({});
-        const acceptedCount = await acceptedCollection.countDocuments({});
-        const deliveredCount = await deliveredCollection.countDocuments({});
+        const database = client.db(databaseName);
+        const supplier = await database.collection("Suppliers").findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { ...buildSupplierFields(req.body, false), updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
         
+        if (!supplier) {
+            return res.status(404).json({ error: "Supplier not found" });
+        }
         
+        res.json({ success: true, supplier });
     } catch (error) {
-        console.error("❌ Error connecting to MongoDB:", error);
-        console.error("❌ Error details:", error.message);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error updating supplier:", error);
+        res.status(500).json({ error: "Failed to update supplier" });
     }
+});
+
+// Purchase order lifecycle: draft -> sent -> partially_received -> received,
+// and draft/sent -> cancelled while nothing has been received
+const RECEIVABLE_PO_STATUSES = ['sent', 'partially_received'];
+
+function purchaseOrderError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
 }
 
-// API endpoint to get all products (with optional limit, pagination, and category filter)
-app.get('/api/products', async (req, res) => {
+// API endpoint to list purchase orders
+app.get('/api/purchase-orders', requireStaffRole('cashier'), async (req, res) => {
     try {
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
+        const filter = req.query.status ? { status: String(req.query.status) } : {};
+        const purchaseOrders = await database.collection("PurchaseOrders")
+            .find(filter)
+            .sort({ createdAt: -1 })
+            .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+            .toArray();
+        
+        res.json({ success: true, purchaseOrders });
+    } catch (error) {
+        console.error("❌ Error fetching purchase orders:", error);
+        res.status(500).json({ error: "Failed to fetch purchase orders" });
+    }
+});
+
+// API endpoint to get one purchase order
+app.get('/api/purchase-orders/:id', requireStaffRole('cashier'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid purchase order id" });
+        }
         
-        // Build query filter
-        let queryFilter = { isActive: true };
+        const database = client.db(databaseName);
+        const purchaseOrder = await database.collection("PurchaseOrders").findOne({ _id: new ObjectId(req.params.id) });
         
-        // Category filter support - optimized to avoid regex when possible
-        if (req.query.category && req.query.category !== 'all') {
-            // Support normalized category buckets
-            const categoryMap = {
-                'paints': { $regex: /paint|painting/i },
-                'tools-accessories': { $regex: /power-tools|powertools|hand-tools|handtools|tool|tools|accessor/i },
-                'building-materials-aggregates': { $regex: /building-materials|aggregate|cement|sand|gravel|hollow|plywood|wood|lumber|tile|roof/i },
-                'electrical-supplies': { $regex: /electrical|wire|breaker|outlet|switch/i },
-                'plumbing-fixtures': { $regex: /plumbing|fixture|pipe|fitting|faucet|valve/i },
-                'fasteners-consumables': { $regex: /fastener|screw|nail|bolt|nut|consumable|adhesive|sealant|tape/i }
-            };
-            
-            // Check if it's a normalized category
-            if (categoryMap[req.query.category]) {
-                queryFilter.category = categoryMap[req.query.category];
-            } else {
-                // Direct category match (case insensitive)
-                queryFilter.category = { $regex: new RegExp(`^${req.query.category}$`, 'i') };
+        if (!purchaseOrder) {
+            return res.status(404).json({ error: "Purchase order not found" });
+        }
+        
+        res.json({ success: true, purchaseOrder });
+    } catch (error) {
+        console.error("❌ Error fetching purchase order:", error);
+        res.status(500).json({ error: "Failed to fetch purchase order" });
+    }
+});
+
+// API endpoint to create a draft purchase order with lines of {productId, quantity, unitCost}
+app.post('/api/purchase-orders', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { supplierId, lines, notes, expectedDate } = req.body;
+        
+        if (!supplierId || !ObjectId.isValid(String(supplierId))) {
+            return res.status(400).json({ error: "A valid supplierId is required" });
+        }
+        
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({ error: "At least one purchase order line is required" });
+        }
+        
+        const database = client.db(databaseName);
+        const supplier = await database.collection("Suppliers").findOne({ _id: new ObjectId(supplierId) });
+        
+        if (!supplier || supplier.isActive === false) {
+            return res.status(404).json({ error: "Supplier not found" });
+        }
+        
+        const productIds = [];
+        const lineKeys = new Set();
+        for (const line of lines) {
+            const quantity = Number(line.quantity);
+            const unitCost = line.unitCost === undefined ? null : Number(line.unitCost);
+            if (!line.productId || !ObjectId.isValid(String(line.productId)) || !Number.isInteger(quantity) || quantity <= 0) {
+                return res.status(400).json({ error: "Each line needs a productId and a positive whole quantity" });
+            }
+            if (unitCost !== null && (!Number.isFinite(unitCost) || unitCost < 0)) {
+                return res.status(400).json({ error: "Unit cost must be zero or more" });
+            }
+            const lineKey = `${line.productId}:${line.variantId || ''}`;
+            if (lineKeys.has(lineKey)) {
+                return res.status(400).json({ error: "Each product may only appear once per purchase order" });
             }
+            lineKeys.add(lineKey);
+            productIds.push(String(line.productId));
         }
         
-        // Parse pagination parameters with defaults
-        const limit = req.query.limit ? parseInt(req.query.limit) : 12; // Default to 12 if not specified
-        const skip = req.query.skip ? parseInt(req.query.skip) : 0;
+        const products = await database.collection("Products").find(
+            { _id: { $in: productIds.map(id => new ObjectId(id)) } },
+            { projection: { name: 1, lastUnitCost: 1, variants: 1 } }
+        ).toArray();
+        const productsById = new Map(products.map(product => [product._id.toString(), product]));
         
-        // Check if sorting should be skipped (for performance on index page)
-        const skipSort = req.query.skipSort === 'true' || req.query.noSort === 'true';
+        const missing = productIds.filter(id => !productsById.has(id));
+        if (missing.length > 0) {
+            return res.status(404).json({ error: `Products not found: ${[...new Set(missing)].join(', ')}` });
+        }
         
-        // Check if minimal fields should be returned (for list views - much faster)
-        const minimalFields = req.query.minimal === 'true' || req.query.fields === 'minimal' || skipSort;
+        for (const line of lines) {
+            const product = productsById.get(String(line.productId));
+            if ((product.variants || []).length > 0 && !findVariant(product, line.variantId)) {
+                return res.status(400).json({ error: `Choose a valid variant of ${product.name} for each line` });
+            }
+            if ((product.variants || []).length === 0 && line.variantId) {
+                return res.status(400).json({ error: `${product.name} has no variants` });
+            }
+        }
         
-        // Define projection for minimal fields (only what's needed for list views)
-        const minimalProjection = {
-            _id: 1,
-            name: 1,
-            image: 1,
-            SellingPrice: 1,
-            sellingPrice: 1,
-            Price: 1,
-            price: 1,
-            stockQuantity: 1,
-            category: 1,
-            isActive: 1
+        const purchaseOrder = {
+            poNumber: `PO-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+            supplierId: supplier._id,
+            supplierName: supplier.name,
+            status: 'draft',
+            lines: lines.map(line => {
+                const product = productsById.get(String(line.productId));
+                const variant = findVariant(product, line.variantId);
+                return {
+                    productId: product._id,
+                    productName: product.name,
+                    ...(variant && { variantId: variant.variantId, variantLabel: variant.label }),
+                    quantityOrdered: Number(line.quantity),
+                    quantityReceived: 0,
+                    unitCost: line.unitCost === undefined ? (product.lastUnitCost || 0) : Number(line.unitCost)
+                };
+            }),
+            notes: notes || '',
+            expectedDate: expectedDate ? new Date(expectedDate) : null,
+            receipts: [],
+            createdBy: req.staff.username,
+            createdAt: new Date(),
+            updatedAt: new Date()
         };
         
-        // Determine sort field and direction
-        let sortField = 'name';
-        let sortDirection = 1;
-        if (!skipSort) {
-            if (req.query.sortBy) {
-                switch(req.query.sortBy) {
-                    case 'price-low':
-                        sortField = 'SellingPrice';
-                        sortDirection = 1;
-                        break;
-                    case 'price-high':
-                        sortField = 'SellingPrice';
-                        sortDirection = -1;
-                        break;
-                    case 'name':
-                        sortField = 'name';
-                        sortDirection = 1;
-                        break;
-                }
-            }
+        const result = await database.collection("PurchaseOrders").insertOne(purchaseOrder);
+        console.log(`🧾 Purchase order ${purchaseOrder.poNumber} created for ${supplier.name}`);
+        
+        res.status(201).json({ success: true, purchaseOrder: { ...purchaseOrder, _id: result.insertedId } });
+    } catch (error) {
+        console.error("❌ Error creating purchase order:", error);
+        res.status(500).json({ error: "Failed to create purchase order" });
+    }
+});
+
+// API endpoint to mark a draft purchase order as sent to the supplier
+app.post('/api/purchase-orders/:id/send', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid purchase order id" });
         }
         
-        // Generate ETag for caching (based on query params only - check BEFORE database query)
-        // This allows server to return 304 immediately without processing
-        const crypto = require('crypto');
-        const cacheKey = `${limit}-${skip}-${req.query.category || 'all'}-${req.query.sortBy || 'default'}-${skipSort}-${minimalFields}`;
-        const etag = crypto.createHash('md5').update(cacheKey).digest('hex');
+        const database = client.db(databaseName);
+        const purchaseOrder = await database.collection("PurchaseOrders").findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), status: 'draft' },
+            { $set: { status: 'sent', sentAt: new Date(), sentBy: req.staff.username, updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
         
-        // Set caching headers
-        res.setHeader('Cache-Control', 'public, max-age=60'); // Cache for 60 seconds
-        res.setHeader('ETag', `"${etag}"`);
+        if (!purchaseOrder) {
+            return res.status(409).json({ error: "Only draft purchase orders can be sent" });
+        }
         
-        // Check If-None-Match header BEFORE database query - return 304 immediately if cached
-        const ifNoneMatch = req.headers['if-none-match'];
-        if (ifNoneMatch === `"${etag}"` || ifNoneMatch === etag) {
-            return res.status(304).end();
+        res.json({ success: true, purchaseOrder });
+    } catch (error) {
+        console.error("❌ Error sending purchase order:", error);
+        res.status(500).json({ error: "Failed to send purchase order" });
+    }
+});
+
+// API endpoint to cancel a purchase order that has not received anything yet
+app.post('/api/purchase-orders/:id/cancel', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid purchase order id" });
         }
         
-        // Use find() with sort for better performance when possible
-        // Only use aggregation if we need complex operations
-        let products;
-        let totalCount;
+        const database = client.db(databaseName);
+        const purchaseOrder = await database.collection("PurchaseOrders").findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), status: { $in: ['draft', 'sent'] } },
+            { $set: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.staff.username, cancellationReason: req.body.reason || '', updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
         
-        // Run count in parallel with the query for better performance
-        const countPromise = req.query.includeMeta === 'true' 
-            ? collection.countDocuments(queryFilter)
-            : Promise.resolve(0);
+        if (!purchaseOrder) {
+            return res.status(409).json({ error: "Only draft or sent purchase orders can be cancelled" });
+        }
         
-        try {
-            // Try using find() first - it's faster than aggregate for simple queries
-            let query = collection.find(queryFilter);
+        res.json({ success: true, purchaseOrder });
+    } catch (error) {
+        console.error("❌ Error cancelling purchase order:", error);
+        res.status(500).json({ error: "Failed to cancel purchase order" });
+    }
+});
+
+// API endpoint to receive goods against a purchase order, fully or partially.
+// Body: { lines: [{ productId, quantity, unitCost? }], notes }. Stock, unit cost, the
+// stock ledger and the purchase order are all updated in one transaction.
+app.post('/api/purchase-orders/:id/receive', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { lines, notes } = req.body;
+        
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid purchase order id" });
+        }
+        
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return res.status(400).json({ error: "At least one received line is required" });
+        }
+        
+        const database = client.db(databaseName);
+        const purchaseOrdersCollection = database.collection("PurchaseOrders");
+        
+        const purchaseOrder = await runTransaction(async (session) => {
+            const current = await purchaseOrdersCollection.findOne({ _id: new ObjectId(req.params.id) }, { session });
             
-            // Add projection for minimal fields if requested (dramatically reduces data transfer)
-            if (minimalFields) {
-                query = query.project(minimalProjection);
+            if (!current) {
+                throw purchaseOrderError("Purchase order not found", 404);
             }
-            
-            // Only add sort if not skipped (for performance)
-            if (!skipSort) {
-                query = query.sort({ [sortField]: sortDirection });
+            if (!RECEIVABLE_PO_STATUSES.includes(current.status)) {
+                throw purchaseOrderError(`A ${current.status} purchase order cannot be received`, 409);
             }
             
-            query = query.skip(skip).limit(limit);
-            
-            products = await query.toArray();
-            totalCount = await countPromise;
+            const receivedAt = new Date();
+            const poLines = current.lines.map(line => ({ ...line }));
+            const receiptLines = [];
             
-        } catch (error) {
-            // If find() fails (e.g., memory limit), fall back to aggregation with allowDiskUse
-            if (error.code === 292 || error.codeName === 'QueryExceededMemoryLimitNoDiskUseAllowed') {
-                console.warn('⚠️ Using aggregation fallback for products query');
+            for (const received of lines) {
+                const quantity = Number(received.quantity);
+                if (quantity === 0) continue;
                 
-                const pipeline = [
-                    { $match: queryFilter }
-                ];
+                const poLine = poLines.find(line =>
+                    line.productId.toString() === String(received.productId) &&
+                    (line.variantId || null) === (received.variantId || null)
+                );
+                if (!poLine) {
+                    throw purchaseOrderError(`Product ${received.productId} is not on this purchase order`, 400);
+                }
                 
-                // Add projection for minimal fields if requested
-                if (minimalFields) {
-                    pipeline.push({ $project: minimalProjection });
+                const remaining = poLine.quantityOrdered - poLine.quantityReceived;
+                if (!Number.isInteger(quantity) || quantity < 0 || quantity > remaining) {
+                    throw purchaseOrderError(`Received quantity for ${poLine.productName} must be between 0 and ${remaining}`, 400);
                 }
                 
-                // Only add sort if not skipped
-                if (!skipSort) {
-                    pipeline.push({ $sort: { [sortField]: sortDirection } });
+                const unitCost = received.unitCost === undefined ? poLine.unitCost : Number(received.unitCost);
+                if (!Number.isFinite(unitCost) || unitCost < 0) {
+                    throw purchaseOrderError(`Invalid unit cost for ${poLine.productName}`, 400);
                 }
                 
-                pipeline.push({ $skip: skip });
-                pipeline.push({ $limit: limit });
+                const stockLine = stockLineUpdate({ objectId: poLine.productId, variantId: poLine.variantId }, 'stockQuantity', quantity);
+                const product = await database.collection("Products").findOneAndUpdate(
+                    stockLine.filter,
+                    { ...stockLine.update, $set: { lastUnitCost: unitCost, updatedAt: receivedAt } },
+                    { ...stockLine.options, returnDocument: 'after', session }
+                );
+                if (!product) {
+                    throw purchaseOrderError(`Product ${poLine.productName} no longer exists`, 404);
+                }
                 
-                try {
-                    products = await collection.aggregate(pipeline, { allowDiskUse: true }).toArray();
-                    totalCount = await countPromise;
-                } catch (aggError) {
-                    // Last resort: fetch limited batch and sort in memory
-                    if (aggError.code === 292 || aggError.codeName === 'QueryExceededMemoryLimitNoDiskUseAllowed') {
-                        console.warn('⚠️ allowDiskUse not supported, using in-memory sort fallback');
-                        
-                        // Fetch only what we need + a small buffer for pagination
-                        const fetchLimit = Math.min(skip + limit + 100, 1000); // Max 1000 for performance
-                        const noSortPipeline = [
-                            { $match: queryFilter }
-                        ];
-                        
-                        // Add projection for minimal fields if requested
-                        if (minimalFields) {
-                            noSortPipeline.push({ $project: minimalProjection });
+                await recordStockMovement(database, product, quantity, {
+                    reason: 'receiving',
+                    variantId: poLine.variantId,
+                    purchaseOrderId: current._id,
+                    purchaseOrderNumber: current.poNumber,
+                    unitCost,
+                    actor: staffActor(req),
+                    notes
+                }, session);
+                
+                poLine.quantityReceived += quantity;
+                poLine.receivedCostTotal = (poLine.receivedCostTotal || 0) + quantity * unitCost;
+                receiptLines.push({
+                    productId: poLine.productId,
+                    productName: poLine.productName,
+                    ...(poLine.variantId && { variantId: poLine.variantId, variantLabel: poLine.variantLabel }),
+                    quantity,
+                    unitCost
+                });
+            }
+            
+            if (receiptLines.length === 0) {
+                throw purchaseOrderError("Nothing to receive", 400);
+            }
+            
+            const fullyReceived = poLines.every(line => line.quantityReceived >= line.quantityOrdered);
+            return purchaseOrdersCollection.findOneAndUpdate(
+                { _id: current._id },
+                {
+                    $set: {
+                        lines: poLines,
+                        status: fullyReceived ? 'received' : 'partially_received',
+                        ...(fullyReceived && { receivedAt }),
+                        updatedAt: receivedAt
+                    },
+                    $push: {
+                        receipts: {
+                            receivedAt,
+                            receivedBy: req.staff.username,
+                            lines: receiptLines,
+                            notes: notes || ''
                         }
-                        
-                        noSortPipeline.push({ $limit: fetchLimit });
-                        
-                        let fetchedProducts = await collection.aggregate(noSortPipeline).toArray();
-                        
-                        // Sort in memory
-                        fetchedProducts.sort((a, b) => {
-                            const aVal = a[sortField];
-                            const bVal = b[sortField];
-                            if (sortField === 'SellingPrice') {
-                                const diff = (parseFloat(aVal) || 0) - (parseFloat(bVal) || 0);
-                                return diff * sortDirection;
-                            }
-                            const diff = (aVal || '').localeCompare(bVal || '');
-                            return diff * sortDirection;
-                        });
-                        
-                        // Apply pagination
-                        products = fetchedProducts.slice(skip, skip + limit);
-                        totalCount = await countPromise;
-                    } else {
-                        throw aggError;
                     }
-                }
-            } else {
-                throw error;
-            }
+                },
+                { returnDocument: 'after', session }
+            );
+        });
+        
+        console.log(`📥 Received goods for ${purchaseOrder.poNumber} (${purchaseOrder.status})`);
+        res.json({ success: true, purchaseOrder });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error receiving purchase order:", error);
+        res.status(500).json({ error: "Failed to receive purchase order" });
+    }
+});
+
+// API endpoint to get current stock levels for multiple products
+app.post('/api/products/stock-levels', async (req, res) => {
+    try {
+        const { ObjectId } = require('mongodb');
+        const { productIds } = req.body;
+        
+        if (!productIds || !Array.isArray(productIds)) {
+            return res.status(400).json({ error: "Product IDs array is required" });
         }
         
-        // Return products with pagination metadata
-        if (req.query.includeMeta === 'true') {
-            res.json({
-                products: products,
-                totalCount: totalCount,
-                currentPage: Math.floor(skip / limit) + 1,
-                totalPages: Math.ceil(totalCount / limit)
+        const database = client.db(databaseName);
+        const collection = database.collection("Products");
+        
+        const objectIds = productIds.map(id => new ObjectId(id));
+        const products = await collection.find(
+            { _id: { $in: objectIds } },
+            { projection: { _id: 1, name: 1, stockQuantity: 1, reservedQuantity: 1, isActive: 1, variants: 1 } }
+        ).toArray();
+        
+        const stockLevels = products.map(product => ({
+            id: product._id.toString(),
+            name: product.name,
+            stockQuantity: product.stockQuantity,
+            reservedQuantity: product.reservedQuantity || 0,
+            availableStock: getAvailableStock(product),
+            isActive: product.isActive,
+            ...(product.variants && product.variants.length > 0 && {
+                variants: product.variants.map(variant => ({
+                    variantId: variant.variantId,
+                    label: variant.label,
+                    stockQuantity: variant.stockQuantity || 0,
+                    availableStock: getAvailableStock(variant),
+                    isActive: variant.isActive !== false
+                }))
+            })
+        }));
+        
+        res.json({
+            success: true,
+            stockLevels: stockLevels
+        });
+        
+    } catch (error) {
+        console.error("Error fetching stock levels:", error);
+        res.status(500).json({ error: "Failed to fetch stock levels" });
+    }
+});
+
+// ===== Customer carts (lib/cart.js) =====
+
+// Revalidate cart lines against the current products at a customer group's prices; see revalidateCartItems
+async function revalidateCart(database, items, group) {
+    const productIds = [...new Set(items.map(item => String(item.productId)))];
+    const [products, breaksByKey] = productIds.length === 0 ? [[], new Map()] : await Promise.all([
+        database.collection("Products").find(
+            { _id: { $in: productIds.map(id => new ObjectId(id)) } },
+            { projection: { name: 1, price: 1, image: 1, category: 1, stockQuantity: 1, reservedQuantity: 1, isActive: 1, variants: 1 } }
+        ).toArray(),
+        loadPriceList(database, group, productIds)
+    ]);
+    return revalidateCartItems(items, new Map(products.map(product => [product._id.toString(), product])), groupUnitPrice(breaksByKey));
+}
+
+// Store revalidated lines for a customer and build the API response
+async function saveCart(database, userId, lines, notes, issues) {
+    const now = new Date();
+    const cart = await database.collection("Carts").findOneAndUpdate(
+        { userId },
+        {
+            $set: { items: toStoredCartItems(lines), notes, updatedAt: now },
+            $setOnInsert: { createdAt: now }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+    return {
+        success: true,
+        cart: { items: lines, notes: cart.notes, ...summarizeCart(lines), updatedAt: cart.updatedAt },
+        issues
+    };
+}
+
+function customerObjectId(req) {
+    if (!ObjectId.isValid(req.user.id)) {
+        const error = new Error("Invalid customer session");
+        error.statusCode = 401;
+        throw error;
+    }
+    return new ObjectId(req.user.id);
+}
+
+// API endpoint to get the logged-in customer's cart, revalidated against current prices
+// and stock. Changes found (price, stock, removed products) are saved and listed in `issues`.
+app.get('/api/cart', authenticateUser, async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const userId = customerObjectId(req);
+        const stored = await database.collection("Carts").findOne({ userId });
+        const notes = stored ? stored.notes || '' : '';
+        const group = await accountCustomerGroup(database, req.user.id);
+        const { items, issues } = await revalidateCart(database, stored ? stored.items : [], group);
+        
+        if (!stored || issues.length === 0) {
+            return res.json({
+                success: true,
+                cart: { items, notes, ...summarizeCart(items), updatedAt: stored ? stored.updatedAt : null },
+                issues
             });
-        } else {
-            res.json(products);
         }
+        res.json(await saveCart(database, userId, items, notes, issues));
     } catch (error) {
-        console.error("Error fetching products:", error);
-        res.status(500).json({ error: "Failed to fetch products" });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error fetching cart:", error);
+        res.status(500).json({ error: "Failed to fetch cart" });
     }
 });
 
-// API endpoint to get a single product by ID
-app.get('/api/products/:id', async (req, res) => {
+// API endpoint to replace the logged-in customer's cart: { items: [{ id?, productId, variantId?, quantity, price? }], notes? }
+// `price` is what the customer was shown; a different current price is reported in `issues`.
+app.put('/api/cart', authenticateUser, async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const database = client.db(databaseName);
-        const collection = database.collection("Products");
-        const product = await collection.findOne({ 
-            _id: new ObjectId(req.params.id), 
-            isActive: true 
-        });
+        const items = validateCartItems(req.body.items);
+        const notes = validateCartNotes(req.body.notes);
+        const errors = [...items.errors, ...notes.errors];
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid cart", errors });
+        }
         
-        if (!product) {
-            return res.status(404).json({ error: "Product not found" });
+        const database = client.db(databaseName);
+        const group = await accountCustomerGroup(database, req.user.id);
+        const { items: lines, issues } = await revalidateCart(database, items.value, group);
+        res.json(await saveCart(database, customerObjectId(req), lines, notes.value, issues));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error saving cart:", error);
+        res.status(500).json({ error: "Failed to save cart" });
+    }
+});
+
+// API endpoint to merge a guest cart into the logged-in customer's cart (called right after login):
+// { items, notes? }. Quantities of lines in both carts add up.
+app.post('/api/cart/merge', authenticateUser, async (req, res) => {
+    try {
+        const guestItems = validateCartItems(req.body.items);
+        const guestNotes = validateCartNotes(req.body.notes);
+        const errors = [...guestItems.errors, ...guestNotes.errors];
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid cart", errors });
         }
         
-        res.json(product);
+        const database = client.db(databaseName);
+        const userId = customerObjectId(req);
+        const stored = await database.collection("Carts").findOne({ userId });
+        const merged = mergeCartItems(stored ? stored.items : [], guestItems.value);
+        const notes = (stored && stored.notes) || guestNotes.value;
+        
+        const group = await accountCustomerGroup(database, req.user.id);
+        const { items: lines, issues } = await revalidateCart(database, merged, group);
+        res.json(await saveCart(database, userId, lines, notes, issues));
     } catch (error) {
-        console.error("Error fetching product:", error);
-        res.status(500).json({ error: "Failed to fetch product" });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error merging cart:", error);
+        res.status(500).json({ error: "Failed to merge cart" });
     }
 });
 
-// API endpoint to bulk update stock (for checkout) - MUST BE BEFORE :id route
-app.put('/api/products/bulk-stock', async (req, res) => {
-    
+// API endpoint to empty the logged-in customer's cart
+app.delete('/api/cart', authenticateUser, async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { updates } = req.body; // Array of {id, quantity} objects
+        const database = client.db(databaseName);
+        await database.collection("Carts").updateOne(
+            { userId: customerObjectId(req) },
+            { $set: { items: [], notes: '', updatedAt: new Date() } }
+        );
+        res.json({ success: true, message: "Cart cleared" });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error clearing cart:", error);
+        res.status(500).json({ error: "Failed to clear cart" });
+    }
+});
+
+// ===== Wishlists and saved-for-later (lib/wishlist.js) =====
+
+const WISHLIST_PRODUCT_PROJECTION = { name: 1, price: 1, image: 1, stockQuantity: 1, reservedQuantity: 1, isActive: 1, variants: 1 };
+
+async function findWishlistProducts(database, items) {
+    const productIds = [...new Set(items.map(item => String(item.productId)))];
+    const products = productIds.length === 0 ? [] : await database.collection("Products").find(
+        { _id: { $in: productIds.map(id => new ObjectId(id)) } },
+        { projection: WISHLIST_PRODUCT_PROJECTION }
+    ).toArray();
+    return new Map(products.map(product => [product._id.toString(), product]));
+}
+
+function wishlistCounts(items) {
+    return Object.fromEntries(WISHLIST_LISTS.map(list => [list, items.filter(item => item.list === list).length]));
+}
+
+// API endpoint to get the logged-in customer's wishlist and saved-for-later items (?list=wishlist|saved)
+app.get('/api/wishlist', authenticateUser, async (req, res) => {
+    try {
+        if (req.query.list !== undefined && !WISHLIST_LISTS.includes(req.query.list)) {
+            return res.status(400).json({ error: `list must be one of ${WISHLIST_LISTS.join(', ')}` });
+        }
         
+        const database = client.db(databaseName);
+        const stored = await database.collection("Wishlists").findOne({ userId: customerObjectId(req) });
+        const items = stored ? stored.items : [];
+        const listed = req.query.list ? items.filter(item => item.list === req.query.list) : items;
         
-        if (!updates) {
-            console.error('❌ No updates provided in request body');
-            return res.status(400).json({ error: "Updates field is required" });
+        res.json({
+            success: true,
+            items: describeWishlistItems(listed, await findWishlistProducts(database, listed)),
+            counts: wishlistCounts(items)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error fetching wishlist:", error);
+        res.status(500).json({ error: "Failed to fetch wishlist" });
+    }
+});
+
+// API endpoint to add or update a wishlist item:
+// { productId, variantId?, list?: 'wishlist'|'saved', quantity?, notifyWhenInStock? }.
+// Saving the same product again moves it between lists; back-in-stock alerts can only be
+// turned on while the item is out of stock.
+app.post('/api/wishlist', authenticateUser, async (req, res) => {
+    try {
+        const { value, errors } = validateWishlistEntry(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid wishlist item", errors });
         }
         
-        if (!Array.isArray(updates)) {
-            console.error('❌ Updates is not an array:', updates);
-            return res.status(400).json({ error: "Updates must be an array" });
+        const database = client.db(databaseName);
+        const userId = customerObjectId(req);
+        const product = await database.collection("Products").findOne(
+            { _id: new ObjectId(value.productId) },
+            { projection: WISHLIST_PRODUCT_PROJECTION }
+        );
+        const details = wishlistItemProduct(value, product);
+        if (!details) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+        if (value.notifyWhenInStock && details.availableStock > 0) {
+            return res.status(400).json({ error: `${details.name} is in stock; back-in-stock alerts are for sold-out items` });
         }
         
+        const stored = await database.collection("Wishlists").findOne({ userId });
+        const { items, item } = upsertWishlistItem(stored ? stored.items : [], value);
+        const now = new Date();
+        await database.collection("Wishlists").updateOne(
+            { userId },
+            {
+                $set: { items, email: req.user.email, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true }
+        );
         
+        res.json({
+            success: true,
+            item: describeWishlistItems([item], new Map([[value.productId, product]]))[0],
+            counts: wishlistCounts(items)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error saving wishlist item:", error);
+        res.status(500).json({ error: "Failed to save wishlist item" });
+    }
+});
+
+// API endpoint to remove a wishlist item by its id (productId, or productId:variantId)
+app.delete('/api/wishlist/:itemId', authenticateUser, async (req, res) => {
+    try {
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
+        const userId = customerObjectId(req);
+        const updated = await database.collection("Wishlists").findOneAndUpdate(
+            { userId, 'items.id': req.params.itemId },
+            { $pull: { items: { id: req.params.itemId } }, $set: { updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            return res.status(404).json({ error: "Wishlist item not found" });
+        }
         
-        // Process each update
-        const results = [];
-        for (let i = 0; i < updates.length; i++) {
-            const update = updates[i];
-            
-            // Validate the update object
-            if (!update.id || typeof update.quantity !== 'number') {
-                console.error('❌ Invalid update object:', update);
-                return res.status(400).json({ error: "Each update must have id and quantity" });
-            }
-            
-            // Check if the product exists first
-            const existingProduct = await collection.findOne({ _id: new ObjectId(update.id) });
-            if (!existingProduct) {
-                console.error(`❌ Product not found: ${update.id}`);
-                return res.status(404).json({ error: `Product not found: ${update.id}` });
-            }
-            
+        res.json({ success: true, message: "Removed from wishlist", counts: wishlistCounts(updated.items) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error removing wishlist item:", error);
+        res.status(500).json({ error: "Failed to remove wishlist item" });
+    }
+});
+
+const BACK_IN_STOCK_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+async function sendBackInStockEmail(database, email, items) {
+    await enqueueEmail(database, email, 'back-in-stock', {
+        storeUrl: STORE_URL,
+        items: items.map(item => ({
+            name: item.name,
+            price: item.price.toFixed(2),
+            url: `${STORE_URL}/product.html?id=${item.productId}`
+        }))
+    });
+}
+
+// Send each armed back-in-stock alert once its item has available stock again
+async function sweepBackInStockAlerts() {
+    try {
+        const database = client.db(databaseName);
+        const wishlists = await database.collection("Wishlists")
+            .find({ items: { $elemMatch: { notifyWhenInStock: true } } })
+            .toArray();
+        let sent = 0;
+        
+        for (const wishlist of wishlists) {
+            const armed = wishlist.items.filter(item => item.notifyWhenInStock);
+            const productsById = await findWishlistProducts(database, armed);
+            const restocked = armed
+                .map(item => ({ item, details: wishlistItemProduct(item, productsById.get(String(item.productId))) }))
+                .filter(({ details }) => details && details.availableStock > 0);
+            if (restocked.length === 0 || !wishlist.email) continue;
             
-            // Check if there's enough stock
-            if (existingProduct.stockQuantity < update.quantity) {
-                console.error(`❌ Insufficient stock for ${existingProduct.name}. Available: ${existingProduct.stockQuantity}, Requested: ${update.quantity}`);
-                return res.status(400).json({ 
-                    error: `Insufficient stock for ${existingProduct.name}. Available: ${existingProduct.stockQuantity}, Requested: ${update.quantity}` 
-                });
+            try {
+                await sendBackInStockEmail(database, wishlist.email, restocked.map(({ item, details }) => ({ productId: item.productId, ...details })));
+            } catch (error) {
+                console.error(`❌ Error queueing back-in-stock email to ${wishlist.email}:`, error.message);
+                continue;
             }
             
-            // Update the stock
-            const result = await collection.updateOne(
-                { _id: new ObjectId(update.id) },
-                { $inc: { stockQuantity: -update.quantity } }
+            const notifiedIds = new Set(restocked.map(({ item }) => item.id));
+            await database.collection("Wishlists").updateOne(
+                { _id: wishlist._id },
+                { $set: { 'items.$[alert].notifyWhenInStock': false, 'items.$[alert].notifiedAt': new Date() } },
+                { arrayFilters: [{ 'alert.id': { $in: [...notifiedIds] } }] }
             );
-            
-            results.push(result);
+            sent++;
         }
         
-        res.json({ success: true, message: "Stock updated successfully", results });
+        if (sent > 0) {
+            console.log(`📬 Sent ${sent} back-in-stock alerts`);
+        }
     } catch (error) {
-        console.error("❌ Error updating bulk stock:", error);
-        console.error("❌ Error stack:", error.stack);
-        res.status(500).json({ error: "Failed to update bulk stock", details: error.message });
+        console.error("❌ Error sending back-in-stock alerts:", error);
     }
-});
+}
 
-// API endpoint to update product
-app.put('/api/products/:id', async (req, res) => {
+// ===== Customer notifications (lib/notifications.js) =====
+
+// Notifications are stored with the account id as a string; older ones may hold an ObjectId
+function notificationOwnerFilter(req) {
+    const userId = customerObjectId(req);
+    return { userId: { $in: [userId.toString(), userId] } };
+}
+
+function notificationObjectId(id) {
+    if (!ObjectId.isValid(id)) {
+        const error = new Error("Invalid notification id");
+        error.statusCode = 400;
+        throw error;
+    }
+    return new ObjectId(id);
+}
+
+// API endpoint to list the logged-in customer's notifications, newest first.
+// ?page=, ?limit= (at most 50) and ?unread=true; unreadCount is always the inbox total.
+app.get('/api/users/me/notifications', authenticateUser, async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const updateData = req.body;
-        
+        const { page, limit, skip, unreadOnly } = parseNotificationQuery(req.query);
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
-        
-        const result = await collection.updateOne(
-            { _id: new ObjectId(req.params.id) },
-            { $set: updateData }
-        );
+        const collection = database.collection("UserNotifications");
+        const owner = notificationOwnerFilter(req);
+        const filter = unreadOnly ? { ...owner, read: { $ne: true } } : owner;
+        
+        const [notifications, totalCount, unreadCount] = await Promise.all([
+            collection.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+            collection.countDocuments(filter),
+            collection.countDocuments({ ...owner, read: { $ne: true } })
+        ]);
         
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Product not found" });
+        res.json({
+            success: true,
+            notifications,
+            unreadCount,
+            totalCount,
+            currentPage: page,
+            totalPages: Math.ceil(totalCount / limit)
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
-        
-        res.json({ success: true, message: "Product updated successfully" });
+        console.error("❌ Error fetching notifications:", error);
+        res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+});
+
+// API endpoint to mark all of the logged-in customer's notifications as read
+app.put('/api/users/me/notifications/read-all', authenticateUser, async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const result = await database.collection("UserNotifications").updateMany(
+            { ...notificationOwnerFilter(req), read: { $ne: true } },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        res.json({ success: true, updated: result.modifiedCount, unreadCount: 0 });
     } catch (error) {
-        console.error("Error updating product:", error);
-        res.status(500).json({ error: "Failed to update product" });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error marking notifications as read:", error);
+        res.status(500).json({ error: "Failed to mark notifications as read" });
     }
 });
 
-// API endpoint to update product stock
-app.put('/api/products/:id/stock', async (req, res) => {
+// API endpoint to mark one notification as read
+app.put('/api/users/me/notifications/:id/read', authenticateUser, async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { quantity } = req.body;
-        
-        if (typeof quantity !== 'number' || quantity < 0) {
-            return res.status(400).json({ error: "Invalid quantity" });
+        const database = client.db(databaseName);
+        const notification = await database.collection("UserNotifications").findOneAndUpdate(
+            { _id: notificationObjectId(req.params.id), ...notificationOwnerFilter(req) },
+            { $set: { read: true, readAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!notification) {
+            return res.status(404).json({ error: "Notification not found" });
         }
-        
+        res.json({ success: true, notification });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error marking notification as read:", error);
+        res.status(500).json({ error: "Failed to mark notification as read" });
+    }
+});
+
+// API endpoint to delete one notification
+app.delete('/api/users/me/notifications/:id', authenticateUser, async (req, res) => {
+    try {
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
-        
-        const result = await collection.updateOne(
-            { _id: new ObjectId(req.params.id) },
-            { $set: { stockQuantity: quantity } }
+        const result = await database.collection("UserNotifications").deleteOne(
+            { _id: notificationObjectId(req.params.id), ...notificationOwnerFilter(req) }
         );
-        
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Product not found" });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: "Notification not found" });
         }
-        
-        res.json({ success: true, message: "Stock updated successfully" });
+        res.json({ success: true });
     } catch (error) {
-        console.error("Error updating stock:", error);
-        res.status(500).json({ error: "Failed to update stock" });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error deleting notification:", error);
+        res.status(500).json({ error: "Failed to delete notification" });
     }
 });
 
-// API endpoint to validate stock availability before checkout
-app.post('/api/products/validate-stock', async (req, res) => {
+// ===== Shipping rates =====
+
+// Saved address by its client id ("addr_...") or _id. With `owner` (req.user), an address
+// saved by someone else is treated as not found.
+async function findUserAddress(database, addressId, owner = null) {
+    if (!addressId) return null;
+    const collection = database.collection('UserAddresses');
+    let address = await collection.findOne({ id: String(addressId) });
+    if (!address && ObjectId.isValid(String(addressId))) {
+        address = await collection.findOne({ _id: new ObjectId(String(addressId)) });
+    }
+    if (!address || !owner) return address;
+    
+    // Addresses are saved under the account id and/or its email
+    const ownsAddress = String(address.userId) === String(owner.id) ||
+        Boolean(address.email && owner.email && String(address.email).toLowerCase() === String(owner.email).toLowerCase());
+    return ownsAddress ? address : null;
+}
+
+// One-line delivery address for an order, from a saved address
+function formatDeliveryAddress(address) {
+    return [address.streetAddress, address.barangay, address.city, address.province, address.postalCode]
+        .filter(Boolean)
+        .join(', ');
+}
+
+// Order numbers are only ever assigned here; the unique index on Orders.orderNumber backs this up
+function newOrderNumber() {
+    return `ORD-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+// Price cart items from Products at a customer group's prices (see lib/pricing.js
+// priceOrderLines) and add each line's weight and category ids (with ancestors) for
+// quoteShipping() and evaluatePromotion(). Throws 400 when an item can't be sold any more.
+async function priceCartItems(database, items, group = DEFAULT_CUSTOMER_GROUP) {
+    const productIds = [...new Set(items.map(item => String(item.productId || String(item.id || '').split(':')[0])))];
+    const invalid = productIds.find(id => !ObjectId.isValid(id));
+    if (invalid) {
+        const error = new Error(`Invalid product id ${invalid}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const [categoryIndex, products, breaksByKey] = await Promise.all([
+        getCategoryIndex(database),
+        database.collection("Products").find(
+            { _id: { $in: productIds.map(id => new ObjectId(id)) } },
+            { projection: { name: 1, price: 1, image: 1, weightKg: 1, categoryId: 1, category: 1, isActive: 1, variants: 1 } }
+        ).toArray(),
+        loadPriceList(database, group, productIds)
+    ]);
+    const { lines, unavailable } = priceOrderLines(
+        items,
+        new Map(products.map(product => [product._id.toString(), product])),
+        groupUnitPrice(breaksByKey)
+    );
+    if (unavailable.length > 0) {
+        const error = new Error(`${unavailable.map(item => item.name).join(', ')} ${unavailable.length === 1 ? 'is' : 'are'} no longer available`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return lines.map(line => {
+        const category = findCategory(categoryIndex, line.product.categoryId || line.product.category);
+        return {
+            ...line,
+            weightKg: line.product.weightKg || 0,
+            categoryIds: category ? ancestorCategories(categoryIndex, category).map(entry => String(entry._id)) : []
+        };
+    });
+}
+
+// Delivery quote for priced lines (priceCartItems) to an address ({ city, barangay });
+// throws 422 when no zone (not even a default) covers the address
+async function quoteDelivery(database, lines, address) {
+    const zones = await database.collection("ShippingZones").find({ isActive: { $ne: false } }).toArray();
+    const zone = findShippingZone(zones, address);
+    if (!zone) {
+        const error = new Error(`We don't deliver to ${address.city || 'this address'} yet`);
+        error.statusCode = 422;
+        throw error;
+    }
+    return quoteShipping(zone, lines);
+}
+
+// API endpoint to quote the delivery fee for a cart.
+// Body: { items: [{ productId | id, variantId?, quantity }], addressId } for a signed-in
+// customer's saved address or, for an address that isn't saved yet, { items, address: { city, barangay } }
+app.post('/api/shipping/quote', identifyUser, async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { items } = req.body; // Array of {id, quantity} objects
-        
-        
-        if (!items || !Array.isArray(items)) {
-            return res.status(400).json({ error: "Items array is required" });
+        const { items, addressId } = req.body;
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: "items must be a non-empty list" });
+        }
+        if (addressId && !req.user) {
+            return res.status(401).json({ error: "Please log in to use a saved address" });
         }
         
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
-        
-        const validationResults = [];
-        let allValid = true;
-        
-        for (const item of items) {
-            if (!item.id || typeof item.quantity !== 'number') {
-                return res.status(400).json({ error: "Each item must have id and quantity" });
-            }
-            
-            const product = await collection.findOne({ _id: new ObjectId(item.id) });
-            
-            if (!product) {
-                validationResults.push({
-                    id: item.id,
-                    name: 'Unknown Product',
-                    requestedQuantity: item.quantity,
-                    availableStock: 0,
-                    valid: false,
-                    error: 'Product not found'
-                });
-                allValid = false;
-                continue;
-            }
-            
-            const isValid = product.stockQuantity >= item.quantity;
-            if (!isValid) allValid = false;
-            
-            validationResults.push({
-                id: item.id,
-                name: product.name,
-                requestedQuantity: item.quantity,
-                availableStock: product.stockQuantity,
-                valid: isValid,
-                error: isValid ? null : 'Insufficient stock'
-            });
+        const rawAddress = req.body.address || {};
+        const address = addressId
+            ? await findUserAddress(database, addressId, req.user)
+            : { city: rawAddress.city, barangay: rawAddress.barangay };
+        if (!address || (!address.city && !address.barangay)) {
+            return res.status(400).json({ error: addressId ? "Address not found" : "addressId or address is required" });
+        }
+        
+        // The customer's group prices decide free shipping
+        const group = req.user ? await accountCustomerGroup(database, req.user.id) : DEFAULT_CUSTOMER_GROUP;
+        const lines = await priceCartItems(database, items, group);
+        const quote = await quoteDelivery(database, lines, address);
+        res.json({ success: true, quote });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error quoting shipping:", error);
+        res.status(500).json({ error: "Failed to quote shipping" });
+    }
+});
+
+// Bulk surcharges must name categories that exist; they are stored by id so renaming a
+// category keeps its surcharge
+async function resolveSurchargeCategories(database, bulkSurcharges, errors) {
+    if (!bulkSurcharges) return;
+    const categoryIndex = await getCategoryIndex(database);
+    bulkSurcharges.forEach((surcharge, index) => {
+        const category = findCategory(categoryIndex, surcharge.categoryId);
+        if (!category) {
+            errors.push({ field: `bulkSurcharges[${index}].categoryId`, message: `Unknown category "${surcharge.categoryId}"` });
+        } else {
+            surcharge.categoryId = String(category._id);
+        }
+    });
+}
+
+// API endpoint to list shipping zones (rate tables), default zone last
+app.get('/api/shipping/zones', requireStaffRole('cashier'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const zones = await database.collection("ShippingZones").find({}).sort({ isDefault: 1, name: 1 }).toArray();
+        res.json({ success: true, zones });
+    } catch (error) {
+        console.error("❌ Error fetching shipping zones:", error);
+        res.status(500).json({ error: "Failed to fetch shipping zones" });
+    }
+});
+
+// API endpoint to create a shipping zone (body follows lib/shipping.js). Making it the
+// default zone takes that over from the current one.
+app.post('/api/shipping/zones', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { value, errors } = validateShippingZone(req.body);
+        const database = client.db(databaseName);
+        await resolveSurchargeCategories(database, value.bulkSurcharges, errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid shipping zone", errors });
         }
         
-        
-        res.json({
-            success: true,
-            allValid: allValid,
-            items: validationResults
+        const zone = { ...value, createdAt: new Date(), updatedAt: new Date(), updatedBy: req.staff.username };
+        await runTransaction(async (session) => {
+            if (zone.isDefault) {
+                await database.collection("ShippingZones").updateMany({ isDefault: true }, { $set: { isDefault: false } }, { session });
+            }
+            const result = await database.collection("ShippingZones").insertOne(zone, { session });
+            zone._id = result.insertedId;
         });
         
+        console.log(`🚚 Shipping zone created: ${zone.name} by ${req.staff.username}`);
+        res.status(201).json({ success: true, zone });
     } catch (error) {
-        console.error("❌ Error validating stock:", error);
-        res.status(500).json({ error: "Failed to validate stock" });
+        console.error("❌ Error creating shipping zone:", error);
+        res.status(500).json({ error: "Failed to create shipping zone" });
     }
 });
 
-// API endpoint to reserve stock temporarily (for checkout process)
-app.post('/api/products/reserve-stock', async (req, res) => {
+// API endpoint to update a shipping zone's coverage or rates
+app.put('/api/shipping/zones/:id', requireStaffRole('manager'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { items, reservationId, expiresInMinutes = 15 } = req.body;
-        
-        
-        if (!items || !Array.isArray(items) || !reservationId) {
-            return res.status(400).json({ error: "Items array and reservationId are required" });
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid shipping zone id" });
         }
         
+        const { value, errors } = validateShippingZone(req.body, { partial: true });
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
-        const reservationsCollection = database.collection("StockReservations");
-        
-        const expiresAt = new Date(Date.now() + (expiresInMinutes * 60 * 1000));
-        
-        // Create reservation record
-        const reservation = {
-            reservationId: reservationId,
-            items: items,
-            createdAt: new Date(),
-            expiresAt: expiresAt,
-            status: 'active'
-        };
-        
-        await reservationsCollection.insertOne(reservation);
+        await resolveSurchargeCategories(database, value.bulkSurcharges, errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid shipping zone", errors });
+        }
+        if (Object.keys(value).length === 0) {
+            return res.status(400).json({ error: "No shipping zone fields to update" });
+        }
         
+        const zoneId = new ObjectId(req.params.id);
+        const current = await database.collection("ShippingZones").findOne({ _id: zoneId });
+        if (!current) {
+            return res.status(404).json({ error: "Shipping zone not found" });
+        }
+        // Addresses outside every zone fall back to the default, so there must always be one
+        if (current.isDefault && (value.isDefault === false || value.isActive === false)) {
+            return res.status(409).json({ error: "Make another zone the default first" });
+        }
         
-        res.json({
-            success: true,
-            reservationId: reservationId,
-            expiresAt: expiresAt,
-            message: `Stock reserved for ${expiresInMinutes} minutes`
+        const zone = await runTransaction(async (session) => {
+            if (value.isDefault && !current.isDefault) {
+                await database.collection("ShippingZones").updateMany({ isDefault: true }, { $set: { isDefault: false } }, { session });
+            }
+            return database.collection("ShippingZones").findOneAndUpdate(
+                { _id: zoneId },
+                { $set: { ...value, updatedAt: new Date(), updatedBy: req.staff.username } },
+                { returnDocument: 'after', session }
+            );
         });
         
+        res.json({ success: true, zone });
     } catch (error) {
-        console.error("❌ Error reserving stock:", error);
-        res.status(500).json({ error: "Failed to reserve stock" });
+        console.error("❌ Error updating shipping zone:", error);
+        res.status(500).json({ error: "Failed to update shipping zone" });
     }
 });
 
-// API endpoint to restore stock (for cancelled orders)
-app.post('/api/products/restore-stock', async (req, res) => {
+// API endpoint to delete a shipping zone (not the default zone)
+app.delete('/api/shipping/zones/:id', requireStaffRole('manager'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { items, reason = 'Order cancelled' } = req.body;
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid shipping zone id" });
+        }
         
+        const database = client.db(databaseName);
+        const zone = await database.collection("ShippingZones").findOne({ _id: new ObjectId(req.params.id) });
+        if (!zone) {
+            return res.status(404).json({ error: "Shipping zone not found" });
+        }
+        if (zone.isDefault) {
+            return res.status(409).json({ error: "Make another zone the default before deleting this one" });
+        }
         
-        if (!items || !Array.isArray(items)) {
-            return res.status(400).json({ error: "Items array is required" });
+        await database.collection("ShippingZones").deleteOne({ _id: zone._id });
+        console.log(`🚚 Shipping zone deleted: ${zone.name} by ${req.staff.username}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error("❌ Error deleting shipping zone:", error);
+        res.status(500).json({ error: "Failed to delete shipping zone" });
+    }
+});
+
+// ===== Promotions =====
+
+// Promotion for `code` and its discount on priced lines (priceCartItems). Throws 404 for
+// an unknown code and 422 with the reason when it doesn't apply to this order.
+async function findPromotionForOrder(database, code, lines, { channel, userId = null }) {
+    const promotion = await database.collection("Promotions").findOne({ code: normalizePromoCode(code) });
+    if (!promotion) {
+        const error = new Error("Promo code not found");
+        error.statusCode = 404;
+        throw error;
+    }
+    
+    const userRedemptions = userId && promotion.perUserLimit
+        ? await database.collection("PromotionRedemptions").countDocuments({ promotionId: promotion._id, userId: String(userId) })
+        : 0;
+    const result = evaluatePromotion(promotion, lines, { channel, userRedemptions });
+    if (!result.applicable) {
+        const error = new Error(result.reason);
+        error.statusCode = 422;
+        throw error;
+    }
+    return { promotion, discount: result.discount, eligibleSubtotal: result.eligibleSubtotal };
+}
+
+// Count one use of a promotion for an order. The usage limit is checked again in the same
+// update so two orders can't both take the last use. For a per-customer limit, the
+// redemption is numbered (n) per customer; the unique { promotionId, userId, n } index
+// stops two concurrent orders from both using the customer's last redemption.
+async function redeemPromotion(database, promotion, redemption, session) {
+    const redemptions = database.collection("PromotionRedemptions");
+    let n;
+    if (promotion.perUserLimit && redemption.userId) {
+        n = await redemptions.countDocuments({ promotionId: promotion._id, userId: redemption.userId }, { session }) + 1;
+        if (n > promotion.perUserLimit) {
+            const error = new Error("You've already used this promo code");
+            error.statusCode = 422;
+            throw error;
+        }
+    }
+    
+
+    const result = await database.collection("Promotions").updateOne(
+        {
+            _id: promotion._id,
+            $or: [{ usageLimit: null }, { $expr: { $lt: [{ $ifNull: ['$usedCount', 0] }, '$usageLimit'] } }]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+    );
+    if (result.modifiedCount === 0) {
+        const error = new Error("This promo code has reached its usage limit");
+        error.statusCode = 422;
+        throw error;
+    }
+    try {
+        await redemptions.insertOne({
+            promotionId: promotion._id,
+            code: promotion.code,
+            ...redemption,
+            ...(n && { n }),
+            redeemedAt: new Date()
+        }, { session });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const limitError = new Error("You've already used this promo code");
+        limitError.statusCode = 422;
+        throw limitError;
+    }
+}
+
+// What an order stores about the promotion it used
+function orderPromotion(applied) {
+    return applied ? {
+        promotionId: applied.promotion._id,
+        code: applied.promotion.code,
+        description: applied.promotion.description,
+        discount: applied.discount
+    } : null;
+}
+
+// API endpoint to check a promo code against a cart and work out the discount.
+// Called by checkout (customer token, channel 'online') and the POS (staff token, channel 'pos').
+// Body: { code, items: [{ productId | id, variantId?, quantity }] }
+app.post('/api/promotions/apply', identifyStaff, (req, res, next) => req.staff ? next() : authenticateUser(req, res, next), async (req, res) => {
+    try {
+        const { code, items } = req.body;
+        if (!normalizePromoCode(code)) {
+            return res.status(400).json({ error: "Enter a promo code" });
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: "items must be a non-empty list" });
         }
         
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
-        
-        const results = [];
+        const group = (await customerGroupFor(database, req)) || DEFAULT_CUSTOMER_GROUP;
+        const lines = await priceCartItems(database, items, group);
+        const applied = await findPromotionForOrder(database, code, lines, {
+            channel: req.staff ? 'pos' : 'online',
+            userId: req.user ? req.user.id : null
+        });
         
-        for (const item of items) {
-            if (!item.id || typeof item.quantity !== 'number') {
-                return res.status(400).json({ error: "Each item must have id and quantity" });
-            }
-            
-            const product = await collection.findOne({ _id: new ObjectId(item.id) });
-            
-            if (!product) {
-                console.error(`❌ Product not found for restoration: ${item.id}`);
-                continue;
-            }
-            
-            // Restore stock by adding the quantity back
-            const result = await collection.updateOne(
-                { _id: new ObjectId(item.id) },
-                { $inc: { stockQuantity: item.quantity } }
-            );
-            
-            results.push({
-                productId: item.id,
-                productName: product.name,
-                restoredQuantity: item.quantity,
-                newStock: product.stockQuantity + item.quantity
-            });
+        res.json({
+            success: true,
+            promotion: describePromotion(applied.promotion),
+            discount: applied.discount,
+            eligibleSubtotal: applied.eligibleSubtotal,
+            totals: summarizeOrderTotals(lines, { discount: applied.discount })
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
-        
+        console.error("❌ Error applying promo code:", error);
+        res.status(500).json({ error: "Failed to apply promo code" });
+    }
+});
+
+// Promotion categories (given by id or slug) must exist; they are stored by id so renaming a
+// category does not detach it from its promotions
+async function resolvePromotionCategories(database, categories, errors) {
+    if (!categories) return;
+    const categoryIndex = await getCategoryIndex(database);
+    categories.forEach((key, index) => {
+        const category = findCategory(categoryIndex, key);
+        if (!category) {
+            errors.push({ field: `categories[${index}]`, message: `Unknown category "${key}"` });
+        } else {
+            categories[index] = String(category._id);
+        }
+    });
+}
+
+// API endpoint to list promotions with how often each was used and the discount given
+app.get('/api/promotions', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const [promotions, usage] = await Promise.all([
+            database.collection("Promotions").find({}).sort({ createdAt: -1 }).toArray(),
+            database.collection("PromotionRedemptions").aggregate([
+                { $group: { _id: '$promotionId', redemptions: { $sum: 1 }, totalDiscount: { $sum: '$discount' } } }
+            ]).toArray()
+        ]);
+        const usageById = new Map(usage.map(entry => [entry._id.toString(), entry]));
         
         res.json({
             success: true,
-            message: `Stock restored for ${results.length} products`,
-            reason: reason,
-            results: results
+            promotions: promotions.map(promotion => ({
+                ...promotion,
+                redemptions: usageById.get(promotion._id.toString())?.redemptions || 0,
+                totalDiscount: usageById.get(promotion._id.toString())?.totalDiscount || 0
+            }))
         });
+    } catch (error) {
+        console.error("❌ Error fetching promotions:", error);
+        res.status(500).json({ error: "Failed to fetch promotions" });
+    }
+});
+
+// API endpoint to create a promotion (body follows lib/promotions.js)
+app.post('/api/promotions', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const { value, errors } = validatePromotion(req.body);
+        const database = client.db(databaseName);
+        await resolvePromotionCategories(database, value.categories, errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid promotion", errors });
+        }
+        
+        const promotion = { ...value, usedCount: 0, createdAt: new Date(), updatedAt: new Date(), updatedBy: req.staff.username };
+        const result = await database.collection("Promotions").insertOne(promotion);
+        promotion._id = result.insertedId;
         
+        console.log(`🏷️ Promotion created: ${promotion.code} by ${req.staff.username}`);
+        res.status(201).json({ success: true, promotion });
     } catch (error) {
-        console.error("❌ Error restoring stock:", error);
-        res.status(500).json({ error: "Failed to restore stock" });
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A promotion with this code already exists" });
+        }
+        console.error("❌ Error creating promotion:", error);
+        res.status(500).json({ error: "Failed to create promotion" });
     }
 });
 
-// API endpoint to get current stock levels for multiple products
-app.post('/api/products/stock-levels', async (req, res) => {
+// API endpoint to update a promotion
+app.put('/api/promotions/:id', requireStaffRole('manager'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { productIds } = req.body;
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid promotion id" });
+        }
         
-        if (!productIds || !Array.isArray(productIds)) {
-            return res.status(400).json({ error: "Product IDs array is required" });
+        if (!PROMOTION_FIELDS.some(field => req.body[field] !== undefined)) {
+            return res.status(400).json({ error: "No promotion fields to update" });
         }
         
         const database = client.db(databaseName);
-        const collection = database.collection("Products");
+        const promotionId = new ObjectId(req.params.id);
+        const current = await database.collection("Promotions").findOne({ _id: promotionId });
+        if (!current) {
+            return res.status(404).json({ error: "Promotion not found" });
+        }
         
-        const objectIds = productIds.map(id => new ObjectId(id));
-        const products = await collection.find(
-            { _id: { $in: objectIds } },
-            { projection: { _id: 1, name: 1, stockQuantity: 1, isActive: 1 } }
-        ).toArray();
+        // Validate the promotion as it will be saved, not just the fields sent
+        const { value, errors } = validatePromotion(req.body, { current });
+        await resolvePromotionCategories(database, value.categories, errors);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid promotion", errors });
+        }
         
-        const stockLevels = products.map(product => ({
-            id: product._id.toString(),
-            name: product.name,
-            stockQuantity: product.stockQuantity,
-            isActive: product.isActive
-        }));
+        const promotion = await database.collection("Promotions").findOneAndUpdate(
+            { _id: promotionId },
+            { $set: { ...value, updatedAt: new Date(), updatedBy: req.staff.username } },
+            { returnDocument: 'after' }
+        );
+        if (!promotion) {
+            return res.status(404).json({ error: "Promotion not found" });
+        }
         
-        res.json({
-            success: true,
-            stockLevels: stockLevels
-        });
+        res.json({ success: true, promotion });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: "A promotion with this code already exists" });
+        }
+        console.error("❌ Error updating promotion:", error);
+        res.status(500).json({ error: "Failed to update promotion" });
+    }
+});
+
+// API endpoint to delete a promotion that was never used (used ones are deactivated
+// instead so their orders still report against them)
+app.delete('/api/promotions/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: "Invalid promotion id" });
+        }
+        
+        const database = client.db(databaseName);
+        const promotion = await database.collection("Promotions").findOne({ _id: new ObjectId(req.params.id) });
+        if (!promotion) {
+            return res.status(404).json({ error: "Promotion not found" });
+        }
+        if (promotion.usedCount > 0) {
+            return res.status(409).json({ error: "This promotion has been used; deactivate it instead" });
+        }
         
+        await database.collection("Promotions").deleteOne({ _id: promotion._id });
+        console.log(`🏷️ Promotion deleted: ${promotion.code} by ${req.staff.username}`);
+        res.json({ success: true });
     } catch (error) {
-        console.error("Error fetching stock levels:", error);
-        res.status(500).json({ error: "Failed to fetch stock levels" });
+        console.error("❌ Error deleting promotion:", error);
+        res.status(500).json({ error: "Failed to delete promotion" });
     }
 });
 
@@ -631,82 +3786,122 @@ app.get('/api/debug/test', (req, res) => {
     res.json({ message: 'Server is working!', timestamp: new Date().toISOString() });
 });
 
+// Category of each ordered product, keyed by product id: { categoryId, bucket } where the
+// bucket is the slug of its top-level category (used by sales-by-category reporting)
+async function getOrderLineCategories(database, cartItems) {
+    const productIds = cartItems
+        .map(item => String(item.productId || item.id || ''))
+        .filter(id => /^[a-f0-9]{24}$/i.test(id))
+        .map(id => new ObjectId(id));
+    const [categoryIndex, products] = await Promise.all([
+        getCategoryIndex(database),
+        database.collection("Products").find({ _id: { $in: productIds } }, { projection: { categoryId: 1, category: 1 } }).toArray()
+    ]);
+    
+    const lineCategories = new Map();
+    products.forEach(product => {
+        const category = findCategory(categoryIndex, product.categoryId || product.category);
+        if (category) {
+            lineCategories.set(product._id.toString(), { categoryId: category._id, bucket: rootCategory(categoryIndex, category).slug });
+        }
+    });
+    return lineCategories;
+}
+
 // API endpoint to save an order
-app.post('/api/orders', async (req, res) => {
+app.post('/api/orders', authenticateUser, async (req, res) => {
     try {
         console.log('Request body keys:', Object.keys(req.body));
         
-        // Handle both old format (userId, order) and new format (direct order data)
-        let orderData;
-        if (req.body.userId && req.body.order) {
-            // Old format
-            orderData = { userId: req.body.userId, ...req.body.order };
-        } else {
-            // New format from checkout
-            orderData = req.body;
-        }
-        
-        
-        if (!orderData.userId) {
-            return res.status(400).json({ error: "Missing userId" });
-        }
+        // Handle both old format (userId, order) and new format (direct order data). The
+        // order always belongs to the logged-in customer; a userId in the body is ignored.
+        const orderData = req.body.order ? { ...req.body.order } : { ...req.body };
+        orderData.userId = req.user.id;
         
         if (!orderData.cartItems || !Array.isArray(orderData.cartItems)) {
             return res.status(400).json({ error: "Missing or invalid cartItems" });
         }
         
         const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
-        
-        // Normalize category bucket for each cart item
-        const normalizeCategory = (raw) => {
-            const val = String(raw || '').toLowerCase();
-            const includesAny = (list) => list.some(k => val.includes(k));
-            if (includesAny(['paint','painting'])) return 'paints';
-            if (includesAny(['power-tools','powertools','hand-tools','handtools','tool','tools','accessor'])) return 'tools-accessories';
-            if (includesAny(['building-materials','aggregate','cement','sand','gravel','hollow','plywood','wood','lumber','tile','roof'])) return 'building-materials-aggregates';
-            if (includesAny(['electrical','wire','breaker','outlet','switch'])) return 'electrical-supplies';
-            if (includesAny(['plumbing','fixture','pipe','fitting','faucet','valve'])) return 'plumbing-fixtures';
-            if (includesAny(['fastener','screw','nail','bolt','nut','consumable','adhesive','sealant','tape'])) return 'fasteners-consumables';
-            switch (String(raw || '')) {
-                case 'Power-Tools':
-                case 'Hand-Tools':
-                    return 'tools-accessories';
-                case 'Building-Materials':
-                    return 'building-materials-aggregates';
-                case 'Plumbing':
-                    return 'plumbing-fixtures';
-                case 'Electrical':
-                    return 'electrical-supplies';
-                default:
-                    return 'other';
-            }
-        };
+        const collection = database.collection("Orders");
+        
+        // Prices and the delivery fee are always worked out here; the browser's figures are
+        // only checked against them
+        const deliveryAddress = await findUserAddress(database, orderData.addressId, req.user);
+        if (!deliveryAddress) {
+            return res.status(400).json({ success: false, error: "Choose a saved delivery address" });
+        }
+        const customerGroup = await accountCustomerGroup(database, orderData.userId);
+        const lines = await priceCartItems(database, orderData.cartItems, customerGroup);
+        const shippingQuote = await quoteDelivery(database, lines, deliveryAddress);
+        const appliedPromotion = orderData.promoCode
+            ? await findPromotionForOrder(database, orderData.promoCode, lines, { channel: 'online', userId: orderData.userId })
+            : null;
+        const totals = summarizeOrderTotals(lines, {
+            deliveryFee: shippingQuote.fee,
+            discount: appliedPromotion ? appliedPromotion.discount : 0
+        });
+        
+        // The customer confirmed different figures: show them the current ones before retrying
+        const priceChanges = findPriceChanges(orderData.cartItems, lines);
+        if (priceChanges.length > 0 || !isWithinTolerance(orderData.total, totals.total)) {
+            console.log(`⚠️ Order rejected: client total ${orderData.total}, current total ${totals.total}`);
+            return res.status(409).json({
+                success: false,
+                code: 'PRICE_CHANGED',
+                error: "Prices have changed since you started checking out",
+                priceChanges,
+                submitted: {
+                    subtotal: parseFloat(orderData.subtotal) || null,
+                    deliveryFee: parseFloat(orderData.deliveryFee) || null,
+                    discount: parseFloat(orderData.discount) || null,
+                    total: parseFloat(orderData.total) || null
+                },
+                current: totals,
+                tolerance: ORDER_TOTAL_TOLERANCE
+            });
+        }
+        
+        // Report each line under its product's top-level category
+        const lineCategories = await getOrderLineCategories(database, orderData.cartItems);
 
         // Format the order for the database
         const formattedOrder = {
             userId: orderData.userId,
-            orderNumber: orderData.orderNumber || `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+            orderNumber: newOrderNumber(),
             
             // Customer Information
             fullName: orderData.fullName || '',
             email: orderData.email || '',
             phoneNumber: orderData.phoneNumber || '',
+            customerGroup,
             
             // Order Items
-            itemsordered: orderData.cartItems.map(item => ({
-                item_name: item.name || 'Unknown Item',
-                amount_per_item: item.quantity || 1,
-                price_per_item: item.price || 0,
-                total_item_price: (item.price || 0) * (item.quantity || 1),
-                item_id: item.id || null,
-                item_image: item.image || null, // Include item image
-                category_bucket: item.categoryBucket || normalizeCategory(item.category),
-                category_original: item.categoryOriginal || item.category || 'unknown'
+            itemsordered: lines.map((line, index) => ({
+                item_name: line.name,
+                amount_per_item: line.quantity,
+                price_per_item: line.price,
+                total_item_price: line.lineTotal,
+                // Variant cart lines use a composite id; productId is the product itself
+                item_id: line.productId,
+                ...(line.variantId && { variant_id: line.variantId, variant_label: line.variantLabel }),
+                item_image: line.image || orderData.cartItems[index].image || null,
+                category_id: lineCategories.get(line.productId)?.categoryId || null,
+                category_bucket: lineCategories.get(line.productId)?.bucket || 'other',
+                category_original: orderData.cartItems[index].categoryOriginal || orderData.cartItems[index].category || 'unknown'
             })),
             
-            // Address Information
-            address: orderData.address || '',
+            // Address Information: the saved address the delivery fee was quoted for
+            address: formatDeliveryAddress(deliveryAddress),
+            deliveryAddress: {
+                addressId: deliveryAddress.id || String(deliveryAddress._id),
+                label: deliveryAddress.label || null,
+                streetAddress: deliveryAddress.streetAddress || '',
+                barangay: deliveryAddress.barangay || '',
+                city: deliveryAddress.city || '',
+                province: deliveryAddress.province || '',
+                postalCode: deliveryAddress.postalCode || ''
+            },
             
             // Payment Information
             paymentMethod: orderData.paymentMethod || '',
@@ -718,11 +3913,15 @@ app.post('/api/orders', async (req, res) => {
             proofOfPayment: orderData.proofOfPayment || null,
             
             // Order Details
-            subtotal: parseFloat(orderData.subtotal) || 0, // Subtotal before delivery fee
-            deliveryFee: parseFloat(orderData.deliveryFee) || 0, // Delivery fee amount
-            total: parseFloat(orderData.total) || 0,
+            subtotal: totals.subtotal,
+            deliveryFee: totals.deliveryFee,
+            shippingZone: { zoneId: shippingQuote.zone._id, name: shippingQuote.zone.name },
+            discount: totals.discount,
+            promotion: orderPromotion(appliedPromotion),
+            total: totals.total,
             notes: orderData.notes || 'no additional notes',
-            status: orderData.status || 'active',
+            status: 'pending', // New orders always start the lifecycle as pending
+            displayStatus: 'pending',
             
             // Dates
             orderDate: orderData.orderDate || new Date(),
@@ -730,7 +3929,9 @@ app.post('/api/orders', async (req, res) => {
             updatedAt: new Date(),
             
             // Additional metadata
-            source: 'checkout_page'
+            source: 'checkout_page',
+            reservationId: orderData.reservationId || null,
+            stockDeducted: true // Stock is taken in the same transaction as the insert below
         };
         
         console.log('Order number:', formattedOrder.orderNumber);
@@ -738,8 +3939,50 @@ app.post('/api/orders', async (req, res) => {
         console.log('Status:', formattedOrder.status);
         console.log('Items count:', formattedOrder.itemsordered.length);
         
-        const result = await collection.insertOne(formattedOrder);
+        const stockItems = lines.map(line => ({
+            id: line.productId,
+            variantId: line.variantId,
+            quantity: line.quantity,
+            name: line.name
+        }));
+        
+        // Deduct stock and save the order all-or-nothing. The checkout's own reservation
+        // is released first so the stock it held counts as available for this order.
+        let lowStock = [];
+        const result = await runTransaction(async (session) => {
+            if (orderData.reservationId) {
+                await releaseReservation(database, String(orderData.reservationId), 'converted', session, {
+                    userId: req.user.id,
+                    fields: { orderNumber: formattedOrder.orderNumber }
+                });
+            }
+            const insertResult = await collection.insertOne(formattedOrder, { session });
+            lowStock = await deductStock(database, stockItems, session, {
+                reason: 'sale',
+                orderId: insertResult.insertedId,
+                orderNumber: formattedOrder.orderNumber,
+                actor: customerActor(formattedOrder)
+            });
+            if (appliedPromotion) {
+                await redeemPromotion(database, appliedPromotion.promotion, {
+                    userId: String(formattedOrder.userId),
+                    channel: 'online',
+                    orderId: insertResult.insertedId,
+                    orderNumber: formattedOrder.orderNumber,
+                    discount: totals.discount
+                }, session);
+            }
+            return insertResult;
+        });
         
+        await recordOrderEvent(database, formattedOrder, {
+            type: 'order_placed',
+            actor: customerActor(formattedOrder),
+            fromStatus: null,
+            notes: orderData.notes || ''
+        });
+        publishStaffEvent('order_created', { order: staffOrderSummary(formattedOrder) });
+        publishLowStock(lowStock, { orderNumber: formattedOrder.orderNumber, reason: 'sale' });
         
         res.json({ 
             success: true, 
@@ -749,6 +3992,17 @@ app.post('/api/orders', async (req, res) => {
         });
         
     } catch (error) {
+        if (error.shortfalls) {
+            console.error(`❌ Order rejected: ${error.message}`);
+            return res.status(409).json({
+                success: false,
+                error: "Some items do not have enough stock",
+                shortfalls: error.shortfalls
+            });
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
         console.error("❌ Error saving order:", error);
         console.error("Error details:", error.message);
         res.status(500).json({ error: "Failed to save order", details: error.message });
@@ -756,35 +4010,13 @@ app.post('/api/orders', async (req, res) => {
 });
 
 // API endpoint to get pending orders for staff (MUST come before /:userId route)
-app.get('/api/orders/pending', async (req, res) => {
+app.get('/api/orders/pending', requireStaffRole('cashier'), async (req, res) => {
     try {
-        await client.db("admin").command({ ping: 1 });
-        
         const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
-        
-        const totalCount = await collection.countDocuments({});
-        
+        const collection = database.collection("Orders");
         
-        // First, let's see what statuses actually exist
-        const allStatuses = await collection.distinct("status");
-        
-        // Check for both "Pending" and "pending" (case sensitive issue?)
-        const pendingUpperCase = await collection.find({ status: "Pending" }).toArray();
-        const pendingLowerCase = await collection.find({ status: "pending" }).toArray();
-        
-        
-        // Return orders with status "Pending" or "active" - include new active orders
         const pendingOrders = await collection.aggregate([
-            { 
-                $match: { 
-                    $or: [
-                        { status: "Pending" },
-                        { status: "pending" },
-                        { status: "active" }
-                    ]
-                }
-            },
+            { $match: { status: 'pending' } },
             { $sort: { createdAt: -1 } }
         ], { allowDiskUse: true }).toArray();
         
@@ -806,32 +4038,24 @@ app.get('/api/orders/pending', async (req, res) => {
 });
 
 // API endpoint to get comprehensive staff statistics from all collections including walk-ins
-app.get('/api/orders/stats/staff-overview', async (req, res) => {
+app.get('/api/orders/stats/staff-overview', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const database = client.db(databaseName);
+        const ordersCollection = database.collection("Orders");
         
-        // Get counts from all collections
-        const pendingCollection = database.collection("PendingOrders");
-        const acceptedCollection = database.collection("AcceptedOrders");
-        const deliveredCollection = database.collection("DeliveredOrders");
-        
-        // Count all orders in each collection
-        const totalPending = await pendingCollection.countDocuments({});
-        const totalAccepted = await acceptedCollection.countDocuments({});
-        const totalDelivered = await deliveredCollection.countDocuments({});
-        
+        // Count orders in each lifecycle stage
+        const totalPending = await ordersCollection.countDocuments({ status: 'pending' });
+        const totalAccepted = await ordersCollection.countDocuments({ status: { $in: ['approved', 'out_for_delivery'] } });
+        const totalDelivered = await ordersCollection.countDocuments({ status: 'delivered' });
         
         // Calculate total revenue from both accepted and delivered orders
-        const acceptedOrders = await acceptedCollection.find({}).toArray();
-        const deliveredOrders = await deliveredCollection.find({}).toArray();
+        const revenueResult = await ordersCollection.aggregate([
+            { $match: { status: { $in: ['approved', 'out_for_delivery', 'delivered'] } } },
+            { $group: { _id: null, total: { $sum: { $convert: { input: '$total', to: 'double', onError: 0, onNull: 0 } } } } }
+        ]).toArray();
         
-        const totalRevenue = [
-            ...acceptedOrders,
-            ...deliveredOrders
-        ].reduce((sum, order) => {
-            return sum + (parseFloat(order.total) || 0);
-        }, 0);
+        const totalRevenue = revenueResult.length > 0 ? revenueResult[0].total : 0;
         
         const stats = {
             totalPending,
@@ -888,10 +4112,12 @@ app.get('/api/orders/stats/:userId', async (req, res) => {
         
         const database = client.db(databaseName);
         
-        // Count orders in each collection
-        const pendingCount = await database.collection("PendingOrders").countDocuments(userQuery);
-        const acceptedCount = await database.collection("AcceptedOrders").countDocuments(userQuery);
-        const deliveredCount = await database.collection("DeliveredOrders").countDocuments(userQuery);
+        const ordersCollection = database.collection("Orders");
+        
+        // Count orders in each lifecycle stage
+        const pendingCount = await ordersCollection.countDocuments({ $and: [userQuery, { status: 'pending' }] });
+        const acceptedCount = await ordersCollection.countDocuments({ $and: [userQuery, { status: { $in: ['approved', 'out_for_delivery'] } }] });
+        const deliveredCount = await ordersCollection.countDocuments({ $and: [userQuery, { status: 'delivered' }] });
         const walkInCount = await database.collection("WalkInOrders").countDocuments(userQuery);
         
         const cancellationQueryConditions = [];
@@ -924,17 +4150,15 @@ app.get('/api/orders/stats/:userId', async (req, res) => {
 
         const cancellationCount = await database.collection("CancellationRequests").countDocuments(cancellationQuery);
         
-        // Calculate total spent across all collections
-        const collections = [
-            { name: "PendingOrders", collection: database.collection("PendingOrders") },
-            { name: "AcceptedOrders", collection: database.collection("AcceptedOrders") },
-            { name: "DeliveredOrders", collection: database.collection("DeliveredOrders") },
-            { name: "WalkInOrders", collection: database.collection("WalkInOrders") }
+        // Calculate total spent across open/fulfilled orders and walk-ins
+        const spendingSources = [
+            ordersCollection.find({ $and: [userQuery, { status: { $in: ['pending', 'approved', 'out_for_delivery', 'delivered'] } }] }),
+            database.collection("WalkInOrders").find(userQuery)
         ];
         
         let totalSpent = 0;
-        for (const { collection } of collections) {
-            const orders = await collection.find(userQuery).toArray();
+        for (const cursor of spendingSources) {
+            const orders = await cursor.project({ total: 1 }).toArray();
             for (const order of orders) {
                 totalSpent += parseFloat(order.total) || 0;
             }
@@ -956,7 +4180,7 @@ app.get('/api/orders/stats/:userId', async (req, res) => {
 });
 
 // API endpoint to get all orders from all collections for staff dashboard
-app.get('/api/orders/all-staff', async (req, res) => {
+app.get('/api/orders/all-staff', requireStaffRole('cashier'), async (req, res) => {
     try {
         console.log('🎯 HIT: /api/orders/all-staff endpoint - this is the correct route!');
         
@@ -964,9 +4188,7 @@ app.get('/api/orders/all-staff', async (req, res) => {
         const limit = req.query.limit ? parseInt(req.query.limit, 10) : null;
         
         const database = client.db(databaseName);
-        const pendingCollection = database.collection("PendingOrders");
-        const acceptedCollection = database.collection("AcceptedOrders");
-        const deliveredCollection = database.collection("DeliveredOrders");
+        const ordersCollection = database.collection("Orders");
         const walkInCollection = database.collection("WalkInOrders");
         const returnedCollection = database.collection("ReturnedOrders");
         
@@ -979,6 +4201,7 @@ app.get('/api/orders/all-staff', async (req, res) => {
             phoneNumber: 1,
             total: 1,
             status: 1,
+            returnRequestId: 1,
             paymentMethod: 1,
             paymentType: 1,
             paymentAmount: 1,
@@ -1014,8 +4237,8 @@ app.get('/api/orders/all-staff', async (req, res) => {
             }
         };
         
-        const buildPipeline = () => {
-            const pipeline = [{ $match: {} }];
+        const buildPipeline = (match = {}) => {
+            const pipeline = [{ $match: match }];
             if (minimal) {
                 pipeline.push({ $project: minimalProjection });
             }
@@ -1028,11 +4251,14 @@ app.get('/api/orders/all-staff', async (req, res) => {
         
         const pipeline = buildPipeline();
         
-        // Fetch orders from collections (including returned orders)
-        const [pendingOrders, acceptedOrders, deliveredOrders, walkInOrders, returnedOrders] = await Promise.all([
-            pendingCollection.aggregate(pipeline, { allowDiskUse: true }).toArray(),
-            acceptedCollection.aggregate(pipeline, { allowDiskUse: true }).toArray(),
-            deliveredCollection.aggregate(pipeline, { allowDiskUse: true }).toArray(),
+        // Orders returned through a return request are listed from the ReturnedOrders archive instead
+        const ordersPipeline = buildPipeline({
+            $nor: [{ status: 'returned', returnRequestId: { $exists: true } }]
+        });
+        
+        // Fetch lifecycle orders, walk-ins and processed return requests
+        const [orders, walkInOrders, returnedOrders] = await Promise.all([
+            ordersCollection.aggregate(ordersPipeline, { allowDiskUse: true }).toArray(),
             walkInCollection.aggregate(pipeline, { allowDiskUse: true }).toArray(),
             returnedCollection.aggregate(pipeline, { allowDiskUse: true }).toArray()
         ]);
@@ -1057,9 +4283,13 @@ app.get('/api/orders/all-staff', async (req, res) => {
         
         // Add collection info to each order for identification
         const allOrders = [
-            ...pendingOrders.map(order => enhanceOrder(order, 'pending', order.status === 'active' ? 'pending' : order.status)),
-            ...acceptedOrders.map(order => enhanceOrder(order, 'accepted', 'approved')),
-            ...deliveredOrders.map(order => enhanceOrder(order, 'delivered', 'delivered')),
+            ...orders.map(order => {
+                const enhanced = enhanceOrder(order, getLegacyCollection(order.status), order.status);
+                if (order.status === 'returned') {
+                    enhanced.isReturned = true; // Flag for view-only
+                }
+                return enhanced;
+            }),
             ...walkInOrders.map(order => enhanceOrder(order, 'walkin', 'completed')),
             ...returnedOrders.map(order => {
                 const enhanced = enhanceOrder(order, 'returned', 'returned');
@@ -1118,21 +4348,28 @@ app.get('/api/orders/all-staff', async (req, res) => {
 });
 
 // API endpoint to get detailed order information (search across collections)
-app.get('/api/orders/details/:orderId', async (req, res) => {
+app.get('/api/orders/details/:orderId', requireStaffRole('cashier'), async (req, res) => {
     try {
         const { orderId } = req.params;
         const database = client.db(databaseName);
         
-        const collections = [
-            { name: 'pending', displayStatus: 'pending', collection: database.collection("PendingOrders") },
-            { name: 'accepted', displayStatus: 'approved', collection: database.collection("AcceptedOrders") },
-            { name: 'delivered', displayStatus: 'delivered', collection: database.collection("DeliveredOrders") },
+        let detailedOrder = null;
+        
+        const order = await findOrderById(database, orderId);
+        if (order) {
+            detailedOrder = {
+                ...order,
+                collection: getLegacyCollection(order.status),
+                displayStatus: order.status
+            };
+        }
+        
+        // Fall back to walk-in orders and the processed returns archive
+        const collections = detailedOrder ? [] : [
             { name: 'walkin', displayStatus: 'completed', collection: database.collection("WalkInOrders") },
             { name: 'returned', displayStatus: 'returned', collection: database.collection("ReturnedOrders") }
         ];
         
-        let detailedOrder = null;
-        
         for (const { name, displayStatus, collection } of collections) {
             let found = null;
             try {
@@ -1163,7 +4400,7 @@ app.get('/api/orders/details/:orderId', async (req, res) => {
 });
 
 // API endpoint to get return requests for staff review
-app.get('/api/orders/return-requests', async (req, res) => {
+app.get('/api/orders/return-requests', requireStaffRole('cashier'), async (req, res) => {
     try {
         const database = client.db(databaseName);
         const returnRequestsCollection = database.collection("ReturnRequests");
@@ -1189,6 +4426,14 @@ app.get('/api/orders/return-requests', async (req, res) => {
     }
 });
 
+// API endpoint to get the order lifecycle rule table (MUST come before /:userId route)
+app.get('/api/orders/status-transitions', requireStaffRole('cashier'), (req, res) => {
+    res.json({
+        success: true,
+        transitions: ORDER_STATUS_TRANSITIONS
+    });
+});
+
 // API endpoint to get all user orders from all collections (by userId, email, or fullName)
 app.get('/api/orders/:userId', async (req, res) => {
     try {
@@ -1210,11 +4455,7 @@ app.get('/api/orders/:userId', async (req, res) => {
         const userIdAsNumber = isNaN(userId) ? null : Number(userId);
         
         const database = client.db(databaseName);
-        
-        // Fetch from all order collections
-        const pendingCollection = database.collection("PendingOrders");
-        const acceptedCollection = database.collection("AcceptedOrders");
-        const deliveredCollection = database.collection("DeliveredOrders");
+        const ordersCollection = database.collection("Orders");
         const walkInCollection = database.collection("WalkInOrders");
         
         // Build query that matches by userId, email, or fullName
@@ -1242,50 +4483,43 @@ app.get('/api/orders/:userId', async (req, res) => {
         // Create query with $or to match any condition, or use single condition if only one
         const userQuery = queryConditions.length > 1 ? { $or: queryConditions } : (queryConditions.length === 1 ? queryConditions[0] : {});
         
-        // Get orders from each collection
-        const pendingOrders = await pendingCollection.aggregate([
-            { $match: userQuery },
-            { $sort: { createdAt: -1 } }
-        ], { allowDiskUse: true }).toArray();
+        // Get lifecycle orders and walk-in orders
+        const [orders, walkInOrders] = await Promise.all([
+            ordersCollection.aggregate([
+                { $match: userQuery },
+                { $sort: { createdAt: -1 } }
+            ], { allowDiskUse: true }).toArray(),
+            walkInCollection.aggregate([
+                { $match: userQuery },
+                { $sort: { createdAt: -1 } }
+            ], { allowDiskUse: true }).toArray()
+        ]);
         
-        const acceptedOrders = await acceptedCollection.aggregate([
-            { $match: userQuery },
-            { $sort: { createdAt: -1 } }
-        ], { allowDiskUse: true }).toArray();
+        // Orders with an open or approved cancellation are shown in the cancellation view
+        const ordersWithStatus = orders.map(order => {
+            const cancellation = order.cancellationRequest || null;
+            const isCancelRequested = !!cancellation && cancellation.status === 'pending_review';
             
-        const deliveredOrders = await deliveredCollection.aggregate([
-            { $match: userQuery },
-            { $sort: { createdAt: -1 } }
-        ], { allowDiskUse: true }).toArray();
-        
-        const walkInOrders = await walkInCollection.aggregate([
-            { $match: userQuery },
-            { $sort: { createdAt: -1 } }
-        ], { allowDiskUse: true }).toArray();
-        
-        
-        // Debug: Show what userIds exist in the pending collection
-        const allPendingOrders = await pendingCollection.find({}).toArray();
-        const existingUserIds = [...new Set(allPendingOrders.map(order => order.userId))];
-        
-        // Add status to each order based on collection
-        const pendingWithStatus = pendingOrders.map(order => ({
-            ...order,
-            status: order.status || 'pending',
-            collection: 'pending'
-        }));
-
-        const acceptedWithStatus = acceptedOrders.map(order => ({
-            ...order,
-            status: order.status || 'approved',
-            collection: 'accepted'
-        }));
-
-        const deliveredWithStatus = deliveredOrders.map(order => ({
-            ...order,
-            status: order.status || 'delivered',
-            collection: 'delivered'
-        }));
+            if (order.status === 'cancelled' || isCancelRequested) {
+                const cancelStatus = order.status === 'cancelled' ? 'cancel_approved' : 'cancel_requested';
+                return {
+                    ...order,
+                    status: cancelStatus,
+                    displayStatus: cancelStatus,
+                    collection: 'cancellation',
+                    reason: cancellation ? cancellation.reason : order.cancellationReason,
+                    additionalComments: cancellation ? cancellation.additionalComments : '',
+                    submittedAt: cancellation ? cancellation.submittedAt : order.cancelledAt,
+                    originalOrderDate: order.orderDate || order.createdAt,
+                    hasPendingCancellation: isCancelRequested
+                };
+            }
+            
+            return {
+                ...order,
+                collection: getLegacyCollection(order.status)
+            };
+        });
 
         const walkInWithStatus = walkInOrders.map(order => ({
             ...order,
@@ -1293,96 +4527,12 @@ app.get('/api/orders/:userId', async (req, res) => {
             collection: 'walkin'
         }));
 
-        const normalizeCancellationStatus = (status) => {
-            const statusLower = (status || '').toLowerCase();
-            switch (statusLower) {
-                case 'pending_review':
-                case 'pending':
-                    return 'cancel_requested';
-                case 'approved':
-                    return 'cancel_approved';
-                case 'rejected':
-                    return 'cancel_rejected';
-                case 'processed':
-                    return 'cancel_processed';
-                default:
-                    return statusLower || 'cancel_requested';
-            }
-        };
-
-        // Ensure cancellationRequests exists by querying the collection
-        let cancellationRequests = [];
-        try {
-            const cancellationQueryConditions = [];
-            if (userId !== 'by-email') {
-                if (userIdAsNumber !== null) {
-                    cancellationQueryConditions.push(
-                        { userId: userIdAsNumber },
-                        { userIdString: userIdAsString },
-                        { userIdNumber: userIdAsNumber }
-                    );
-                } else {
-                    cancellationQueryConditions.push(
-                        { userId: userIdAsString },
-                        { userIdString: userIdAsString }
-                    );
-                }
-            }
-            if (email) {
-                cancellationQueryConditions.push({ customerEmail: email });
-            }
-            if (fullName) {
-                cancellationQueryConditions.push({ customerName: fullName });
-            }
-            const cancellationQuery = cancellationQueryConditions.length > 1
-                ? { $or: cancellationQueryConditions }
-                : (cancellationQueryConditions.length === 1 ? cancellationQueryConditions[0] : {});
-            cancellationRequests = await database
-                .collection("CancellationRequests")
-                .aggregate([
-                    { $match: cancellationQuery },
-                    { $sort: { submittedAt: -1 } }
-                ], { allowDiskUse: true }).toArray();
-        } catch (e) {
-            console.error('❌ Error fetching CancellationRequests:', e);
-            cancellationRequests = [];
-        }
-
-        const cancellationWithStatus = cancellationRequests.map(request => {
-            const normalizedStatus = normalizeCancellationStatus(request.status);
-            const payment = request.payment || {};
-            return {
-                ...request,
-                status: normalizedStatus,
-                displayStatus: normalizedStatus,
-                collection: 'cancellation',
-                fullName: request.customerName || request.fullName,
-                email: request.customerEmail || request.email,
-                itemsordered: Array.isArray(request.itemsordered) ? request.itemsordered : [],
-                payment,
-                paymentMethod: request.paymentMethod || payment.method || null,
-                paymentType: request.paymentType || payment.type || null,
-                paymentSplitPercent: request.paymentSplitPercent || payment.splitPercent || null,
-                paymentReference: request.paymentReference || payment.reference || null,
-                paymentAmount: request.paymentAmount || payment.amount || null,
-                changeUponDelivery: request.changeUponDelivery || payment.changeUponDelivery || null,
-                proofOfPayment: request.proofOfPayment || payment.proof || null,
-                address: request.address || (request.shipping && request.shipping.address) || null,
-                phoneNumber: request.phoneNumber || (request.shipping && request.shipping.phoneNumber) || null,
-                total: request.originalOrderTotal ?? request.total ?? 0,
-                orderDate: request.submittedAt || request.originalOrderDate,
-                createdAt: request.submittedAt || request.originalOrderDate,
-                originalOrderDate: request.originalOrderDate || null,
-                hasPendingCancellation: normalizedStatus === 'cancel_requested'
-            };
-        });
-
         // Combine all orders
-        const allOrders = [...pendingWithStatus, ...acceptedWithStatus, ...deliveredWithStatus, ...walkInWithStatus, ...cancellationWithStatus];
+        const allOrders = [...ordersWithStatus, ...walkInWithStatus];
         
         // Debug logging to help trace 500s
         try {
-            console.log('[User Orders] totals => pending:', pendingOrders.length, 'accepted:', acceptedOrders.length, 'delivered:', deliveredOrders.length, 'walkin:', walkInOrders.length, 'cancellations:', cancellationRequests.length);
+            console.log('[User Orders] totals => orders:', orders.length, 'walkin:', walkInOrders.length);
         } catch (e) {}
         
         // Convert to the format expected by the frontend
@@ -1459,17 +4609,27 @@ app.put('/api/orders/:orderId/payment', async (req, res) => {
         const { paymentUpdates } = req.body;
         
         const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
+        const collection = database.collection("Orders");
         
-        const result = await collection.updateOne(
-            { _id: new ObjectId(req.params.orderId) },
-            { $set: { payment: paymentUpdates } }
+        // Payment details can only be changed while the order is still pending
+        const order = await collection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.orderId), status: 'pending' },
+            { $set: { payment: paymentUpdates, updatedAt: new Date() } },
+            { returnDocument: 'after', projection: { orderNumber: 1, fullName: 1, buyerinfo: 1 } }
         );
         
-        if (result.matchedCount === 0) {
+        if (!order) {
             return res.status(404).json({ error: "Order not found" });
         }
         
+        if (paymentUpdates && paymentUpdates.proof) {
+            publishStaffEvent('payment_uploaded', {
+                orderId: String(order._id),
+                orderNumber: order.orderNumber || null,
+                customerName: order.fullName || order.buyerinfo || null
+            });
+        }
+        
         res.json({ success: true, message: "Payment details updated successfully" });
     } catch (error) {
         console.error("Error updating order payment:", error);
@@ -1478,10 +4638,10 @@ app.put('/api/orders/:orderId/payment', async (req, res) => {
 });
 
 // API endpoint to get all orders (for debugging)
-app.get('/api/orders', async (req, res) => {
+app.get('/api/orders', requireStaffRole('cashier'), async (req, res) => {
     try {
         const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
+        const collection = database.collection("Orders");
         
         const allOrders = await collection.aggregate([
             { $match: {} },
@@ -1498,48 +4658,66 @@ app.get('/api/orders', async (req, res) => {
     }
 });
 
-// API endpoint to update order status
-app.put('/api/orders/:orderId/status', async (req, res) => {
+// API endpoint to update order status (validated against the lifecycle rule table)
+app.put('/api/orders/:orderId/status', requireStaffRole('manager'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { status } = req.body;
+        const { status, notes } = req.body;
         
         if (!status) {
             return res.status(400).json({ error: "Status is required" });
         }
         
-        const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
+        const newStatus = normalizeOrderStatus(status);
+        if (!newStatus) {
+            return res.status(400).json({ error: `Unknown order status: ${status}` });
+        }
         
-        const result = await collection.updateOne(
-            { _id: new ObjectId(req.params.orderId) },
-            { $set: { status: status } }
-        );
+        const database = client.db(databaseName);
+        const order = await findOrderById(database, req.params.orderId);
         
-        if (result.matchedCount === 0) {
+        if (!order) {
             return res.status(404).json({ error: "Order not found" });
         }
         
-        res.json({ success: true, message: `Order status updated to ${status}` });
+        const fields = { updatedBy: req.staff.username };
+        if (newStatus === 'approved') fields.approvedAt = new Date();
+        if (newStatus === 'out_for_delivery') fields.outForDeliveryAt = new Date();
+        if (newStatus === 'delivered') fields.deliveredAt = new Date();
+        if (newStatus === 'denied') {
+            fields.deniedAt = new Date();
+            if (notes) fields.denialReason = notes;
+        }
+        
+        const updatedOrder = await transitionOrder(database, order, newStatus, fields, {
+            actor: staffActor(req),
+            notes
+        });
+        
+        res.json({
+            success: true,
+            message: `Order status updated to ${newStatus}`,
+            orderId: updatedOrder._id,
+            status: updatedOrder.status
+        });
     } catch (error) {
         console.error("Error updating order status:", error);
-        res.status(500).json({ error: "Failed to update order status" });
+        res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Failed to update order status" });
     }
 });
 
 // API endpoint to get orders with proof of payment (for staff review)
-app.get('/api/orders/with-proof', async (req, res) => {
+app.get('/api/orders/with-proof', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
+        const collection = database.collection("Orders");
         
-        // Find orders that have proofOfPayment field and it's not null/empty
+        // Find pending orders that have a non-empty proofOfPayment field
         const ordersWithProof = await collection.aggregate([
             { 
                 $match: { 
-                    proofOfPayment: { $exists: true, $ne: null, $ne: "" },
-                    status: { $in: ["active", "Pending", "pending"] }
+                    proofOfPayment: { $exists: true, $nin: [null, ""] },
+                    status: 'pending'
                 }
             },
             { $sort: { createdAt: -1 } }
@@ -1574,36 +4752,39 @@ app.get('/api/orders/with-proof', async (req, res) => {
 });
 
 // API endpoint to update order payment verification status
-app.put('/api/orders/:orderId/verify-payment', async (req, res) => {
+app.put('/api/orders/:orderId/verify-payment', requireStaffRole('manager'), async (req, res) => {
     try {
         const { ObjectId } = require('mongodb');
         const { verified, verifiedBy, verificationNotes } = req.body;
         
         const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
+        const collection = database.collection("Orders");
         
+        // Payment verification is tracked separately from the lifecycle status
         const updateData = {
             paymentVerified: verified,
-            paymentVerifiedBy: verifiedBy,
+            paymentVerifiedBy: verifiedBy || req.staff.username,
             paymentVerificationNotes: verificationNotes || '',
             paymentVerificationDate: new Date(),
             updatedAt: new Date()
         };
         
-        // If payment is verified, update status to "confirmed"
-        if (verified) {
-            updateData.status = "confirmed";
-        }
-        
-        const result = await collection.updateOne(
+        const order = await collection.findOneAndUpdate(
             { _id: new ObjectId(req.params.orderId) },
-            { $set: updateData }
+            { $set: updateData },
+            { returnDocument: 'after' }
         );
         
-        if (result.matchedCount === 0) {
+        if (!order) {
             return res.status(404).json({ error: "Order not found" });
         }
         
+        await recordOrderEvent(database, order, {
+            type: verified ? 'payment_verified' : 'payment_rejected',
+            actor: staffActor(req),
+            notes: verificationNotes
+        });
+        
         res.json({ 
             success: true, 
             message: `Payment ${verified ? 'verified' : 'rejected'} successfully` 
@@ -1614,89 +4795,6 @@ app.put('/api/orders/:orderId/verify-payment', async (req, res) => {
     }
 });
 
-// API endpoint to migrate localStorage orders to MongoDB
-app.post('/api/orders/migrate', async (req, res) => {
-    try {
-        const { userCarts } = req.body;
-        
-        if (!userCarts || typeof userCarts !== 'object') {
-            return res.status(400).json({ error: "Invalid userCarts data" });
-        }
-        
-        const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
-        
-        let totalMigrated = 0;
-        let errors = [];
-        
-        // Process each user's orders
-        for (const [userId, orders] of Object.entries(userCarts)) {
-            if (!Array.isArray(orders)) continue;
-            
-            for (const order of orders) {
-                try {
-                    // Check if order already exists (avoid duplicates)
-                    const existingOrder = await collection.findOne({
-                        userId: userId,
-                        original_date: order.date,
-                        "itemsordered.item_name": (order.items && order.items[0] && order.items[0].name) || ''
-                    });
-                    
-                    if (existingOrder) {
-                        console.log(`Order already exists for user ${userId}, skipping`);
-                        continue;
-                    }
-                    
-                    // Format the order according to MongoDB structure
-                    const formattedOrder = {
-                        userId: userId,
-                        itemsordered: (order.items || []).map(item => ({
-                            item_name: item.name || item.item_name || 'Unknown Item',
-                            item_image: item.image || item.item_image || null, // Include item image
-                            amount_per_item: item.quantity || item.amount_per_item || 1,
-                            price_per_item: item.price || item.price_per_item || 0,
-                            total_item_price: (item.price || 0) * (item.quantity || 1)
-                        })),
-                        date_ordered: new Date(order.date).toLocaleDateString('en-US', {
-                            month: '2-digit',
-                            day: '2-digit',
-                            year: '2-digit'
-                        }),
-                        buyerinfo: order.buyerinfo || order.username || `user_${userId}`,
-                        address: (order.shipping && order.shipping.address) || order.address || '',
-                        total: (order.items || []).reduce((sum, item) => sum + ((item.price || 0) * (item.quantity || 1)), 0) + 150,
-                        status: order.status || 'Pending',
-                        payment: order.payment || {},
-                        shipping: order.shipping || {},
-                        notes: order.notes || '',
-                        original_date: order.date,
-                        createdAt: new Date(order.date),
-                        migrated: true
-                    };
-                    
-                    await collection.insertOne(formattedOrder);
-                    totalMigrated++;
-                    
-                } catch (orderError) {
-                    console.error(`Error migrating order for user ${userId}:`, orderError);
-                    errors.push(`User ${userId}: ${orderError.message}`);
-                }
-            }
-        }
-        
-        res.json({ 
-            success: true, 
-            message: `Successfully migrated ${totalMigrated} orders`,
-            totalMigrated,
-            errors: errors.length > 0 ? errors : undefined
-        });
-        
-    } catch (error) {
-        console.error("Error migrating orders:", error);
-        res.status(500).json({ error: "Failed to migrate orders" });
-    }
-});
-
 // API endpoint for staff login
 app.post('/api/staff/login', async (req, res) => {
     try {
@@ -1772,12 +4870,34 @@ app.post('/api/staff/login', async (req, res) => {
             }
         );
         
+        // Resolve the staff role (legacy accounts only carry the isAdmin flag)
+        const role = securityConfig.staffRoles.includes(staffUser.role)
+            ? staffUser.role
+            : (staffUser.isAdmin ? 'admin' : 'cashier');
+        
+        // Issue a signed staff token for the role-guarded staff endpoints
+        const token = jwt.sign(
+            {
+                sub: staffUser._id.toString(),
+                username: staffUser.username,
+                role: role
+            },
+            securityConfig.jwt.secret,
+            {
+                algorithm: securityConfig.jwt.algorithm,
+                expiresIn: securityConfig.jwt.staffExpiresIn,
+                issuer: securityConfig.jwt.issuer,
+                audience: securityConfig.jwt.staffAudience
+            }
+        );
+        
         // Return success with user info (excluding password)
-        const { password: _, ...userInfo } = staffUser;
+        const { password: _, passwordHash: __, ...userInfo } = staffUser;
         res.json({
             success: true,
             message: `Staff login successful for ${staffUser.username}`,
-            user: userInfo
+            token: token,
+            user: { ...userInfo, role }
         });
         
     } catch (error) {
@@ -1789,6 +4909,14 @@ app.post('/api/staff/login', async (req, res) => {
     }
 });
 
+// API endpoint to validate the current staff token (used by the staff dashboard on load)
+app.get('/api/staff/me', requireStaffRole('cashier'), (req, res) => {
+    res.json({
+        success: true,
+        staff: req.staff
+    });
+});
+
 // API endpoint to save a user address
 app.post('/api/user-addresses', async (req, res) => {
     try {
@@ -1991,186 +5119,44 @@ app.put('/api/user-addresses/:id/default', async (req, res) => {
     }
 });
 
-// API endpoint to add order to AcceptedOrders collection
-app.post('/api/orders/accepted', async (req, res) => {
-    try {
-        
-        const orderData = req.body;
-        
-        if (!orderData) {
-            return res.status(400).json({ error: "Order data is required" });
-        }
-        
-        const database = client.db(databaseName);
-        const collection = database.collection("AcceptedOrders");
-        
-        // Ensure the order has the correct status and approval metadata
-        const acceptedOrder = {
-            ...orderData,
-            status: 'approved',
-            approvedAt: new Date(),
-            updatedAt: new Date()
-        };
-        
-        const result = await collection.insertOne(acceptedOrder);
-        
-        
-        res.json({ 
-            success: true, 
-            message: "Order moved to AcceptedOrders successfully", 
-            insertedId: result.insertedId,
-            orderId: result.insertedId
-        });
-        
-    } catch (error) {
-        console.error("❌ Error adding order to AcceptedOrders:", error);
-        res.status(500).json({ error: "Failed to add order to AcceptedOrders" });
-    }
-});
-
-// API endpoint to get specific order from AcceptedOrders (for verification)
-app.get('/api/orders/accepted/:orderId', async (req, res) => {
+// API endpoint to get a specific approved order (for verification)
+app.get('/api/orders/accepted/:orderId', requireStaffRole('cashier'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const orderId = req.params.orderId;
-        
         const database = client.db(databaseName);
-        const collection = database.collection("AcceptedOrders");
-        
-        const order = await collection.findOne({ _id: new ObjectId(orderId) });
+        const order = await findOrderById(database, req.params.orderId);
         
-        if (!order) {
-            return res.status(404).json({ error: "Order not found in AcceptedOrders" });
+        if (!order || !['approved', 'out_for_delivery'].includes(order.status)) {
+            return res.status(404).json({ error: "Approved order not found" });
         }
         
         res.json(order);
         
     } catch (error) {
-        console.error("❌ Error fetching order from AcceptedOrders:", error);
-        res.status(500).json({ error: "Failed to fetch order from AcceptedOrders" });
-    }
-});
-
-// API endpoint to delete order from PendingOrders collection
-app.delete('/api/orders/pending/:orderId', async (req, res) => {
-    try {
-        const { ObjectId } = require('mongodb');
-        const orderId = req.params.orderId;
-        
-        
-        const database = client.db(databaseName);
-        const collection = database.collection("PendingOrders");
-        
-        const result = await collection.deleteOne({ _id: new ObjectId(orderId) });
-        
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: "Order not found in PendingOrders" });
-        }
-        
-        
-        res.json({ 
-            success: true, 
-            message: "Order removed from PendingOrders successfully",
-            deletedCount: result.deletedCount
-        });
-        
-    } catch (error) {
-        console.error("❌ Error deleting order from PendingOrders:", error);
-        res.status(500).json({ error: "Failed to delete order from PendingOrders" });
-    }
-});
-
-// API endpoint to add order to DeliveredOrders collection
-app.post('/api/orders/delivered', async (req, res) => {
-    try {
-        
-        const orderData = req.body;
-        
-        if (!orderData) {
-            return res.status(400).json({ error: "Order data is required" });
-        }
-        
-        const database = client.db(databaseName);
-        const collection = database.collection("DeliveredOrders");
-        
-        // Ensure the order has the correct status and delivery metadata
-        const deliveredOrder = {
-            ...orderData,
-            status: 'delivered',
-            deliveredAt: new Date(),
-            updatedAt: new Date()
-        };
-        
-        const result = await collection.insertOne(deliveredOrder);
-        
-        
-        res.json({ 
-            success: true, 
-            message: "Order moved to DeliveredOrders successfully", 
-            insertedId: result.insertedId,
-            orderId: result.insertedId
-        });
-        
-    } catch (error) {
-        console.error("❌ Error adding order to DeliveredOrders:", error);
-        res.status(500).json({ error: "Failed to add order to DeliveredOrders" });
+        console.error("❌ Error fetching approved order:", error);
+        res.status(500).json({ error: "Failed to fetch approved order" });
     }
 });
 
-// API endpoint to get specific order from DeliveredOrders (for verification)
-app.get('/api/orders/delivered/:orderId', async (req, res) => {
+// API endpoint to get a specific delivered order (for verification)
+app.get('/api/orders/delivered/:orderId', requireStaffRole('cashier'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const orderId = req.params.orderId;
-        
         const database = client.db(databaseName);
-        const collection = database.collection("DeliveredOrders");
+        const order = await findOrderById(database, req.params.orderId);
         
-        const order = await collection.findOne({ _id: new ObjectId(orderId) });
-        
-        if (!order) {
-            return res.status(404).json({ error: "Order not found in DeliveredOrders" });
+        if (!order || order.status !== 'delivered') {
+            return res.status(404).json({ error: "Delivered order not found" });
         }
         
         res.json(order);
         
     } catch (error) {
-        console.error("❌ Error fetching order from DeliveredOrders:", error);
-        res.status(500).json({ error: "Failed to fetch order from DeliveredOrders" });
-    }
-});
-
-// API endpoint to delete order from AcceptedOrders collection
-app.delete('/api/orders/accepted/:orderId', async (req, res) => {
-    try {
-        const { ObjectId } = require('mongodb');
-        const orderId = req.params.orderId;
-        
-        
-        const database = client.db(databaseName);
-        const collection = database.collection("AcceptedOrders");
-        
-        const result = await collection.deleteOne({ _id: new ObjectId(orderId) });
-        
-        if (result.deletedCount === 0) {
-            return res.status(404).json({ error: "Order not found in AcceptedOrders" });
-        }
-        
-        
-        res.json({ 
-            success: true, 
-            message: "Order removed from AcceptedOrders successfully",
-            deletedCount: result.deletedCount
-        });
-        
-    } catch (error) {
-        console.error("❌ Error deleting order from AcceptedOrders:", error);
-        res.status(500).json({ error: "Failed to delete order from AcceptedOrders" });
+        console.error("❌ Error fetching delivered order:", error);
+        res.status(500).json({ error: "Failed to fetch delivered order" });
     }
 });
 
 // API endpoint to save walk-in orders from POS
-app.post('/api/orders/walkin', async (req, res) => {
+app.post('/api/orders/walkin', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const orderData = req.body;
@@ -2187,9 +5173,32 @@ app.post('/api/orders/walkin', async (req, res) => {
         const database = client.db(databaseName);
         const collection = database.collection("WalkInOrders");
         
+        // The cashier picks the walk-in customer's group; the POS priced the cart with it
+        const customerGroup = normalizeCustomerGroup(orderData.customerGroup) || DEFAULT_CUSTOMER_GROUP;
+        
+        // A promo code is checked again here and the discount worked out from current prices
+        let appliedPromotion = null;
+        let promotionTotals = null;
+        if (orderData.promoCode) {
+            const lines = await priceCartItems(database, orderData.itemsordered.map(item => ({
+                productId: item.item_id,
+                variantId: item.variant_id,
+                quantity: item.amount_per_item
+            })), customerGroup);
+            appliedPromotion = await findPromotionForOrder(database, orderData.promoCode, lines, { channel: 'pos' });
+            promotionTotals = summarizeOrderTotals(lines, { discount: appliedPromotion.discount });
+        }
+        
         // Ensure walk-in order has proper structure and timestamps
         const walkInOrder = {
             ...orderData,
+            customerGroup,
+            ...(promotionTotals && {
+                subtotal: promotionTotals.subtotal,
+                discount: promotionTotals.discount,
+                total: promotionTotals.total
+            }),
+            promotion: orderPromotion(appliedPromotion),
             source: 'pos_walkin',
             collection: 'walkin',
             status: orderData.status || 'completed',
@@ -2200,8 +5209,19 @@ app.post('/api/orders/walkin', async (req, res) => {
             posTimestamp: new Date()
         };
         
-        const result = await collection.insertOne(walkInOrder);
-        
+        const result = await runTransaction(async (session) => {
+            const insertResult = await collection.insertOne(walkInOrder, { session });
+            if (appliedPromotion) {
+                await redeemPromotion(database, appliedPromotion.promotion, {
+                    userId: null,
+                    channel: 'pos',
+                    orderId: insertResult.insertedId,
+                    orderNumber: walkInOrder.orderNumber,
+                    discount: promotionTotals.discount
+                }, session);
+            }
+            return insertResult;
+        });
         
         res.json({ 
             success: true, 
@@ -2211,13 +5231,16 @@ app.post('/api/orders/walkin', async (req, res) => {
         });
         
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error("❌ Error saving walk-in order:", error);
         res.status(500).json({ error: "Failed to save walk-in order", details: error.message });
     }
 });
 
 // API endpoint to get all walk-in orders
-app.get('/api/orders/walkin', async (req, res) => {
+app.get('/api/orders/walkin', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const database = client.db(databaseName);
@@ -2238,7 +5261,7 @@ app.get('/api/orders/walkin', async (req, res) => {
 });
 
 // API endpoint to get walk-in orders stats
-app.get('/api/orders/walkin/stats', async (req, res) => {
+app.get('/api/orders/walkin/stats', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const database = client.db(databaseName);
@@ -2275,30 +5298,26 @@ app.get('/api/orders/walkin/stats', async (req, res) => {
 // Duplicate endpoint removed - using the one above that supports both userId and email
 
 // API endpoint for comprehensive staff dashboard statistics
-app.get('/api/orders/stats/comprehensive', async (req, res) => {
+app.get('/api/orders/stats/comprehensive', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const database = client.db(databaseName);
         
-        // Get counts from all order collections
-        const pendingCollection = database.collection("PendingOrders");
-        const acceptedCollection = database.collection("AcceptedOrders");
-        const deliveredCollection = database.collection("DeliveredOrders");
+        const ordersCollection = database.collection("Orders");
         const walkInCollection = database.collection("WalkInOrders");
         
+        const acceptedStatuses = ['approved', 'out_for_delivery'];
+        
         const [pendingCount, acceptedCount, deliveredCount, walkInCount] = await Promise.all([
-            pendingCollection.countDocuments({}),
-            acceptedCollection.countDocuments({}),
-            deliveredCollection.countDocuments({}),
+            ordersCollection.countDocuments({ status: 'pending' }),
+            ordersCollection.countDocuments({ status: { $in: acceptedStatuses } }),
+            ordersCollection.countDocuments({ status: 'delivered' }),
             walkInCollection.countDocuments({})
         ]);
         
         // Calculate revenue from accepted and delivered orders
-        const acceptedRevenue = await acceptedCollection.aggregate([
-            { $group: { _id: null, total: { $sum: "$total" } } }
-        ]).toArray();
-        
-        const deliveredRevenue = await deliveredCollection.aggregate([
+        const orderRevenue = await ordersCollection.aggregate([
+            { $match: { status: { $in: [...acceptedStatuses, 'delivered'] } } },
             { $group: { _id: null, total: { $sum: "$total" } } }
         ]).toArray();
         
@@ -2307,12 +5326,12 @@ app.get('/api/orders/stats/comprehensive', async (req, res) => {
         ]).toArray();
         
         const totalRevenue = 
-            (acceptedRevenue.length > 0 ? acceptedRevenue[0].total : 0) +
-            (deliveredRevenue.length > 0 ? deliveredRevenue[0].total : 0) +
+            (orderRevenue.length > 0 ? orderRevenue[0].total : 0) +
             (walkInRevenue.length > 0 ? walkInRevenue[0].total : 0);
         
         // Count total delivered products (items in delivered orders)
-        const deliveredProductsResult = await deliveredCollection.aggregate([
+        const deliveredProductsResult = await ordersCollection.aggregate([
+            { $match: { status: 'delivered' } },
             { $unwind: "$itemsordered" },
             { $group: { _id: null, totalProducts: { $sum: "$itemsordered.amount_per_item" } } }
         ]).toArray();
@@ -2346,39 +5365,25 @@ app.get('/api/orders/stats/comprehensive', async (req, res) => {
 });
 
 // API endpoint to get all collections data for staff (enhanced)
-app.get('/api/orders/all-collections', async (req, res) => {
+app.get('/api/orders/all-collections', requireStaffRole('cashier'), async (req, res) => {
     try {
         
         const database = client.db(databaseName);
-        const pendingCollection = database.collection("PendingOrders");
-        const acceptedCollection = database.collection("AcceptedOrders");
-        const deliveredCollection = database.collection("DeliveredOrders");
+        const ordersCollection = database.collection("Orders");
         const walkInCollection = database.collection("WalkInOrders");
         
-        // Fetch from all collections in parallel
-        const [pendingOrders, acceptedOrders, deliveredOrders, walkInOrders] = await Promise.all([
-            pendingCollection.find({}).toArray(),
-            acceptedCollection.find({}).toArray(),
-            deliveredCollection.find({}).toArray(),
+        // Fetch lifecycle orders and walk-ins in parallel
+        const [orders, walkInOrders] = await Promise.all([
+            ordersCollection.find({}).toArray(),
             walkInCollection.find({}).toArray()
         ]);
         
         // Add collection and display status metadata
         const allOrders = [
-            ...pendingOrders.map(order => ({
-                ...order,
-                collection: 'pending',
-                displayStatus: order.status === 'active' ? 'pending' : order.status
-            })),
-            ...acceptedOrders.map(order => ({
+            ...orders.map(order => ({
                 ...order,
-                collection: 'accepted',
-                displayStatus: 'approved'
-            })),
-            ...deliveredOrders.map(order => ({
-                ...order,
-                collection: 'delivered',
-                displayStatus: 'delivered'
+                collection: getLegacyCollection(order.status),
+                displayStatus: order.status
             })),
             ...walkInOrders.map(order => ({
                 ...order,
@@ -2403,75 +5408,8 @@ app.get('/api/orders/all-collections', async (req, res) => {
     }
 });
 
-// API endpoint to update order status (enhanced for collection movement)
-app.put('/api/orders/:orderId/status', async (req, res) => {
-    try {
-        const { ObjectId } = require('mongodb');
-        const orderId = req.params.orderId;
-        const { status, updatedBy } = req.body;
-        
-        
-        if (!status) {
-            return res.status(400).json({ error: "Status is required" });
-        }
-        
-        const database = client.db(databaseName);
-        
-        // Try to find the order in all collections
-        const collections = [
-            { name: 'PendingOrders', collection: database.collection("PendingOrders") },
-            { name: 'AcceptedOrders', collection: database.collection("AcceptedOrders") },
-            { name: 'DeliveredOrders', collection: database.collection("DeliveredOrders") }
-        ];
-        
-        let order = null;
-        let foundInCollection = null;
-        
-        for (const { name, collection } of collections) {
-            order = await collection.findOne({ _id: new ObjectId(orderId) });
-            if (order) {
-                foundInCollection = { name, collection };
-                break;
-            }
-        }
-        
-        if (!order) {
-            return res.status(404).json({ error: "Order not found in any collection" });
-        }
-        
-        
-        // Update the order in its current collection
-        const updateData = {
-            status: status,
-            updatedAt: new Date(),
-            updatedBy: updatedBy || 'staff'
-        };
-        
-        const result = await foundInCollection.collection.updateOne(
-            { _id: new ObjectId(orderId) },
-            { $set: updateData }
-        );
-        
-        if (result.matchedCount === 0) {
-            return res.status(404).json({ error: "Failed to update order" });
-        }
-        
-        
-        res.json({ 
-            success: true, 
-            message: `Order status updated to ${status}`,
-            orderId: orderId,
-            collection: foundInCollection.name
-        });
-        
-    } catch (error) {
-        console.error("❌ Error updating order status:", error);
-        res.status(500).json({ error: "Failed to update order status" });
-    }
-});
-
 // API endpoint to get order analytics for dashboard
-app.get('/api/orders/analytics', async (req, res) => {
+app.get('/api/orders/analytics', requireStaffRole('manager'), async (req, res) => {
     try {
         
         const { startDate, endDate } = req.query;
@@ -2486,19 +5424,21 @@ app.get('/api/orders/analytics', async (req, res) => {
             if (endDate) dateFilter.createdAt.$lte = new Date(endDate + 'T23:59:59.999Z');
         }
         
-        const collections = [
-            { name: 'pending', collection: database.collection("PendingOrders") },
-            { name: 'accepted', collection: database.collection("AcceptedOrders") },
-            { name: 'delivered', collection: database.collection("DeliveredOrders") },
-            { name: 'walkin', collection: database.collection("WalkInOrders") }
+        const ordersCollection = database.collection("Orders");
+        const buckets = [
+            { name: 'pending', collection: ordersCollection, filter: { status: 'pending' } },
+            { name: 'accepted', collection: ordersCollection, filter: { status: { $in: ['approved', 'out_for_delivery'] } } },
+            { name: 'delivered', collection: ordersCollection, filter: { status: 'delivered' } },
+            { name: 'walkin', collection: database.collection("WalkInOrders"), filter: {} }
         ];
         
         const analytics = {};
         
-        for (const { name, collection } of collections) {
-            const count = await collection.countDocuments(dateFilter);
+        for (const { name, collection, filter } of buckets) {
+            const match = { ...dateFilter, ...filter };
+            const count = await collection.countDocuments(match);
             const revenue = await collection.aggregate([
-                { $match: dateFilter },
+                { $match: match },
                 { $group: { _id: null, total: { $sum: "$total" } } }
             ]).toArray();
             
@@ -2523,134 +5463,165 @@ app.get('/api/orders/analytics', async (req, res) => {
     }
 });
 
-// API endpoint to move orders between collections (for staff dashboard status updates)
-app.post('/api/orders/move', async (req, res) => {
+// API endpoint to change an order's lifecycle status (for staff dashboard status updates).
+// Kept under its original path; orders stay in the Orders collection and keep their _id.
+app.post('/api/orders/move', requireStaffRole('manager'), async (req, res) => {
     try {
-        const { ObjectId } = require('mongodb');
-        const { orderId, operation, fromCollection, toCollection, denialReason, returnReason, returnImage } = req.body;
+        const { orderId, operation, toCollection, status, denialReason, returnReason, returnImage } = req.body;
         
-        
-        if (!orderId || !operation || !fromCollection || !toCollection) {
-            return res.status(400).json({ error: "Missing required fields: orderId, operation, fromCollection, toCollection" });
+        if (!orderId || (!toCollection && !status)) {
+            return res.status(400).json({ error: "Missing required fields: orderId and status (or toCollection)" });
         }
         
-        const database = client.db(databaseName);
-        
-        // Map collection names to actual MongoDB collection names
-        const collectionMapping = {
-            'orders': 'PendingOrders',
-            'pending': 'PendingOrders',
-            'accepted': 'AcceptedOrders',
-            'delivered': 'DeliveredOrders',
-            'denied': 'DeniedOrders',
-            'returned': 'ReturnedOrders'
+        // Legacy dashboard builds still send the target collection name
+        const statusByCollection = {
+            'orders': 'pending',
+            'pending': 'pending',
+            'accepted': 'approved',
+            'delivered': 'delivered',
+            'denied': 'denied',
+            'returned': 'returned',
+            'cancelled': 'cancelled'
         };
         
-        const sourceCollectionName = collectionMapping[fromCollection];
-        const targetCollectionName = collectionMapping[toCollection];
+        const newStatus = status ? normalizeOrderStatus(status) : statusByCollection[toCollection];
         
-        if (!sourceCollectionName || !targetCollectionName) {
-            return res.status(400).json({ error: "Invalid collection names" });
+        if (!newStatus) {
+            return res.status(400).json({ error: "Invalid target status" });
         }
         
-        const sourceCollection = database.collection(sourceCollectionName);
-        const targetCollection = database.collection(targetCollectionName);
-        
-        // Find the order in the source collection
-        const order = await sourceCollection.findOne({ _id: new ObjectId(orderId) });
+        const database = client.db(databaseName);
+        const order = await findOrderById(database, orderId);
         
         if (!order) {
-            return res.status(404).json({ error: `Order not found in ${sourceCollectionName}` });
+            return res.status(404).json({ error: "Order not found" });
         }
         
-        // Prepare the order for the target collection
-        let updatedOrder = { ...order };
-        delete updatedOrder._id; // Remove the _id so MongoDB can assign a new one
+        const now = new Date();
+        const fields = { lastModifiedBy: req.staff.username };
         
-        // Update order based on the target status
-        switch (toCollection) {
-            case 'pending':
-                updatedOrder.status = 'pending';
-                updatedOrder.displayStatus = 'pending';
+        switch (newStatus) {
+            case 'approved':
+                fields.approvedAt = now;
                 break;
-            case 'accepted':
-                updatedOrder.status = 'approved';
-                updatedOrder.displayStatus = 'approved';
-                updatedOrder.approvedAt = new Date();
+            case 'out_for_delivery':
+                fields.outForDeliveryAt = now;
                 break;
             case 'delivered':
-                updatedOrder.status = 'delivered';
-                updatedOrder.displayStatus = 'delivered';
-                updatedOrder.deliveredAt = new Date();
+                fields.deliveredAt = now;
                 break;
             case 'denied':
-                updatedOrder.status = 'denied';
-                updatedOrder.displayStatus = 'denied';
-                updatedOrder.deniedAt = new Date();
+                fields.deniedAt = now;
                 if (denialReason) {
-                    updatedOrder.denialReason = denialReason;
+                    fields.denialReason = denialReason;
                 }
                 break;
+            case 'cancelled':
+                fields.cancelledAt = now;
+                fields.cancellationProcessedBy = req.staff.username;
+                break;
             case 'returned':
-                updatedOrder.status = 'returned';
-                updatedOrder.displayStatus = 'returned';
-                updatedOrder.returnedAt = new Date();
+                fields.returnedAt = now;
                 
                 // Handle return documentation
                 if (returnReason) {
-                    updatedOrder.returnReason = returnReason;
+                    fields.returnReason = returnReason;
                 }
                 
                 if (returnImage) {
-                    updatedOrder.returnImage = returnImage;
-                    updatedOrder.returnImageUploadedAt = new Date();
+                    fields.returnImage = returnImage;
+                    fields.returnImageUploadedAt = now;
                     console.log(`📷 Return documentation image saved (${returnImage.length} characters)`);
                 }
                 
                 // Add return processing metadata
-                updatedOrder.returnProcessedBy = 'staff';
-                updatedOrder.returnProcessingDate = new Date();
-                
+                fields.returnProcessedBy = req.staff.username;
+                fields.returnProcessingDate = now;
                 break;
         }
         
-        updatedOrder.updatedAt = new Date();
-        updatedOrder.lastModifiedBy = 'staff';
+        const updatedOrder = await transitionOrder(database, order, newStatus, fields, {
+            actor: staffActor(req),
+            notes: denialReason || returnReason
+        });
         
-        // Insert into target collection
-        const insertResult = await targetCollection.insertOne(updatedOrder);
+        res.json({
+            success: true,
+            message: `Order status updated to ${newStatus}`,
+            orderId: updatedOrder._id,
+            newOrderId: updatedOrder._id, // Unchanged; kept for older dashboard builds
+            status: updatedOrder.status,
+            operation: operation,
+            ...(returnReason && { returnReason }),
+            ...(returnImage && { returnImageSaved: true })
+        });
         
-        if (!insertResult.insertedId) {
-            throw new Error('Failed to insert order into target collection');
+    } catch (error) {
+        console.error("❌ Error changing order status:", error);
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? error.message : "Failed to change order status",
+            details: error.message
+        });
+    }
+});
+
+// API endpoint to get the event timeline for an order. Staff see everything; the customer who
+// placed the order sees "Staff" in place of who acted and no staff notes.
+app.get('/api/orders/:orderId/timeline', identifyStaff, identifyUser, async (req, res) => {
+    try {
+        if (!req.staff && !req.user) {
+            return res.status(401).json({ success: false, message: 'Please log in to continue' });
         }
         
-        // Remove from source collection
-        const deleteResult = await sourceCollection.deleteOne({ _id: new ObjectId(orderId) });
-        
-        if (deleteResult.deletedCount === 0) {
-            // If deletion failed, we should remove the inserted order to maintain consistency
-            await targetCollection.deleteOne({ _id: insertResult.insertedId });
-            throw new Error('Failed to remove order from source collection');
+        const database = client.db(databaseName);
+        const order = await findOrderById(database, req.params.orderId);
+        
+        // Someone else's order is reported as missing rather than forbidden
+        if (!order || (!req.staff && String(order.userId) !== String(req.user.id))) {
+            return res.status(404).json({ success: false, message: "Order not found" });
+        }
+        
+        const events = await database.collection("OrderEvents")
+            .find({ orderId: order._id })
+            .sort({ createdAt: 1 })
+            .toArray();
+        
+        // Orders placed before the event log existed still get their starting point
+        if (!events.some(event => event.type === 'order_placed')) {
+            events.unshift({
+                orderId: order._id,
+                orderNumber: order.orderNumber || null,
+                type: 'order_placed',
+                actor: customerActor(order),
+                fromStatus: null,
+                toStatus: 'pending',
+                notes: '',
+                createdAt: order.createdAt || order.orderDate
+            });
         }
         
+        const timeline = events.map(event => {
+            if (req.staff || !event.actor || event.actor.type !== 'staff') {
+                return event;
+            }
+            return { ...event, actor: { type: 'staff', name: 'Staff' }, notes: '' };
+        });
         
         res.json({
             success: true,
-            message: `Order successfully moved to ${toCollection}`,
-            newOrderId: insertResult.insertedId,
-            operation: operation,
-            ...(returnReason && { returnReason }),
-            ...(returnImage && { returnImageSaved: true })
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            events: timeline
         });
-        
     } catch (error) {
-        console.error("❌ Error moving order between collections:", error);
-        res.status(500).json({ error: "Failed to move order between collections", details: error.message });
+        console.error("❌ Error fetching order timeline:", error);
+        res.status(500).json({ success: false, message: "Failed to fetch order timeline" });
     }
 });
 
 // API endpoint to get return documentation for an order
-app.get('/api/orders/:orderId/return-documentation', async (req, res) => {
+app.get('/api/orders/:orderId/return-documentation', requireStaffRole('cashier'), async (req, res) => {
     try {
         const { ObjectId } = require('mongodb');
         const { orderId } = req.params;
@@ -2663,10 +5634,11 @@ app.get('/api/orders/:orderId/return-documentation', async (req, res) => {
         const database = client.db(databaseName);
         const returnedOrdersCollection = database.collection("ReturnedOrders");
         
-        // Find the returned order
-        const returnedOrder = await returnedOrdersCollection.findOne({ 
-            _id: new ObjectId(orderId) 
-        });
+        // Find the returned order (falling back to the processed returns archive)
+        const order = await findOrderById(database, orderId);
+        const returnedOrder = order && order.status === 'returned'
+            ? order
+            : await returnedOrdersCollection.findOne({ _id: new ObjectId(orderId) });
         
         if (!returnedOrder) {
             return res.status(404).json({ error: "Returned order not found" });
@@ -2694,17 +5666,24 @@ app.get('/api/orders/:orderId/return-documentation', async (req, res) => {
 });
 
 // API endpoint to get all returned orders with documentation
-app.get('/api/orders/returned', async (req, res) => {
+app.get('/api/orders/returned', requireStaffRole('cashier'), async (req, res) => {
     try {
 
         const database = client.db(databaseName);
         const returnedOrdersCollection = database.collection("ReturnedOrders");
 
-        // Get all returned orders, sorted by most recent first
-        const returnedOrders = await returnedOrdersCollection.aggregate([
-            { $match: {} },
-            { $sort: { returnedAt: -1 } }
-        ], { allowDiskUse: true }).toArray();
+        // Orders returned directly by staff plus the processed returns archive
+        const [directReturns, archivedReturns] = await Promise.all([
+            database.collection("Orders").find({ status: 'returned', returnRequestId: { $exists: false } }).toArray(),
+            returnedOrdersCollection.find({}).toArray()
+        ]);
+
+        // Sort by most recent first
+        const returnedOrders = [...directReturns, ...archivedReturns].sort((a, b) => {
+            const dateA = new Date(a.returnedAt || a.processedAt || 0);
+            const dateB = new Date(b.returnedAt || b.processedAt || 0);
+            return dateB - dateA;
+        });
 
         // Format the returned orders with documentation info
         const formattedOrders = returnedOrders.map(order => ({
@@ -2769,23 +5748,8 @@ app.post('/api/orders/return-request', async (req, res) => {
 
         const database = client.db(databaseName);
 
-        // Find the original order in any collection
-        const collections = [
-            { name: 'DeliveredOrders', collection: database.collection("DeliveredOrders") },
-            { name: 'AcceptedOrders', collection: database.collection("AcceptedOrders") },
-            { name: 'PendingOrders', collection: database.collection("PendingOrders") }
-        ];
-
-        let originalOrder = null;
-        let sourceCollection = null;
-
-        for (const { name, collection } of collections) {
-            originalOrder = await collection.findOne({ _id: new ObjectId(orderId) });
-            if (originalOrder) {
-                sourceCollection = { name, collection };
-                break;
-            }
-        }
+        // Find the original order
+        const originalOrder = await findOrderById(database, orderId);
 
         if (!originalOrder) {
             return res.status(404).json({
@@ -2794,6 +5758,14 @@ app.post('/api/orders/return-request', async (req, res) => {
             });
         }
 
+        // Only orders that can still move to "returned" accept a return request
+        if (!isValidStatusTransition(originalOrder.status, 'returned')) {
+            return res.status(400).json({
+                success: false,
+                message: "This order cannot be returned at this stage"
+            });
+        }
+
         // Create return request record
         const returnRequest = {
             originalOrderId: orderId,
@@ -2811,13 +5783,19 @@ app.post('/api/orders/return-request', async (req, res) => {
             status: 'pending_review', // pending_review, approved, rejected, processed
             submittedAt: new Date(),
             submittedBy: 'customer',
-            sourceCollection: sourceCollection.name
+            userId: originalOrder.userId || null,
+            originalOrderStatus: originalOrder.status
         };
 
         // Save return request to ReturnRequests collection
         const returnRequestsCollection = database.collection("ReturnRequests");
         const result = await returnRequestsCollection.insertOne(returnRequest);
 
+        await recordOrderEvent(database, originalOrder, {
+            type: returnType === 'exchange' ? 'exchange_requested' : 'return_requested',
+            actor: customerActor(originalOrder),
+            notes: reason
+        });
 
         // Create staff notification for new return request
         const staffNotificationsCollection = database.collection("StaffNotifications");
@@ -2840,6 +5818,14 @@ app.post('/api/orders/return-request', async (req, res) => {
 
         await staffNotificationsCollection.insertOne(notification);
         console.log(`🔔 Staff notification created for return request: ${notification.id}`);
+        // The request (and its image) is fetched by the dashboard, so the event stays small
+        publishStaffEvent('return_requested', {
+            requestId: result.insertedId,
+            orderNumber: returnRequest.orderNumber,
+            customerName: returnRequest.customerName,
+            returnType: returnRequest.returnType,
+            reason: returnRequest.reason
+        });
 
         res.json({
             success: true,
@@ -2882,23 +5868,10 @@ app.post('/api/orders/cancel-request', async (req, res) => {
         }
 
         const database = client.db(databaseName);
+        const ordersCollection = database.collection("Orders");
 
-        // Find the original order in any collection
-        const collections = [
-            { name: 'PendingOrders', collection: database.collection("PendingOrders") },
-            { name: 'AcceptedOrders', collection: database.collection("AcceptedOrders") }
-        ];
-
-        let originalOrder = null;
-        let sourceCollection = null;
-
-        for (const { name, collection } of collections) {
-            originalOrder = await collection.findOne({ _id: new ObjectId(orderId) });
-            if (originalOrder) {
-                sourceCollection = { name, collection };
-                break;
-            }
-        }
+        // Find the original order
+        const originalOrder = await findOrderById(database, orderId);
 
         if (!originalOrder) {
             return res.status(404).json({
@@ -2907,15 +5880,22 @@ app.post('/api/orders/cancel-request', async (req, res) => {
             });
         }
 
-        // Check if order can be cancelled (only pending and accepted orders)
-        const currentStatus = originalOrder.status || 'pending';
-        if (!['pending', 'active', 'approved'].includes(currentStatus.toLowerCase())) {
+        // Check if order can be cancelled (the lifecycle allows pending and approved orders)
+        const currentStatus = originalOrder.status;
+        if (!isValidStatusTransition(currentStatus, 'cancelled')) {
             return res.status(400).json({
                 success: false,
                 message: "This order cannot be cancelled at this stage"
             });
         }
 
+        if (originalOrder.cancellationRequest && originalOrder.cancellationRequest.status === 'pending_review') {
+            return res.status(400).json({
+                success: false,
+                message: "A cancellation request is already pending for this order"
+            });
+        }
+
         // Create cancellation request record
         const cancellationRequest = {
             originalOrderId: orderId,
@@ -2943,7 +5923,6 @@ app.post('/api/orders/cancel-request', async (req, res) => {
             status: 'pending_review', // pending_review, approved, rejected, processed
             submittedAt: new Date(),
             submittedBy: 'customer',
-            sourceCollection: sourceCollection.name,
             notes: originalOrder.notes || '',
             address: originalOrder.address || null,
             shipping: originalOrder.shipping || null,
@@ -2954,17 +5933,36 @@ app.post('/api/orders/cancel-request', async (req, res) => {
         const cancellationRequestsCollection = database.collection("CancellationRequests");
         const result = await cancellationRequestsCollection.insertOne(cancellationRequest);
 
-        // Remove the original order from its source collection now that the cancellation request is stored
-        const deleteResult = await sourceCollection.collection.deleteOne({ _id: new ObjectId(orderId) });
-        if (deleteResult.deletedCount === 0) {
-            console.error(`❌ Failed to remove original order ${orderId} from ${sourceCollection.name} after creating cancellation request. Rolling back cancellation request.`);
+        // Flag the order itself; it keeps its status until staff decide on the request
+        const flagResult = await ordersCollection.updateOne(
+            { _id: originalOrder._id, status: currentStatus },
+            {
+                $set: {
+                    cancellationRequest: {
+                        requestId: result.insertedId,
+                        status: 'pending_review',
+                        reason: reason,
+                        additionalComments: additionalComments || '',
+                        submittedAt: cancellationRequest.submittedAt
+                    },
+                    updatedAt: new Date()
+                }
+            }
+        );
+        if (flagResult.matchedCount === 0) {
+            console.error(`❌ Order ${orderId} changed status while creating cancellation request. Rolling back cancellation request.`);
             await cancellationRequestsCollection.deleteOne({ _id: result.insertedId });
-            return res.status(500).json({
+            return res.status(409).json({
                 success: false,
-                message: "Failed to remove the original order after creating the cancellation request. Please try again."
+                message: "The order was updated while submitting your request. Please refresh and try again."
             });
         }
 
+        await recordOrderEvent(database, originalOrder, {
+            type: 'cancellation_requested',
+            actor: customerActor(originalOrder),
+            notes: additionalComments ? `${reason} - ${additionalComments}` : reason
+        });
 
         // Create staff notification for new cancellation request
         const staffNotificationsCollection = database.collection("StaffNotifications");
@@ -2986,6 +5984,14 @@ app.post('/api/orders/cancel-request', async (req, res) => {
 
         await staffNotificationsCollection.insertOne(notification);
         console.log(`🔔 Staff notification created for cancellation request: ${notification.id}`);
+        publishStaffEvent('cancellation_requested', {
+            orderId: String(originalOrder._id),
+            orderNumber: cancellationRequest.orderNumber,
+            customerName: cancellationRequest.customerName,
+            requestId: result.insertedId,
+            reason: reason,
+            submittedAt: cancellationRequest.submittedAt
+        });
 
         res.json({
             success: true,
@@ -3057,7 +6063,7 @@ app.post('/api/orders/check-cancellation-requests', async (req, res) => {
 });
 
 // API endpoint to get cancellation requests for staff review
-app.get('/api/orders/cancellation-requests', async (req, res) => {
+app.get('/api/orders/cancellation-requests', requireStaffRole('cashier'), async (req, res) => {
     try {
 
         const database = client.db(databaseName);
@@ -3086,7 +6092,7 @@ app.get('/api/orders/cancellation-requests', async (req, res) => {
 });
 
 // API endpoint to process return request (approve/reject)
-app.put('/api/orders/return-request/:requestId', async (req, res) => {
+app.put('/api/orders/return-request/:requestId', requireStaffRole('manager'), async (req, res) => {
     try {
         const { ObjectId } = require('mongodb');
         const { requestId } = req.params;
@@ -3115,26 +6121,15 @@ app.put('/api/orders/return-request/:requestId', async (req, res) => {
             });
         }
 
-        // Gather original order details (if still present in any collection)
-        const orderCollections = [
-            database.collection("DeliveredOrders"),
-            database.collection("AcceptedOrders"),
-            database.collection("PendingOrders"),
-            database.collection("Orders")
-        ];
-        let originalOrder = null;
-        let originalOrderCollectionName = null;
-        for (const collection of orderCollections) {
-            try {
-                const found = await collection.findOne({ _id: new ObjectId(returnRequest.originalOrderId) });
-                if (found) {
-                    originalOrder = found;
-                    originalOrderCollectionName = collection.collectionName;
-                    break;
-                }
-            } catch (err) {
-                // Ignore invalid ObjectId or not found
-            }
+        // Gather original order details (if it still exists)
+        const originalOrder = await findOrderById(database, returnRequest.originalOrderId);
+
+        // An approved return must be a valid lifecycle transition for the order
+        if (action === 'approve' && originalOrder && !isValidStatusTransition(originalOrder.status, 'returned')) {
+            return res.status(409).json({
+                success: false,
+                message: `Order is ${originalOrder.status} and cannot be marked as returned`
+            });
         }
 
         const processedAt = new Date();
@@ -3156,10 +6151,10 @@ app.put('/api/orders/return-request/:requestId', async (req, res) => {
             selectedItems: returnRequest.selectedItems || returnRequest.itemsordered || originalOrder?.itemsordered || [],
             customerImage: returnRequest.returnImage || null,
             staffDecision: decisionStatus,
-            originalOrderCollection: originalOrderCollectionName,
+            originalOrderStatus: originalOrder ? originalOrder.status : null,
             submittedAt: returnRequest.submittedAt || returnRequest.createdAt || processedAt,
             processedAt,
-            processedBy: 'staff',
+            processedBy: req.staff.username,
             requestSnapshot: returnRequest,
             originalOrderSnapshot: originalOrder || null
         };
@@ -3176,46 +6171,41 @@ app.put('/api/orders/return-request/:requestId', async (req, res) => {
             throw new Error('Failed to remove original return request');
         }
 
-        // If the return was accepted and we located the original order, remove it from its collection
-        if (action === 'approve' && originalOrder && originalOrderCollectionName) {
-            const sourceCollection = database.collection(originalOrderCollectionName);
-            await sourceCollection.deleteOne({ _id: new ObjectId(returnRequest.originalOrderId) }).catch(() => {});
+        // If the return was accepted and we located the original order, mark it as returned
+        if (action === 'approve' && originalOrder) {
+            await transitionOrder(database, originalOrder, 'returned', {
+                returnRequestId: requestObjectId,
+                returnArchiveId: archiveResult.insertedId,
+                returnReason: archivedRecord.customerReason,
+                returnedAt: processedAt,
+                returnProcessedBy: req.staff.username
+            }, {
+                type: 'return_approved',
+                actor: staffActor(req),
+                notes: staffNotes
+            }, {
+                returnedItems: returnedStockItems(originalOrder, archivedRecord.selectedItems)
+            }).catch((error) => {
+                console.error(`❌ Failed to mark order ${returnRequest.originalOrderId} as returned:`, error.message);
+                // Still log the decision (and tell the customer) against the order as it is
+                return recordOrderEvent(database, originalOrder, {
+                    type: 'return_approved',
+                    actor: staffActor(req),
+                    notes: staffNotes
+                });
+            });
+        } else if (originalOrder) {
+            await recordOrderEvent(database, originalOrder, {
+                type: 'return_rejected',
+                actor: staffActor(req),
+                notes: staffNotes
+            });
         }
 
-        // Create notifications for both user and staff
-        const userId = returnRequest.userId || originalOrder?.userId || originalOrder?.customerId || null;
+        // The customer is notified through the order events above; staff get a notification here
         const orderNumber = archivedRecord.orderNumber;
         const customerName = archivedRecord.customerName;
 
-        // Create user notification
-        if (userId) {
-            try {
-                const userNotificationsCollection = database.collection("UserNotifications");
-                const isAccepted = action === 'approve';
-                const userNotification = {
-                    userId: userId,
-                    title: isAccepted ? '↩️ Return Request Approved' : '🚫 Return Request Rejected',
-                    message: isAccepted 
-                        ? `Your return request for order ${orderNumber} has been approved. ${staffNotes ? `Staff notes: ${staffNotes}` : 'We will begin processing the return shortly.'}`
-                        : `Your return request for order ${orderNumber} has been rejected. ${staffNotes ? `Reason: ${staffNotes}` : 'Please contact us if you would like to discuss this decision.'}`,
-                    type: isAccepted ? 'order_return_approved' : 'order_return_rejected',
-                    orderId: returnRequest.originalOrderId || null,
-                    orderNumber: orderNumber,
-                    requestId: requestId,
-                    returnType: archivedRecord.returnType,
-                    staffNotes: staffNotes || null,
-                    read: false,
-                    createdAt: processedAt
-                };
-
-                await userNotificationsCollection.insertOne(userNotification);
-                console.log(`✅ User notification created for return request: ${userNotification.title} (userId: ${userId})`);
-            } catch (error) {
-                console.error("❌ Error creating user notification:", error);
-                // Don't fail the entire request if notification creation fails
-            }
-        }
-
         // Create staff notification
         try {
             const staffNotificationsCollection = database.collection("StaffNotifications");
@@ -3263,7 +6253,7 @@ app.put('/api/orders/return-request/:requestId', async (req, res) => {
 });
 
 // API endpoint to process cancellation request (approve/reject)
-app.put('/api/orders/cancellation-request/:requestId', async (req, res) => {
+app.put('/api/orders/cancellation-request/:requestId', requireStaffRole('manager'), async (req, res) => {
     try {
         const { ObjectId } = require('mongodb');
         const { requestId } = req.params;
@@ -3294,48 +6284,44 @@ app.put('/api/orders/cancellation-request/:requestId', async (req, res) => {
         const updateData = {
             status: action === 'approve' ? 'approved' : 'rejected',
             processedAt: new Date(),
-            processedBy: 'staff',
+            processedBy: req.staff.username,
             staffNotes: staffNotes || ''
         };
 
+        const originalOrder = await findOrderById(database, cancellationRequest.originalOrderId);
+
+        // If approved, cancel the original order; otherwise it simply continues its lifecycle
+        if (originalOrder) {
+            if (action === 'approve') {
+                await transitionOrder(database, originalOrder, 'cancelled', {
+                    cancellationReason: cancellationRequest.reason,
+                    cancelledAt: updateData.processedAt,
+                    cancellationProcessedBy: req.staff.username,
+                    cancellationRequestId: requestId,
+                    'cancellationRequest.status': 'approved'
+                }, {
+                    type: 'cancellation_approved',
+                    actor: staffActor(req),
+                    notes: staffNotes
+                });
+            } else {
+                await database.collection("Orders").updateOne(
+                    { _id: originalOrder._id },
+                    { $set: { 'cancellationRequest.status': 'rejected', updatedAt: new Date() } }
+                );
+                await recordOrderEvent(database, originalOrder, {
+                    type: 'cancellation_rejected',
+                    actor: staffActor(req),
+                    notes: staffNotes
+                });
+            }
+        }
+
         await cancellationRequestsCollection.updateOne(
             { _id: new ObjectId(requestId) },
             { $set: updateData }
         );
 
-        // If approved, move the original order to CancelledOrders collection
-        if (action === 'approve') {
-            // Find and move the original order to CancelledOrders
-            const collections = [
-                { name: 'PendingOrders', collection: database.collection("PendingOrders") },
-                { name: 'AcceptedOrders', collection: database.collection("AcceptedOrders") }
-            ];
-
-            for (const { collection } of collections) {
-                const originalOrder = await collection.findOne({ _id: new ObjectId(cancellationRequest.originalOrderId) });
-                if (originalOrder) {
-                    // Move to CancelledOrders
-                    const cancelledOrder = {
-                        ...originalOrder,
-                        cancellationReason: cancellationRequest.reason,
-                        cancelledAt: new Date(),
-                        cancellationProcessedBy: 'staff',
-                        cancellationRequestId: requestId
-                    };
-
-                    delete cancelledOrder._id; // Remove _id for new document
-
-                    const cancelledCollection = database.collection("CancelledOrders");
-                    await cancelledCollection.insertOne(cancelledOrder);
-
-                    // Remove from original collection
-                    await collection.deleteOne({ _id: new ObjectId(cancellationRequest.originalOrderId) });
-
-                    break;
-                }
-            }
-        }
-
 
         res.json({
             success: true,
@@ -3345,23 +6331,276 @@ app.put('/api/orders/cancellation-request/:requestId', async (req, res) => {
 
     } catch (error) {
         console.error("❌ Error processing cancellation request:", error);
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: "Failed to process cancellation request",
+            message: error.statusCode ? error.message : "Failed to process cancellation request",
             error: error.message
         });
     }
 });
 
-// Email transporter configuration
-const emailTransporter = nodemailer.createTransport({
+const EMAIL_FROM = 'sanricomercantileofficial@gmail.com';
+
+// Email transporter configuration. SMTP_HOST sends through another server instead of
+// Gmail, e.g. the local stand-in in dev-smtp-server.js (npm run smtp-dev).
+const emailTransporter = nodemailer.createTransport(process.env.SMTP_HOST ? {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    })
+} : {
     service: 'gmail',
     auth: {
-        user: 'sanricomercantileofficial@gmail.com',
+        user: EMAIL_FROM,
         pass: process.env.EMAIL_PASSWORD || 'your-app-password' // Use environment variable for security
     }
 });
 
+// ===== Email templates (lib/email.js) =====
+
+// API endpoint to list the email templates staff can preview
+app.get('/api/email-templates', requireStaffRole('cashier'), (req, res) => {
+    res.json(Object.entries(EMAIL_TEMPLATES).map(([name, definition]) => ({
+        name,
+        subject: definition.subject
+    })));
+});
+
+// API endpoint to preview an email template with sample data. ?format=html or ?format=text
+// returns the message body as a page; otherwise { subject, html, text }.
+app.get('/api/email-templates/:name/preview', requireStaffRole('cashier'), (req, res) => {
+    if (!isEmailTemplate(req.params.name)) {
+        return res.status(404).json({ error: "Email template not found" });
+    }
+    try {
+        const email = previewEmail(req.params.name, { storeUrl: STORE_URL });
+        if (req.query.format === 'html') return res.type('html').send(email.html);
+        if (req.query.format === 'text') return res.type('text').send(email.text);
+        res.json(email);
+    } catch (error) {
+        console.error("❌ Error rendering email template:", error);
+        res.status(500).json({ error: "Failed to render email template" });
+    }
+});
+
+// ===== Email outbox (lib/email-outbox.js) =====
+
+const EMAIL_OUTBOX_INTERVAL_MS = 15 * 1000;
+const EMAIL_OUTBOX_BATCH_SIZE = 20;
+let emailOutboxRunning = false;
+let emailOutboxRerun = false;
+
+// Render a template and queue it. Resolves once the message is stored; the worker sends
+// it, so a slow or failing mail server never holds up the request.
+async function enqueueEmail(database, to, template, data, { from } = {}) {
+    const message = buildOutboxMessage({ to, from: from || EMAIL_FROM, template, ...renderEmail(template, data) });
+    const result = await database.collection("EmailOutbox").insertOne(message);
+    setImmediate(processEmailOutbox);
+    return result.insertedId;
+}
+
+// Take the next due message. A message left 'sending' by a worker that died is taken over
+// once its lock expires, so a message can (rarely) be sent twice but is never lost.
+function claimOutboxMessage(outbox) {
+    const now = new Date();
+    return outbox.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        },
+        { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS), updatedAt: now } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+}
+
+async function deliverOutboxMessage(database, message) {
+    const startedAt = Date.now();
+    const logEntry = {
+        outboxId: message._id,
+        attempt: message.attempts + 1,
+        to: message.to,
+        subject: message.subject,
+        actor: { type: 'system', id: null, name: 'Email worker' }
+    };
+    
+    try {
+        const info = await emailTransporter.sendMail({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html
+        });
+        await database.collection("EmailOutbox").updateOne(
+            { _id: message._id },
+            {
+                $set: {
+                    status: 'sent',
+                    attempts: message.attempts + 1,
+                    messageId: info.messageId || null,
+                    sentAt: new Date(),
+                    lockedUntil: null,
+                    updatedAt: new Date(),
+                    ...clearedBodyFields(message)
+                }
+            }
+        );
+        await database.collection("EmailSendLog").insertOne({
+            ...logEntry,
+            outcome: 'sent',
+            response: info.response || null,
+            durationMs: Date.now() - startedAt,
+            createdAt: new Date()
+        });
+    } catch (error) {
+        const { dead, fields } = failedAttemptUpdate(message, error);
+        await database.collection("EmailOutbox").updateOne({ _id: message._id }, { $set: fields });
+        await database.collection("EmailSendLog").insertOne({
+            ...logEntry,
+            outcome: dead ? 'dead' : 'failed',
+            error: describeSendError(error),
+            durationMs: Date.now() - startedAt,
+            createdAt: new Date()
+        });
+        console.error(`❌ Email to ${message.to} failed (attempt ${fields.attempts})${dead ? ', moved to dead letters' : ''}:`, error.message);
+    }
+}
+
+// Send what is due, a batch at a time. A call while a run is in progress makes that run go
+// round again instead of starting a second one.
+async function processEmailOutbox() {
+    if (emailOutboxRunning) {
+        emailOutboxRerun = true;
+        return;
+    }
+    emailOutboxRunning = true;
+    try {
+        const database = client.db(databaseName);
+        const outbox = database.collection("EmailOutbox");
+        do {
+            emailOutboxRerun = false;
+            for (let sent = 0; sent < EMAIL_OUTBOX_BATCH_SIZE; sent++) {
+                const message = await claimOutboxMessage(outbox);
+                if (!message) break;
+                await deliverOutboxMessage(database, message);
+            }
+        } while (emailOutboxRerun);
+    } catch (error) {
+        console.error("❌ Error processing email outbox:", error);
+    } finally {
+        emailOutboxRunning = false;
+    }
+}
+
+function outboxObjectId(id) {
+    if (!ObjectId.isValid(id)) {
+        const error = new Error('Invalid message id');
+        error.statusCode = 400;
+        throw error;
+    }
+    return new ObjectId(id);
+}
+
+// API endpoint to list queued, sent and dead-lettered email (?status=, ?page=)
+app.get('/api/email-outbox', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const outbox = database.collection("EmailOutbox");
+        const { status, page, limit, skip } = parseOutboxQuery(req.query);
+        const filter = status ? { status } : {};
+        
+        const [messages, totalCount, statusCounts] = await Promise.all([
+            outbox.find(filter, { projection: { html: 0, text: 0 } }).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+            outbox.countDocuments(filter),
+            outbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]).toArray()
+        ]);
+        const counts = Object.fromEntries(OUTBOX_STATUSES.map(name => [name, 0]));
+        statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+        
+        res.json({
+            messages: messages.map(message => toStaffOutboxMessage(message)),
+            counts,
+            totalCount,
+            currentPage: page,
+            totalPages: Math.max(Math.ceil(totalCount / limit), 1)
+        });
+    } catch (error) {
+        console.error("❌ Error fetching email outbox:", error);
+        res.status(500).json({ error: "Failed to fetch email outbox" });
+    }
+});
+
+// API endpoint to inspect one message with its send log
+app.get('/api/email-outbox/:id', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const _id = outboxObjectId(req.params.id);
+        const message = await database.collection("EmailOutbox").findOne({ _id });
+        if (!message) {
+            return res.status(404).json({ error: "Message not found" });
+        }
+        const log = await database.collection("EmailSendLog").find({ outboxId: _id }).sort({ createdAt: 1 }).toArray();
+        
+        res.json({ message: toStaffOutboxMessage(message, { includeBody: true }), log });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error fetching email outbox message:", error);
+        res.status(500).json({ error: "Failed to fetch message" });
+    }
+});
+
+// API endpoint to requeue a dead-lettered or retrying message for immediate sending.
+// The attempt count starts over, so it gets the full set of retries again.
+app.post('/api/email-outbox/:id/resend', requireStaffRole('manager'), async (req, res) => {
+    try {
+        const database = client.db(databaseName);
+        const _id = outboxObjectId(req.params.id);
+        const now = new Date();
+        const message = await database.collection("EmailOutbox").findOneAndUpdate(
+            // A sensitive message whose body was cleared has nothing left to send
+            { _id, status: { $in: ['dead', 'pending'] }, bodyClearedAt: null },
+            {
+                $set: {
+                    status: 'pending',
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    deadAt: null,
+                    updatedAt: now
+                }
+            },
+            { returnDocument: 'after', projection: { html: 0, text: 0 } }
+        );
+        if (!message) {
+            return res.status(409).json({ error: "Only failed messages that are not being sent can be resent. Codes and reset links that failed must be requested again." });
+        }
+        
+        await database.collection("EmailSendLog").insertOne({
+            outboxId: _id,
+            attempt: null,
+            to: message.to,
+            subject: message.subject,
+            actor: staffActor(req),
+            outcome: 'requeued',
+            createdAt: now
+        });
+        setImmediate(processEmailOutbox);
+        
+        res.json({ success: true, message: toStaffOutboxMessage(message) });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("❌ Error resending email:", error);
+        res.status(500).json({ error: "Failed to resend message" });
+    }
+});
+
 // Send verification email endpoint
 app.post('/api/auth/send-verification', async (req, res) => {
     try {
@@ -3374,61 +6613,7 @@ app.post('/api/auth/send-verification', async (req, res) => {
             });
         }
         
-        const mailOptions = {
-            from: fromEmail || 'sanricomercantileofficial@gmail.com',
-            to: email,
-            subject: 'Verify Your Email - Sanrico Mercantile Inc.',
-            html: `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="utf-8">
-                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                    <title>Email Verification</title>
-                    <style>
-                        body { font-family: Arial, sans-serif; margin: 0; padding: 0; background: #f8f9fa; }
-                        .container { max-width: 600px; margin: 0 auto; background: #ffffff; }
-                        .header { background: linear-gradient(135deg, #3498db 0%, #2980b9 100%); padding: 40px 20px; text-align: center; }
-                        .header h1 { color: #ffffff; margin: 0; font-size: 28px; }
-                        .content { padding: 40px 20px; text-align: center; }
-                        .verification-code { background: #f8f9fa; border: 2px dashed #3498db; border-radius: 8px; padding: 20px; margin: 30px 0; font-size: 36px; font-weight: bold; color: #2c3e50; letter-spacing: 8px; }
-                        .footer { background: #2c3e50; color: #ffffff; padding: 20px; text-align: center; font-size: 14px; }
-                        .warning { background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 4px; padding: 15px; margin: 20px 0; color: #856404; }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <div class="header">
-                            <h1>Email Verification</h1>
-                        </div>
-                        <div class="content">
-                            <h2>Welcome to Sanrico Mercantile Inc.!</h2>
-                            <p>Thank you for creating an account with us. To complete your registration, please enter the verification code below:</p>
-                            
-                            <div class="verification-code">${code}</div>
-                            
-                            <p>Enter this code on the verification page to activate your account.</p>
-                            
-                            <div class="warning">
-                                <strong>Security Notice:</strong><br>
-                                • This code expires in 15 minutes<br>
-                                • Never share this code with anyone<br>
-                                • If you didn't request this, please ignore this email
-                            </div>
-                            
-                            <p>If you have any questions, please contact our support team.</p>
-                        </div>
-                        <div class="footer">
-                            <p>&copy; 2024 Sanrico Mercantile Inc. All rights reserved.</p>
-                            <p>This is an automated message, please do not reply to this email.</p>
-                        </div>
-                    </div>
-                </body>
-                </html>
-            `
-        };
-        
-        await emailTransporter.sendMail(mailOptions);
+        await enqueueEmail(client.db(databaseName), email, 'verification-code', { code }, { from: fromEmail });
         
         res.json({ 
             success: true, 
@@ -3462,8 +6647,8 @@ app.post('/api/auth/create-verification-code', async (req, res) => {
         const database = client.db(databaseName);
         const authCodesCollection = database.collection("AuthCodes");
         
-        // Check if there's an existing code for this email
-        await authCodesCollection.deleteMany({ email: email.toLowerCase() });
+        // Check if there's an existing code for this email (password resets are kept)
+        await authCodesCollection.deleteMany({ email: email.toLowerCase(), type: { $ne: PASSWORD_RESET_TYPE } });
         
         // Create new verification code entry
         const codeEntry = {
@@ -3500,7 +6685,7 @@ app.post('/api/auth/create-verification-code', async (req, res) => {
     }
 });
 
-// Send verification email endpoint via n8n webhook
+// Send verification email endpoint (queued in the email outbox)
 app.post('/api/auth/send-verification-email', async (req, res) => {
     try {
         const { email, userName, verificationCode, code } = req.body;
@@ -3515,50 +6700,22 @@ app.post('/api/auth/send-verification-email', async (req, res) => {
             });
         }
         
-        console.log(`📧 Sending verification email via n8n for ${email}`);
-        
-        const emailData = {
-            to: email,
-            verificationCode: finalCode,
-            userName: userName || '',
-            type: 'verification'
-        };
-        
-        // Send email via n8n webhook
-        const n8nResponse = await fetch('http://localhost:5678/webhook/send-verification-email', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                to: email,
-                verificationCode: finalCode,
-                userName: userName || '',
-                type: 'verification'
-            })
+        console.log(`📧 Queueing verification email for ${email}`);
+        await enqueueEmail(client.db(databaseName), email, 'verification-code', {
+            code: finalCode,
+            userName: userName || ''
         });
         
-        if (!n8nResponse.ok) {
-            console.error('❌ n8n webhook failed:', n8nResponse.status);
-            throw new Error('Email service temporarily unavailable');
-        }
-        
-        const n8nResult = await n8nResponse.json();
-        
         res.json({ 
             success: true, 
             message: 'Verification email sent successfully' 
         });
         
     } catch (error) {
-        console.error('❌ Email sending error:', error);
-        
-        // No fallback - force n8n only
-        console.error('❌ N8N webhook failed. Error details:', error.message);
-        
+        console.error('❌ Error queueing verification email:', error);
         res.status(500).json({ 
             success: false, 
-            message: 'Email service unavailable. Please ensure n8n workflow is active and try again.' 
+            message: 'Failed to send verification email' 
         });
     }
 });
@@ -3747,11 +6904,11 @@ app.post('/api/auth/complete-registration', async (req, res) => {
             });
         }
         // Enforce password policy: 7–12 chars, include a digit, an uppercase, and one of . or !
-        const passwordPolicy = /^(?=.{7,12}$)(?=.*\d)(?=.*[A-Z])(?=.*[\.!]).*$/;
-        if (!passwordPolicy.test(String(password))) {
+        const policyError = passwordPolicyError(password);
+        if (policyError) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be 7–12 chars and include a number, an uppercase letter, and one of . or !'
+                message: policyError
             });
         }
         
@@ -3767,7 +6924,7 @@ app.post('/api/auth/complete-registration', async (req, res) => {
         }
         
         // Hash password for security
-        const hashedPassword = await bcrypt.hash(password, 12);
+        const hashedPassword = await bcrypt.hash(String(password).trim(), 12);
         
         // Create user credentials object for UserCredentials collection
         const userCredentials = {
@@ -3778,6 +6935,7 @@ app.post('/api/auth/complete-registration', async (req, res) => {
             registrationDate: new Date(),
             lastUpdated: new Date(),
             status: 'active',
+            customerGroup: DEFAULT_CUSTOMER_GROUP,
             verificationCompletedAt: new Date()
         };
         
@@ -3810,7 +6968,8 @@ app.post('/api/auth/complete-registration', async (req, res) => {
                     email: userCredentials.email,
                     emailVerified: true,
                     registrationDate: userCredentials.registrationDate,
-                    status: userCredentials.status
+                    status: userCredentials.status,
+                    customerGroup: userCredentials.customerGroup
                 }
             });
         } else {
@@ -3911,21 +7070,22 @@ app.post('/api/auth/login', async (req, res) => {
             }
         );
         
-        // Generate JWT token with strong secret
-        const jwtSecret = process.env.JWT_SECRET || 'your-super-secure-jwt-secret-key-here-change-this-in-production-123456789012345678901234567890';
+        // Generate JWT token (verified by securityMiddleware.authenticateUser on customer endpoints)
         const token = jwt.sign(
             { 
                 userId: user._id, 
                 email: user.email,
                 fullName: user.fullName,
                 verified: user.emailVerified,
+                sessionVersion: user.sessionVersion || 0,
                 iat: Math.floor(Date.now() / 1000)
             },
-            jwtSecret,
+            securityConfig.jwt.secret,
             { 
-                expiresIn: '7d',
-                issuer: 'sanrico-mercantile',
-                audience: 'sanrico-users'
+                algorithm: securityConfig.jwt.algorithm,
+                expiresIn: securityConfig.jwt.expiresIn,
+                issuer: securityConfig.jwt.issuer,
+                audience: securityConfig.jwt.audience
             }
         );
         
@@ -3943,7 +7103,8 @@ app.post('/api/auth/login', async (req, res) => {
                 emailVerified: user.emailVerified,
                 registrationDate: user.registrationDate,
                 lastLogin: new Date(),
-                status: user.status
+                status: user.status,
+                customerGroup: normalizeCustomerGroup(user.customerGroup) || DEFAULT_CUSTOMER_GROUP
             }
         });
         
@@ -3956,8 +7117,208 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// ===== Password reset (lib/password-reset.js) =====
+
+// Customer tokens carry the account's sessionVersion. A reset bumps it, which ends every
+// session signed before the reset.
+securityMiddleware.setUserSessionCheck(async (payload) => {
+    if (!ObjectId.isValid(String(payload.userId))) return false;
+    const user = await client.db(databaseName).collection('UserCredentials').findOne(
+        { _id: new ObjectId(String(payload.userId)) },
+        { projection: { sessionVersion: 1 } }
+    );
+    return Boolean(user) && (user.sessionVersion || 0) === (payload.sessionVersion || 0);
+});
+
+const INVALID_RESET_LINK_MESSAGE = 'This reset link is invalid or has expired. Please request a new one.';
+
+// API endpoint to email a password reset link. The answer is the same whether or not an
+// account uses the address, and each address is limited to a few requests an hour.
+app.post('/api/auth/send-password-reset', async (req, res) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > securityConfig.validation.maxEmailLength) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please enter a valid email address'
+            });
+        }
+        
+        const database = client.db(databaseName);
+        const authCodesCollection = database.collection("AuthCodes");
+        const now = new Date();
+        
+        const recentRequests = await authCodesCollection.find(
+            { type: PASSWORD_RESET_TYPE, email, createdAt: { $gt: new Date(now.getTime() - RESET_REQUEST_WINDOW_MS) } },
+            { projection: { createdAt: 1 } }
+        ).sort({ createdAt: 1 }).toArray();
+        const retryAfter = resetRetryAfterSeconds(recentRequests, now);
+        if (retryAfter > 0) {
+            securityMiddleware.logSecurityEvent('PASSWORD_RESET_RATE_LIMITED', { ip: req.ip, email });
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Too many reset requests for this email. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`
+            });
+        }
+        
+        const user = await database.collection('UserCredentials').findOne({ email }, { projection: { fullName: 1 } });
+        const { token, record } = buildResetRequest({ email, userId: user ? user._id : null, requestIp: req.ip }, now);
+        
+        if (user) {
+            // Only the newest link works
+            await authCodesCollection.updateMany(
+                { type: PASSWORD_RESET_TYPE, userId: user._id, usedAt: null, supersededAt: null },
+                { $set: { supersededAt: now } }
+            );
+        }
+        await authCodesCollection.insertOne(record);
+        
+        if (user) {
+            console.log(`📧 Queueing password reset email for ${email}`);
+            await enqueueEmail(database, email, 'password-reset', {
+                customerName: user.fullName || 'Customer',
+                resetUrl: resetPasswordUrl(STORE_URL, token),
+                expiresInMinutes: RESET_TOKEN_TTL_MS / 60000
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'If an account uses this email, a password reset link is on its way.'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error sending password reset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send password reset email'
+        });
+    }
+});
+
+// API endpoint to set a new password with the token from a reset link. The token works
+// once; the reset signs the account out everywhere and retires any other open links.
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!isResetTokenFormat(token)) {
+            return res.status(400).json({
+                success: false,
+                message: INVALID_RESET_LINK_MESSAGE
+            });
+        }
+        const policyError = passwordPolicyError(password || '');
+        if (policyError) {
+            return res.status(400).json({
+                success: false,
+                message: policyError
+            });
+        }
+        
+        const database = client.db(databaseName);
+        const authCodesCollection = database.collection("AuthCodes");
+        const now = new Date();
+        
+        // Claim the token before changing anything so two submissions cannot both use it
+        const resetRequest = await authCodesCollection.findOneAndUpdate(
+            {
+                type: PASSWORD_RESET_TYPE,
+                tokenHash: hashResetToken(token),
+                usedAt: null,
+                supersededAt: null,
+                expiresAt: { $gt: now }
+            },
+            { $set: { usedAt: now } }
+        );
+        if (!resetRequest) {
+            securityMiddleware.logSecurityEvent('INVALID_PASSWORD_RESET_TOKEN', { ip: req.ip });
+            return res.status(400).json({
+                success: false,
+                message: INVALID_RESET_LINK_MESSAGE
+            });
+        }
+        
+        // Trimmed like /api/auth/login trims it, or the new password could never sign in
+        const hashedPassword = await bcrypt.hash(String(password).trim(), 12);
+        const user = await database.collection('UserCredentials').findOneAndUpdate(
+            { _id: resetRequest.userId },
+            {
+                $set: { password: hashedPassword, passwordChangedAt: now, lastUpdated: now },
+                $inc: { sessionVersion: 1 }
+            },
+            { returnDocument: 'after', projection: { fullName: 1, email: 1 } }
+        );
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: INVALID_RESET_LINK_MESSAGE
+            });
+        }
+        
+        await authCodesCollection.updateMany(
+            { type: PASSWORD_RESET_TYPE, userId: user._id, usedAt: null, supersededAt: null },
+            { $set: { supersededAt: now } }
+        );
+        securityMiddleware.logSecurityEvent('PASSWORD_RESET', { ip: req.ip, userId: String(user._id) });
+        
+        try {
+            await enqueueEmail(database, user.email, 'password-changed', {
+                customerName: user.fullName || 'Customer',
+                changedAt: now.toLocaleString('en-PH', { dateStyle: 'long', timeStyle: 'short', timeZone: 'Asia/Manila' }),
+                storeUrl: STORE_URL
+            });
+        } catch (error) {
+            console.error('❌ Error queueing password changed email:', error);
+        }
+        
+        res.json({
+            success: true,
+            message: 'Your password has been reset. Please sign in with your new password.'
+        });
+        
+    } catch (error) {
+        console.error('❌ Error resetting password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    }
+});
+
+// API endpoint to stream live dashboard events (Server-Sent Events, lib/staff-events.js).
+// The dashboard reads it with fetch() so the staff token can go in the Authorization header;
+// a reconnect sends Last-Event-ID and gets the events it missed, or a resync event.
+app.get('/api/staff/events', requireStaffRole('cashier'), (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+        const missed = staffEvents.eventsSince(lastEventId);
+        if (missed === null) {
+            res.write('event: resync\ndata: {}\n\n');
+        } else {
+            missed.forEach(event => res.write(formatServerSentEvent(event)));
+        }
+    }
+    
+    const unsubscribe = staffEvents.subscribe(frame => res.write(frame));
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 // API endpoint to get staff notifications
-app.get('/api/staff/notifications', async (req, res) => {
+app.get('/api/staff/notifications', requireStaffRole('cashier'), async (req, res) => {
     try {
         console.log('🔔 Fetching staff notifications');
 
@@ -3988,7 +7349,7 @@ app.get('/api/staff/notifications', async (req, res) => {
 });
 
 // API endpoint to mark staff notification as read
-app.put('/api/staff/notifications/:notificationId/read', async (req, res) => {
+app.put('/api/staff/notifications/:notificationId/read', requireStaffRole('cashier'), async (req, res) => {
     try {
         const { ObjectId } = require('mongodb');
         const { notificationId } = req.params;
@@ -4027,7 +7388,7 @@ app.put('/api/staff/notifications/:notificationId/read', async (req, res) => {
 });
 
 // API endpoint to get all staff notifications (for history)
-app.get('/api/staff/notifications/all', async (req, res) => {
+app.get('/api/staff/notifications/all', requireStaffRole('cashier'), async (req, res) => {
     try {
 
         const database = client.db(databaseName);
@@ -0,0 +1,19 @@
+// Product CSV export must not hand spreadsheets formulas, and a re-import must get the
+// original text back.
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRODUCT_CSV_COLUMNS, parseCsv, toCsv, csvRowsToProductInputs } = require('../lib/product-csv');
+
+test('cells that look like formulas are exported with a leading quote', () => {
+    const csv = toCsv(['sku', 'name', 'brand'], [{ sku: 'SKU-1', name: '=HYPERLINK("http://x")', brand: '@Home' }]);
+    const [, row] = parseCsv(csv);
+    assert.deepStrictEqual(row, ['SKU-1', '\'=HYPERLINK("http://x")', "'@Home"]);
+});
+
+test('import strips the quote added on export', () => {
+    const products = [{ sku: 'SKU-1', name: '+63 hose clamp', description: '-10% off', brand: "O'Neil" }];
+    const [{ input }] = csvRowsToProductInputs(parseCsv(toCsv(PRODUCT_CSV_COLUMNS, products)));
+    assert.strictEqual(input.name, '+63 hose clamp');
+    assert.strictEqual(input.description, '-10% off');
+    assert.strictEqual(input.brand, "O'Neil");
+});
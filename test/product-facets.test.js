@@ -0,0 +1,42 @@
+// Facet query parsing behind the real request middleware: repeated params and
+// HTML-escaped values must reach parseFacetQuery intact.
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { securityMiddleware } = require('../security-config');
+const { parseFacetQuery } = require('../lib/product-facets');
+
+async function facetsFor(queryString) {
+    const app = express();
+    app.use(securityMiddleware.sanitizeInput);
+    app.get('/facets', (req, res) => res.json(parseFacetQuery(req.query)));
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/facets?${queryString}`);
+        return await response.json();
+    } finally {
+        server.close();
+    }
+}
+
+test('repeated brand params select several brands', async () => {
+    const facets = await facetsFor('brand=Boysen&brand=Davies');
+    assert.deepStrictEqual(facets.brands, ['Boysen', 'Davies']);
+});
+
+test('repeated attribute params select several values', async () => {
+    const facets = await facetsFor('attr.size=1%20gallon&attr.size=4%20liters');
+    assert.deepStrictEqual(facets.attributes, { size: ['1 gallon', '4 liters'] });
+});
+
+test('brand names with & and quotes match the stored name', async () => {
+    const facets = await facetsFor(`brand=${encodeURIComponent('B&Q')}&brand=${encodeURIComponent("Rizal's")}`);
+    assert.deepStrictEqual(facets.brands, ['B&Q', "Rizal's"]);
+});
+
+test('a single brand param still works', async () => {
+    const facets = await facetsFor('brand=Boysen');
+    assert.deepStrictEqual(facets.brands, ['Boysen']);
+});
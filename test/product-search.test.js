@@ -0,0 +1,35 @@
+// Search queries pass through the real request middleware, which HTML-escapes them;
+// names with apostrophes and ampersands must still match exactly.
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { securityMiddleware } = require('../security-config');
+const { unescapeQueryValue } = require('../lib/helpers');
+const { expandSearchQuery, scoreProductMatch } = require('../lib/product-search');
+
+async function variantsFor(query) {
+    const app = express();
+    app.use(securityMiddleware.sanitizeInput);
+    app.get('/search', (req, res) => res.json(expandSearchQuery(unescapeQueryValue(req.query.q || '').trim())));
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/search?q=${encodeURIComponent(query)}`);
+        return await response.json();
+    } finally {
+        server.close();
+    }
+}
+
+test('a query with an apostrophe is an exact name match', async () => {
+    const variants = await variantsFor("Rizal's Cement");
+    assert.strictEqual(variants[0], 'rizal s cement');
+    assert.strictEqual(scoreProductMatch({ name: "Rizal's Cement" }, variants), 100);
+});
+
+test('a query with an ampersand is an exact name match', async () => {
+    const variants = await variantsFor('B&Q Hammer');
+    assert.strictEqual(variants[0], 'b q hammer');
+    assert.strictEqual(scoreProductMatch({ name: 'B&Q Hammer' }, variants), 100);
+});